@@ -9,6 +9,7 @@ import jobRoutes from "./routes/jobs.js";
 import providerRoutes from "./routes/providers.js";
 import paymentRoutes from "./routes/payments.js";
 import payoutRoutes from "./routes/payouts.js"; // ✅ NEW
+import walletRoutes from "./routes/wallet.js";
 import notificationRoutes from "./routes/notifications.js";
 
 // ✅ SAFETY ROUTES
@@ -25,6 +26,7 @@ import adminStatisticsRoutes from "./routes/adminStatistics.js";
 import adminJobsRoutes from "./routes/adminJobs.js";
 import adminLiveMapRoutes from "./routes/adminLiveMap.js";
 import adminPaymentsRoutes from "./routes/adminPayments.js";
+import adminWalletsRoutes from "./routes/adminWallets.js";
 import adminAnalyticsRoutes from "./routes/adminAnalytics.js";
 import adminSettingsRoutes from "./routes/adminSettings.js";
 import adminZonesRoutes from "./routes/adminZones.js";
@@ -33,6 +35,8 @@ import adminOverviewRoutes from "./routes/adminOverview.js";
 // ✅ SuperAdmin + Admin User Management
 import superAdminRoutes from "./routes/superAdmin.js";
 import adminUsersRoutes from "./routes/adminUsers.js";
+import adminAuditLogsRoutes from "./routes/adminAuditLogs.js";
+import adminConfigVersionsRoutes from "./routes/adminConfigVersions.js";
 
 // ✅ Support Routes
 import supportRoutes from "./routes/support.js";
@@ -194,6 +198,7 @@ app.use("/api/providers", providerDocRoutes); // ✅ Granular Doc Routes (Phase
 app.use("/api/providers", providerRoutes);
 app.use("/api/payouts", payoutRoutes); // ✅ NEW
 app.use("/api/payments", paymentRoutes);
+app.use("/api/wallet", walletRoutes);
 app.use("/api/notifications", notificationRoutes);
 
 /**
@@ -256,6 +261,7 @@ app.use("/api/admin/statistics", adminStatisticsRoutes);
 app.use("/api/admin/jobs", adminJobsRoutes);
 app.use("/api/admin/live", adminLiveMapRoutes);
 app.use("/api/admin/payments", adminPaymentsRoutes);
+app.use("/api/admin/wallets", adminWalletsRoutes);
 app.use("/api/admin/analytics", adminAnalyticsRoutes);
 app.use("/api/admin/support", adminSupportRoutes);
 app.use("/api/admin/notifications", adminNotificationsRoutes);
@@ -263,6 +269,8 @@ app.use("/api/admin/settings", adminSettingsRoutes);
 app.use("/api/admin/zones", adminZonesRoutes);
 app.use("/api/admin/overview", adminOverviewRoutes);
 app.use("/api/admin/safety", adminSafetyRoutes);
+app.use("/api/admin/audit-logs", adminAuditLogsRoutes);
+app.use("/api/admin/config-versions", adminConfigVersionsRoutes);
 app.use("/api/admin", adminUsersRoutes);
 app.use("/api/superadmin", superAdminRoutes);
 
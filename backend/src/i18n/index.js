@@ -96,15 +96,19 @@ export function resolveLanguage(req) {
 export function translate(lang, key, vars = {}) {
   const dict = loadLocale(lang);
 
-  // support dot keys
-  const parts = String(key || "").split(".");
-  let cur = dict;
-
-  for (const p of parts) {
-    if (cur && typeof cur === "object" && p in cur) cur = cur[p];
-    else {
-      // fallback
-      return vars.fallback || key;
+  // flat keys first ("otp.sent" as written in the locale files), then nested dot keys
+  let cur = dict[String(key || "")];
+
+  if (cur === undefined) {
+    const parts = String(key || "").split(".");
+    cur = dict;
+
+    for (const p of parts) {
+      if (cur && typeof cur === "object" && p in cur) cur = cur[p];
+      else {
+        // fallback
+        return vars.fallback || key;
+      }
     }
   }
 
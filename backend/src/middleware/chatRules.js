@@ -5,13 +5,13 @@ import User, { USER_ROLES } from "../models/User.js";
 
 /**
  * Chat rules:
- * ✅ only ASSIGNED / IN_PROGRESS
+ * ✅ only ASSIGNED / ARRIVED / IN_PROGRESS
  * ✅ unlock after 3 minutes from lockedAt
  * ✅ admin/super admin can access any chat
  * ✅ customer/provider can access only if part of job
  */
 
-function normalizeStatus(raw) {
+export function normalizeStatus(raw) {
   return String(raw || "")
     .trim()
     .toUpperCase()
@@ -19,8 +19,8 @@ function normalizeStatus(raw) {
     .replace("-", "_");
 }
 
-function isChatActive(st) {
-  return st === JOB_STATUSES.ASSIGNED || st === JOB_STATUSES.IN_PROGRESS;
+export function isChatActive(st) {
+  return [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS].includes(st);
 }
 
 function minutesSince(date) {
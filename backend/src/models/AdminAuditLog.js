@@ -0,0 +1,58 @@
+// backend/src/models/AdminAuditLog.js
+import mongoose from "mongoose";
+
+export const ADMIN_AUDIT_ENTITY_TYPES = {
+  USER: "USER",
+  PROVIDER: "PROVIDER",
+  ADMIN: "ADMIN",
+  PRICING_CONFIG: "PRICING_CONFIG",
+  COUNTRY_SERVICE_CONFIG: "COUNTRY_SERVICE_CONFIG",
+};
+
+/**
+ * ✅ One admin action (utils/adminAudit.js → logAdminAction)
+ * Financial events stay in FinancialLog; this covers everything an admin changes.
+ */
+const AdminAuditLogSchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true, uppercase: true, trim: true }, // e.g. USER_SUSPENDED
+    entityType: { type: String, enum: Object.values(ADMIN_AUDIT_ENTITY_TYPES), required: true },
+    entityId: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    countryCode: { type: String, required: true, uppercase: true, trim: true },
+
+    // actor snapshot (survives the admin being renamed / archived)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    actorRole: { type: String, default: null },
+    actorEmail: { type: String, default: null },
+
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    // flattened diff of before → after
+    changes: [
+      {
+        path: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed, default: null },
+        to: { type: mongoose.Schema.Types.Mixed, default: null },
+        _id: false,
+      },
+    ],
+
+    reason: { type: String, default: null },
+    meta: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    method: { type: String, default: null },
+    path: { type: String, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AdminAuditLogSchema.index({ countryCode: 1, createdAt: -1 });
+AdminAuditLogSchema.index({ actor: 1, createdAt: -1 });
+AdminAuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AdminAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.models.AdminAuditLog || mongoose.model("AdminAuditLog", AdminAuditLogSchema);
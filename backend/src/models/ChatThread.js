@@ -12,7 +12,7 @@ const ChatThreadSchema = new mongoose.Schema(
     // Useful for filtering/search in admin
     roleNeeded: { type: String, default: null },
 
-    // ACTIVE while job is ASSIGNED/IN_PROGRESS
+    // ACTIVE while job is ASSIGNED/ARRIVED/IN_PROGRESS
     status: { type: String, enum: ["ACTIVE", "CLOSED"], default: "ACTIVE" },
 
     lastMessageAt: { type: Date, default: null },
@@ -0,0 +1,69 @@
+// backend/src/models/ConfigVersion.js
+import mongoose from "mongoose";
+
+export const CONFIG_VERSION_TYPES = {
+  PRICING: "PRICING", // PricingConfig
+  COUNTRY_SERVICES: "COUNTRY_SERVICES", // CountryServiceConfig
+};
+
+export const CONFIG_VERSION_STATUSES = {
+  SCHEDULED: "SCHEDULED",
+  APPLIED: "APPLIED",
+  CANCELLED: "CANCELLED",
+};
+
+export const CONFIG_VERSION_SOURCES = {
+  BASELINE: "BASELINE", // config as it was before its first versioned save (version 0)
+  SAVE: "SAVE",
+  ROLLBACK: "ROLLBACK",
+};
+
+/**
+ * ✅ Immutable copy of a country's PricingConfig / CountryServiceConfig
+ * (services/configVersion.service.js)
+ *
+ * version is sequential per configType + countryCode. The live config carries the version
+ * it currently matches in configVersion, and jobs keep the pricing version they were priced with.
+ * Only status / appliedAt / cancellation change after creation.
+ */
+const ConfigVersionSchema = new mongoose.Schema(
+  {
+    configType: { type: String, enum: Object.values(CONFIG_VERSION_TYPES), required: true, immutable: true },
+    countryCode: { type: String, required: true, uppercase: true, trim: true, immutable: true },
+    version: { type: Number, required: true, min: 0, immutable: true },
+
+    // full config minus identity fields (_id, countryCode, timestamps)
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true },
+
+    source: {
+      type: String,
+      enum: Object.values(CONFIG_VERSION_SOURCES),
+      default: CONFIG_VERSION_SOURCES.SAVE,
+      immutable: true,
+    },
+    restoredFrom: { type: Number, default: null, immutable: true }, // ROLLBACK target
+    comment: { type: String, default: null, trim: true, maxlength: 500, immutable: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, immutable: true },
+    createdByEmail: { type: String, default: null, immutable: true },
+    createdByRole: { type: String, default: null, immutable: true },
+
+    status: {
+      type: String,
+      enum: Object.values(CONFIG_VERSION_STATUSES),
+      default: CONFIG_VERSION_STATUSES.APPLIED,
+      index: true,
+    },
+    effectiveAt: { type: Date, required: true, immutable: true },
+    appliedAt: { type: Date, default: null },
+
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ConfigVersionSchema.index({ configType: 1, countryCode: 1, version: -1 }, { unique: true });
+ConfigVersionSchema.index({ status: 1, effectiveAt: 1 });
+
+export default mongoose.models.ConfigVersion || mongoose.model("ConfigVersion", ConfigVersionSchema);
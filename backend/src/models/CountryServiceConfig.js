@@ -31,6 +31,9 @@ const CountryServiceConfigSchema = new mongoose.Schema(
       index: true,
     },
 
+    // ✅ ConfigVersion this config currently matches (0 = baseline / never versioned)
+    configVersion: { type: Number, default: 0 },
+
     services: {
       towingEnabled: { type: Boolean, default: true },
       mechanicEnabled: { type: Boolean, default: true },
@@ -58,6 +61,92 @@ const CountryServiceConfigSchema = new mongoose.Schema(
       supportEnabled: { type: Boolean, default: true },
     },
 
+    /**
+     * ✅ Scheduled (future-dated) bookings
+     */
+    scheduling: {
+      enabled: { type: Boolean, default: true },
+
+      // job is released to providers this many minutes before the slot
+      leadTimeMinutes: { type: Number, default: 30 },
+
+      // booking window
+      minAdvanceMinutes: { type: Number, default: 60 },
+      maxAdvanceDays: { type: Number, default: 14 },
+
+      // customer reminders (minutes before the slot)
+      reminderMinutesBefore: { type: [Number], default: [1440, 60] },
+    },
+
+    /**
+     * ✅ Dispatch waves (progressive radius expansion for unmatched jobs)
+     * wave N radius = min(initialRadiusKm + radiusStepKm * (N - 1), maxRadiusKm)
+     */
+    dispatch: {
+      initialRadiusKm: { type: Number, default: 20 },
+      radiusStepKm: { type: Number, default: 10 },
+      maxRadiusKm: { type: Number, default: 60 },
+
+      providersPerWave: { type: Number, default: 10 },
+      waveIntervalSeconds: { type: Number, default: 90 },
+      maxWaves: { type: Number, default: 5 },
+
+      // give up + refund if nobody accepted within this time since first wave
+      finalTimeoutMinutes: { type: Number, default: 20 },
+    },
+
+    /**
+     * ✅ Provider arrival (ARRIVED is allowed within geofenceMeters of pickup)
+     */
+    arrival: {
+      geofenceMeters: { type: Number, default: 150 },
+
+      // provider location older than this is not trusted for arrival
+      maxLocationAgeSeconds: { type: Number, default: 120 },
+
+      // wrong start PINs before the customer has to issue a new one
+      maxPinAttempts: { type: Number, default: 5 },
+    },
+
+    /**
+     * ✅ Routing backend for drive distance / ETA (services/routing)
+     * HAVERSINE: offline straight line × detourFactor (also the fallback when a backend fails)
+     * OSRM / GRAPHHOPPER: HTTP routing server (API keys stay in env)
+     */
+    routing: {
+      provider: {
+        type: String,
+        enum: ["HAVERSINE", "OSRM", "GRAPHHOPPER"],
+        default: "HAVERSINE",
+      },
+      baseUrl: { type: String, default: "", trim: true },
+      profile: { type: String, default: "", trim: true }, // "driving" (OSRM) / "car" (GraphHopper)
+      timeoutMs: { type: Number, default: 2500 },
+
+      detourFactor: { type: Number, default: 1.3 },
+      avgSpeedKmh: { type: Number, default: 40 },
+    },
+
+    /**
+     * ✅ Dispatch ranking (who gets offered a job first)
+     * WEIGHTED: weighted average of the factor scores below
+     * DISTANCE: legacy nearest-first
+     */
+    ranking: {
+      strategy: { type: String, enum: ["WEIGHTED", "DISTANCE"], default: "WEIGHTED" },
+
+      weights: {
+        distance: { type: Number, default: 0.5 },
+        rating: { type: Number, default: 0.2 },
+        acceptance: { type: Number, default: 0.1 },
+        reliability: { type: Number, default: 0.1 },
+        idle: { type: Number, default: 0.1 },
+      },
+
+      minRatingsForScore: { type: Number, default: 3 },
+      idleCapMinutes: { type: Number, default: 240 },
+    },
+
     payments: {
       // legacy flags (keep for old code / old UI)
       paystackEnabled: { type: Boolean, default: false },
@@ -74,6 +163,35 @@ const CountryServiceConfigSchema = new mongoose.Schema(
       // ✅ payment routing (dashboard decides)
       defaultProvider: { type: String, default: "ikhokha", trim: true }, // key like "payfast" or enum like "PAYFAST"
       providers: { type: [PaymentProviderSchema], default: [] },
+
+      /**
+       * ✅ Failover: payment initiation moves to the next enabled provider (priority order)
+       * when a gateway errors or takes longer than timeoutMs.
+       * failureThreshold failures in a row → gateway skipped for coolDownMinutes.
+       */
+      failover: {
+        enabled: { type: Boolean, default: true },
+        timeoutMs: { type: Number, default: 15000 },
+        failureThreshold: { type: Number, default: 3 },
+        coolDownMinutes: { type: Number, default: 10 },
+      },
+    },
+
+    /**
+     * ✅ Panic alerts: unacknowledged alerts escalate every escalationMinutes
+     * (wider admin audience each level) until maxEscalationLevel.
+     */
+    safety: {
+      escalationMinutes: { type: Number, default: 3 },
+      maxEscalationLevel: { type: Number, default: 3 },
+      notifyEmergencyContacts: { type: Boolean, default: true },
+      escalationEmail: { type: String, default: "", trim: true }, // extra inbox from level 2
+
+      // ✅ Trip anomaly monitor (IN_PROGRESS tows)
+      tripMonitorEnabled: { type: Boolean, default: true },
+      stopAlertMinutes: { type: Number, default: 10 },
+      routeDeviationKm: { type: Number, default: 5 },
+      headingAwayKm: { type: Number, default: 3 },
     },
   },
   { timestamps: true }
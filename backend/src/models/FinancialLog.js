@@ -15,10 +15,14 @@ const financialLogSchema = new mongoose.Schema(
           "PARTNER_CREATED", "INVITATION_SENT", "INVITATION_FAILED",
           "ACTIVATION_COMPLETED", "PASSWORD_CREATED", "OTP_SENT", "OTP_VERIFIED",
           "EMAIL_SENT", "EMAIL_FAILED", "FORCED_CHECK", "BULK_FORCED_CHECK",
-          "FACE_CHECK_MATCHED", "FACE_CHECK_WARNING", "FACE_CHECK_REVIEW", "FACE_CHECK_FAILED"
+          "FACE_CHECK_MATCHED", "FACE_CHECK_WARNING", "FACE_CHECK_REVIEW", "FACE_CHECK_FAILED",
+          "REFUND_REQUESTED", "REFUND_RETRY_SCHEDULED", "REFUND_AWAITING_GATEWAY",
+          "REFUND_COMPLETED", "REFUND_FAILED", "PAYMENTS_RECONCILED",
+          "WALLET_CREDITED", "WALLET_DEBITED", "WALLET_RECOMPUTED",
+          "PROMO_CODE_CREATED", "PROMO_CODE_UPDATED"
         ]
     },
-    entityType: { type: String, enum: ["INSURANCE", "PROVIDER", "PARTNER", "FLEET", "CUSTOMER", "SYSTEM", "USER", "COUNTRY"], required: true },
+    entityType: { type: String, enum: ["INSURANCE", "PROVIDER", "PARTNER", "FLEET", "CUSTOMER", "SYSTEM", "USER", "COUNTRY", "PAYMENT"], required: true },
     entityId: { type: mongoose.Schema.Types.Mixed, required: false }, // Supports ObjectId or String (e.g. "SYSTEM")
 
     countryCode: { type: String, required: true, uppercase: true },
@@ -0,0 +1,24 @@
+// backend/src/models/InvoiceCounter.js
+import mongoose from "mongoose";
+
+/**
+ * ✅ Sequential customer invoice numbers, one counter per country
+ * seq is only ever moved forward with $inc (utils/jobReceipt.js)
+ */
+const InvoiceCounterSchema = new mongoose.Schema(
+  {
+    countryCode: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      unique: true,
+    },
+
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.InvoiceCounter ||
+  mongoose.model("InvoiceCounter", InvoiceCounterSchema);
@@ -5,8 +5,16 @@ export const JOB_STATUSES = {
   PENDING: "PENDING",
 
   CREATED: "CREATED",
+
+  // ✅ Paid future-dated booking waiting for its release time
+  SCHEDULED: "SCHEDULED",
+
   BROADCASTED: "BROADCASTED",
   ASSIGNED: "ASSIGNED",
+
+  // ✅ Provider reached pickup (geofenced); start needs the customer's PIN
+  ARRIVED: "ARRIVED",
+
   IN_PROGRESS: "IN_PROGRESS",
   COMPLETED: "COMPLETED",
   CANCELLED: "CANCELLED",
@@ -31,6 +39,142 @@ export const PAYMENT_MODES = {
   PAY_AFTER_COMPLETION: "PAY_AFTER_COMPLETION", // Mechanic: customer pays after completion
 };
 
+/**
+ * ✅ What the customer booked
+ * TOWING / MECHANIC are the classic flows; the rest are light roadside services
+ * (fixed call-out price, no dropoff, gated by CountryServiceConfig.services flags)
+ */
+export const JOB_SERVICE_TYPES = {
+  TOWING: "TOWING",
+  MECHANIC: "MECHANIC",
+
+  JUMP_START: "JUMP_START",
+  TYRE_CHANGE: "TYRE_CHANGE",
+  FUEL_DELIVERY: "FUEL_DELIVERY",
+  LOCKOUT: "LOCKOUT",
+  WINCH_RECOVERY: "WINCH_RECOVERY",
+};
+
+export const ROADSIDE_SERVICE_TYPES = [
+  JOB_SERVICE_TYPES.JUMP_START,
+  JOB_SERVICE_TYPES.TYRE_CHANGE,
+  JOB_SERVICE_TYPES.FUEL_DELIVERY,
+  JOB_SERVICE_TYPES.LOCKOUT,
+  JOB_SERVICE_TYPES.WINCH_RECOVERY,
+];
+
+export const FUEL_TYPES = ["PETROL", "DIESEL"];
+
+// ✅ Multi-stop tow legs (pickup → waypoints → dropoff)
+export const LEG_STATUSES = {
+  PENDING: "PENDING",
+  IN_PROGRESS: "IN_PROGRESS",
+  COMPLETED: "COMPLETED",
+};
+
+const legPointSchema = new mongoose.Schema(
+  {
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    addressText: { type: String, default: null },
+    label: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * ✅ One leg of a tow (utils/jobLegs.js)
+ * Leg 0 starts when the job goes IN_PROGRESS; the provider completes legs in order.
+ */
+const legSchema = new mongoose.Schema(
+  {
+    sequence: { type: Number, required: true },
+    from: { type: legPointSchema, required: true },
+    to: { type: legPointSchema, required: true },
+
+    distanceKm: { type: Number, default: 0 },
+    durationMinutes: { type: Number, default: null },
+    distanceSource: { type: String, default: null },
+
+    // per-km share of the tow price for this leg
+    amount: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: Object.values(LEG_STATUSES),
+      default: LEG_STATUSES.PENDING,
+    },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const waypointSchema = new mongoose.Schema(
+  {
+    location: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: { type: [Number], required: true }, // [lng, lat]
+    },
+    addressText: { type: String, default: null },
+    label: { type: String, default: null }, // e.g. "Storage yard"
+  },
+  { _id: false }
+);
+
+// ✅ Amount split into net + VAT (utils/taxEngine.js)
+const taxAmountSchema = new mongoose.Schema(
+  {
+    gross: { type: Number, default: 0 },
+    net: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// ✅ Provider-added lines on the final invoice (PAY_AFTER_COMPLETION jobs)
+export const INVOICE_ITEM_TYPES = {
+  PART: "PART",
+  LABOUR: "LABOUR", // quantity = hours
+  WAITING: "WAITING", // quantity = minutes
+  TOLL: "TOLL",
+};
+
+export const INVOICE_ITEM_STATUSES = {
+  PENDING: "PENDING",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+/**
+ * ✅ One itemised line (utils/jobInvoice.js)
+ * Added by the provider while IN_PROGRESS, approved / rejected by the customer.
+ * Only APPROVED lines are billed.
+ */
+const invoiceItemSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: Object.values(INVOICE_ITEM_TYPES), required: true },
+    description: { type: String, required: true, trim: true },
+
+    quantity: { type: Number, default: 1 },
+    unitPrice: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: Object.values(INVOICE_ITEM_STATUSES),
+      default: INVOICE_ITEM_STATUSES.PENDING,
+    },
+
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    addedAt: { type: Date, default: Date.now },
+
+    decidedAt: { type: Date, default: null },
+    rejectReason: { type: String, default: null },
+  },
+  { timestamps: false }
+);
+
 const jobSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
@@ -58,8 +202,33 @@ const jobSchema = new mongoose.Schema(
       index: true,
     },
 
+    // ✅ pickup zone resolved at creation (utils/serviceZones.js)
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: "Zone", default: null },
+
     roleNeeded: { type: String, required: true },
 
+    // ✅ booked service (roleNeeded stays the provider role that serves it)
+    serviceType: {
+      type: String,
+      enum: Object.values(JOB_SERVICE_TYPES),
+      default: null,
+      index: true,
+    },
+
+    /**
+     * ✅ Roadside service extras (utils/roadsideServices.js)
+     */
+    serviceDetails: {
+      _id: false,
+
+      // FUEL_DELIVERY
+      fuelType: { type: String, enum: [...FUEL_TYPES, null], default: null },
+      fuelLitres: { type: Number, default: null },
+
+      // TYRE_CHANGE
+      hasSpareTyre: { type: Boolean, default: null },
+    },
+
     pickupLocation: {
       type: { type: String, enum: ["Point"], default: "Point" },
       coordinates: { type: [Number], required: true }, // [lng, lat]
@@ -80,6 +249,45 @@ const jobSchema = new mongoose.Schema(
     pickupAddressText: { type: String, default: null },
     dropoffAddressText: { type: String, default: null },
 
+    // ✅ intermediate stops between pickup and dropoff (in order)
+    waypoints: { type: [waypointSchema], default: [] },
+
+    // ✅ per-leg distance, price share and status (tow jobs with a dropoff)
+    legs: { type: [legSchema], default: [] },
+
+    /**
+     * ✅ Follow-up job spawned from another job (mechanic → tow handoff)
+     * preAuthorized: the customer's vehicle is handed over by the parent job's provider,
+     * so the start PIN step is skipped for this job.
+     */
+    handoff: {
+      _id: false,
+
+      parentJob: { type: mongoose.Schema.Types.ObjectId, ref: "Job", default: null },
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      reason: { type: String, default: null },
+
+      preAuthorized: { type: Boolean, default: false },
+      preAuthorizedAt: { type: Date, default: null },
+    },
+
+    followUpJobs: [{ type: mongoose.Schema.Types.ObjectId, ref: "Job" }],
+
+    // ✅ itemised extras on the final invoice (parts, labour, waiting, tolls)
+    invoiceItems: { type: [invoiceItemSchema], default: [] },
+
+    /**
+     * ✅ Customer receipt / tax invoice (GET /api/jobs/:id/receipt.pdf)
+     * invoiceNumber is issued once per job from the country's InvoiceCounter.
+     */
+    receipt: {
+      _id: false,
+
+      invoiceNumber: { type: String, default: null },
+      sequence: { type: Number, default: null },
+      issuedAt: { type: Date, default: null },
+    },
+
     /**
      * TowTruck job requirement
      */
@@ -121,22 +329,46 @@ const jobSchema = new mongoose.Schema(
 
       currency: { type: String, default: "ZAR" },
 
+      // ✅ PricingConfig version this job was priced with (ConfigVersion.version, null = before versioning)
+      configVersion: { type: Number, default: null },
+
       baseFee: { type: Number, default: 0 },
       perKmFee: { type: Number, default: 0 },
 
       estimatedDistanceKm: { type: Number, default: 0 },
 
+      // ✅ drive time + where the distance came from (services/routing)
+      estimatedDurationMinutes: { type: Number, default: null },
+      distanceSource: { type: String, default: null },
+
+      // ✅ roadside extras (fuel litres × perLitreFee)
+      extrasAmount: { type: Number, default: 0 },
+
       towTruckTypeMultiplier: { type: Number, default: 1 },
       vehicleTypeMultiplier: { type: Number, default: 1 },
 
       surgeMultiplier: { type: Number, default: 1 },
 
+      // ✅ dynamic surge locked at creation (utils/surgePricing.js)
+      surge: {
+        dynamicMultiplier: { type: Number, default: 1 },
+        areaType: { type: String, default: null },
+        areaKey: { type: String, default: null },
+        demand: { type: Number, default: null },
+        supply: { type: Number, default: null },
+        snapshotId: { type: mongoose.Schema.Types.ObjectId, ref: "SurgeSnapshot", default: null },
+        computedAt: { type: Date, default: null },
+      },
+
       /**
-       * estimatedTotal is meaningful for TowTruck
+       * estimatedTotal is meaningful for TowTruck + roadside services
        * For Mechanic we will keep it 0 (final fee unknown)
        */
       estimatedTotal: { type: Number, default: 0 },
 
+      // ✅ multi-stop: perStopFee × waypoints (PricingConfig.multiStopRules)
+      stopFee: { type: Number, default: 0 },
+
       /**
        * ✅ Booking Fee System
        */
@@ -159,6 +391,35 @@ const jobSchema = new mongoose.Schema(
        */
       commissionAmount: { type: Number, default: 0 },
       providerAmountDue: { type: Number, default: 0 },
+
+      /**
+       * ✅ Wait time billed from arrival to start (see waitTime below)
+       */
+      waitTimeFee: { type: Number, default: 0 },
+
+      // ✅ sum of APPROVED invoiceItems (billed on top of estimatedTotal, all to the provider)
+      approvedExtrasTotal: { type: Number, default: 0 },
+
+      /**
+       * ✅ Tax snapshot at pricing time (PricingConfig.taxRules)
+       * Rates are kept so later breakdowns (invoices, payouts, stats) use the job's own rates.
+       */
+      tax: {
+        label: { type: String, default: null },
+        ratePercent: { type: Number, default: null },
+        pricesIncludeTax: { type: Boolean, default: null },
+        vatOnBookingFee: { type: Boolean, default: null },
+        vatOnCommission: { type: Boolean, default: null },
+        withholdingPercent: { type: Number, default: null },
+
+        bookingFee: { type: taxAmountSchema, default: null },
+        commission: { type: taxAmountSchema, default: null },
+        providerWithholding: {
+          gross: { type: Number, default: null },
+          withheld: { type: Number, default: null },
+          net: { type: Number, default: null },
+        },
+      },
     },
 
     /**
@@ -204,6 +465,44 @@ const jobSchema = new mongoose.Schema(
       default: JOB_STATUSES.CREATED,
     },
 
+    /**
+     * ✅ Status transition log (services/jobLifecycle.service.js)
+     * actor: CUSTOMER | PROVIDER | ADMIN | SYSTEM
+     */
+    statusHistory: [
+      {
+        _id: false,
+        from: { type: String, default: null },
+        to: { type: String, required: true },
+        actor: { type: String, default: "SYSTEM" },
+        actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        reason: { type: String, default: null },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+
+    /**
+     * ✅ Scheduled (future-dated) bookings
+     * Job waits in SCHEDULED until releaseAt (scheduledFor - leadTimeMinutes),
+     * then it is broadcast (or assigned to the pre-accepted provider).
+     */
+    schedule: {
+      _id: false,
+
+      isScheduled: { type: Boolean, default: false },
+
+      scheduledFor: { type: Date, default: null },
+      leadTimeMinutes: { type: Number, default: 0 },
+      releaseAt: { type: Date, default: null },
+      releasedAt: { type: Date, default: null },
+
+      preAcceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      preAcceptedAt: { type: Date, default: null },
+
+      // minutes-before values already pushed to the customer
+      remindersSent: { type: [Number], default: [] },
+    },
+
     cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
     cancelReason: { type: String, default: null },
     cancelledAt: { type: Date, default: null },
@@ -211,24 +510,108 @@ const jobSchema = new mongoose.Schema(
 
     /**
      * ✅ Phase 1: Customer Authorized Job Start
-     * Allows provider to start job even if GPS distance > 30m
+     * Allows provider to confirm ARRIVED even outside the pickup geofence
      */
     customerStartAuthorization: { type: Boolean, default: false },
     customerStartAuthorizedAt: { type: Date, default: null },
     customerStartAuthorizedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
 
+    /**
+     * ✅ Arrival + start PIN handshake
+     * PIN is shown to the customer only (never serialized with the job)
+     */
+    arrival: {
+      _id: false,
+
+      arrivedAt: { type: Date, default: null },
+      distanceMeters: { type: Number, default: null },
+
+      startPin: { type: String, default: null, select: false },
+      pinIssuedAt: { type: Date, default: null },
+      pinVerifiedAt: { type: Date, default: null },
+      pinAttempts: { type: Number, default: 0 },
+    },
+
+    /**
+     * ✅ Wait-time billing (arrival → start)
+     * billableMinutes = minutes - freeMinutes (capped), amount → pricing.waitTimeFee
+     */
+    waitTime: {
+      _id: false,
+
+      startedAt: { type: Date, default: null },
+      endedAt: { type: Date, default: null },
+
+      minutes: { type: Number, default: 0 },
+      freeMinutes: { type: Number, default: 0 },
+      billableMinutes: { type: Number, default: 0 },
+      perMinuteFee: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
+
     dispatchAttempts: [
       {
         providerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         attemptedAt: { type: Date, default: Date.now },
+        wave: { type: Number, default: 1 },
+        radiusMeters: { type: Number, default: null },
+
+        // ✅ dispatch ranking snapshot (utils/providerScoring.js) — shown to admins
+        rank: { type: Number, default: null },
+        score: { type: Number, default: null },
+        distanceKm: { type: Number, default: null },
+        etaMinutes: { type: Number, default: null },
+        rankingStrategy: { type: String, default: null },
+        scoreFactors: { type: mongoose.Schema.Types.Mixed, default: null },
       },
     ],
+
+    /**
+     * ✅ Dispatch waves state (utils/dispatchWaves.js)
+     */
+    dispatch: {
+      _id: false,
+
+      wave: { type: Number, default: 0 },
+      radiusMeters: { type: Number, default: null },
+
+      startedAt: { type: Date, default: null },
+      lastWaveAt: { type: Date, default: null },
+      nextWaveAt: { type: Date, default: null },
+
+      gaveUpAt: { type: Date, default: null },
+    },
+
+    /**
+     * ✅ Trip anomaly monitor state while IN_PROGRESS (services/safety/tripMonitor.js)
+     * target = leg sequence / "DROPOFF"; reset whenever the target changes.
+     */
+    tripMonitor: {
+      _id: false,
+
+      target: { type: String, default: null },
+      lastLat: { type: Number, default: null },
+      lastLng: { type: Number, default: null },
+      lastSampleAt: { type: Date, default: null },
+      lastMovedAt: { type: Date, default: null },
+      // lastMovedAt of the stop a LONG_STOP incident was raised for (not raised again until the truck moves)
+      alertedStopAt: { type: Date, default: null },
+
+      closestDistanceKm: { type: Number, default: null },
+      awaySamples: { type: Number, default: 0 },
+    },
   },
   {
     timestamps: true,
 
     // ✅ IMPORTANT: include virtuals in API JSON output
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        if (ret.arrival) delete ret.arrival.startPin;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -241,6 +624,13 @@ jobSchema.index({ dropoffLocation: "2dsphere" });
 jobSchema.index({ lockedAt: 1 });
 jobSchema.index({ assignedTo: 1, status: 1 });
 
+// ✅ Dispatch waves (re-broadcast unmatched jobs)
+jobSchema.index({ status: 1, "dispatch.nextWaveAt": 1 });
+
+// ✅ Scheduled jobs dispatcher (release + reminders)
+jobSchema.index({ status: 1, "schedule.releaseAt": 1 });
+jobSchema.index({ "schedule.isScheduled": 1, "schedule.scheduledFor": 1 });
+
 // ✅ TowMech Global index (country isolation + filtering)
 jobSchema.index({ countryCode: 1, status: 1, createdAt: -1 });
 
@@ -249,12 +639,27 @@ jobSchema.index({ "insurance.enabled": 1, countryCode: 1, createdAt: -1 });
 jobSchema.index({ "insurance.partnerId": 1, countryCode: 1, createdAt: -1 });
 jobSchema.index({ "insurance.validatedAt": 1 });
 
+// ✅ Follow-up jobs per parent (mechanic → tow handoff)
+jobSchema.index({ "handoff.parentJob": 1, status: 1 });
+
+// ✅ Invoice numbers are unique once issued
+jobSchema.index(
+  { "receipt.invoiceNumber": 1 },
+  { unique: true, partialFilterExpression: { "receipt.invoiceNumber": { $type: "string" } } }
+);
+
 /**
  * ✅ Ensure countryCode + insurance.code normalized
  */
 jobSchema.pre("validate", function (next) {
   if (this.countryCode) this.countryCode = String(this.countryCode).trim().toUpperCase();
 
+  // legacy jobs: derive the service from the provider role
+  if (!this.serviceType) {
+    if (this.roleNeeded === "TowTruck") this.serviceType = JOB_SERVICE_TYPES.TOWING;
+    if (this.roleNeeded === "Mechanic") this.serviceType = JOB_SERVICE_TYPES.MECHANIC;
+  }
+
   if (this.insurance?.code) {
     this.insurance.code = String(this.insurance.code).trim().toUpperCase();
   }
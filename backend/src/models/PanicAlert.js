@@ -2,9 +2,59 @@ import mongoose from "mongoose";
 
 export const PANIC_STATUSES = {
   OPEN: "OPEN",
+  ACKNOWLEDGED: "ACKNOWLEDGED",
   RESOLVED: "RESOLVED",
 };
 
+// PANIC = user pressed the button; TRIP_MONITOR = opened by services/safety/tripMonitor.js
+export const PANIC_SOURCES = {
+  PANIC: "PANIC",
+  TRIP_MONITOR: "TRIP_MONITOR",
+};
+
+export const TRIP_ANOMALY_TYPES = {
+  LONG_STOP: "LONG_STOP",
+  ROUTE_DEVIATION: "ROUTE_DEVIATION",
+  HEADING_AWAY: "HEADING_AWAY",
+};
+
+export const PANIC_NOTIFY_CHANNELS = {
+  PUSH: "PUSH",
+  EMAIL: "EMAIL",
+  SMS: "SMS",
+};
+
+/**
+ * ✅ Device GPS streamed while the alert is active (newest last)
+ */
+const LocationPointSchema = new mongoose.Schema(
+  {
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    accuracy: { type: Number, default: null }, // metres
+    speed: { type: Number, default: null }, // m/s
+    heading: { type: Number, default: null },
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * ✅ Every push / email / SMS sent for the alert (level 0 = initial alert)
+ */
+const NotificationLogSchema = new mongoose.Schema(
+  {
+    level: { type: Number, default: 0 },
+    channel: { type: String, enum: Object.values(PANIC_NOTIFY_CHANNELS), required: true },
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    to: { type: String, default: null }, // email / phone for non-user recipients
+    ok: { type: Boolean, default: false },
+    error: { type: String, default: null },
+    sentAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const PanicAlertSchema = new mongoose.Schema(
   {
     triggeredBy: {
@@ -18,12 +68,42 @@ const PanicAlertSchema = new mongoose.Schema(
       required: true,
     },
 
+    source: {
+      type: String,
+      enum: Object.values(PANIC_SOURCES),
+      default: PANIC_SOURCES.PANIC,
+      index: true,
+    },
+
+    // ✅ TRIP_MONITOR incidents only
+    anomaly: {
+      type: { type: String, enum: [...Object.values(TRIP_ANOMALY_TYPES), null], default: null },
+      details: { type: Object, default: null },
+    },
+
+    // ✅ "Is everything OK?" push to the customer (TRIP_MONITOR incidents)
+    customerCheckIn: {
+      sentAt: { type: Date, default: null },
+      respondedAt: { type: Date, default: null },
+      ok: { type: Boolean, default: null },
+      message: { type: String, default: null },
+    },
+
     job: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Job",
       default: null,
     },
 
+    // ✅ job country when linked to a job, else the user's country
+    countryCode: {
+      type: String,
+      default: "ZA",
+      uppercase: true,
+      trim: true,
+      index: true,
+    },
+
     location: {
       lat: { type: Number, required: true },
       lng: { type: Number, required: true },
@@ -40,6 +120,27 @@ const PanicAlertSchema = new mongoose.Schema(
       default: PANIC_STATUSES.OPEN,
     },
 
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // ✅ Escalation (services/safety/panicEscalation.js)
+    escalationLevel: { type: Number, default: 0 },
+    lastEscalatedAt: { type: Date, default: null },
+    nextEscalationAt: { type: Date, default: null }, // null = acknowledged / resolved / max level reached
+
+    locationTimeline: { type: [LocationPointSchema], default: [] },
+    lastLocationAt: { type: Date, default: null },
+
+    notifications: { type: [NotificationLogSchema], default: [] },
+
     resolvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -63,4 +164,6 @@ const PanicAlertSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+PanicAlertSchema.index({ status: 1, nextEscalationAt: 1 });
+
 export default mongoose.model("PanicAlert", PanicAlertSchema);
@@ -8,6 +8,7 @@ export const PAYMENT_STATUSES = {
   CANCELLED: "CANCELLED", // ✅ needed (used across routes)
   REFUND_REQUESTED: "REFUND_REQUESTED", // ✅ needed (async gateway refunds)
   REFUNDED: "REFUNDED",
+  REFUND_FAILED: "REFUND_FAILED", // ✅ refund queue gave up (admin retries or settles by hand)
 };
 
 const paymentSchema = new mongoose.Schema(
@@ -45,6 +46,11 @@ const paymentSchema = new mongoose.Schema(
     refundReference: { type: String, default: null },
     refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
     refundReason: { type: String, default: null, trim: true },
+
+    // ✅ sum of SUCCEEDED PaymentRefund amounts (partial refunds keep status PAID)
+    refundedAmount: { type: Number, default: 0 },
+    // ✅ sum of open (queued / in-flight) PaymentRefund amounts, reserved atomically by the refund queue
+    refundReservedAmount: { type: Number, default: 0 },
   },
   { timestamps: true }
 );
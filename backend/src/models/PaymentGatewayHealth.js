@@ -0,0 +1,35 @@
+// backend/src/models/PaymentGatewayHealth.js
+import mongoose from "mongoose";
+
+/**
+ * ✅ Per-country gateway health for payment failover (services/payments/gatewayHealth.js)
+ * failureThreshold consecutive failures → gateway skipped until coolDownUntil.
+ */
+const PaymentGatewayHealthSchema = new mongoose.Schema(
+  {
+    countryCode: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    gateway: { type: String, required: true, uppercase: true, trim: true },
+
+    consecutiveFailures: { type: Number, default: 0 },
+    totalFailures: { type: Number, default: 0 },
+    totalSuccesses: { type: Number, default: 0 },
+
+    lastError: { type: String, default: null },
+    lastFailureAt: { type: Date, default: null },
+    lastSuccessAt: { type: Date, default: null },
+
+    coolDownUntil: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+PaymentGatewayHealthSchema.index({ countryCode: 1, gateway: 1 }, { unique: true });
+
+export default mongoose.models.PaymentGatewayHealth ||
+  mongoose.model("PaymentGatewayHealth", PaymentGatewayHealthSchema);
@@ -0,0 +1,73 @@
+// backend/src/models/PaymentReconciliation.js
+import mongoose from "mongoose";
+
+/**
+ * ✅ One reconciliation run: a gateway transaction list (API pull or CSV import)
+ * matched against Payment by reference + amount for a country/gateway/window.
+ * Only mismatches are stored as items; matched rows are counted.
+ */
+export const RECONCILIATION_SOURCES = {
+  API: "API",
+  CSV: "CSV",
+};
+
+export const RECONCILIATION_ISSUES = {
+  MISSING_PAYMENT: "MISSING_PAYMENT", // gateway charged, no Payment with that reference
+  AMOUNT_MISMATCH: "AMOUNT_MISMATCH", // reference matches, amount does not
+  UNCONFIRMED_PAYMENT: "UNCONFIRMED_PAYMENT", // gateway succeeded, Payment still PENDING/FAILED
+  STATUS_MISMATCH: "STATUS_MISMATCH", // gateway failed, Payment marked PAID
+  STUCK_PENDING: "STUCK_PENDING", // Payment PENDING too long, gateway has no success for it
+  NOT_IN_GATEWAY_REPORT: "NOT_IN_GATEWAY_REPORT", // Payment PAID, gateway list has no such charge
+};
+
+const itemSchema = new mongoose.Schema(
+  {
+    issue: { type: String, enum: Object.values(RECONCILIATION_ISSUES), required: true },
+    reference: { type: String, default: null },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", default: null },
+
+    gatewayId: { type: String, default: null },
+    gatewayAmount: { type: Number, default: null },
+    gatewayStatus: { type: String, default: null },
+    paymentAmount: { type: Number, default: null },
+    paymentStatus: { type: String, default: null },
+    currency: { type: String, default: null },
+
+    resolved: { type: Boolean, default: false },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    resolvedAt: { type: Date, default: null },
+    resolutionNote: { type: String, default: null },
+  },
+  { _id: true }
+);
+
+const paymentReconciliationSchema = new mongoose.Schema(
+  {
+    countryCode: { type: String, required: true, uppercase: true, trim: true },
+    gateway: { type: String, required: true, uppercase: true, trim: true },
+    source: { type: String, enum: Object.values(RECONCILIATION_SOURCES), required: true },
+
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    totals: {
+      gatewayTransactions: { type: Number, default: 0 },
+      payments: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      issues: { type: Number, default: 0 },
+    },
+    issueCounts: { type: Object, default: {} },
+
+    items: { type: [itemSchema], default: [] },
+
+    fileName: { type: String, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+paymentReconciliationSchema.index({ countryCode: 1, createdAt: -1 });
+paymentReconciliationSchema.index({ countryCode: 1, gateway: 1, periodStart: -1 });
+
+export default mongoose.models.PaymentReconciliation ||
+  mongoose.model("PaymentReconciliation", paymentReconciliationSchema);
@@ -0,0 +1,76 @@
+// backend/src/models/PaymentRefund.js
+import mongoose from "mongoose";
+
+/**
+ * ✅ Refund queue (services/payments/refundQueue.js)
+ * One document per refund request against a Payment; full or partial.
+ * QUEUED → PROCESSING → SUCCEEDED | AWAITING_GATEWAY | QUEUED (retry) | FAILED
+ */
+export const REFUND_STATUSES = {
+  QUEUED: "QUEUED",
+  PROCESSING: "PROCESSING",
+  AWAITING_GATEWAY: "AWAITING_GATEWAY", // accepted by the gateway, result comes by webhook
+  SUCCEEDED: "SUCCEEDED",
+  FAILED: "FAILED",
+};
+
+export const REFUND_SOURCES = {
+  CUSTOMER_CANCEL: "CUSTOMER_CANCEL",
+  NO_PROVIDER: "NO_PROVIDER",
+  ADMIN: "ADMIN",
+};
+
+const attemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    ok: { type: Boolean, default: false },
+    status: { type: String, default: null },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const paymentRefundSchema = new mongoose.Schema(
+  {
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", required: true, index: true },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "Job", default: null },
+
+    countryCode: { type: String, default: "ZA", uppercase: true, trim: true },
+    gateway: { type: String, required: true, uppercase: true, trim: true },
+
+    amount: { type: Number, required: true },
+    currency: { type: String, default: "ZAR" },
+    isFull: { type: Boolean, default: true },
+
+    reason: { type: String, default: null, trim: true },
+    source: { type: String, enum: Object.values(REFUND_SOURCES), required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    status: {
+      type: String,
+      enum: Object.values(REFUND_STATUSES),
+      default: REFUND_STATUSES.QUEUED,
+    },
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    attemptLog: { type: [attemptSchema], default: [] },
+
+    lastError: { type: String, default: null },
+    gatewayReference: { type: String, default: null },
+    gatewayResponse: { type: Object, default: null },
+
+    completedAt: { type: Date, default: null },
+    failedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+paymentRefundSchema.index({ status: 1, nextAttemptAt: 1 });
+paymentRefundSchema.index({ gateway: 1, gatewayReference: 1 });
+paymentRefundSchema.index({ countryCode: 1, status: 1, createdAt: -1 });
+
+export default mongoose.models.PaymentRefund ||
+  mongoose.model("PaymentRefund", paymentRefundSchema);
@@ -0,0 +1,48 @@
+// backend/src/models/PaymentWebhookEvent.js
+import mongoose from "mongoose";
+
+/**
+ * ✅ Raw gateway webhook events (services/payments/webhooks.js)
+ * (gateway, eventId) is unique: replays bump receivedCount and are not applied twice.
+ */
+export const WEBHOOK_EVENT_STATUSES = {
+  RECEIVED: "RECEIVED",
+  PROCESSED: "PROCESSED",
+  IGNORED: "IGNORED",
+  FAILED: "FAILED", // reconciliation threw; the gateway's retry processes it again
+};
+
+const PaymentWebhookEventSchema = new mongoose.Schema(
+  {
+    gateway: { type: String, required: true, uppercase: true, trim: true },
+    eventId: { type: String, required: true, trim: true },
+    eventType: { type: String, default: null },
+
+    kind: { type: String, default: null }, // PAYMENT_EVENT_KINDS
+    reference: { type: String, default: null, index: true },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", default: null },
+
+    status: {
+      type: String,
+      enum: Object.values(WEBHOOK_EVENT_STATUSES),
+      default: WEBHOOK_EVENT_STATUSES.RECEIVED,
+    },
+    outcome: { type: String, default: null },
+    error: { type: String, default: null },
+
+    payload: { type: mongoose.Schema.Types.Mixed, default: null },
+    rawBody: { type: String, default: null },
+
+    receivedCount: { type: Number, default: 1 },
+    lastReceivedAt: { type: Date, default: Date.now },
+    claimedAt: { type: Date, default: Date.now }, // when processing last started
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+PaymentWebhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+PaymentWebhookEventSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.models.PaymentWebhookEvent ||
+  mongoose.model("PaymentWebhookEvent", PaymentWebhookEventSchema);
@@ -26,17 +26,30 @@ const DEFAULT_TOW_TRUCK_TYPES = [
 
 /**
  * ✅ Default Mechanic Category Pricing
- * bookingFee = baseFee + (nightFee if night) + (weekendFee if weekend)
+ * bookingFee = baseFee + (nightFee if night) + (holidayFee if holiday, else weekendFee if weekend)
  */
 const DEFAULT_MECHANIC_CATEGORY_PRICING = {
-  "General Mechanic": { baseFee: 0, nightFee: 0, weekendFee: 0 },
-  "Engine Mechanic": { baseFee: 0, nightFee: 0, weekendFee: 0 },
-  "Gearbox Mechanic": { baseFee: 0, nightFee: 0, weekendFee: 0 },
-  "Suspension & Alignment": { baseFee: 0, nightFee: 0, weekendFee: 0 },
-  "Tyre and rims": { baseFee: 0, nightFee: 0, weekendFee: 0 },
-  "Car wiring and Diagnosis": { baseFee: 0, nightFee: 0, weekendFee: 0 },
+  "General Mechanic": { baseFee: 0, nightFee: 0, weekendFee: 0, holidayFee: 0 },
+  "Engine Mechanic": { baseFee: 0, nightFee: 0, weekendFee: 0, holidayFee: 0 },
+  "Gearbox Mechanic": { baseFee: 0, nightFee: 0, weekendFee: 0, holidayFee: 0 },
+  "Suspension & Alignment": { baseFee: 0, nightFee: 0, weekendFee: 0, holidayFee: 0 },
+  "Tyre and rims": { baseFee: 0, nightFee: 0, weekendFee: 0, holidayFee: 0 },
+  "Car wiring and Diagnosis": { baseFee: 0, nightFee: 0, weekendFee: 0, holidayFee: 0 },
 };
 
+/**
+ * ✅ Public holiday entry
+ * date: "YYYY-MM-DD" (country-local). recurring=true matches the same MM-DD every year.
+ */
+const holidaySchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true, trim: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+    name: { type: String, default: "", trim: true },
+    recurring: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
 const pricingConfigSchema = new mongoose.Schema(
   {
     /**
@@ -56,6 +69,9 @@ const pricingConfigSchema = new mongoose.Schema(
       index: true,
     },
 
+    // ✅ ConfigVersion this config currently matches (0 = baseline / never versioned)
+    configVersion: { type: Number, default: 0 },
+
     currency: { type: String, default: "ZAR" },
 
     /**
@@ -73,12 +89,14 @@ const pricingConfigSchema = new mongoose.Schema(
         perKmFee: { type: Number, default: 15 },
         nightFee: { type: Number, default: 0 },
         weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
       },
       mechanic: {
         baseFee: { type: Number, default: 30 },
         perKmFee: { type: Number, default: 10 },
         nightFee: { type: Number, default: 0 },
         weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
       },
     },
 
@@ -100,7 +118,7 @@ const pricingConfigSchema = new mongoose.Schema(
 
     /**
      * ✅ Mechanic Category Pricing (Dashboard Controlled)
-     * bookingFee = baseFee + (nightFee if night) + (weekendFee if weekend)
+     * bookingFee = baseFee + (nightFee if night) + (holidayFee if holiday, else weekendFee if weekend)
      *
      * IMPORTANT:
      * We use Mixed so dashboard can update freely without schema issues.
@@ -119,36 +137,82 @@ const pricingConfigSchema = new mongoose.Schema(
         perKmFee: { type: Number, default: 20 },
         nightFee: { type: Number, default: 0 },
         weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
       },
       "Wheel-Lift": {
         baseFee: { type: Number, default: 20 },
         perKmFee: { type: Number, default: 20 },
         nightFee: { type: Number, default: 0 },
         weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
       },
       "Flatbed/Roll Back": {
         baseFee: { type: Number, default: 20 },
         perKmFee: { type: Number, default: 20 },
         nightFee: { type: Number, default: 0 },
         weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
       },
       "Boom Trucks(With Crane)": {
         baseFee: { type: Number, default: 20 },
         perKmFee: { type: Number, default: 20 },
         nightFee: { type: Number, default: 0 },
         weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
       },
       "Integrated / Wrecker": {
         baseFee: { type: Number, default: 20 },
         perKmFee: { type: Number, default: 20 },
         nightFee: { type: Number, default: 0 },
         weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
       },
       "Heavy-Duty Rotator(Recovery)": {
         baseFee: { type: Number, default: 20 },
         perKmFee: { type: Number, default: 20 },
         nightFee: { type: Number, default: 0 },
         weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
+      },
+    },
+
+    /**
+     * ✅ Light roadside services (fixed call-out price, keyed by Job.serviceType)
+     * estimatedTotal = (baseFee + extras + night/weekend/holiday fee) × vehicle × surge
+     * FUEL_DELIVERY extras = fuelLitres × perLitreFee (max maxLitres per job)
+     */
+    roadsideServicePricing: {
+      JUMP_START: {
+        baseFee: { type: Number, default: 350 },
+        nightFee: { type: Number, default: 0 },
+        weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
+      },
+      TYRE_CHANGE: {
+        baseFee: { type: Number, default: 400 },
+        nightFee: { type: Number, default: 0 },
+        weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
+      },
+      FUEL_DELIVERY: {
+        baseFee: { type: Number, default: 300 },
+        nightFee: { type: Number, default: 0 },
+        weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
+        perLitreFee: { type: Number, default: 25 },
+        maxLitres: { type: Number, default: 20 },
+      },
+      LOCKOUT: {
+        baseFee: { type: Number, default: 450 },
+        nightFee: { type: Number, default: 0 },
+        weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
+      },
+      WINCH_RECOVERY: {
+        baseFee: { type: Number, default: 800 },
+        nightFee: { type: Number, default: 0 },
+        weekendFee: { type: Number, default: 0 },
+        holidayFee: { type: Number, default: 0 },
       },
     },
 
@@ -189,11 +253,13 @@ const pricingConfigSchema = new mongoose.Schema(
     bookingFees: {
       towTruckPercent: { type: Number, default: 15 },
       mechanicFixed: { type: Number, default: 200 },
+      roadsidePercent: { type: Number, default: 15 },
     },
 
     payoutSplit: {
       towTruckProviderPercent: { type: Number, default: 85 },
       towTruckCompanyPercent: { type: Number, default: 15 },
+      roadsideCompanyPercent: { type: Number, default: 15 },
     },
 
     surgePricing: {
@@ -204,6 +270,78 @@ const pricingConfigSchema = new mongoose.Schema(
       mechanicBookingFeeMultiplier: { type: Number, default: 1.0 },
 
       maxSurgeMultiplier: { type: Number, default: 2.5 },
+
+      /**
+       * ✅ Dynamic surge from supply vs demand per area (utils/surgePricing.js)
+       * ratio = open BROADCASTED jobs / online providers in the area
+       * raw = 1 + sensitivity × (ratio − ratioThreshold), capped at maxSurgeMultiplier
+       * smoothed = previous + smoothingFactor × (raw − previous)
+       */
+      dynamic: {
+        enabled: { type: Boolean, default: false },
+        cellSizeKm: { type: Number, default: 5 },
+        ratioThreshold: { type: Number, default: 1 },
+        sensitivity: { type: Number, default: 0.5 },
+        smoothingFactor: { type: Number, default: 0.5 },
+        // reuse the latest snapshot for this long before recomputing
+        recomputeSeconds: { type: Number, default: 60 },
+      },
+    },
+
+    /**
+     * ✅ Night / weekend windows, evaluated in the country's timezone (Country.timezone)
+     * Night wraps midnight when nightStartHour > nightEndHour (20 → 6).
+     * weekendDays: 0 = Sunday … 6 = Saturday
+     */
+    surchargeRules: {
+      nightStartHour: { type: Number, default: 20, min: 0, max: 23 },
+      nightEndHour: { type: Number, default: 6, min: 0, max: 23 },
+      weekendDays: { type: [Number], default: [0, 6] },
+    },
+
+    /**
+     * ✅ Public holidays (holidayFee replaces weekendFee on those days)
+     */
+    holidayCalendar: {
+      enabled: { type: Boolean, default: true },
+      holidays: { type: [holidaySchema], default: [] },
+    },
+
+    /**
+     * ✅ Multi-stop tows (pickup → waypoints → dropoff)
+     * Every leg is priced per km; perStopFee is added once per intermediate stop.
+     */
+    multiStopRules: {
+      enabled: { type: Boolean, default: true },
+      maxWaypoints: { type: Number, default: 3, min: 0 },
+      perStopFee: { type: Number, default: 0 },
+    },
+
+    /**
+     * ✅ Wait-time billing (provider ARRIVED → job IN_PROGRESS)
+     */
+    waitTimeRules: {
+      enabled: { type: Boolean, default: true },
+      freeMinutes: { type: Number, default: 10 },
+      perMinuteFee: { type: Number, default: 5 },
+      maxBillableMinutes: { type: Number, default: 120 },
+    },
+
+    /**
+     * ✅ Tax rules (utils/taxEngine.js): receipts, job pricing snapshots, invoices, payouts, stats
+     * pricesIncludeTax=true → amounts already contain VAT, breakdowns show the VAT portion.
+     * withholdingPercent is deducted from provider payouts (independent of VAT enabled).
+     */
+    taxRules: {
+      enabled: { type: Boolean, default: false },
+      label: { type: String, default: "VAT", trim: true },
+      ratePercent: { type: Number, default: 0, min: 0, max: 100 },
+      pricesIncludeTax: { type: Boolean, default: true },
+      vatOnBookingFee: { type: Boolean, default: true },
+      vatOnCommission: { type: Boolean, default: true },
+      withholdingPercent: { type: Number, default: 0, min: 0, max: 100 },
+      registrationNumber: { type: String, default: "", trim: true },
+      invoicePrefix: { type: String, default: "INV", trim: true },
     },
 
     refundRules: {
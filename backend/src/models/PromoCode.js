@@ -0,0 +1,31 @@
+// backend/src/models/PromoCode.js
+import mongoose from "mongoose";
+
+/**
+ * ✅ Promo codes that load wallet credit (POST /api/wallet/redeem)
+ * Each customer can redeem a code once; maxRedemptions caps the total (null = unlimited).
+ */
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, uppercase: true, trim: true },
+    countryCode: { type: String, default: "ZA", uppercase: true, trim: true },
+
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, required: true, uppercase: true, trim: true },
+    description: { type: String, default: null, trim: true },
+
+    active: { type: Boolean, default: true },
+    startsAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+
+    maxRedemptions: { type: Number, default: null },
+    redemptionCount: { type: Number, default: 0 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+promoCodeSchema.index({ countryCode: 1, code: 1 }, { unique: true });
+
+export default mongoose.models.PromoCode || mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,56 @@
+// backend/src/models/SurgeSnapshot.js
+import mongoose from "mongoose";
+
+export const SURGE_AREA_TYPES = {
+  ZONE: "ZONE",
+  CELL: "CELL", // square geo cell (PricingConfig.surgePricing.dynamic.cellSizeKm)
+};
+
+/**
+ * ✅ One dynamic surge calculation for an area + provider role
+ * Latest row per area is reused for recomputeSeconds (and smoothed against).
+ * Older rows are the admin surge history.
+ */
+const SurgeSnapshotSchema = new mongoose.Schema(
+  {
+    countryCode: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      index: true,
+    },
+
+    roleNeeded: { type: String, required: true },
+
+    areaType: {
+      type: String,
+      enum: Object.values(SURGE_AREA_TYPES),
+      default: SURGE_AREA_TYPES.CELL,
+    },
+    areaKey: { type: String, required: true },
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: "Zone", default: null },
+
+    center: {
+      lat: { type: Number, default: null },
+      lng: { type: Number, default: null },
+    },
+
+    // demand = open BROADCASTED jobs, supply = online approved providers
+    demand: { type: Number, default: 0 },
+    supply: { type: Number, default: 0 },
+    ratio: { type: Number, default: 0 },
+
+    rawMultiplier: { type: Number, default: 1 },
+    multiplier: { type: Number, default: 1 },
+
+    computedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: false }
+);
+
+SurgeSnapshotSchema.index({ countryCode: 1, roleNeeded: 1, areaKey: 1, computedAt: -1 });
+SurgeSnapshotSchema.index({ countryCode: 1, computedAt: -1 });
+
+export default mongoose.models.SurgeSnapshot ||
+  mongoose.model("SurgeSnapshot", SurgeSnapshotSchema);
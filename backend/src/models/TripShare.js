@@ -0,0 +1,49 @@
+// backend/src/models/TripShare.js
+import mongoose from "mongoose";
+
+export const TRIP_SHARE_REVOKE_REASONS = {
+  CUSTOMER: "CUSTOMER",
+  JOB_COMPLETED: "JOB_COMPLETED",
+  JOB_CANCELLED: "JOB_CANCELLED",
+  JOB_INACTIVE: "JOB_INACTIVE",
+};
+
+/**
+ * ✅ Unauthenticated live trip link (services/safety/tripShare.js)
+ * Only the sha256 of the token is stored; the raw token is returned once on create.
+ */
+const TripShareSchema = new mongoose.Schema(
+  {
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "Job", required: true, index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    countryCode: { type: String, default: "ZA", uppercase: true, trim: true },
+
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    revokeReason: {
+      type: String,
+      enum: [...Object.values(TRIP_SHARE_REVOKE_REASONS), null],
+      default: null,
+    },
+
+    // trusted contacts the link was sent to
+    sharedWith: [
+      {
+        name: { type: String, default: null },
+        phone: { type: String, default: null },
+        email: { type: String, default: null },
+        _id: false,
+      },
+    ],
+
+    viewCount: { type: Number, default: 0 },
+    lastViewedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+TripShareSchema.index({ job: 1, revokedAt: 1 });
+
+export default mongoose.models.TripShare || mongoose.model("TripShare", TripShareSchema);
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ROADSIDE_SERVICE_TYPES } from "./Job.js";
 
 /**
  * ✅ USER ROLES
@@ -148,6 +149,7 @@ const permissionsSchema = new mongoose.Schema(
 
     canManageSafety: { type: Boolean, default: false },
     canManageSettings: { type: Boolean, default: false },
+    canViewAuditLogs: { type: Boolean, default: false },
 
     canManageZones: { type: Boolean, default: false },
     canManageServiceCategories: { type: Boolean, default: false },
@@ -279,8 +281,19 @@ const providerProfileSchema = new mongoose.Schema(
     // ✅ Mechanic only
     mechanicCategories: [{ type: String, enum: MECHANIC_CATEGORIES }],
 
+    // ✅ Light roadside services this provider offers (Job.serviceType)
+    roadsideServices: [{ type: String, enum: ROADSIDE_SERVICE_TYPES }],
+
     carTypesSupported: [{ type: String, enum: VEHICLE_TYPES }],
 
+    // ✅ Shown to the customer and on shared trip links
+    vehicle: {
+      make: { type: String, default: null, trim: true },
+      model: { type: String, default: null, trim: true },
+      color: { type: String, default: null, trim: true },
+      plateNumber: { type: String, default: null, uppercase: true, trim: true },
+    },
+
     fcmToken: { type: String, default: null },
 
     verificationStatus: {
@@ -298,6 +311,18 @@ const providerProfileSchema = new mongoose.Schema(
       default: "BOTH",
     },
 
+    /**
+     * ✅ Dispatch counters (feed the dispatch ranking score)
+     * Maintained by utils/providerScoring.js → trackProviderDispatch()
+     */
+    dispatchStats: {
+      offered: { type: Number, default: 0 },
+      accepted: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+      cancelled: { type: Number, default: 0 },
+      lastJobAt: { type: Date, default: null },
+    },
+
     verificationDocs: {
       // ✅ Phase 6: Independent Documents
       idDocument: { type: verificationDocSchema, default: () => ({}) },
@@ -411,6 +436,16 @@ const ratingStatsSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const personalContactSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    phone: { type: String, required: true, set: normalizePhoneRaw },
+    email: { type: String, default: null, lowercase: true, trim: true },
+    relationship: { type: String, default: null, trim: true },
+  },
+  { _id: true }
+);
+
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
@@ -520,6 +555,21 @@ const userSchema = new mongoose.Schema(
     ratingStats: { type: ratingStatsSchema, default: () => ({}) },
 
     accountStatus: { type: accountStatusSchema, default: () => ({}) },
+
+    /**
+     * ✅ Safety: SMS'd when the user triggers a panic alert (max 5)
+     */
+    emergencyContacts: { type: [personalContactSchema], default: [] },
+
+    /**
+     * ✅ Safety: people the customer can send a live trip link to (max 10)
+     */
+    trustedContacts: { type: [personalContactSchema], default: [] },
+
+    /**
+     * ✅ Safety: admins on duty receive panic alerts first (ADMIN / SUPER_ADMIN only)
+     */
+    safetyOnDuty: { type: Boolean, default: false },
   },
   {
     timestamps: true,
@@ -560,6 +610,14 @@ userSchema.pre("validate", function (next) {
     this.phone = normalizePhoneForStorage(this.phone, cc);
   }
 
+  // ✅ emergency / trusted contacts are SMS'd → same E.164 storage as the account phone
+  for (const list of [this.emergencyContacts, this.trustedContacts]) {
+    if (!Array.isArray(list)) continue;
+    for (const c of list) {
+      if (c?.phone) c.phone = normalizePhoneForStorage(c.phone, this.countryCode || "ZA");
+    }
+  }
+
   next();
 });
 
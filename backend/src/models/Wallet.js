@@ -0,0 +1,23 @@
+// backend/src/models/Wallet.js
+import mongoose from "mongoose";
+
+/**
+ * ✅ Customer wallet balance cache (one per user + currency)
+ * Source of truth is WalletTransaction; recomputeWalletBalance() rebuilds this.
+ */
+const walletSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    currency: { type: String, required: true, uppercase: true, trim: true },
+    countryCode: { type: String, default: "ZA", uppercase: true, trim: true },
+
+    balance: { type: Number, default: 0, min: 0 },
+    lastTransactionAt: { type: Date, default: null },
+    recomputedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+walletSchema.index({ user: 1, currency: 1 }, { unique: true });
+
+export default mongoose.models.Wallet || mongoose.model("Wallet", walletSchema);
@@ -0,0 +1,84 @@
+// backend/src/models/WalletTransaction.js
+import mongoose from "mongoose";
+
+/**
+ * ✅ Double-entry wallet journal (services/wallet/walletLedger.js)
+ * One document = one balanced journal: sum(DEBIT lines) === sum(CREDIT lines).
+ * Customer wallets are liability accounts ("customer:<userId>"): CREDIT raises the balance.
+ * Balances are always recomputable from these lines; Wallet.balance is only a cache.
+ */
+export const WALLET_TX_KINDS = {
+  REFUND_CREDIT: "REFUND_CREDIT",
+  GOODWILL_CREDIT: "GOODWILL_CREDIT",
+  PROMO_CREDIT: "PROMO_CREDIT",
+  BOOKING_FEE_DEBIT: "BOOKING_FEE_DEBIT",
+  ADMIN_ADJUSTMENT: "ADMIN_ADJUSTMENT",
+};
+
+// contra accounts on the TowMech side of each journal
+export const WALLET_SYSTEM_ACCOUNTS = {
+  REFUNDS: "system:refunds",
+  GOODWILL: "system:goodwill",
+  PROMOTIONS: "system:promotions",
+  BOOKING_FEES: "system:booking_fees",
+  ADJUSTMENTS: "system:adjustments",
+};
+
+export const LEDGER_SIDES = {
+  DEBIT: "DEBIT",
+  CREDIT: "CREDIT",
+};
+
+const lineSchema = new mongoose.Schema(
+  {
+    account: { type: String, required: true, trim: true },
+    side: { type: String, enum: Object.values(LEDGER_SIDES), required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+  },
+  { _id: false }
+);
+
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: Object.values(WALLET_TX_KINDS), required: true },
+
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    countryCode: { type: String, default: "ZA", uppercase: true, trim: true },
+    currency: { type: String, required: true, uppercase: true, trim: true },
+
+    // signed effect on the customer's wallet (+ credit / - debit), for history screens
+    amount: { type: Number, required: true },
+    lines: { type: [lineSchema], required: true },
+
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "Job", default: null },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", default: null },
+    promoCode: { type: mongoose.Schema.Types.ObjectId, ref: "PromoCode", default: null },
+
+    memo: { type: String, default: null, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // same key twice = same journal (retries never double-post)
+    idempotencyKey: { type: String, default: undefined },
+  },
+  { timestamps: true }
+);
+
+walletTransactionSchema.pre("validate", function (next) {
+  const totals = { DEBIT: 0, CREDIT: 0 };
+  for (const line of this.lines || []) totals[line.side] += Math.round(Number(line.amount) * 100);
+
+  if (!this.lines?.length || totals.DEBIT !== totals.CREDIT) {
+    return next(new Error("Wallet journal is not balanced (debits must equal credits)"));
+  }
+  next();
+});
+
+walletTransactionSchema.index({ user: 1, currency: 1, createdAt: -1 });
+walletTransactionSchema.index({ "lines.account": 1, currency: 1 });
+walletTransactionSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: "string" } } }
+);
+
+export default mongoose.models.WalletTransaction ||
+  mongoose.model("WalletTransaction", walletTransactionSchema);
@@ -19,11 +19,18 @@ const weeklyPayoutSchema = new mongoose.Schema(
     jobs: [{
       job: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
       amount: Number,
+      withheldAmount: { type: Number, default: 0 },
+      netAmount: { type: Number, default: null },
       completedAt: Date,
       isInsurance: { type: Boolean, default: true }
     }],
 
     totalAmount: { type: Number, default: 0 },
+
+    // ✅ Provider withholding (PricingConfig.taxRules.withholdingPercent): payable = netAmount
+    withheldAmount: { type: Number, default: 0 },
+    netAmount: { type: Number, default: null },
+    withholdingPercent: { type: Number, default: 0 },
     currency: { type: String, default: "ZAR" },
 
     status: {
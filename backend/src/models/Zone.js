@@ -19,6 +19,42 @@ const ZoneSchema = new mongoose.Schema(
     description: { type: String, default: "" },
     isActive: { type: Boolean, default: true },
 
+    /**
+     * ✅ Service area (GeoJSON Polygon / MultiPolygon, [lng, lat])
+     * Zones without geometry are name-only (legacy) and never match a point.
+     */
+    geometry: {
+      type: {
+        type: String,
+        enum: ["Polygon", "MultiPolygon"],
+      },
+      coordinates: { type: mongoose.Schema.Types.Mixed },
+    },
+
+    // overlapping zones: highest priority wins
+    priority: { type: Number, default: 0 },
+
+    /**
+     * ✅ Not-serviced areas reject new requests (jobs/preview + job creation)
+     */
+    isServiced: { type: Boolean, default: true },
+    notServicedReason: { type: String, default: "", trim: true },
+
+    /**
+     * ✅ Per-zone PricingConfig overrides (deep-merged over the country config)
+     * e.g. { providerBasePricing: { towTruck: { perKmFee: 22 } }, surgePricing: { towTruckMultiplier: 1.2 } }
+     */
+    pricingOverrides: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    /**
+     * ✅ Service availability inside the zone
+     * *Enabled: non-empty = only these; *Disabled: never these
+     */
+    towTruckTypesEnabled: { type: [String], default: [] },
+    towTruckTypesDisabled: { type: [String], default: [] },
+    mechanicCategoriesEnabled: { type: [String], default: [] },
+    mechanicCategoriesDisabled: { type: [String], default: [] },
+
     // ✅ Audit
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
@@ -40,4 +76,6 @@ ZoneSchema.pre("validate", function (next) {
  */
 ZoneSchema.index({ countryCode: 1, name: 1 }, { unique: true });
 
+ZoneSchema.index({ geometry: "2dsphere" }, { sparse: true });
+
 export default mongoose.model("Zone", ZoneSchema);
\ No newline at end of file
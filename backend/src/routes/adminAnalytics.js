@@ -6,6 +6,7 @@ import authorizeRoles from "../middleware/role.js";
 import Job, { JOB_STATUSES } from "../models/Job.js";
 import Payment, { PAYMENT_STATUSES } from "../models/Payment.js";
 import User, { USER_ROLES } from "../models/User.js";
+import SurgeSnapshot from "../models/SurgeSnapshot.js";
 
 const router = express.Router();
 
@@ -329,4 +330,105 @@ router.get(
   }
 );
 
-export default router;
\ No newline at end of file
+/**
+ * ✅ DYNAMIC SURGE HISTORY (PER COUNTRY WORKSPACE)
+ * GET /api/admin/analytics/surge?from=&to=&roleNeeded=&areaKey=&limit=
+ *
+ * - areas: per-area summary (avg / peak / latest multiplier)
+ * - history: raw snapshots, newest first
+ * - jobs: jobs created in range and how many were surged
+ */
+router.get(
+  "/surge",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canViewAnalytics")) return;
+
+      const workspaceCountryCode = resolveCountryCode(req);
+
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return res.status(400).json({ message: "Invalid from/to date ❌" });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+
+      const match = {
+        countryCode: workspaceCountryCode,
+        computedAt: { $gte: from, $lte: to },
+      };
+      if (req.query.roleNeeded) match.roleNeeded = String(req.query.roleNeeded);
+      if (req.query.areaKey) match.areaKey = String(req.query.areaKey);
+
+      const areas = await SurgeSnapshot.aggregate([
+        { $match: match },
+        { $sort: { computedAt: 1 } },
+        {
+          $group: {
+            _id: { areaKey: "$areaKey", roleNeeded: "$roleNeeded" },
+            areaType: { $last: "$areaType" },
+            zone: { $last: "$zone" },
+            center: { $last: "$center" },
+            snapshots: { $sum: 1 },
+            avgMultiplier: { $avg: "$multiplier" },
+            peakMultiplier: { $max: "$multiplier" },
+            lastMultiplier: { $last: "$multiplier" },
+            lastDemand: { $last: "$demand" },
+            lastSupply: { $last: "$supply" },
+            lastComputedAt: { $last: "$computedAt" },
+          },
+        },
+        { $sort: { peakMultiplier: -1 } },
+      ]);
+
+      const history = await SurgeSnapshot.find(match).sort({ computedAt: -1 }).limit(limit).lean();
+
+      const jobMatch = {
+        countryCode: workspaceCountryCode,
+        createdAt: { $gte: from, $lte: to },
+      };
+      if (req.query.roleNeeded) jobMatch.roleNeeded = String(req.query.roleNeeded);
+
+      const jobsCreated = await Job.countDocuments(jobMatch);
+      const jobsSurged = await Job.countDocuments({
+        ...jobMatch,
+        "pricing.surge.dynamicMultiplier": { $gt: 1 },
+      });
+
+      return res.status(200).json({
+        countryCode: workspaceCountryCode,
+        range: { from, to },
+        areas: areas.map((a) => ({
+          areaKey: a._id.areaKey,
+          roleNeeded: a._id.roleNeeded,
+          areaType: a.areaType,
+          zone: a.zone,
+          center: a.center,
+          snapshots: a.snapshots,
+          avgMultiplier: Number((a.avgMultiplier || 1).toFixed(2)),
+          peakMultiplier: a.peakMultiplier,
+          lastMultiplier: a.lastMultiplier,
+          lastDemand: a.lastDemand,
+          lastSupply: a.lastSupply,
+          lastComputedAt: a.lastComputedAt,
+        })),
+        history,
+        jobs: { created: jobsCreated, surged: jobsSurged },
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch surge history ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+export default router;
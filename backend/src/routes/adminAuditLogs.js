@@ -0,0 +1,304 @@
+// backend/src/routes/adminAuditLogs.js
+import express from "express";
+import mongoose from "mongoose";
+import auth from "../middleware/auth.js";
+import authorizeRoles from "../middleware/role.js";
+import { USER_ROLES } from "../models/User.js";
+import AdminAuditLog, { ADMIN_AUDIT_ENTITY_TYPES } from "../models/AdminAuditLog.js";
+
+const router = express.Router();
+
+const EXPORT_MAX_ROWS = 10000;
+
+/**
+ * ✅ Resolve active workspace country (Tenant)
+ */
+const resolveCountryCode = (req) => {
+  return (
+    req.countryCode ||
+    req.headers["x-country-code"] ||
+    req.query?.country ||
+    req.query?.countryCode ||
+    "ZA"
+  )
+    .toString()
+    .trim()
+    .toUpperCase();
+};
+
+/**
+ * ✅ Admins without canSwitchCountryWorkspace only see their own country.
+ * SuperAdmin may pass ?country=ALL for a cross-country search.
+ */
+const resolveAuditCountry = (req) => {
+  const requested = String(req.query?.country || req.query?.countryCode || "").trim().toUpperCase();
+
+  if (req.user.role === USER_ROLES.SUPER_ADMIN) {
+    return requested === "ALL" ? null : resolveCountryCode(req);
+  }
+
+  if (!req.user.permissions?.canSwitchCountryWorkspace) {
+    return String(req.user.countryCode || "ZA").toUpperCase();
+  }
+
+  return resolveCountryCode(req);
+};
+
+/**
+ * ✅ Permission helper
+ */
+const requirePermission = (req, res, permissionKey) => {
+  if (req.user.role === USER_ROLES.SUPER_ADMIN) return true;
+
+  if (req.user.role === USER_ROLES.ADMIN) {
+    if (!req.user.permissions || req.user.permissions[permissionKey] !== true) {
+      res.status(403).json({
+        message: `Permission denied ❌ Missing ${permissionKey}`,
+      });
+      return false;
+    }
+    return true;
+  }
+
+  res.status(403).json({ message: "Permission denied ❌" });
+  return false;
+};
+
+const escapeRegex = (v) => String(v).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * ✅ Query → Mongo filter
+ * ?action=USER_SUSPENDED,USER_BANNED &entityType=PROVIDER &entityId= &actor=<userId|email>
+ * &from=YYYY-MM-DD &to=YYYY-MM-DD (inclusive) &q=free text (action, reason, actor email, entity id, changed path)
+ *
+ * Returns { filter } or { error }
+ */
+function buildAuditFilter(req) {
+  const filter = {};
+
+  const countryCode = resolveAuditCountry(req);
+  if (countryCode) filter.countryCode = countryCode;
+
+  const actions = String(req.query.action || "")
+    .split(",")
+    .map((a) => a.trim().toUpperCase())
+    .filter(Boolean);
+  if (actions.length) filter.action = { $in: actions };
+
+  const entityType = String(req.query.entityType || "").trim().toUpperCase();
+  if (entityType) {
+    if (!Object.values(ADMIN_AUDIT_ENTITY_TYPES).includes(entityType)) {
+      return { error: { message: "Invalid entityType ❌", code: "INVALID_ENTITY_TYPE" } };
+    }
+    filter.entityType = entityType;
+  }
+
+  if (req.query.entityId) filter.entityId = String(req.query.entityId).trim();
+
+  const actor = String(req.query.actor || "").trim();
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) filter.actor = actor;
+    else filter.actorEmail = actor.toLowerCase();
+  }
+
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  if ((req.query.from && !from) || (req.query.to && !to)) {
+    return { error: { message: "Invalid from/to date ❌", code: "INVALID_DATE_RANGE" } };
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) {
+      // date-only "to" covers the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(req.query.to).trim())) to.setUTCHours(23, 59, 59, 999);
+      filter.createdAt.$lte = to;
+    }
+  }
+
+  const q = String(req.query.q || "").trim();
+  if (q) {
+    const rx = new RegExp(escapeRegex(q), "i");
+    filter.$or = [
+      { action: rx },
+      { reason: rx },
+      { actorEmail: rx },
+      { entityId: q },
+      { "changes.path": rx },
+    ];
+  }
+
+  return { filter };
+}
+
+// cells opening with = + - @ (or tab / CR) run as formulas in spreadsheet apps
+const csvCell = (v) => {
+  if (v === null || v === undefined) return "";
+  let s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * ✅ Search admin audit trail
+ * GET /api/admin/audit-logs?page=1&limit=50&action=&entityType=&entityId=&actor=&from=&to=&q=
+ */
+router.get(
+  "/",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canViewAuditLogs")) return;
+
+      const { filter, error } = buildAuditFilter(req);
+      if (error) return res.status(400).json(error);
+
+      const page = Math.max(1, Number(req.query.page || 1));
+      const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+
+      const [logs, total] = await Promise.all([
+        AdminAuditLog.find(filter)
+          .select("-before -after")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("actor", "name email role")
+          .lean(),
+        AdminAuditLog.countDocuments(filter),
+      ]);
+
+      return res.status(200).json({
+        countryCode: filter.countryCode || "ALL",
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        logs,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch audit logs ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Export admin audit trail as CSV (same filters as the list, newest first)
+ * GET /api/admin/audit-logs/export
+ */
+router.get(
+  "/export",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canViewAuditLogs")) return;
+
+      const { filter, error } = buildAuditFilter(req);
+      if (error) return res.status(400).json(error);
+
+      const logs = await AdminAuditLog.find(filter)
+        .select("-before -after")
+        .sort({ createdAt: -1 })
+        .limit(EXPORT_MAX_ROWS)
+        .lean();
+
+      const header = [
+        "createdAt",
+        "countryCode",
+        "action",
+        "entityType",
+        "entityId",
+        "actor",
+        "actorEmail",
+        "actorRole",
+        "reason",
+        "changes",
+        "method",
+        "path",
+        "ip",
+      ];
+
+      const rows = logs.map((l) =>
+        [
+          l.createdAt ? new Date(l.createdAt).toISOString() : "",
+          l.countryCode,
+          l.action,
+          l.entityType,
+          l.entityId,
+          l.actor,
+          l.actorEmail,
+          l.actorRole,
+          l.reason,
+          (l.changes || [])
+            .map((c) => `${c.path}: ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}`)
+            .join("; "),
+          l.method,
+          l.path,
+          l.ip,
+        ]
+          .map(csvCell)
+          .join(",")
+      );
+
+      const csv = [header.join(","), ...rows].join("\r\n");
+      const filename = `admin-audit-${filter.countryCode || "ALL"}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      res.setHeader("Cache-Control", "no-store");
+
+      return res.status(200).send(csv);
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not export audit logs ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Single audit entry with full before/after snapshots
+ * GET /api/admin/audit-logs/:id
+ */
+router.get(
+  "/:id",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canViewAuditLogs")) return;
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ message: "Audit log not found" });
+      }
+
+      const log = await AdminAuditLog.findById(req.params.id).populate("actor", "name email role").lean();
+      if (!log) return res.status(404).json({ message: "Audit log not found" });
+
+      const countryCode = resolveAuditCountry(req);
+      if (countryCode && log.countryCode !== countryCode && req.user.role !== USER_ROLES.SUPER_ADMIN) {
+        return res.status(404).json({ message: "Audit log not found" });
+      }
+
+      return res.status(200).json({ log });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch audit log ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,375 @@
+// backend/src/routes/adminConfigVersions.js
+import express from "express";
+import auth from "../middleware/auth.js";
+import authorizeRoles from "../middleware/role.js";
+import { USER_ROLES } from "../models/User.js";
+import ConfigVersion, { CONFIG_VERSION_STATUSES, CONFIG_VERSION_TYPES } from "../models/ConfigVersion.js";
+import {
+  cancelScheduledConfigVersion,
+  configModel,
+  diffConfigVersions,
+  rollbackConfigVersion,
+  scheduleConfigVersion,
+} from "../services/configVersion.service.js";
+import { logAdminAction } from "../utils/adminAudit.js";
+
+const router = express.Router();
+
+/**
+ * ✅ URL segment → config type / permission / audit entity
+ * /api/admin/config-versions/pricing          → PricingConfig
+ * /api/admin/config-versions/country-services → CountryServiceConfig
+ */
+const CONFIG_TYPES = {
+  pricing: {
+    configType: CONFIG_VERSION_TYPES.PRICING,
+    permission: "canManagePricing",
+    entityType: "PRICING_CONFIG",
+    auditPrefix: "PRICING_CONFIG",
+  },
+  "country-services": {
+    configType: CONFIG_VERSION_TYPES.COUNTRY_SERVICES,
+    permission: "canManageCountryServices",
+    entityType: "COUNTRY_SERVICE_CONFIG",
+    auditPrefix: "COUNTRY_SERVICE_CONFIG",
+  },
+};
+
+/**
+ * ✅ Resolve active workspace country (Tenant)
+ */
+const resolveCountryCode = (req) => {
+  return (
+    req.countryCode ||
+    req.headers["x-country-code"] ||
+    req.query?.country ||
+    req.query?.countryCode ||
+    req.body?.countryCode ||
+    "ZA"
+  )
+    .toString()
+    .trim()
+    .toUpperCase();
+};
+
+/**
+ * ✅ Permission helper
+ */
+const requirePermission = (req, res, permissionKey) => {
+  if (req.user.role === USER_ROLES.SUPER_ADMIN) return true;
+
+  if (req.user.role === USER_ROLES.ADMIN) {
+    if (!req.user.permissions || req.user.permissions[permissionKey] !== true) {
+      res.status(403).json({
+        message: `Permission denied ❌ Missing ${permissionKey}`,
+      });
+      return false;
+    }
+    return true;
+  }
+
+  res.status(403).json({ message: "Permission denied ❌" });
+  return false;
+};
+
+/**
+ * ✅ :type param → CONFIG_TYPES entry (responds 404 / 403 itself)
+ */
+const resolveConfigType = (req, res) => {
+  const entry = CONFIG_TYPES[String(req.params.type || "").toLowerCase()];
+  if (!entry) {
+    res.status(404).json({ message: "Unknown config type ❌", code: "UNKNOWN_CONFIG_TYPE" });
+    return null;
+  }
+  if (!requirePermission(req, res, entry.permission)) return null;
+  return entry;
+};
+
+const parseVersionParam = (v) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+};
+
+const fail = (res, result) => res.status(result.status).json({ message: result.message, code: result.code });
+
+/**
+ * ✅ Version history (newest first, snapshots excluded)
+ * GET /api/admin/config-versions/:type?status=APPLIED|SCHEDULED|CANCELLED&page=1&limit=50
+ */
+router.get(
+  "/:type",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const entry = resolveConfigType(req, res);
+      if (!entry) return;
+
+      const countryCode = resolveCountryCode(req);
+      const filter = { configType: entry.configType, countryCode };
+
+      const status = String(req.query.status || "").trim().toUpperCase();
+      if (Object.values(CONFIG_VERSION_STATUSES).includes(status)) filter.status = status;
+
+      const page = Math.max(1, Number(req.query.page || 1));
+      const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+
+      const [versions, total, live] = await Promise.all([
+        ConfigVersion.find(filter)
+          .select("-snapshot")
+          .sort({ version: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("createdBy", "name email role")
+          .lean(),
+        ConfigVersion.countDocuments(filter),
+        configModel(entry.configType).findOne({ countryCode }).select("configVersion").lean(),
+      ]);
+
+      return res.status(200).json({
+        countryCode,
+        configType: entry.configType,
+        liveVersion: live?.configVersion ?? null,
+        page,
+        limit,
+        total,
+        versions,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch config versions ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Diff two versions (to defaults to the live version)
+ * GET /api/admin/config-versions/:type/diff?from=3&to=5
+ */
+router.get(
+  "/:type/diff",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const entry = resolveConfigType(req, res);
+      if (!entry) return;
+
+      const from = parseVersionParam(req.query.from);
+      const hasTo = req.query.to !== undefined && req.query.to !== "";
+      const to = hasTo ? parseVersionParam(req.query.to) : null;
+
+      if (from === null || (hasTo && to === null)) {
+        return res.status(400).json({ message: "from (and optional to) must be version numbers ❌", code: "INVALID_VERSION" });
+      }
+
+      const countryCode = resolveCountryCode(req);
+      const result = await diffConfigVersions({ configType: entry.configType, countryCode, from, to });
+      if (!result.ok) return fail(res, result);
+
+      return res.status(200).json({
+        countryCode,
+        configType: entry.configType,
+        from: result.from,
+        to: result.to,
+        changes: result.changes,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not diff config versions ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ One version with its full snapshot
+ * GET /api/admin/config-versions/:type/:version
+ */
+router.get(
+  "/:type/:version",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const entry = resolveConfigType(req, res);
+      if (!entry) return;
+
+      const version = parseVersionParam(req.params.version);
+      if (version === null) return res.status(400).json({ message: "Invalid version ❌", code: "INVALID_VERSION" });
+
+      const countryCode = resolveCountryCode(req);
+      const doc = await ConfigVersion.findOne({ configType: entry.configType, countryCode, version })
+        .populate("createdBy", "name email role")
+        .populate("cancelledBy", "name email role")
+        .lean();
+
+      if (!doc) return res.status(404).json({ message: "Config version not found", code: "CONFIG_VERSION_NOT_FOUND" });
+
+      return res.status(200).json({ version: doc });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch config version ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Roll back to a version that was live before (applied immediately)
+ * POST /api/admin/config-versions/:type/:version/rollback
+ * Body: { comment? }
+ */
+router.post(
+  "/:type/:version/rollback",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const entry = resolveConfigType(req, res);
+      if (!entry) return;
+
+      const version = parseVersionParam(req.params.version);
+      if (version === null) return res.status(400).json({ message: "Invalid version ❌", code: "INVALID_VERSION" });
+
+      const countryCode = resolveCountryCode(req);
+      const before = await configModel(entry.configType).findOne({ countryCode }).lean();
+
+      const result = await rollbackConfigVersion(req, {
+        configType: entry.configType,
+        countryCode,
+        version,
+        comment: req.body?.comment,
+      });
+      if (!result.ok) return fail(res, result);
+
+      await logAdminAction(req, {
+        action: `${entry.auditPrefix}_ROLLED_BACK`,
+        entityType: entry.entityType,
+        entityId: result.config?._id || null,
+        countryCode,
+        before,
+        after: result.config,
+        reason: req.body?.comment,
+        meta: { restoredFrom: version, configVersion: result.version.version },
+      });
+
+      return res.status(200).json({
+        message: `Rolled back to version ${version} ✅`,
+        countryCode,
+        version: result.version,
+        config: result.config,
+        pendingScheduled: result.pendingScheduled,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Rollback failed ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Schedule an existing version to go live again at a future time
+ * POST /api/admin/config-versions/:type/:version/schedule
+ * Body: { effectiveAt, comment? }
+ * (new changes are scheduled by sending effectiveAt to the normal save endpoints)
+ */
+router.post(
+  "/:type/:version/schedule",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const entry = resolveConfigType(req, res);
+      if (!entry) return;
+
+      const version = parseVersionParam(req.params.version);
+      if (version === null) return res.status(400).json({ message: "Invalid version ❌", code: "INVALID_VERSION" });
+
+      const countryCode = resolveCountryCode(req);
+      const source = await ConfigVersion.findOne({ configType: entry.configType, countryCode, version }).lean();
+      if (!source) return res.status(404).json({ message: "Config version not found", code: "CONFIG_VERSION_NOT_FOUND" });
+
+      const result = await scheduleConfigVersion(req, {
+        configType: entry.configType,
+        countryCode,
+        snapshot: source.snapshot,
+        effectiveAt: req.body?.effectiveAt,
+        comment: req.body?.comment || `Restore version ${version}`,
+        restoredFrom: version,
+      });
+      if (!result.ok) return fail(res, result);
+
+      await logAdminAction(req, {
+        action: `${entry.auditPrefix}_SCHEDULED`,
+        entityType: entry.entityType,
+        countryCode,
+        reason: req.body?.comment,
+        meta: { restoredFrom: version, configVersion: result.version.version, effectiveAt: result.version.effectiveAt },
+      });
+
+      const scheduled = result.version.toObject();
+      delete scheduled.snapshot;
+
+      return res.status(201).json({
+        message: `Version ${version} scheduled ✅`,
+        countryCode,
+        version: scheduled,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not schedule config version ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Cancel a scheduled version
+ * DELETE /api/admin/config-versions/:type/:version/schedule
+ */
+router.delete(
+  "/:type/:version/schedule",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const entry = resolveConfigType(req, res);
+      if (!entry) return;
+
+      const version = parseVersionParam(req.params.version);
+      if (version === null) return res.status(400).json({ message: "Invalid version ❌", code: "INVALID_VERSION" });
+
+      const countryCode = resolveCountryCode(req);
+      const result = await cancelScheduledConfigVersion(req, { configType: entry.configType, countryCode, version });
+      if (!result.ok) return fail(res, result);
+
+      await logAdminAction(req, {
+        action: `${entry.auditPrefix}_SCHEDULE_CANCELLED`,
+        entityType: entry.entityType,
+        countryCode,
+        meta: { configVersion: version },
+      });
+
+      return res.status(200).json({
+        message: `Scheduled version ${version} cancelled ✅`,
+        countryCode,
+        version: result.version,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not cancel scheduled version ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+export default router;
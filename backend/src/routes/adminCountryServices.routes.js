@@ -4,6 +4,15 @@ import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
 import { USER_ROLES } from "../models/User.js";
 import CountryServiceConfig from "../models/CountryServiceConfig.js";
+import { auditSnapshot, logAdminAction } from "../utils/adminAudit.js";
+import { CONFIG_VERSION_TYPES } from "../models/ConfigVersion.js";
+import {
+  ensureBaselineVersion,
+  parseEffectiveAt,
+  recordConfigVersion,
+  scheduleConfigVersion,
+  snapshotConfig,
+} from "../services/configVersion.service.js";
 
 const router = express.Router();
 
@@ -160,6 +169,125 @@ function unwrapPayments(body, servicesWrapper) {
   return candidate && typeof candidate === "object" ? candidate : null;
 }
 
+/**
+ * ✅ Scheduled bookings settings patch (only known numeric/boolean keys)
+ */
+function normalizeSchedulingPatch(input) {
+  const src = input && typeof input === "object" ? input : {};
+  const out = {};
+
+  const enabled = parseBool(src.enabled);
+  if (typeof enabled === "boolean") out.enabled = enabled;
+
+  for (const k of ["leadTimeMinutes", "minAdvanceMinutes", "maxAdvanceDays"]) {
+    const n = Number(src[k]);
+    if (src[k] !== undefined && Number.isFinite(n) && n >= 0) out[k] = n;
+  }
+
+  if (Array.isArray(src.reminderMinutesBefore)) {
+    out.reminderMinutesBefore = src.reminderMinutesBefore
+      .map(Number)
+      .filter((m) => Number.isFinite(m) && m > 0);
+  }
+
+  return out;
+}
+
+/**
+ * ✅ Dispatch waves settings patch (positive numbers only)
+ */
+function normalizeDispatchPatch(input) {
+  const src = input && typeof input === "object" ? input : {};
+  const out = {};
+
+  const keys = [
+    "initialRadiusKm",
+    "radiusStepKm",
+    "maxRadiusKm",
+    "providersPerWave",
+    "waveIntervalSeconds",
+    "maxWaves",
+    "finalTimeoutMinutes",
+  ];
+
+  for (const k of keys) {
+    const n = Number(src[k]);
+    if (src[k] !== undefined && Number.isFinite(n) && n > 0) out[k] = n;
+  }
+
+  return out;
+}
+
+/**
+ * ✅ Arrival settings patch (positive numbers only)
+ */
+function normalizeArrivalPatch(input) {
+  const src = input && typeof input === "object" ? input : {};
+  const out = {};
+
+  for (const k of ["geofenceMeters", "maxLocationAgeSeconds", "maxPinAttempts"]) {
+    const n = Number(src[k]);
+    if (src[k] !== undefined && Number.isFinite(n) && n > 0) out[k] = n;
+  }
+
+  return out;
+}
+
+/**
+ * ✅ Routing backend settings patch
+ */
+function normalizeRoutingPatch(input) {
+  const src = input && typeof input === "object" ? input : {};
+  const out = {};
+
+  const provider = String(src.provider || "").trim().toUpperCase();
+  if (["HAVERSINE", "OSRM", "GRAPHHOPPER"].includes(provider)) out.provider = provider;
+
+  for (const k of ["baseUrl", "profile"]) {
+    if (typeof src[k] === "string") out[k] = src[k].trim();
+  }
+
+  for (const k of ["timeoutMs", "avgSpeedKmh"]) {
+    const n = Number(src[k]);
+    if (src[k] !== undefined && Number.isFinite(n) && n > 0) out[k] = n;
+  }
+
+  // road distance is never shorter than the straight line
+  const detour = Number(src.detourFactor);
+  if (src.detourFactor !== undefined && Number.isFinite(detour) && detour >= 1) {
+    out.detourFactor = detour;
+  }
+
+  return out;
+}
+
+/**
+ * ✅ Dispatch ranking settings patch (weights may be 0 to switch a factor off)
+ */
+function normalizeRankingPatch(input, prev = {}) {
+  const src = input && typeof input === "object" ? input : {};
+  const out = {};
+
+  const strategy = String(src.strategy || "").trim().toUpperCase();
+  if (["WEIGHTED", "DISTANCE"].includes(strategy)) out.strategy = strategy;
+
+  if (src.weights && typeof src.weights === "object") {
+    const weights = { ...(prev.weights || {}) };
+    for (const k of ["distance", "rating", "acceptance", "reliability", "idle"]) {
+      const n = Number(src.weights[k]);
+      if (src.weights[k] !== undefined && Number.isFinite(n) && n >= 0) weights[k] = n;
+    }
+    out.weights = weights;
+  }
+
+  for (const k of ["minRatingsForScore", "idleCapMinutes"]) {
+    const n = Number(src[k]);
+    if (src[k] !== undefined && Number.isFinite(n) && n > 0) out[k] = n;
+  }
+
+  return out;
+}
+
 /**
  * GET /api/admin/country-services/:countryCode
  */
@@ -195,6 +323,11 @@ router.get(
  * - { countryCode, services: { services: flags, payments } } // services = wrapper
  * - { countryCode, config: { services } }
  * - { config: { countryCode, services } }
+ *
+ * Every save is recorded as a ConfigVersion. Optional body fields:
+ * - comment:     why the change was made (stored on the version)
+ * - effectiveAt: future date → nothing changes now; the version is scheduled (202)
+ * History / diff / rollback: /api/admin/config-versions/country-services
  */
 router.put(
   "/",
@@ -232,13 +365,39 @@ router.put(
         });
       }
 
+      const effective = parseEffectiveAt(body.effectiveAt ?? body?.config?.effectiveAt);
+      if (!effective.ok) {
+        return res.status(effective.status).json({ message: effective.message, code: effective.code });
+      }
+      const comment = body.comment ?? body?.config?.comment ?? null;
+
       // ✅ also accept payments updates if dashboard sends them (safe, optional)
       const paymentsObj = unwrapPayments(body, rawServices);
 
+      // ✅ optional scheduled bookings settings
+      const schedulingObj = body.scheduling ?? body?.config?.scheduling ?? null;
+
+      // ✅ optional dispatch waves settings
+      const dispatchObj = body.dispatch ?? body?.config?.dispatch ?? null;
+
+      // ✅ optional provider arrival settings
+      const arrivalObj = body.arrival ?? body?.config?.arrival ?? null;
+
+      // ✅ optional routing backend settings
+      const routingObj = body.routing ?? body?.config?.routing ?? null;
+
+      // ✅ optional dispatch ranking settings
+      const rankingObj = body.ranking ?? body?.config?.ranking ?? null;
+
       // ✅ merge patch into existing to avoid wiping unknown flags
       const existing = await CountryServiceConfig.findOne({ countryCode: cc }).lean();
       const prevServices = existing?.services || {};
       const prevPayments = existing?.payments || {};
+      const prevScheduling = existing?.scheduling || {};
+      const prevDispatch = existing?.dispatch || {};
+      const prevArrival = existing?.arrival || {};
+      const prevRouting = existing?.routing || {};
+      const prevRanking = existing?.ranking || {};
 
       // ✅ IMPORTANT: parseBool ensures false values are kept
       const patch = normalizeServicesPatch(flagsObj);
@@ -255,18 +414,111 @@ router.put(
       // only set payments if dashboard actually sent payments
       if (paymentsObj) update.payments = mergedPayments;
 
+      const mergedScheduling =
+        schedulingObj && typeof schedulingObj === "object"
+          ? { ...prevScheduling, ...normalizeSchedulingPatch(schedulingObj) }
+          : null;
+      if (mergedScheduling) update.scheduling = mergedScheduling;
+
+      const mergedDispatch =
+        dispatchObj && typeof dispatchObj === "object"
+          ? { ...prevDispatch, ...normalizeDispatchPatch(dispatchObj) }
+          : null;
+      if (mergedDispatch) update.dispatch = mergedDispatch;
+
+      const mergedArrival =
+        arrivalObj && typeof arrivalObj === "object"
+          ? { ...prevArrival, ...normalizeArrivalPatch(arrivalObj) }
+          : null;
+      if (mergedArrival) update.arrival = mergedArrival;
+
+      const mergedRouting =
+        routingObj && typeof routingObj === "object"
+          ? { ...prevRouting, ...normalizeRoutingPatch(routingObj) }
+          : null;
+      if (mergedRouting) update.routing = mergedRouting;
+
+      const mergedRanking =
+        rankingObj && typeof rankingObj === "object"
+          ? { ...prevRanking, ...normalizeRankingPatch(rankingObj, prevRanking) }
+          : null;
+      if (mergedRanking) update.ranking = mergedRanking;
+
+      await ensureBaselineVersion({
+        configType: CONFIG_VERSION_TYPES.COUNTRY_SERVICES,
+        countryCode: cc,
+        doc: existing,
+      });
+
+      const auditPaths = Object.keys(update);
+
+      // ✅ scheduled change: validate now, apply later (services/configVersion.service.js)
+      if (effective.date) {
+        const draft = new CountryServiceConfig({ ...(existing || {}), ...update, countryCode: cc });
+        await draft.validate();
+
+        const scheduled = await scheduleConfigVersion(req, {
+          configType: CONFIG_VERSION_TYPES.COUNTRY_SERVICES,
+          countryCode: cc,
+          snapshot: snapshotConfig(draft),
+          effectiveAt: effective.date,
+          comment,
+        });
+        if (!scheduled.ok) {
+          return res.status(scheduled.status).json({ message: scheduled.message, code: scheduled.code });
+        }
+
+        await logAdminAction(req, {
+          action: "COUNTRY_SERVICE_CONFIG_SCHEDULED",
+          entityType: "COUNTRY_SERVICE_CONFIG",
+          entityId: existing?._id || null,
+          countryCode: cc,
+          before: existing ? auditSnapshot(existing, auditPaths) : null,
+          after: auditSnapshot(draft, auditPaths),
+          reason: comment,
+          meta: { configVersion: scheduled.version.version, effectiveAt: effective.date },
+        });
+
+        return res.status(202).json({
+          message: "Change scheduled ✅",
+          countryCode: cc,
+          version: scheduled.version,
+        });
+      }
+
       const config = await CountryServiceConfig.findOneAndUpdate(
         { countryCode: cc },
         { $set: update },
         { new: true, upsert: true }
       ).lean();
 
+      const version = await recordConfigVersion(req, {
+        configType: CONFIG_VERSION_TYPES.COUNTRY_SERVICES,
+        countryCode: cc,
+        doc: config,
+        comment,
+      });
+
+      await logAdminAction(req, {
+        action: existing ? "COUNTRY_SERVICE_CONFIG_UPDATED" : "COUNTRY_SERVICE_CONFIG_CREATED",
+        entityType: "COUNTRY_SERVICE_CONFIG",
+        entityId: config._id,
+        countryCode: cc,
+        before: existing ? auditSnapshot(existing, auditPaths) : null,
+        after: auditSnapshot(config, auditPaths),
+        reason: comment,
+        meta: { configVersion: version.version },
+      });
+
       return res.status(200).json({
         message: "Saved ✅",
         config: {
           ...config,
           services: mergedServices,
           ...(paymentsObj ? { payments: mergedPayments } : {}),
+          ...(mergedScheduling ? { scheduling: mergedScheduling } : {}),
+          ...(mergedDispatch ? { dispatch: mergedDispatch } : {}),
+          ...(mergedRanking ? { ranking: mergedRanking } : {}),
         },
       });
     } catch (err) {
@@ -3,7 +3,14 @@ import express from "express";
 import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
 import Job, { JOB_STATUSES } from "../models/Job.js";
-import { USER_ROLES } from "../models/User.js";
+import User, { USER_ROLES } from "../models/User.js";
+import { broadcastJobToProviders } from "../utils/broadcastJob.js";
+import {
+  JOB_ACTORS,
+  getAllowedTransitions,
+  transitionJob,
+  sendTransitionError,
+} from "../services/jobLifecycle.service.js";
 
 const router = express.Router();
 
@@ -47,6 +54,53 @@ const enforceWorkspaceAccess = (req, res, workspaceCountryCode) => {
   return true;
 };
 
+/**
+ * ✅ Dispatch ranking explanation for job detail
+ * One entry per dispatch attempt (wave by wave, best rank first) with
+ * each factor's contribution = factor score × weight
+ */
+const buildRankingExplanation = (job) => {
+  const assignedId = job.assignedTo?._id?.toString() || job.assignedTo?.toString() || null;
+  const excluded = new Set((job.excludedProviders || []).map(String));
+
+  return (job.dispatchAttempts || [])
+    .map((a) => {
+      const provider = a.providerId && a.providerId._id ? a.providerId : null;
+      const providerId = (provider?._id || a.providerId)?.toString() || null;
+
+      const factors = Object.entries(a.scoreFactors || {})
+        .map(([name, f]) => ({
+          name,
+          value: f?.value ?? null,
+          score: f?.score ?? 0,
+          weight: f?.weight ?? 0,
+          contribution: Number(((f?.score || 0) * (f?.weight || 0)).toFixed(3)),
+        }))
+        .sort((x, y) => y.contribution - x.contribution);
+
+      let outcome = "NO_RESPONSE";
+      if (providerId && providerId === assignedId) outcome = "ASSIGNED";
+      else if (providerId && excluded.has(providerId)) outcome = "DECLINED";
+
+      return {
+        wave: a.wave || 1,
+        rank: a.rank ?? null,
+        provider: provider
+          ? { _id: provider._id, name: provider.name, phone: provider.phone, role: provider.role }
+          : { _id: a.providerId },
+        attemptedAt: a.attemptedAt,
+        radiusMeters: a.radiusMeters ?? null,
+        strategy: a.rankingStrategy || null,
+        score: a.score ?? null,
+        distanceKm: a.distanceKm ?? null,
+        etaMinutes: a.etaMinutes ?? null,
+        factors,
+        outcome,
+      };
+    })
+    .sort((x, y) => x.wave - y.wave || (x.rank ?? Infinity) - (y.rank ?? Infinity));
+};
+
 /**
  * ✅ Permission enforcement helper
  */
@@ -139,8 +193,10 @@ router.get(
 
       const activeStatuses = [
         JOB_STATUSES.CREATED,
+        JOB_STATUSES.SCHEDULED,
         JOB_STATUSES.BROADCASTED,
         JOB_STATUSES.ASSIGNED,
+        JOB_STATUSES.ARRIVED,
         JOB_STATUSES.IN_PROGRESS,
       ];
 
@@ -169,6 +225,7 @@ router.get(
 /**
  * ✅ GET SINGLE JOB BY ID (PER COUNTRY)
  * GET /api/admin/jobs/:id
+ * ✅ includes ranking: why each notified provider was ranked where they were
  */
 router.get(
   "/:id",
@@ -189,11 +246,17 @@ router.get(
         countryCode: workspaceCountryCode,
       })
         .populate("customer", "name email phone role countryCode")
-        .populate("assignedTo", "name email phone role countryCode providerProfile ratingStats");
+        .populate("assignedTo", "name email phone role countryCode providerProfile ratingStats")
+        .populate("dispatchAttempts.providerId", "name phone role")
+        .populate("statusHistory.actorId", "name role");
 
       if (!job) return res.status(404).json({ message: "Job not found ❌" });
 
-      return res.status(200).json({ countryCode: workspaceCountryCode, job });
+      return res.status(200).json({
+        countryCode: workspaceCountryCode,
+        job,
+        ranking: buildRankingExplanation(job),
+      });
     } catch (err) {
       return res.status(500).json({
         message: "Could not fetch job",
@@ -203,4 +266,84 @@ router.get(
   }
 );
 
+/**
+ * ✅ ADMIN STATUS OVERRIDE (PER COUNTRY)
+ * PATCH /api/admin/jobs/:id/status
+ * body: { status, reason, providerId? }
+ *
+ * - BROADCASTED → ASSIGNED needs providerId (manual assignment)
+ * - ASSIGNED → BROADCASTED requeues the job and restarts dispatch
+ * Allowed moves come from services/jobLifecycle.service.js
+ */
+router.patch(
+  "/:id/status",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canManageJobs")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const workspaceCountryCode = req.countryCode;
+
+      const status = String(req.body?.status || "").trim().toUpperCase();
+      const reason = String(req.body?.reason || "").trim();
+
+      if (!status) return res.status(400).json({ message: "status is required" });
+      if (!reason) return res.status(400).json({ message: "reason is required" });
+
+      const job = await Job.findOne({ _id: req.params.id, countryCode: workspaceCountryCode });
+      if (!job) return res.status(404).json({ message: "Job not found ❌" });
+
+      const set = {};
+
+      if (status === JOB_STATUSES.ASSIGNED) {
+        const provider = req.body?.providerId
+          ? await User.findById(req.body.providerId).select("_id role providerProfile")
+          : null;
+
+        if (!provider || provider.role !== job.roleNeeded) {
+          return res.status(400).json({
+            message: "providerId must be a provider with the job's role",
+            code: "INVALID_PROVIDER",
+          });
+        }
+
+        set.assignedTo = provider._id;
+      }
+
+      const requeue = job.status === JOB_STATUSES.ASSIGNED && status === JOB_STATUSES.BROADCASTED;
+      if (requeue) {
+        Object.assign(set, { assignedTo: null, lockedAt: null, broadcastedTo: [] });
+      }
+
+      await transitionJob(job, status, {
+        actor: JOB_ACTORS.ADMIN,
+        actorId: req.user._id,
+        reason,
+        set,
+      });
+
+      if (requeue) await broadcastJobToProviders(job._id);
+
+      const fresh = await Job.findById(job._id);
+
+      return res.status(200).json({
+        message: "Job status updated ✅",
+        job: fresh,
+        allowedNext: getAllowedTransitions(fresh.status, JOB_ACTORS.ADMIN),
+      });
+    } catch (err) {
+      if (sendTransitionError(res, err)) return;
+      return res.status(500).json({
+        message: "Could not update job status",
+        error: err.message,
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
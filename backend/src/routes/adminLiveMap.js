@@ -95,7 +95,7 @@ router.get(
         "accountStatus.isBanned": { $ne: true },
       })
         .select(
-          "name email role countryCode providerProfile.location providerProfile.isOnline providerProfile.lastSeenAt providerProfile.towTruckTypes providerProfile.mechanicCategories providerProfile.carTypesSupported"
+          "name email role countryCode providerProfile.location providerProfile.isOnline providerProfile.lastSeenAt providerProfile.towTruckTypes providerProfile.mechanicCategories providerProfile.roadsideServices providerProfile.carTypesSupported"
         )
         .sort({ "providerProfile.lastSeenAt": -1 });
 
@@ -111,6 +111,7 @@ router.get(
           lastSeenAt: p.providerProfile?.lastSeenAt,
           towTruckTypes: p.providerProfile?.towTruckTypes || [],
           mechanicCategories: p.providerProfile?.mechanicCategories || [],
+          roadsideServices: p.providerProfile?.roadsideServices || [],
           carTypesSupported: p.providerProfile?.carTypesSupported || [],
           location: {
             lat: coords?.[1] ?? null,
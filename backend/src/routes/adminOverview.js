@@ -87,6 +87,7 @@ router.get(
             JOB_STATUSES.CREATED,
             JOB_STATUSES.BROADCASTED,
             JOB_STATUSES.ASSIGNED,
+            JOB_STATUSES.ARRIVED,
             JOB_STATUSES.IN_PROGRESS,
           ],
         },
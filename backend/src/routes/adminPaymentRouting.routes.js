@@ -4,7 +4,14 @@ import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
 import { USER_ROLES } from "../models/User.js";
 import CountryServiceConfig from "../models/CountryServiceConfig.js";
-import { normalizeGatewayKeyToEnum } from "../services/payments/index.js";
+import {
+  normalizeGatewayKeyToEnum,
+  getGatewayCandidates,
+  getFailoverConfig,
+} from "../services/payments/index.js";
+import { resetGatewayHealth } from "../services/payments/gatewayHealth.js";
+import { CONFIG_VERSION_TYPES } from "../models/ConfigVersion.js";
+import { ensureBaselineVersion, recordConfigVersion } from "../services/configVersion.service.js";
 
 const router = express.Router();
 
@@ -24,6 +31,23 @@ function normalizePriority(v) {
   return Number.isFinite(n) ? n : 0;
 }
 
+/**
+ * Failover settings from the dashboard → $set paths (only valid values)
+ */
+function failoverUpdate(failover) {
+  const f = normalizeObj(failover);
+  const out = {};
+
+  if (typeof f.enabled === "boolean") out["payments.failover.enabled"] = f.enabled;
+
+  ["timeoutMs", "failureThreshold", "coolDownMinutes"].forEach((k) => {
+    const n = Number(f[k]);
+    if (f[k] !== undefined && Number.isFinite(n) && n > 0) out[`payments.failover.${k}`] = n;
+  });
+
+  return out;
+}
+
 /**
  * Convert legacy providers object -> providers[]
  * legacy shape:
@@ -158,6 +182,7 @@ router.get(
           defaultProvider: payments.defaultProvider || "paystack",
           providers: providersArr,
           providersLegacy: providersArrayToLegacyObject(providersArr),
+          failover: getFailoverConfig({ raw: cfg }),
           updatedAt: cfg.updatedAt,
           createdAt: cfg.createdAt,
         },
@@ -176,6 +201,7 @@ router.get(
  * Accepts either:
  *  A) { countryCode, defaultProvider, providers: [ ... ] }   ✅ new
  *  B) { countryCode, defaultProvider, providers: { ... } }  ✅ legacy
+ * Optional comment is stored on the recorded ConfigVersion (COUNTRY_SERVICES).
  */
 router.put(
   "/",
@@ -183,7 +209,7 @@ router.put(
   authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
   async (req, res) => {
     try {
-      const { countryCode, defaultProvider, providers } = req.body || {};
+      const { countryCode, defaultProvider, providers, failover } = req.body || {};
       const cc = String(countryCode || "ZA").trim().toUpperCase();
 
       if (!providers) {
@@ -214,14 +240,29 @@ router.put(
         "payments.ikhokhaEnabled": !!enabledMap.IKHOKHA,
         "payments.mpesaEnabled": !!enabledMap.MPESA,
         "payments.flutterwaveEnabled": !!enabledMap.FLUTTERWAVE,
+
+        ...failoverUpdate(failover),
       };
 
+      await ensureBaselineVersion({
+        configType: CONFIG_VERSION_TYPES.COUNTRY_SERVICES,
+        countryCode: cc,
+        doc: await CountryServiceConfig.findOne({ countryCode: cc }).lean(),
+      });
+
       const cfg = await CountryServiceConfig.findOneAndUpdate(
         { countryCode: cc },
         { $set: update },
         { new: true, upsert: true }
       );
 
+      await recordConfigVersion(req, {
+        configType: CONFIG_VERSION_TYPES.COUNTRY_SERVICES,
+        countryCode: cc,
+        doc: cfg,
+        comment: req.body?.comment,
+      });
+
       const payments = cfg.payments || {};
       const storedProvidersArr = normalizeIncomingProviders(payments.providers);
 
@@ -232,6 +273,7 @@ router.put(
           defaultProvider: payments.defaultProvider || dpKey,
           providers: storedProvidersArr,
           providersLegacy: providersArrayToLegacyObject(storedProvidersArr),
+          failover: getFailoverConfig({ raw: cfg }),
           updatedAt: cfg.updatedAt,
           createdAt: cfg.createdAt,
         },
@@ -242,4 +284,53 @@ router.put(
   }
 );
 
+/**
+ * GET /api/admin/payment-routing/:countryCode/health
+ * Gateways in failover order with their failure streak / cool-down.
+ */
+router.get(
+  "/:countryCode/health",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const countryCode = String(req.params.countryCode || "ZA").trim().toUpperCase();
+
+      const { failover, candidates } = await getGatewayCandidates(countryCode);
+
+      return res.status(200).json({ countryCode, failover, gateways: candidates });
+    } catch (err) {
+      return res.status(500).json({ message: "Failed to load gateway health", error: err.message });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/payment-routing/:countryCode/health/:gateway/reset
+ * Ends a cool-down early (e.g. after the gateway confirmed an incident is over).
+ */
+router.post(
+  "/:countryCode/health/:gateway/reset",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      const countryCode = String(req.params.countryCode || "ZA").trim().toUpperCase();
+      const gateway = normalizeGatewayKeyToEnum(req.params.gateway);
+
+      const health = await resetGatewayHealth(countryCode, gateway);
+      if (!health) {
+        return res.status(404).json({
+          message: "No health record for this gateway",
+          code: "GATEWAY_HEALTH_NOT_FOUND",
+        });
+      }
+
+      return res.status(200).json({ message: "Gateway cool-down cleared ✅", health });
+    } catch (err) {
+      return res.status(500).json({ message: "Reset failed", error: err.message });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
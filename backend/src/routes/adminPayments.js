@@ -1,16 +1,30 @@
 // backend/src/routes/adminPayments.js
 import express from "express";
-import Payment, { PAYMENT_STATUSES } from "../models/Payment.js";
-import Job from "../models/Job.js";
+import multer from "multer";
+import Payment from "../models/Payment.js";
+import PaymentRefund, { REFUND_STATUSES } from "../models/PaymentRefund.js";
+import PaymentReconciliation from "../models/PaymentReconciliation.js";
 import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
 import { USER_ROLES } from "../models/User.js";
 
-// ✅ Paystack refund helper (real refund)
-import { paystackRefundPayment } from "../services/payments/providers/paystack.js";
+// ✅ Refunds go through the gateway adapters via the refund queue
+import {
+  queueRefund,
+  retryFailedRefund,
+  getRefundableAmount,
+  REFUND_SOURCES,
+} from "../services/payments/refundQueue.js";
+import {
+  importGatewayCsv,
+  runGatewayReconciliation,
+} from "../services/payments/settlementReconciliation.js";
 
 const router = express.Router();
 
+// settlement CSV exports (reconciliation import)
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
 const resolveCountryCode = (req) => {
   return (
     req.countryCode ||
@@ -80,15 +94,12 @@ const isInsuranceJob = (jobDoc) => {
   }
 };
 
-function normalizeProviderKey(v) {
-  return String(v || "").trim().toUpperCase();
-}
-
-function resolveRefundRequestedStatus() {
-  const v = PAYMENT_STATUSES?.REFUND_REQUESTED;
-  if (v) return v;
-  return PAYMENT_STATUSES?.PAID || "PAID";
-}
+const REFUND_MESSAGES = {
+  [REFUND_STATUSES.SUCCEEDED]: "Refund completed ✅",
+  [REFUND_STATUSES.AWAITING_GATEWAY]: "Refund accepted by the gateway ✅ (may take time to complete)",
+  [REFUND_STATUSES.QUEUED]: "Refund attempt failed, retry scheduled ⚠️",
+  [REFUND_STATUSES.FAILED]: "Refund failed ❌",
+};
 
 router.get(
   "/",
@@ -125,6 +136,242 @@ router.get(
   }
 );
 
+/**
+ * ✅ Reconciliation window from body/query: { from, to } or { date } (one UTC day)
+ * Defaults to yesterday.
+ */
+const resolveReconciliationWindow = (src = {}) => {
+  if (src.from && src.to) {
+    const from = new Date(src.from);
+    const to = new Date(src.to);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) return null;
+    return { from, to };
+  }
+
+  const day = src.date ? new Date(`${src.date}T00:00:00.000Z`) : new Date();
+  if (Number.isNaN(day.getTime())) return null;
+  if (!src.date) day.setUTCDate(day.getUTCDate() - 1);
+  day.setUTCHours(0, 0, 0, 0);
+
+  const to = new Date(day);
+  to.setUTCHours(23, 59, 59, 999);
+  return { from: day, to };
+};
+
+/**
+ * ✅ Reconciliation runs (newest first)
+ * GET /api/admin/payments/reconciliation?gateway=&limit=
+ */
+router.get(
+  "/reconciliation",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canApprovePayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const filter = { countryCode: req.countryCode };
+      if (req.query.gateway) filter.gateway = String(req.query.gateway).trim().toUpperCase();
+
+      const limit = Math.min(Math.max(Number(req.query.limit) || 30, 1), 200);
+
+      const runs = await PaymentReconciliation.find(filter)
+        .select("-items")
+        .populate("createdBy", "name email role")
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      return res.status(200).json({ countryCode: req.countryCode, runs, count: runs.length });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch reconciliation runs",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Reconciliation report (flagged items)
+ * GET /api/admin/payments/reconciliation/:runId?issue=&unresolved=true
+ */
+router.get(
+  "/reconciliation/:runId",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canApprovePayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const run = await PaymentReconciliation.findOne({
+        _id: req.params.runId,
+        countryCode: req.countryCode,
+      })
+        .populate("createdBy", "name email role")
+        .populate("items.resolvedBy", "name email role")
+        .lean();
+
+      if (!run) return res.status(404).json({ message: "Reconciliation run not found" });
+
+      const issue = req.query.issue ? String(req.query.issue).trim().toUpperCase() : null;
+      const unresolvedOnly = String(req.query.unresolved || "") === "true";
+
+      const items = (run.items || []).filter(
+        (i) => (!issue || i.issue === issue) && (!unresolvedOnly || !i.resolved)
+      );
+
+      return res.status(200).json({ countryCode: req.countryCode, run: { ...run, items } });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch reconciliation report",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Pull the gateway transaction list and reconcile
+ * POST /api/admin/payments/reconciliation/run  body: { gateway, date? | from?, to? }
+ */
+router.post(
+  "/reconciliation/run",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canApprovePayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const gateway = String(req.body?.gateway || "").trim();
+      if (!gateway) return res.status(400).json({ message: "gateway is required", code: "GATEWAY_REQUIRED" });
+
+      const window = resolveReconciliationWindow(req.body || {});
+      if (!window) return res.status(400).json({ message: "Invalid date range", code: "INVALID_RANGE" });
+
+      const run = await runGatewayReconciliation({
+        countryCode: req.countryCode,
+        gateway,
+        ...window,
+        createdBy: req.user?._id || null,
+        req,
+      });
+
+      return res.status(201).json({ message: "Reconciliation complete ✅", countryCode: req.countryCode, run });
+    } catch (err) {
+      if (err.code === "GATEWAY_LIST_UNSUPPORTED") {
+        return res.status(400).json({ message: err.message, code: err.code });
+      }
+      return res.status(500).json({
+        message: "Could not run reconciliation",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Import a gateway settlement CSV and reconcile
+ * POST /api/admin/payments/reconciliation/import
+ * multipart: file=<csv>, gateway, date? | from?, to?   (or JSON body { csv, ... })
+ */
+router.post(
+  "/reconciliation/import",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canApprovePayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const gateway = String(req.body?.gateway || "").trim();
+      if (!gateway) return res.status(400).json({ message: "gateway is required", code: "GATEWAY_REQUIRED" });
+
+      const csv = req.file ? req.file.buffer.toString("utf8") : String(req.body?.csv || "");
+      if (!csv.trim()) return res.status(400).json({ message: "CSV file is required", code: "CSV_REQUIRED" });
+
+      const window = resolveReconciliationWindow(req.body || {});
+      if (!window) return res.status(400).json({ message: "Invalid date range", code: "INVALID_RANGE" });
+
+      const run = await importGatewayCsv({
+        countryCode: req.countryCode,
+        gateway,
+        ...window,
+        csv,
+        fileName: req.file?.originalname || null,
+        createdBy: req.user?._id || null,
+        req,
+      });
+
+      return res.status(201).json({ message: "CSV reconciled ✅", countryCode: req.countryCode, run });
+    } catch (err) {
+      if (err.code === "CSV_EMPTY" || err.code === "CSV_COLUMNS_MISSING") {
+        return res.status(400).json({ message: err.message, code: err.code });
+      }
+      return res.status(500).json({
+        message: "Could not import settlement CSV",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Mark a flagged reconciliation item as resolved
+ * PATCH /api/admin/payments/reconciliation/:runId/items/:itemId/resolve  body: { note? }
+ */
+router.patch(
+  "/reconciliation/:runId/items/:itemId/resolve",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canApprovePayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const run = await PaymentReconciliation.findOne({
+        _id: req.params.runId,
+        countryCode: req.countryCode,
+      });
+      if (!run) return res.status(404).json({ message: "Reconciliation run not found" });
+
+      const item = run.items.id(req.params.itemId);
+      if (!item) return res.status(404).json({ message: "Reconciliation item not found" });
+
+      item.resolved = true;
+      item.resolvedBy = req.user?._id || null;
+      item.resolvedAt = new Date();
+      item.resolutionNote = req.body?.note ? String(req.body.note).trim() : null;
+      await run.save();
+
+      return res.status(200).json({ message: "Item resolved ✅", countryCode: req.countryCode, item });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not resolve reconciliation item",
+        error: err.message,
+      });
+    }
+  }
+);
+
 router.get(
   "/:id",
   auth,
@@ -160,6 +407,12 @@ router.get(
   }
 );
 
+/**
+ * ✅ Admin refund (full or partial) through the refund queue
+ * PATCH /api/admin/payments/:id/refund  body: { amount?, reason?, toWallet? }
+ * amount omitted → the whole refundable balance
+ * toWallet=true → customer wallet credit instead of the card
+ */
 router.patch(
   "/:id/refund",
   auth,
@@ -181,72 +434,29 @@ router.patch(
 
       if (!payment) return res.status(404).json({ message: "Payment not found" });
 
-      if (payment.status !== PAYMENT_STATUSES.PAID) {
-        return res.status(400).json({
-          message: "Only PAID payments can be refunded ❌",
-        });
-      }
-
       if (isInsuranceJob(payment.job)) {
         return res.status(400).json({
           message: "Insurance payments cannot be refunded ❌",
+          code: "INSURANCE_PAYMENT",
         });
       }
 
-      const reason = req.body?.reason ? String(req.body.reason).trim() : null;
-
-      // ✅ REAL gateway refund attempt (Paystack supported)
-      const provider = normalizeProviderKey(payment.provider);
-      let gatewayRefund = null;
-
-      if (provider === "PAYSTACK") {
-        const reference = String(payment.providerReference || "").trim();
-        if (!reference) {
-          return res.status(400).json({ message: "Missing providerReference for PAYSTACK refund" });
-        }
-
-        gatewayRefund = await paystackRefundPayment({
-          reference,
-          amount: payment.amount, // MAJOR units -> converted in helper
-          currency: payment.currency,
-          reason: reason || "admin_refund",
-        });
-
-        payment.status = resolveRefundRequestedStatus();
-        payment.refundReference =
-          gatewayRefund?.refundReference ||
-          gatewayRefund?.raw?.data?.reference ||
-          `PAYSTACK_REFUND-${Date.now()}`;
-      } else {
-        payment.status = resolveRefundRequestedStatus();
-        payment.refundReference = `MANUAL_REFUND_REQ-${Date.now()}`;
-      }
+      const rawAmount = req.body?.amount;
+      const amount = rawAmount === undefined || rawAmount === null || rawAmount === "" ? null : Number(rawAmount);
+      const reason = req.body?.reason ? String(req.body.reason).trim() : "admin_refund";
+
+      const result = await queueRefund({
+        payment,
+        amount,
+        reason,
+        source: REFUND_SOURCES.ADMIN,
+        requestedBy: req.user._id,
+        req,
+        toWallet: req.body?.toWallet === true,
+      });
 
-      payment.refundedAt = new Date(); // used as "requested at"
-      payment.refundedBy = req.user._id;
-      payment.refundReason = reason;
-
-      const existingPayload =
-        payment.providerPayload && typeof payment.providerPayload === "object"
-          ? payment.providerPayload
-          : {};
-      payment.providerPayload = {
-        ...existingPayload,
-        refund: gatewayRefund || { ok: true, mode: "DB_ONLY", provider },
-      };
-
-      await payment.save();
-
-      // ✅ Update job pricing status too (if job exists)
-      const jobId = payment.job?._id || payment.job;
-      if (jobId) {
-        const job = await Job.findById(jobId);
-        if (job) {
-          if (!job.pricing) job.pricing = {};
-          job.pricing.bookingFeeStatus = "REFUND_REQUESTED";
-          job.pricing.bookingFeeRefundedAt = new Date();
-          await job.save();
-        }
+      if (!result.ok) {
+        return res.status(result.status).json({ message: result.message, code: result.code });
       }
 
       const populatedPayment = await Payment.findById(payment._id)
@@ -256,13 +466,10 @@ router.patch(
         .populate("refundedBy", "name email role");
 
       return res.status(200).json({
-        message:
-          provider === "PAYSTACK"
-            ? "Refund requested on Paystack ✅ (may take time to complete)"
-            : "Refund marked as requested ✅ (gateway not integrated)",
+        message: REFUND_MESSAGES[result.refund.status] || "Refund queued ✅",
         countryCode: workspaceCountryCode,
         payment: populatedPayment,
-        gatewayRefund,
+        refund: result.refund,
       });
     } catch (err) {
       return res.status(500).json({
@@ -273,4 +480,90 @@ router.patch(
   }
 );
 
+/**
+ * ✅ Refund history for a payment
+ * GET /api/admin/payments/:id/refunds
+ */
+router.get(
+  "/:id/refunds",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canApprovePayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const workspaceCountryCode = req.countryCode;
+
+      const payment = await Payment.findOne({
+        _id: req.params.id,
+        countryCode: workspaceCountryCode,
+      }).lean();
+
+      if (!payment) return res.status(404).json({ message: "Payment not found" });
+
+      const refunds = await PaymentRefund.find({ payment: payment._id })
+        .populate("requestedBy", "name email role")
+        .sort({ createdAt: -1 });
+
+      return res.status(200).json({
+        countryCode: workspaceCountryCode,
+        paymentId: payment._id,
+        amount: payment.amount,
+        refundedAmount: payment.refundedAmount || 0,
+        refundableAmount: await getRefundableAmount(payment),
+        refunds,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch refunds",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Retry a FAILED refund
+ * POST /api/admin/payments/refunds/:refundId/retry
+ */
+router.post(
+  "/refunds/:refundId/retry",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canRefundPayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const result = await retryFailedRefund({
+        refundId: req.params.refundId,
+        countryCode: req.countryCode,
+        req,
+      });
+
+      if (!result.ok) {
+        return res.status(result.status).json({ message: result.message, code: result.code });
+      }
+
+      return res.status(200).json({
+        message: REFUND_MESSAGES[result.refund.status] || "Refund retried ✅",
+        countryCode: req.countryCode,
+        refund: result.refund,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not retry refund",
+        error: err.message,
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
@@ -109,7 +109,7 @@ router.get("/partners", auth, requireAdmin, async (req, res) => {
             { assignedTo: { $in: drivers } },
             { "insurance.partnerId": p._id }
          ],
-         status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] }
+         status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] }
       });
 
       // Revenue aggregation
@@ -267,7 +267,7 @@ router.get("/partners/:id/details", auth, requireAdmin, async (req, res) => {
     };
 
     const [activeJobs, completedToday, completedWeekly, completedMonthly, cancelledJobs] = await Promise.all([
-       Job.find({ ...jobFilter, status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] } }).populate("assignedTo", "name phone"),
+       Job.find({ ...jobFilter, status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] } }).populate("assignedTo", "name phone"),
        Job.find({ ...jobFilter, status: JOB_STATUSES.COMPLETED, completedAt: { $gte: startOfDay } }),
        Job.find({ ...jobFilter, status: JOB_STATUSES.COMPLETED, completedAt: { $gte: startOfWeek } }),
        Job.find({ ...jobFilter, status: JOB_STATUSES.COMPLETED, completedAt: { $gte: startOfMonth } }),
@@ -4,6 +4,15 @@ import PricingConfig from "../models/PricingConfig.js";
 import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
 import { USER_ROLES } from "../models/User.js";
+import { auditSnapshot, logAdminAction } from "../utils/adminAudit.js";
+import { CONFIG_VERSION_TYPES } from "../models/ConfigVersion.js";
+import {
+  ensureBaselineVersion,
+  parseEffectiveAt,
+  recordConfigVersion,
+  scheduleConfigVersion,
+  snapshotConfig,
+} from "../services/configVersion.service.js";
 
 const router = express.Router();
 
@@ -48,11 +57,17 @@ function buildUpdateDoc(body) {
     "perKmFee",
     "providerBasePricing",
     "towTruckTypePricing",
+    "roadsideServicePricing",
     "towTruckTypeMultipliers",
     "vehicleTypeMultipliers",
     "bookingFees",
     "payoutSplit",
     "surgePricing",
+    "surchargeRules",
+    "holidayCalendar",
+    "waitTimeRules",
+    "multiStopRules",
+    "taxRules",
     "refundRules",
     "payoutRules",
     "mechanicCategoryPricing",
@@ -89,6 +104,11 @@ router.get("/", async (req, res) => {
  * ✅ UPDATE pricing config (PER COUNTRY)
  * PATCH /api/pricing-config
  * ✅ Only SuperAdmin OR Admin with canManagePricing ✅
+ *
+ * Every save is recorded as a ConfigVersion. Optional body fields:
+ * - comment:     why the change was made (stored on the version)
+ * - effectiveAt: future date → nothing changes now; the version is scheduled (202)
+ * History / diff / rollback: /api/admin/config-versions/pricing
  */
 router.patch(
   "/",
@@ -114,7 +134,20 @@ router.patch(
 
       const updateDoc = buildUpdateDoc(body);
 
+      const effective = parseEffectiveAt(body.effectiveAt);
+      if (!effective.ok) {
+        return res.status(effective.status).json({ message: effective.message, code: effective.code });
+      }
+
       const config = await getLatestPricingConfig(workspaceCountryCode);
+      await ensureBaselineVersion({
+        configType: CONFIG_VERSION_TYPES.PRICING,
+        countryCode: workspaceCountryCode,
+        doc: config,
+      });
+
+      const auditPaths = Object.keys(updateDoc);
+      const before = auditSnapshot(config, auditPaths);
 
       Object.entries(updateDoc).forEach(([key, val]) => {
         config.set(key, val);
@@ -122,6 +155,40 @@ router.patch(
       });
 
       config.countryCode = workspaceCountryCode;
+
+      // ✅ scheduled change: validate now, apply later (services/configVersion.service.js)
+      if (effective.date) {
+        await config.validate();
+
+        const scheduled = await scheduleConfigVersion(req, {
+          configType: CONFIG_VERSION_TYPES.PRICING,
+          countryCode: workspaceCountryCode,
+          snapshot: snapshotConfig(config),
+          effectiveAt: effective.date,
+          comment: body.comment,
+        });
+        if (!scheduled.ok) {
+          return res.status(scheduled.status).json({ message: scheduled.message, code: scheduled.code });
+        }
+
+        await logAdminAction(req, {
+          action: "PRICING_CONFIG_SCHEDULED",
+          entityType: "PRICING_CONFIG",
+          entityId: config._id,
+          countryCode: workspaceCountryCode,
+          before,
+          after: auditSnapshot(config, auditPaths),
+          reason: body.comment,
+          meta: { configVersion: scheduled.version.version, effectiveAt: effective.date },
+        });
+
+        return res.status(202).json({
+          message: "Pricing change scheduled ✅",
+          countryCode: workspaceCountryCode,
+          version: scheduled.version,
+        });
+      }
+
       await config.save();
 
       // ✅ Sync same update into ALL configs for this country (if duplicates exist)
@@ -130,6 +197,24 @@ router.patch(
         { $set: updateDoc }
       );
 
+      const version = await recordConfigVersion(req, {
+        configType: CONFIG_VERSION_TYPES.PRICING,
+        countryCode: workspaceCountryCode,
+        doc: config,
+        comment: body.comment,
+      });
+
+      await logAdminAction(req, {
+        action: "PRICING_CONFIG_UPDATED",
+        entityType: "PRICING_CONFIG",
+        entityId: config._id,
+        countryCode: workspaceCountryCode,
+        before,
+        after: auditSnapshot(config, auditPaths),
+        reason: body.comment,
+        meta: { configVersion: version.version },
+      });
+
       return res.status(200).json({
         message: "Pricing config updated ✅",
         countryCode: workspaceCountryCode,
@@ -8,9 +8,55 @@ import Notification from "../models/Notification.js";
 import { sendPushToUser } from "../utils/sendPush.js";
 import { verifyFaces, updateBiometricTemplate } from "../utils/faceVerification.js";
 import { logAuditEvent } from "../utils/auditLogger.js";
+import { auditSnapshot, logAdminAction } from "../utils/adminAudit.js";
 
 const router = express.Router();
 
+const VERIFICATION_AUDIT_PATHS = [
+  "providerProfile.verificationStatus",
+  "providerProfile.verifiedAt",
+  "providerProfile.verifiedBy",
+  "verifiedCountry",
+];
+
+const IDENTIFICATION_AUDIT_PATHS = [
+  "identificationType",
+  "identificationNumber",
+  "passportCountry",
+  "saIdNumber",
+  "passportNumber",
+  "verifiedCountry",
+];
+
+const OCR_AUDIT_PATHS = [
+  "providerProfile.verificationDocs.idDocument.detectedCountry",
+  "providerProfile.verificationDocs.idDocument.documentType",
+  "providerProfile.verificationDocs.idDocument.documentNumber",
+  "providerProfile.verificationDocs.idDocument.mismatchWarning",
+  "identificationType",
+  "identificationNumber",
+];
+
+const docAuditPaths = (field) => [
+  `providerProfile.verificationDocs.${field}`,
+  "providerProfile.verificationStatus",
+];
+
+/**
+ * ✅ Admin audit entry for a provider change (before/after are auditSnapshot()s)
+ */
+function auditProvider(req, provider, action, before, paths, extra = {}) {
+  return logAdminAction(req, {
+    action,
+    entityType: "PROVIDER",
+    entityId: provider._id,
+    countryCode: provider.countryCode,
+    before,
+    after: auditSnapshot(provider, paths),
+    ...extra,
+  });
+}
+
 /**
  * ✅ Helper to notify user via Push + In-App
  */
@@ -377,6 +423,8 @@ router.patch(
 
       if (blockInvalidProvider(provider, res)) return;
 
+      const before = auditSnapshot(provider, VERIFICATION_AUDIT_PATHS);
+
       if (!provider.providerProfile) provider.providerProfile = {};
       provider.providerProfile.verificationStatus = "APPROVED";
       provider.providerProfile.verifiedAt = new Date();
@@ -396,6 +444,7 @@ router.patch(
       }
 
       await provider.save();
+      await auditProvider(req, provider, "PROVIDER_APPROVED", before, VERIFICATION_AUDIT_PATHS);
       await provider.populate("providerProfile.verifiedBy", "name email role");
 
       return res.status(200).json({
@@ -445,12 +494,15 @@ router.patch(
 
       if (blockInvalidProvider(provider, res)) return;
 
+      const before = auditSnapshot(provider, VERIFICATION_AUDIT_PATHS);
+
       if (!provider.providerProfile) provider.providerProfile = {};
       provider.providerProfile.verificationStatus = "REJECTED";
       provider.providerProfile.verifiedAt = new Date();
       provider.providerProfile.verifiedBy = req.user._id;
 
       await provider.save();
+      await auditProvider(req, provider, "PROVIDER_REJECTED", before, VERIFICATION_AUDIT_PATHS);
 
       return res.status(200).json({
         message: "Provider rejected successfully ✅",
@@ -505,6 +557,8 @@ router.patch(
         }
       }
 
+      const before = auditSnapshot(provider, docAuditPaths(field));
+
       provider.providerProfile.verificationDocs[field].status = "APPROVED";
       provider.providerProfile.verificationDocs[field].updatedAt = new Date();
       provider.providerProfile.verificationDocs[field].reason = null;
@@ -518,6 +572,9 @@ router.patch(
 
       provider.markModified(`providerProfile.verificationDocs.${field}`);
       await provider.save();
+      await auditProvider(req, provider, "PROVIDER_DOCUMENT_APPROVED", before, docAuditPaths(field), {
+        meta: { field, asType: asType || null },
+      });
       console.log(`[VERIFICATION_TRACE] Approved ${field} for ${id}`);
 
       // Send Notification
@@ -564,6 +621,8 @@ router.patch(
         return res.status(400).json({ message: `Document ${field} not found` });
       }
 
+      const before = auditSnapshot(provider, docAuditPaths(field));
+
       provider.providerProfile.verificationDocs[field].status = "REJECTED";
       provider.providerProfile.verificationDocs[field].updatedAt = new Date();
       provider.providerProfile.verificationDocs[field].reason = reason || "Incomplete or blurry.";
@@ -573,6 +632,10 @@ router.patch(
 
       provider.markModified(`providerProfile.verificationDocs.${field}`);
       await provider.save();
+      await auditProvider(req, provider, "PROVIDER_DOCUMENT_REJECTED", before, docAuditPaths(field), {
+        reason: provider.providerProfile.verificationDocs[field].reason,
+        meta: { field },
+      });
       console.log(`[VERIFICATION_TRACE] Rejected ${field} for ${id}`);
 
       // Send Notification
@@ -651,6 +714,8 @@ router.patch(
           });
       }
 
+      const before = auditSnapshot(provider, VERIFICATION_AUDIT_PATHS);
+
       provider.providerProfile.verificationStatus = "APPROVED";
       provider.providerProfile.verifiedAt = new Date();
       provider.providerProfile.verifiedBy = req.user._id;
@@ -671,6 +736,9 @@ router.patch(
       }
 
       await provider.save();
+      await auditProvider(req, provider, "PROVIDER_FINAL_APPROVED", before, VERIFICATION_AUDIT_PATHS, {
+        meta: { requiredFields },
+      });
       await provider.populate("providerProfile.verifiedBy", "name email role");
       console.log(`[VERIFICATION_TRACE] Final approve SUCCESS for ${id}`);
 
@@ -717,6 +785,8 @@ router.patch(
         provider.providerProfile.verificationDocs[field] = { status: "NOT_SUBMITTED" };
       }
 
+      const before = auditSnapshot(provider, docAuditPaths(field));
+
       const doc = provider.providerProfile.verificationDocs[field];
       doc.status = "UPDATE_REQUIRED";
       doc.updateRequired = true;
@@ -725,6 +795,10 @@ router.patch(
 
       provider.markModified(`providerProfile.verificationDocs.${field}`);
       await provider.save();
+      await auditProvider(req, provider, "PROVIDER_DOCUMENT_UPDATE_REQUIRED", before, docAuditPaths(field), {
+        reason: doc.updateReason,
+        meta: { field },
+      });
 
       // Send Notification
       const fieldLabel = field.replace(/([A-Z])/g, " $1").replace(/^./, (str) => str.toUpperCase());
@@ -769,6 +843,8 @@ router.patch(
         return res.status(400).json({ message: `Document ${field} not found` });
       }
 
+      const before = auditSnapshot(provider, docAuditPaths(field));
+
       const doc = provider.providerProfile.verificationDocs[field];
       doc.expiryType = expiryType || "NA";
       doc.expiryDate = expiryDate ? new Date(expiryDate) : null;
@@ -776,6 +852,9 @@ router.patch(
 
       provider.markModified(`providerProfile.verificationDocs.${field}`);
       await provider.save();
+      await auditProvider(req, provider, "PROVIDER_DOCUMENT_EXPIRY_UPDATED", before, docAuditPaths(field), {
+        meta: { field },
+      });
 
       return res.status(200).json({
         message: "Expiry updated ✅",
@@ -804,6 +883,8 @@ router.patch(
       const provider = await User.findById(req.params.id);
       if (!provider) return res.status(404).json({ message: "Provider not found" });
 
+      const before = auditSnapshot(provider, IDENTIFICATION_AUDIT_PATHS);
+
       if (identificationType) provider.identificationType = identificationType;
       if (identificationNumber) provider.identificationNumber = identificationNumber;
       if (passportCountry) provider.passportCountry = passportCountry;
@@ -821,6 +902,7 @@ router.patch(
       }
 
       await provider.save();
+      await auditProvider(req, provider, "PROVIDER_IDENTIFICATION_UPDATED", before, IDENTIFICATION_AUDIT_PATHS);
 
       return res.status(200).json({
         message: "Identification updated ✅",
@@ -855,6 +937,8 @@ router.patch(
         return res.status(400).json({ message: "ID Document and Selfie are required for matching ❌" });
       }
 
+      const before = auditSnapshot(provider, ["providerProfile.verificationDocs.faceMatching"]);
+
       const result = await verifyFaces(provider, idUrl, selfieUrl);
       await provider.save();
 
@@ -871,6 +955,10 @@ router.patch(
         details: { score: result.score, manualTrigger: true }
       });
 
+      await auditProvider(req, provider, "PROVIDER_FACE_MATCH_RUN", before, ["providerProfile.verificationDocs.faceMatching"], {
+        meta: { status: result.status, score: result.score },
+      });
+
       return res.status(200).json({
         message: "Face matching intelligence updated ✅",
         faceMatching: result,
@@ -904,6 +992,7 @@ router.patch(
             }
 
             const idDoc = provider.providerProfile.verificationDocs.idDocument;
+            const before = auditSnapshot(provider, OCR_AUDIT_PATHS);
 
             // Log the override (Preserve original data for audit)
             idDoc.ocrOverride = {
@@ -932,6 +1021,9 @@ router.patch(
 
             provider.markModified("providerProfile.verificationDocs.idDocument");
             await provider.save();
+            await auditProvider(req, provider, "PROVIDER_OCR_OVERRIDDEN", before, OCR_AUDIT_PATHS, {
+                reason: idDoc.ocrOverride.reason,
+            });
 
             return res.status(200).json({
                 message: "OCR Intelligence overridden successfully ✅",
@@ -961,6 +1053,8 @@ router.patch(
 
             console.log(`[FORCE_VERIFY_DB_START] Provider: ${provider._id} | isRequired before: ${provider.lastFaceCheck?.isRequired}`);
 
+            const before = auditSnapshot(provider, ["lastFaceCheck.isRequired"]);
+
             if (!provider.lastFaceCheck) provider.lastFaceCheck = {};
             provider.lastFaceCheck.isRequired = true;
             provider.markModified("lastFaceCheck");
@@ -975,6 +1069,8 @@ router.patch(
                 details: { adminName: req.user.name }
             });
 
+            await auditProvider(req, provider, "PROVIDER_FACE_CHECK_FORCED", before, ["lastFaceCheck.isRequired"]);
+
             // Send push notification
             await notifyProvider(
                 provider._id,
@@ -1007,7 +1103,7 @@ router.patch(
             const workspaceCountryCode = resolveCountryCode(req);
             if (!enforceWorkspaceAccess(req, res, workspaceCountryCode)) return;
 
-            await User.updateMany(
+            const result = await User.updateMany(
                 {
                     countryCode: workspaceCountryCode,
                     role: { $in: [USER_ROLES.TOW_TRUCK, USER_ROLES.MECHANIC] }
@@ -1022,6 +1118,13 @@ router.patch(
                 details: { adminName: req.user.name }
             });
 
+            await logAdminAction(req, {
+                action: "PROVIDERS_BULK_FACE_CHECK_FORCED",
+                entityType: "PROVIDER",
+                countryCode: workspaceCountryCode,
+                meta: { matched: result.matchedCount, modified: result.modifiedCount },
+            });
+
             return res.status(200).json({ message: `Face verification forced for all providers in ${workspaceCountryCode} ✅` });
         } catch (err) {
             return res.status(500).json({ message: "Bulk force failed", error: err.message });
@@ -1068,6 +1171,13 @@ router.patch(
                 }
             }
 
+            await logAdminAction(req, {
+                action: "PROVIDERS_BIOMETRIC_TEMPLATES_GENERATED",
+                entityType: "PROVIDER",
+                countryCode: workspaceCountryCode,
+                meta: { processed: providers.length, success: successCount, failed: failCount },
+            });
+
             return res.status(200).json({
                 message: `Biometric template migration completed for ${workspaceCountryCode}`,
                 processed: providers.length,
@@ -1159,7 +1269,7 @@ router.get(
 
       const activeJobsCount = await Job.countDocuments({
           assignedTo: provider._id,
-          status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] }
+          status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] }
       });
 
       const cancelledCount = await Job.countDocuments({
@@ -2,8 +2,13 @@
 import express from "express";
 import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
-import PanicAlert, { PANIC_STATUSES } from "../models/PanicAlert.js";
-import { USER_ROLES } from "../models/User.js";
+import PanicAlert, { PANIC_SOURCES, PANIC_STATUSES } from "../models/PanicAlert.js";
+import User, { USER_ROLES } from "../models/User.js";
+import CountryServiceConfig from "../models/CountryServiceConfig.js";
+import { broadcastPanicAlert, getSafetyConfig } from "../services/safety/panicEscalation.js";
+import { logAdminAction } from "../utils/adminAudit.js";
+import { CONFIG_VERSION_TYPES } from "../models/ConfigVersion.js";
+import { ensureBaselineVersion, recordConfigVersion } from "../services/configVersion.service.js";
 
 const router = express.Router();
 
@@ -46,7 +51,8 @@ const requirePermission = (req, res, permissionKey) => {
 
 /**
  * ✅ Admin fetch incidents (PER COUNTRY)
- * GET /api/admin/safety/incidents
+ * GET /api/admin/safety/incidents?status=OPEN|ACKNOWLEDGED|RESOLVED&source=PANIC|TRIP_MONITOR
+ * (timeline + notification log via GET /incidents/:id)
  */
 router.get(
   "/incidents",
@@ -58,7 +64,14 @@ router.get(
 
       const workspaceCountryCode = resolveCountryCode(req);
 
-      const incidents = await PanicAlert.find({ countryCode: workspaceCountryCode })
+      const filter = { countryCode: workspaceCountryCode };
+      const status = String(req.query.status || "").trim().toUpperCase();
+      if (Object.values(PANIC_STATUSES).includes(status)) filter.status = status;
+      const source = String(req.query.source || "").trim().toUpperCase();
+      if (Object.values(PANIC_SOURCES).includes(source)) filter.source = source;
+
+      const incidents = await PanicAlert.find(filter)
+        .select("-locationTimeline -notifications")
         .populate("triggeredBy", "name email role countryCode")
         .populate("job")
         .sort({ createdAt: -1 });
@@ -73,6 +86,107 @@ router.get(
   }
 );
 
+/**
+ * ✅ Incident detail with location timeline + notification log (PER COUNTRY)
+ * GET /api/admin/safety/incidents/:id
+ */
+router.get(
+  "/incidents/:id",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canManageSafety")) return;
+
+      const workspaceCountryCode = resolveCountryCode(req);
+
+      const incident = await PanicAlert.findOne({
+        _id: req.params.id,
+        countryCode: workspaceCountryCode,
+      })
+        .populate("triggeredBy", "name email phone role countryCode emergencyContacts")
+        .populate("acknowledgedBy", "name email")
+        .populate("resolvedBy", "name email")
+        .populate("job");
+
+      if (!incident) {
+        return res.status(404).json({ message: "Incident not found ❌" });
+      }
+
+      return res.status(200).json({ countryCode: workspaceCountryCode, incident });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch incident ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Acknowledge incident → stops escalation (PER COUNTRY)
+ * PATCH /api/admin/safety/incidents/:id/acknowledge
+ */
+router.patch(
+  "/incidents/:id/acknowledge",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canManageSafety")) return;
+
+      const workspaceCountryCode = resolveCountryCode(req);
+      const now = new Date();
+
+      const incident = await PanicAlert.findOneAndUpdate(
+        { _id: req.params.id, countryCode: workspaceCountryCode, status: PANIC_STATUSES.OPEN },
+        {
+          $set: {
+            status: PANIC_STATUSES.ACKNOWLEDGED,
+            acknowledgedBy: req.user._id,
+            acknowledgedAt: now,
+            nextEscalationAt: null,
+          },
+          $push: {
+            auditLogs: {
+              action: "INCIDENT_ACKNOWLEDGED",
+              by: req.user._id,
+              meta: { note: req.body?.note || null },
+              timestamp: now,
+            },
+          },
+        },
+        { new: true, projection: { locationTimeline: 0, notifications: 0 } }
+      );
+
+      if (!incident) {
+        const existing = await PanicAlert.findOne({
+          _id: req.params.id,
+          countryCode: workspaceCountryCode,
+        }).select("status");
+
+        if (!existing) {
+          return res.status(404).json({ message: "Incident not found ❌" });
+        }
+        return res.status(400).json({ message: `Incident already ${existing.status.toLowerCase()} ✅` });
+      }
+
+      broadcastPanicAlert(incident);
+
+      return res.status(200).json({
+        message: "Incident acknowledged ✅",
+        countryCode: workspaceCountryCode,
+        incident,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not acknowledge incident ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
 /**
  * ✅ Resolve incident (PER COUNTRY)
  * PATCH /api/admin/safety/incidents/:id/resolve
@@ -103,6 +217,7 @@ router.patch(
       incident.status = PANIC_STATUSES.RESOLVED;
       incident.resolvedBy = req.user._id;
       incident.resolvedAt = new Date();
+      incident.nextEscalationAt = null;
 
       incident.auditLogs.push({
         action: "INCIDENT_RESOLVED",
@@ -111,6 +226,7 @@ router.patch(
       });
 
       await incident.save();
+      broadcastPanicAlert(incident);
 
       return res.status(200).json({
         message: "Incident resolved ✅",
@@ -126,4 +242,187 @@ router.patch(
   }
 );
 
+/**
+ * ✅ On-duty safety admins (PER COUNTRY) — they receive panic alerts first
+ * GET /api/admin/safety/duty
+ */
+router.get(
+  "/duty",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canManageSafety")) return;
+
+      const workspaceCountryCode = resolveCountryCode(req);
+
+      const onDuty = await User.find({
+        safetyOnDuty: true,
+        $or: [
+          { role: USER_ROLES.ADMIN, countryCode: workspaceCountryCode, "permissions.canManageSafety": true },
+          { role: USER_ROLES.SUPER_ADMIN },
+        ],
+      }).select("name email role countryCode");
+
+      return res.status(200).json({
+        countryCode: workspaceCountryCode,
+        me: req.user.safetyOnDuty === true,
+        onDuty,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch duty roster ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Go on / off safety duty
+ * PATCH /api/admin/safety/duty  body: { onDuty: boolean }
+ */
+router.patch(
+  "/duty",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canManageSafety")) return;
+
+      if (typeof req.body?.onDuty !== "boolean") {
+        return res.status(400).json({ message: "onDuty must be true or false ❌" });
+      }
+
+      await User.updateOne({ _id: req.user._id }, { $set: { safetyOnDuty: req.body.onDuty } });
+
+      return res.status(200).json({
+        message: req.body.onDuty ? "You are on safety duty ✅" : "You are off safety duty ✅",
+        onDuty: req.body.onDuty,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not update duty ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * Escalation settings from the dashboard → $set paths (only valid values)
+ */
+function safetyUpdate(body) {
+  const b = body && typeof body === "object" ? body : {};
+  const out = {};
+
+  ["escalationMinutes", "maxEscalationLevel", "stopAlertMinutes", "routeDeviationKm", "headingAwayKm"].forEach((k) => {
+    const n = Number(b[k]);
+    if (b[k] !== undefined && Number.isFinite(n) && n > 0) out[`safety.${k}`] = n;
+  });
+
+  ["notifyEmergencyContacts", "tripMonitorEnabled"].forEach((k) => {
+    if (typeof b[k] === "boolean") out[`safety.${k}`] = b[k];
+  });
+  if (typeof b.escalationEmail === "string") out["safety.escalationEmail"] = b.escalationEmail.trim();
+
+  return out;
+}
+
+/**
+ * ✅ Panic escalation settings (PER COUNTRY)
+ * GET /api/admin/safety/config
+ */
+router.get(
+  "/config",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canManageSafety")) return;
+
+      const workspaceCountryCode = resolveCountryCode(req);
+      const safety = await getSafetyConfig(workspaceCountryCode);
+
+      return res.status(200).json({ countryCode: workspaceCountryCode, safety });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not fetch safety settings ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
+/**
+ * ✅ Update panic escalation settings (PER COUNTRY)
+ * PATCH /api/admin/safety/config
+ *
+ * Body: { escalationMinutes?, maxEscalationLevel?, notifyEmergencyContacts?, escalationEmail?,
+ *         tripMonitorEnabled?, stopAlertMinutes?, routeDeviationKm?, headingAwayKm?, comment? }
+ * Recorded as a COUNTRY_SERVICES ConfigVersion.
+ */
+router.patch(
+  "/config",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canManageSafety")) return;
+
+      const workspaceCountryCode = resolveCountryCode(req);
+      const update = safetyUpdate(req.body);
+
+      if (Object.keys(update).length === 0) {
+        return res.status(400).json({ message: "Nothing to update ❌" });
+      }
+
+      const before = await getSafetyConfig(workspaceCountryCode);
+
+      await ensureBaselineVersion({
+        configType: CONFIG_VERSION_TYPES.COUNTRY_SERVICES,
+        countryCode: workspaceCountryCode,
+        doc: await CountryServiceConfig.findOne({ countryCode: workspaceCountryCode }).lean(),
+      });
+
+      const config = await CountryServiceConfig.findOneAndUpdate(
+        { countryCode: workspaceCountryCode },
+        { $set: update },
+        { new: true, upsert: true }
+      );
+
+      const version = await recordConfigVersion(req, {
+        configType: CONFIG_VERSION_TYPES.COUNTRY_SERVICES,
+        countryCode: workspaceCountryCode,
+        doc: config,
+        comment: req.body?.comment,
+      });
+
+      const safety = await getSafetyConfig(workspaceCountryCode);
+
+      await logAdminAction(req, {
+        action: "SAFETY_CONFIG_UPDATED",
+        entityType: "COUNTRY_SERVICE_CONFIG",
+        entityId: config._id,
+        countryCode: workspaceCountryCode,
+        before: { safety: before },
+        after: { safety },
+        reason: req.body?.comment,
+        meta: { configVersion: version.version },
+      });
+
+      return res.status(200).json({
+        message: "Safety settings updated ✅",
+        countryCode: workspaceCountryCode,
+        safety,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Could not update safety settings ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
@@ -4,6 +4,7 @@ import authorizeRoles from '../middleware/role.js';
 
 import Payment, { PAYMENT_STATUSES } from '../models/Payment.js';
 import User, { USER_ROLES } from '../models/User.js';
+import { getCountryTaxRules, jobTaxRules, applyTax } from '../utils/taxEngine.js';
 
 const router = express.Router();
 
@@ -143,10 +144,25 @@ router.get(
       let towTruckRevenue = 0;
       let mechanicRevenue = 0;
 
+      // ✅ VAT on booking fees (job's own tax rates, else its country's current rules)
+      const countryTaxRules = new Map();
+      for (const cc of new Set(paidPayments.map((p) => p.job?.countryCode || p.countryCode || 'ZA'))) {
+        countryTaxRules.set(cc, await getCountryTaxRules(cc));
+      }
+
+      let totalRevenueTax = 0;
+      let netRevenue = 0;
+
       paidPayments.forEach((p) => {
         const amount = p.amount || 0;
         totalRevenue += amount;
 
+        const rules = jobTaxRules(p.job, countryTaxRules.get(p.job?.countryCode || p.countryCode || 'ZA'));
+        // collected amounts always include VAT (exclusive prices are charged fee + VAT)
+        const tax = applyTax(amount, { ...rules, pricesIncludeTax: true }, rules.vatOnBookingFee);
+        totalRevenueTax += tax.tax;
+        netRevenue += tax.net;
+
         const roleNeeded = p.job?.roleNeeded;
         if (roleNeeded === USER_ROLES.TOW_TRUCK) towTruckRevenue += amount;
         if (roleNeeded === USER_ROLES.MECHANIC) mechanicRevenue += amount;
@@ -195,6 +211,10 @@ router.get(
           totalRevenue,
           towTruckRevenue,
           mechanicRevenue,
+          tax: {
+            totalTax: Number(totalRevenueTax.toFixed(2)),
+            netRevenue: Number(netRevenue.toFixed(2))
+          },
           currency: 'ZAR'
         },
         users: {
@@ -8,6 +8,7 @@ import Rating from "../models/Rating.js";
 import SupportTicket from "../models/SupportTicket.js";
 import WeeklyPayout from "../models/WeeklyPayout.js";
 import FinancialLog from "../models/FinancialLog.js";
+import { auditSnapshot, logAdminAction } from "../utils/adminAudit.js";
 import mongoose from "mongoose";
 
 const router = express.Router();
@@ -77,6 +78,15 @@ const enforceWorkspaceAccess = (req, res, workspaceCountryCode) => {
   return true;
 };
 
+/**
+ * ✅ Audit entity for a user account (admins / providers / everyone else)
+ */
+const auditEntityType = (user) => {
+  if ([USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN].includes(user.role)) return "ADMIN";
+  if ([USER_ROLES.MECHANIC, USER_ROLES.TOW_TRUCK].includes(user.role)) return "PROVIDER";
+  return "USER";
+};
+
 /**
  * ✅ Safe JSON helper
  */
@@ -227,7 +237,7 @@ router.get(
             rejected: { $sum: { $cond: [{ $eq: ["$status", "REJECTED"] }, 1, 0] } }, // if applicable
             insurance: { $sum: { $cond: ["$insurance.enabled", 1, 0] } },
             cash: { $sum: { $cond: [{ $not: ["$insurance.enabled"] }, 1, 0] } },
-            active: { $sum: { $cond: [{ $in: ["$status", [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS]] }, 1, 0] } },
+            active: { $sum: { $cond: [{ $in: ["$status", [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS]] }, 1, 0] } },
             pending: { $sum: { $cond: [{ $in: ["$status", [JOB_STATUSES.CREATED, JOB_STATUSES.BROADCASTED]] }, 1, 0] } },
           },
         },
@@ -400,6 +410,8 @@ router.patch(
           .json({ message: "Only SuperAdmin can suspend SuperAdmin ❌" });
       }
 
+      const before = auditSnapshot(target, ["accountStatus"]);
+
       if (!target.accountStatus) target.accountStatus = {};
       target.accountStatus.isSuspended = true;
       target.accountStatus.suspendedAt = new Date();
@@ -408,6 +420,16 @@ router.patch(
 
       await target.save();
 
+      await logAdminAction(req, {
+        action: "USER_SUSPENDED",
+        entityType: auditEntityType(target),
+        entityId: target._id,
+        countryCode: target.countryCode,
+        before,
+        after: auditSnapshot(target, ["accountStatus"]),
+        reason: target.accountStatus.suspendReason,
+      });
+
       return res.status(200).json({
         success: true,
         message: "User suspended ✅",
@@ -449,6 +471,8 @@ router.patch(
         return res.status(404).json({ message: "User not found" });
       }
 
+      const before = auditSnapshot(target, ["accountStatus"]);
+
       if (!target.accountStatus) target.accountStatus = {};
       target.accountStatus.isSuspended = false;
       target.accountStatus.suspendedAt = null;
@@ -457,6 +481,15 @@ router.patch(
 
       await target.save();
 
+      await logAdminAction(req, {
+        action: "USER_UNSUSPENDED",
+        entityType: auditEntityType(target),
+        entityId: target._id,
+        countryCode: target.countryCode,
+        before,
+        after: auditSnapshot(target, ["accountStatus"]),
+      });
+
       return res.status(200).json({
         success: true,
         message: "User unsuspended ✅",
@@ -513,6 +546,8 @@ router.patch(
           .json({ message: "Only SuperAdmin can ban SuperAdmin ❌" });
       }
 
+      const before = auditSnapshot(target, ["accountStatus"]);
+
       if (!target.accountStatus) target.accountStatus = {};
       target.accountStatus.isBanned = true;
       target.accountStatus.bannedAt = new Date();
@@ -521,6 +556,16 @@ router.patch(
 
       await target.save();
 
+      await logAdminAction(req, {
+        action: "USER_BANNED",
+        entityType: auditEntityType(target),
+        entityId: target._id,
+        countryCode: target.countryCode,
+        before,
+        after: auditSnapshot(target, ["accountStatus"]),
+        reason: target.accountStatus.banReason,
+      });
+
       return res.status(200).json({
         success: true,
         message: "User banned ✅",
@@ -562,6 +607,8 @@ router.patch(
         return res.status(404).json({ message: "User not found" });
       }
 
+      const before = auditSnapshot(target, ["accountStatus"]);
+
       if (!target.accountStatus) target.accountStatus = {};
       target.accountStatus.isBanned = false;
       target.accountStatus.bannedAt = null;
@@ -570,6 +617,15 @@ router.patch(
 
       await target.save();
 
+      await logAdminAction(req, {
+        action: "USER_UNBANNED",
+        entityType: auditEntityType(target),
+        entityId: target._id,
+        countryCode: target.countryCode,
+        before,
+        after: auditSnapshot(target, ["accountStatus"]),
+      });
+
       return res.status(200).json({
         success: true,
         message: "User unbanned ✅",
@@ -613,6 +669,8 @@ router.post(
         return res.status(404).json({ message: "User not found" });
       }
 
+      const before = auditSnapshot(target, ["isDeviceBlocked", "otpAttempts", "blockReason", "blockExpiresAt"]);
+
       target.isDeviceBlocked = false;
       target.otpAttempts = 0;
       target.blockReason = null;
@@ -620,8 +678,14 @@ router.post(
 
       await target.save();
 
-      // Audit log entry simulation
-      console.log(`[AUDIT] DEVICE_UNBLOCK | User: ${target._id} | Admin: ${req.user._id} | Timestamp: ${new Date().toISOString()}`);
+      await logAdminAction(req, {
+        action: "USER_DEVICE_UNBLOCKED",
+        entityType: auditEntityType(target),
+        entityId: target._id,
+        countryCode: target.countryCode,
+        before,
+        after: auditSnapshot(target, ["isDeviceBlocked", "otpAttempts", "blockReason", "blockExpiresAt"]),
+      });
 
       return res.status(200).json({
         success: true,
@@ -656,6 +720,8 @@ router.patch(
       const target = await User.findById(req.params.id);
       if (!target) return res.status(404).json({ message: "User not found" });
 
+      const before = auditSnapshot(target, ["accountStatus"]);
+
       if (!target.accountStatus) target.accountStatus = {};
       target.accountStatus.isArchived = true;
       target.accountStatus.archivedAt = new Date();
@@ -663,6 +729,15 @@ router.patch(
 
       await target.save();
 
+      await logAdminAction(req, {
+        action: "USER_ARCHIVED",
+        entityType: auditEntityType(target),
+        entityId: target._id,
+        countryCode: target.countryCode,
+        before,
+        after: auditSnapshot(target, ["accountStatus"]),
+      });
+
       return res.status(200).json({
         success: true,
         message: "User archived ✅",
@@ -694,6 +769,8 @@ router.patch(
       const target = await User.findById(req.params.id);
       if (!target) return res.status(404).json({ message: "User not found" });
 
+      const before = auditSnapshot(target, ["accountStatus"]);
+
       if (!target.accountStatus) target.accountStatus = {};
       target.accountStatus.isArchived = false;
       target.accountStatus.archivedAt = null;
@@ -701,6 +778,15 @@ router.patch(
 
       await target.save();
 
+      await logAdminAction(req, {
+        action: "USER_UNARCHIVED",
+        entityType: auditEntityType(target),
+        entityId: target._id,
+        countryCode: target.countryCode,
+        before,
+        after: auditSnapshot(target, ["accountStatus"]),
+      });
+
       return res.status(200).json({
         success: true,
         message: "User unarchived ✅",
@@ -0,0 +1,366 @@
+// backend/src/routes/adminWallets.js
+import express from "express";
+import mongoose from "mongoose";
+import auth from "../middleware/auth.js";
+import authorizeRoles from "../middleware/role.js";
+import User, { USER_ROLES } from "../models/User.js";
+import PromoCode from "../models/PromoCode.js";
+import {
+  creditWallet,
+  debitWallet,
+  getWalletSummary,
+  recomputeWalletBalance,
+  WALLET_TX_KINDS,
+} from "../services/wallet/walletLedger.js";
+import { logAuditEvent } from "../utils/auditLogger.js";
+
+const router = express.Router();
+
+const resolveCountryCode = (req) => {
+  return (
+    req.countryCode ||
+    req.headers["x-country-code"] ||
+    req.query?.country ||
+    req.query?.countryCode ||
+    "ZA"
+  )
+    .toString()
+    .trim()
+    .toUpperCase();
+};
+
+const enforceWorkspaceAccess = (req, res, workspaceCountryCode) => {
+  const role = req.user?.role;
+  const userCountry = String(req.user?.countryCode || "ZA").toUpperCase();
+  const canSwitch = !!req.user?.permissions?.canSwitchCountryWorkspace;
+
+  if (role === USER_ROLES.SUPER_ADMIN) {
+    req.countryCode = workspaceCountryCode;
+    return true;
+  }
+
+  if (role === USER_ROLES.ADMIN && !canSwitch) {
+    req.countryCode = userCountry;
+    return true;
+  }
+
+  req.countryCode = workspaceCountryCode;
+  return true;
+};
+
+const requirePermission = (req, res, permissionKey) => {
+  if (req.user.role === USER_ROLES.SUPER_ADMIN) return true;
+
+  if (req.user.role === USER_ROLES.ADMIN) {
+    if (!req.user.permissions || req.user.permissions[permissionKey] !== true) {
+      res.status(403).json({
+        message: `Permission denied ❌ Missing ${permissionKey}`,
+      });
+      return false;
+    }
+    return true;
+  }
+
+  res.status(403).json({ message: "Permission denied ❌" });
+  return false;
+};
+
+const blockRestrictedAdmins = (req, res) => {
+  if (req.user.accountStatus?.isSuspended) {
+    res.status(403).json({ message: "Your admin account is suspended ❌" });
+    return true;
+  }
+  if (req.user.accountStatus?.isBanned) {
+    res.status(403).json({ message: "Your admin account is banned ❌" });
+    return true;
+  }
+  return false;
+};
+
+// customer must belong to the admin's workspace country
+const findWorkspaceCustomer = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+    res.status(400).json({ message: "Invalid userId" });
+    return null;
+  }
+
+  const user = await User.findOne({
+    _id: req.params.userId,
+    role: USER_ROLES.CUSTOMER,
+    countryCode: req.countryCode,
+  }).select("name email countryCode role");
+
+  if (!user) {
+    res.status(404).json({ message: "Customer not found" });
+    return null;
+  }
+  return user;
+};
+
+const PROMO_FIELDS = ["amount", "currency", "description", "active", "startsAt", "expiresAt", "maxRedemptions"];
+
+/* ============================================================
+   PROMO CODES (wallet credit)
+============================================================ */
+
+/**
+ * ✅ List promo codes
+ * GET /api/admin/wallets/promo-codes
+ */
+router.get(
+  "/promo-codes",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canRefundPayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const promoCodes = await PromoCode.find({ countryCode: req.countryCode }).sort({ createdAt: -1 });
+      return res.status(200).json({ countryCode: req.countryCode, promoCodes, count: promoCodes.length });
+    } catch (err) {
+      return res.status(500).json({ message: "Could not fetch promo codes", error: err.message });
+    }
+  }
+);
+
+/**
+ * ✅ Create a promo code
+ * POST /api/admin/wallets/promo-codes
+ * body: { code, amount, currency, description?, startsAt?, expiresAt?, maxRedemptions? }
+ */
+router.post(
+  "/promo-codes",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canRefundPayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const code = String(req.body?.code || "").trim().toUpperCase();
+      const amount = Number(req.body?.amount);
+      const currency = String(req.body?.currency || "").trim().toUpperCase();
+
+      if (!code || !currency || !Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ message: "code, amount (> 0) and currency are required" });
+      }
+
+      const promo = await PromoCode.create({
+        ...Object.fromEntries(PROMO_FIELDS.filter((k) => req.body?.[k] !== undefined).map((k) => [k, req.body[k]])),
+        code,
+        amount,
+        currency,
+        countryCode: req.countryCode,
+        createdBy: req.user._id,
+      });
+
+      await logAuditEvent(req, {
+        action: "PROMO_CODE_CREATED",
+        entityType: "COUNTRY",
+        entityId: promo._id,
+        details: { code, amount, currency, maxRedemptions: promo.maxRedemptions, expiresAt: promo.expiresAt },
+      });
+
+      return res.status(201).json({ message: "Promo code created ✅", promo });
+    } catch (err) {
+      if (err?.code === 11000) {
+        return res.status(409).json({ message: "Promo code already exists", code: "PROMO_CODE_EXISTS" });
+      }
+      return res.status(500).json({ message: "Could not create promo code", error: err.message });
+    }
+  }
+);
+
+/**
+ * ✅ Update / deactivate a promo code
+ * PATCH /api/admin/wallets/promo-codes/:id
+ */
+router.patch(
+  "/promo-codes/:id",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canRefundPayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const promo = await PromoCode.findOne({ _id: req.params.id, countryCode: req.countryCode });
+      if (!promo) return res.status(404).json({ message: "Promo code not found" });
+
+      const changes = {};
+      for (const key of PROMO_FIELDS) {
+        if (req.body?.[key] !== undefined) changes[key] = req.body[key];
+      }
+      if (changes.currency) changes.currency = String(changes.currency).trim().toUpperCase();
+
+      promo.set(changes);
+      await promo.save();
+
+      await logAuditEvent(req, {
+        action: "PROMO_CODE_UPDATED",
+        entityType: "COUNTRY",
+        entityId: promo._id,
+        details: { code: promo.code, changes },
+      });
+
+      return res.status(200).json({ message: "Promo code updated ✅", promo });
+    } catch (err) {
+      return res.status(500).json({ message: "Could not update promo code", error: err.message });
+    }
+  }
+);
+
+/* ============================================================
+   CUSTOMER WALLETS
+============================================================ */
+
+/**
+ * ✅ Customer wallet balances + history
+ * GET /api/admin/wallets/:userId?currency=&limit=&before=
+ */
+router.get(
+  "/:userId",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canRefundPayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const user = await findWorkspaceCustomer(req, res);
+      if (!user) return;
+
+      const summary = await getWalletSummary(user._id, {
+        currency: req.query.currency || null,
+        limit: req.query.limit,
+        before: req.query.before || null,
+      });
+
+      return res.status(200).json({ countryCode: req.countryCode, user, ...summary });
+    } catch (err) {
+      return res.status(500).json({ message: "Could not fetch wallet", error: err.message });
+    }
+  }
+);
+
+/**
+ * ✅ Goodwill credit or manual adjustment
+ * POST /api/admin/wallets/:userId/adjust
+ * body: { amount (signed), currency, type: "GOODWILL" | "ADJUSTMENT", memo }
+ * GOODWILL must be positive; ADJUSTMENT may debit (never below zero).
+ */
+router.post(
+  "/:userId/adjust",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canRefundPayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const user = await findWorkspaceCustomer(req, res);
+      if (!user) return;
+
+      const amount = Number(req.body?.amount);
+      const currency = String(req.body?.currency || "").trim().toUpperCase();
+      const type = String(req.body?.type || "ADJUSTMENT").trim().toUpperCase();
+      const memo = String(req.body?.memo || "").trim();
+
+      if (!Number.isFinite(amount) || amount === 0 || !currency) {
+        return res.status(400).json({ message: "amount (non-zero) and currency are required" });
+      }
+      if (!memo) return res.status(400).json({ message: "memo is required for wallet adjustments" });
+      if (!["GOODWILL", "ADJUSTMENT"].includes(type)) {
+        return res.status(400).json({ message: "type must be GOODWILL or ADJUSTMENT" });
+      }
+      if (type === "GOODWILL" && amount < 0) {
+        return res.status(400).json({ message: "Goodwill credits must be positive" });
+      }
+
+      const entry = {
+        userId: user._id,
+        amount: Math.abs(amount),
+        currency,
+        countryCode: req.countryCode,
+        memo,
+        createdBy: req.user._id,
+        req,
+      };
+
+      const result =
+        amount > 0
+          ? await creditWallet({
+              ...entry,
+              kind: type === "GOODWILL" ? WALLET_TX_KINDS.GOODWILL_CREDIT : WALLET_TX_KINDS.ADMIN_ADJUSTMENT,
+            })
+          : await debitWallet({ ...entry, kind: WALLET_TX_KINDS.ADMIN_ADJUSTMENT });
+
+      if (!result.ok) return res.status(result.status).json({ message: result.message, code: result.code });
+
+      return res.status(201).json({
+        message: "Wallet adjusted ✅",
+        balance: result.balance,
+        currency,
+        transaction: result.transaction,
+      });
+    } catch (err) {
+      return res.status(500).json({ message: "Could not adjust wallet", error: err.message });
+    }
+  }
+);
+
+/**
+ * ✅ Rebuild a cached balance from the ledger
+ * POST /api/admin/wallets/:userId/recompute  body: { currency }
+ */
+router.post(
+  "/:userId/recompute",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (blockRestrictedAdmins(req, res)) return;
+      if (!requirePermission(req, res, "canRefundPayments")) return;
+
+      const requestedCountryCode = resolveCountryCode(req);
+      if (!enforceWorkspaceAccess(req, res, requestedCountryCode)) return;
+
+      const user = await findWorkspaceCustomer(req, res);
+      if (!user) return;
+
+      const currency = String(req.body?.currency || "").trim().toUpperCase();
+      if (!currency) return res.status(400).json({ message: "currency is required" });
+
+      const result = await recomputeWalletBalance(user._id, currency);
+
+      await logAuditEvent(req, {
+        action: "WALLET_RECOMPUTED",
+        entityType: "CUSTOMER",
+        entityId: user._id,
+        details: { currency, ...result },
+      });
+
+      return res.status(200).json({ message: "Wallet balance recomputed ✅", currency, ...result });
+    } catch (err) {
+      return res.status(500).json({ message: "Could not recompute wallet", error: err.message });
+    }
+  }
+);
+
+export default router;
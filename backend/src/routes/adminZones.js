@@ -4,6 +4,11 @@ import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
 import Zone from "../models/Zone.js";
 import { USER_ROLES } from "../models/User.js";
+import {
+  checkServiceArea,
+  sanitizePricingOverrides,
+  validateZoneGeometry,
+} from "../utils/serviceZones.js";
 
 const router = express.Router();
 
@@ -44,6 +49,53 @@ const requirePermission = (req, res, permissionKey) => {
   return false;
 };
 
+const toStringList = (v) =>
+  (Array.isArray(v) ? v : []).map((x) => String(x || "").trim()).filter(Boolean);
+
+/**
+ * ✅ Geofence / pricing / availability fields from the request body
+ * Only keys present in the body are returned (PATCH-friendly).
+ */
+function buildZoneAreaFields(body = {}) {
+  const fields = {};
+
+  if (body.geometry !== undefined) {
+    if (body.geometry === null) {
+      fields.geometry = undefined;
+    } else {
+      const geometryError = validateZoneGeometry(body.geometry);
+      if (geometryError) return { error: geometryError };
+      fields.geometry = { type: body.geometry.type, coordinates: body.geometry.coordinates };
+    }
+  }
+
+  if (body.priority !== undefined) {
+    const n = Number(body.priority);
+    if (!Number.isFinite(n)) return { error: "priority must be a number" };
+    fields.priority = n;
+  }
+
+  if (body.isServiced !== undefined) fields.isServiced = body.isServiced !== false;
+  if (body.notServicedReason !== undefined) {
+    fields.notServicedReason = String(body.notServicedReason || "").trim();
+  }
+
+  if (body.pricingOverrides !== undefined) {
+    fields.pricingOverrides = sanitizePricingOverrides(body.pricingOverrides);
+  }
+
+  for (const k of [
+    "towTruckTypesEnabled",
+    "towTruckTypesDisabled",
+    "mechanicCategoriesEnabled",
+    "mechanicCategoriesDisabled",
+  ]) {
+    if (body[k] !== undefined) fields[k] = toStringList(body[k]);
+  }
+
+  return { fields };
+}
+
 /**
  * ✅ GET all zones (PER COUNTRY WORKSPACE)
  * GET /api/admin/zones
@@ -91,6 +143,11 @@ router.post(
         return res.status(400).json({ message: "Zone name is required ❌" });
       }
 
+      const area = buildZoneAreaFields(req.body);
+      if (area.error) {
+        return res.status(400).json({ message: `${area.error} ❌`, code: "INVALID_ZONE" });
+      }
+
       // ✅ uniqueness per country
       const exists = await Zone.findOne({
         countryCode: workspaceCountryCode,
@@ -105,6 +162,7 @@ router.post(
         name: name.trim(),
         description: description || "",
         isActive: isActive !== undefined ? isActive : true,
+        ...area.fields,
         createdBy: req.user._id,
         countryCode: workspaceCountryCode,
       });
@@ -123,6 +181,51 @@ router.post(
   }
 );
 
+/**
+ * ✅ Which zone covers a point + would a request be accepted there
+ * GET /api/admin/zones/resolve?lat=&lng=&roleNeeded=&towTruckTypeNeeded=&mechanicCategoryNeeded=
+ */
+router.get(
+  "/resolve",
+  auth,
+  authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN),
+  async (req, res) => {
+    try {
+      if (!requirePermission(req, res, "canManageZones")) return;
+
+      const workspaceCountryCode = resolveCountryCode(req);
+      const lat = Number(req.query.lat);
+      const lng = Number(req.query.lng);
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return res.status(400).json({ message: "lat and lng are required ❌" });
+      }
+
+      const result = await checkServiceArea({
+        countryCode: workspaceCountryCode,
+        lat,
+        lng,
+        roleNeeded: req.query.roleNeeded || null,
+        towTruckTypeNeeded: req.query.towTruckTypeNeeded || null,
+        mechanicCategoryNeeded: req.query.mechanicCategoryNeeded || null,
+      });
+
+      return res.status(200).json({
+        countryCode: workspaceCountryCode,
+        serviceable: result.ok,
+        code: result.ok ? null : result.code,
+        reason: result.ok ? null : result.message,
+        zone: result.zone ? { _id: result.zone._id, name: result.zone.name } : null,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        message: "Failed to resolve zone ❌",
+        error: err.message,
+      });
+    }
+  }
+);
+
 /**
  * ✅ UPDATE zone (PER COUNTRY WORKSPACE)
  * PATCH /api/admin/zones/:id
@@ -145,10 +248,20 @@ router.patch(
 
       if (!zone) return res.status(404).json({ message: "Zone not found ❌" });
 
+      const area = buildZoneAreaFields(req.body);
+      if (area.error) {
+        return res.status(400).json({ message: `${area.error} ❌`, code: "INVALID_ZONE" });
+      }
+
       if (name !== undefined) zone.name = String(name).trim();
       if (description !== undefined) zone.description = description;
       if (isActive !== undefined) zone.isActive = isActive;
 
+      for (const [k, v] of Object.entries(area.fields)) {
+        zone.set(k, v);
+        if (k === "pricingOverrides") zone.markModified("pricingOverrides");
+      }
+
       zone.updatedBy = req.user._id;
 
       await zone.save();
@@ -34,9 +34,9 @@ function normalizeStatus(raw) {
 function isChatActive(st) {
   const activeStatuses = [
     JOB_STATUSES.ASSIGNED, 
+    JOB_STATUSES.ARRIVED,
     JOB_STATUSES.IN_PROGRESS, 
     "ACCEPTED", 
-    "ARRIVED", 
     "ON_THE_WAY"
   ];
   return activeStatuses.includes(st);
@@ -62,12 +62,12 @@ router.get("/metrics", auth, requirePartnerAccess, async (req, res) => {
 
     // Busy Drivers = Online + Active Job
     const busyDrivers = await Job.distinct("assignedTo", {
-      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] },
+      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] },
       assignedTo: { $in: await User.find({ partnerId }).distinct("_id") }
     });
 
     const activeJobs = await Job.countDocuments({
-      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] },
+      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] },
       assignedTo: { $in: await User.find({ partnerId }).distinct("_id") }
     });
 
@@ -162,7 +162,7 @@ router.get("/live-map", auth, requirePartnerAccess, async (req, res) => {
 
     // Enhance with busy status
     const busyDriverIds = await Job.distinct("assignedTo", {
-      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] }
+      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] }
     });
 
     const markers = drivers.map(d => ({
@@ -58,7 +58,7 @@ router.get("/metrics", auth, requirePartnerAccess, async (req, res) => {
 
     const totalCodes = await InsuranceCode.countDocuments({ partner: partnerId });
     const usedCodes = await InsuranceCode.countDocuments({ partner: partnerId, "usage.usedCount": { $gt: 0 } });
-    const activeJobs = await Job.countDocuments({ "insurance.partnerId": partnerId, status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] } });
+    const activeJobs = await Job.countDocuments({ "insurance.partnerId": partnerId, status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] } });
     const completedJobs = await Job.countDocuments({ "insurance.partnerId": partnerId, status: JOB_STATUSES.COMPLETED });
 
     return res.status(200).json({
@@ -12,26 +12,72 @@ import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
 
 import { findNearbyProviders } from "../utils/findNearbyProviders.js";
-import { sendJobCompletedEmail } from "../utils/sendJobCompletedEmail.js";
-import { sendJobAcceptedEmail } from "../utils/sendJobAcceptedEmail.js";
 import { broadcastJobToProviders } from "../utils/broadcastJob.js";
+import { buildJobSchedule } from "../utils/scheduledJobs.js";
+import { sendPushToUser } from "../utils/sendPush.js";
 
 // ✅ NEW PRICING FUNCTION
 import { calculateJobPricing } from "../utils/calculateJobPricing.js";
+import { estimateJobEta } from "../utils/jobTracking.js";
+import { emitJobTracking } from "../socket/jobTrackingSocket.js";
+import { checkServiceArea, filterTowTruckTypesForZone } from "../utils/serviceZones.js";
+import { generateStartPin } from "../utils/jobArrival.js";
+import {
+  ROADSIDE_SERVICES,
+  isRoadsideServiceType,
+  resolveJobService,
+  normalizeServiceDetails,
+} from "../utils/roadsideServices.js";
+import {
+  normalizeWaypoints,
+  buildJobLegs,
+  buildJobLegFields,
+  sumLegDistanceKm,
+  completeJobLeg,
+} from "../utils/jobLegs.js";
+import {
+  addJobInvoiceItem,
+  removeJobInvoiceItem,
+  decideJobInvoiceItem,
+  summarizeInvoiceItems,
+} from "../utils/jobInvoice.js";
+import { buildJobReceipt, issueJobInvoiceNumber } from "../utils/jobReceipt.js";
+import { getTaxRules, buildPricingTax, taxRulesFromSnapshot, bookingFeeChargeAmount } from "../utils/taxEngine.js";
+import { renderJobReceiptPdfBuffer } from "../utils/pdf/receiptPdf.js";
+import { translate } from "../i18n/index.js";
 
 // ✅ INSURANCE SERVICES
+// (code is consumed / unlocked by job lifecycle effects)
 import {
   validateInsuranceCode,
-  markInsuranceCodeUsed,
   lockInsuranceCodeForJob,
-  unlockInsuranceCode,
 } from "../services/insurance/codeService.js";
 
-// ✅ Paystack refund helper (real refund)
-import { paystackRefundPayment } from "../services/payments/providers/paystack.js";
+// ✅ Job lifecycle (status transitions + history + hooks)
+import {
+  JOB_ACTORS,
+  actorForUser,
+  transitionJob,
+  sendTransitionError,
+} from "../services/jobLifecycle.service.js";
+
+// ✅ Booking fee refund on cancel (shared with dispatcher timeout)
+import { settleJobPaymentOnCancel } from "../services/payments/bookingFeeRefund.js";
+
+// ✅ Customer wallet credit applied to booking fees
+import { applyWalletToBookingFee } from "../services/wallet/walletLedger.js";
+import WalletTransaction from "../models/WalletTransaction.js";
 
 const router = express.Router();
 
+/**
+ * ✅ Insurance waiver: booking fee 0 → re-run the tax breakdown with the same rates
+ */
+function waiveBookingFee(pricing) {
+  pricing.bookingFee = 0;
+  pricing.tax = buildPricingTax(pricing, taxRulesFromSnapshot(pricing.tax));
+}
+
 function resolveReqCountryCode(req) {
   return (
     req.countryCode ||
@@ -72,15 +118,34 @@ function normalizeServicesForEnforcement(services = {}) {
     chatEnabled: typeof s.chatEnabled === "boolean" ? s.chatEnabled : true,
     ratingsEnabled: typeof s.ratingsEnabled === "boolean" ? s.ratingsEnabled : true,
     insuranceEnabled: typeof s.insuranceEnabled === "boolean" ? s.insuranceEnabled : false,
+
+    // ✅ roadside services are opt-in per country
+    jumpStartEnabled: s.jumpStartEnabled === true,
+    tyreChangeEnabled: s.tyreChangeEnabled === true,
+    fuelDeliveryEnabled: s.fuelDeliveryEnabled === true,
+    lockoutEnabled: s.lockoutEnabled === true,
+    winchRecoveryEnabled: s.winchRecoveryEnabled === true,
   };
 }
 
-async function enforceServiceEnabledOrThrow({ countryCode, roleNeeded }) {
+async function enforceServiceEnabledOrThrow({ countryCode, roleNeeded, serviceType = null }) {
   const cfg =
     (await CountryServiceConfig.findOne({ countryCode }).select("services").lean()) || null;
 
   const services = normalizeServicesForEnforcement(cfg?.services);
 
+  if (isRoadsideServiceType(serviceType)) {
+    const def = ROADSIDE_SERVICES[serviceType];
+    if (!services[def.countryFlag]) {
+      return {
+        ok: false,
+        code: "SERVICE_DISABLED",
+        message: `${def.label} service is disabled in this country.`,
+      };
+    }
+    return { ok: true, services };
+  }
+
   if (roleNeeded === USER_ROLES.TOW_TRUCK && !services.towingEnabled) {
     return {
       ok: false,
@@ -100,17 +165,56 @@ async function enforceServiceEnabledOrThrow({ countryCode, roleNeeded }) {
   return { ok: true, services };
 }
 
+/**
+ * ✅ Tow distance: pickup → waypoints → dropoff as drive legs (services/routing)
+ * A plain tow is a single leg; `route` is only set then (pricing reuses it per tow type).
+ * Returns { ok, route, legs, waypoints, distanceKm } or { ok:false, status, code, message }
+ */
+async function resolveTowDistance({ body, countryCode, pricingConfig }) {
+  const { pickupLat, pickupLng, pickupAddressText, dropoffLat, dropoffLng, dropoffAddressText } =
+    body || {};
+
+  if (dropoffLat === undefined || dropoffLng === undefined) {
+    return { ok: true, route: null, legs: [], waypoints: [], distanceKm: 0 };
+  }
+
+  const checked = normalizeWaypoints(body.waypoints, pricingConfig);
+  if (!checked.ok) return checked;
+
+  const legs = await buildJobLegs({
+    pickup: { lat: pickupLat, lng: pickupLng, addressText: pickupAddressText, label: "Pickup" },
+    waypoints: checked.waypoints,
+    dropoff: { lat: dropoffLat, lng: dropoffLng, addressText: dropoffAddressText, label: "Dropoff" },
+    countryCode,
+  });
+
+  const single = legs.length === 1 && legs[0].distanceSource ? legs[0] : null;
+
+  return {
+    ok: true,
+    route: single
+      ? {
+          distanceKm: single.distanceKm,
+          durationMinutes: single.durationMinutes,
+          source: single.distanceSource,
+        }
+      : null,
+    legs,
+    waypoints: checked.waypoints,
+    distanceKm: sumLegDistanceKm(legs),
+  };
+}
+
 const CUSTOMER_BLOCK_STATUSES = [
   JOB_STATUSES.BROADCASTED,
   JOB_STATUSES.ASSIGNED,
+  JOB_STATUSES.ARRIVED,
   JOB_STATUSES.IN_PROGRESS,
 ];
 
 const CUSTOMER_CANCEL_REFUND_WINDOW_MS = 3 * 60 * 1000;
 const PROVIDER_NO_SHOW_REFUND_WINDOW_MS = 45 * 60 * 1000;
 
-const START_JOB_MAX_DISTANCE_METERS = 30;
-
 const MECHANIC_FINAL_FEE_DISCLAIMER =
   "⚠️ Mechanic final fee will be determined after diagnosis. Only the booking fee is paid now.";
 
@@ -173,71 +277,6 @@ async function recomputeUserRatingStats(userId) {
   });
 }
 
-function haversineDistanceKm(lat1, lng1, lat2, lng2) {
-  const toRad = (v) => (v * Math.PI) / 180;
-
-  const R = 6371;
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
-
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
-
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return Number((R * c).toFixed(2));
-}
-
-function haversineDistanceMeters(lat1, lng1, lat2, lng2) {
-  return Math.round(haversineDistanceKm(lat1, lng1, lat2, lng2) * 1000);
-}
-
-/* ============================================================
-   ✅ REFUND HELPERS (REAL gateway refund)
-============================================================ */
-
-function resolveRefundRequestedStatus() {
-  const v = PAYMENT_STATUSES?.REFUND_REQUESTED;
-  if (v) return v;
-  return PAYMENT_STATUSES?.PAID || "PAID";
-}
-
-function normalizeProviderKey(v) {
-  return String(v || "").trim().toUpperCase();
-}
-
-/**
- * ✅ Attempt refund via gateway (Paystack).
- * Returns: { ok, mode, refundResponse?, message? }
- */
-async function attemptGatewayRefund({ payment, reason }) {
-  const provider = normalizeProviderKey(payment?.provider);
-
-  if (!payment || payment.status !== PAYMENT_STATUSES.PAID) {
-    return { ok: false, mode: "DB_ONLY", message: "Payment is not PAID" };
-  }
-
-  if (provider === "PAYSTACK") {
-    const reference = String(payment.providerReference || "").trim();
-    if (!reference) return { ok: false, mode: "DB_ONLY", message: "Missing providerReference" };
-
-    const refundRes = await paystackRefundPayment({
-      reference,
-      amount: payment.amount,
-      currency: payment.currency,
-      reason,
-    });
-
-    return { ok: true, mode: "GATEWAY", refundResponse: refundRes };
-  }
-
-  return {
-    ok: true,
-    mode: "DB_ONLY",
-    message: `Gateway refund not implemented for ${provider}. Marked REFUND_REQUESTED only.`,
-  };
-}
-
 /* ============================================================
    Helper: validate insurance payload (if present) and return waiver decision
 ============================================================ */
@@ -346,7 +385,6 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
     const {
       title,
       description,
-      roleNeeded,
       pickupLat,
       pickupLng,
       pickupAddressText,
@@ -357,17 +395,37 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
       vehicleType,
       mechanicCategoryNeeded,
       customerProblemDescription,
+      serviceDetails,
+      scheduledFor,
     } = req.body;
 
-    if (!title || !roleNeeded || pickupLat === undefined || pickupLng === undefined) {
+    if (
+      !title ||
+      (!req.body.roleNeeded && !req.body.serviceType) ||
+      pickupLat === undefined ||
+      pickupLng === undefined
+    ) {
       return res.status(400).json({
-        message: "title, roleNeeded, pickupLat, pickupLng are required",
+        message: "title, roleNeeded (or serviceType), pickupLat, pickupLng are required",
       });
     }
 
+    // ✅ booked service → provider role (roadside services pick the role)
+    const service = resolveJobService({
+      roleNeeded: req.body.roleNeeded,
+      serviceType: req.body.serviceType,
+    });
+    if (!service.ok) {
+      return res.status(service.status).json({ message: service.message, code: service.code });
+    }
+
+    const { roleNeeded, serviceType } = service;
+    const roadside = isRoadsideServiceType(serviceType);
+
     const serviceGate = await enforceServiceEnabledOrThrow({
       countryCode: requestCountryCode,
       roleNeeded,
+      serviceType,
     });
     if (!serviceGate.ok) {
       return res.status(403).json({
@@ -378,6 +436,7 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
     }
 
     if (
+      !roadside &&
       roleNeeded === USER_ROLES.TOW_TRUCK &&
       (dropoffLat === undefined || dropoffLng === undefined)
     ) {
@@ -386,7 +445,7 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
       });
     }
 
-    if (roleNeeded === USER_ROLES.MECHANIC) {
+    if (!roadside && roleNeeded === USER_ROLES.MECHANIC) {
       if (!mechanicCategoryNeeded) {
         return res.status(400).json({
           message: "mechanicCategoryNeeded is required for Mechanic jobs",
@@ -394,9 +453,27 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
       }
     }
 
-    const normalizedTowTruckTypeNeeded = towTruckTypeNeeded
-      ? normalizeTowTruckType(towTruckTypeNeeded)
-      : null;
+    const normalizedTowTruckTypeNeeded =
+      towTruckTypeNeeded && !roadside ? normalizeTowTruckType(towTruckTypeNeeded) : null;
+
+    // ✅ Geofenced service area (Zone polygons)
+    const serviceArea = await checkServiceArea({
+      countryCode: requestCountryCode,
+      lat: pickupLat,
+      lng: pickupLng,
+      roleNeeded,
+      towTruckTypeNeeded: normalizedTowTruckTypeNeeded,
+      mechanicCategoryNeeded:
+        !roadside && roleNeeded === USER_ROLES.MECHANIC ? mechanicCategoryNeeded : null,
+    });
+    if (!serviceArea.ok) {
+      return res.status(serviceArea.status).json({
+        message: serviceArea.message,
+        code: serviceArea.code,
+        zone: serviceArea.zone,
+        countryCode: requestCountryCode,
+      });
+    }
 
     let config = await PricingConfig.findOne({ countryCode: requestCountryCode });
     if (!config) config = await PricingConfig.create({ countryCode: requestCountryCode });
@@ -415,12 +492,24 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
       towTruckTypes = config.towTruckTypes;
     }
 
-    const distanceKm =
-      roleNeeded === USER_ROLES.TOW_TRUCK &&
-      dropoffLat !== undefined &&
-      dropoffLng !== undefined
-        ? haversineDistanceKm(pickupLat, pickupLng, dropoffLat, dropoffLng)
-        : 0;
+    // ✅ zone may switch tow truck types on / off
+    towTruckTypes = filterTowTruckTypesForZone(towTruckTypes, serviceArea.zone);
+
+    // ✅ drive distance per leg (services/routing, haversine × detour fallback)
+    const towDistance =
+      !roadside && roleNeeded === USER_ROLES.TOW_TRUCK
+        ? await resolveTowDistance({
+            body: req.body,
+            countryCode: requestCountryCode,
+            pricingConfig: config,
+          })
+        : { ok: true, route: null, legs: [], waypoints: [], distanceKm: 0 };
+
+    if (!towDistance.ok) {
+      return res.status(towDistance.status).json({ message: towDistance.message, code: towDistance.code });
+    }
+
+    const { route, legs, distanceKm } = towDistance;
 
     const countryCurrency = await getCountryCurrency(requestCountryCode);
 
@@ -436,6 +525,72 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
 
     const forceBookingFeeZero = waiver.waived === true;
 
+    // ✅ scheduled booking: quote at the slot time (night / weekend / holiday), like job creation
+    let serviceAt = null;
+    if (scheduledFor) {
+      const built = await buildJobSchedule({ scheduledFor, countryCode: requestCountryCode });
+      if (!built.ok) {
+        return res.status(built.status).json({ message: built.message, code: built.code });
+      }
+      serviceAt = built.schedule.scheduledFor;
+    }
+
+    if (roadside) {
+      const details = normalizeServiceDetails({ serviceType, serviceDetails, pricingConfig: config });
+      if (!details.ok) {
+        return res.status(details.status).json({ message: details.message, code: details.code });
+      }
+
+      const pricing = await calculateJobPricing({
+        roleNeeded,
+        pickupLat,
+        pickupLng,
+        dropoffLat: undefined,
+        dropoffLng: undefined,
+        towTruckTypeNeeded: null,
+        vehicleType,
+        distanceKm: 0,
+        countryCode: requestCountryCode,
+        zone: serviceArea.zone,
+        serviceAt,
+        serviceType,
+        serviceDetails: details.details,
+      });
+
+      if (!pricing.currency) pricing.currency = countryCurrency;
+      if (forceBookingFeeZero) waiveBookingFee(pricing);
+
+      const providers = await findNearbyProviders({
+        roleNeeded,
+        pickupLng,
+        pickupLat,
+        towTruckTypeNeeded: null,
+        vehicleType,
+        serviceType,
+        isInsurance: forceBookingFeeZero,
+        excludedProviders: [],
+        maxDistanceMeters: 20000,
+        limit: 10,
+      });
+
+      const label = ROADSIDE_SERVICES[serviceType].label;
+
+      return res.status(200).json({
+        providersFound: providers.length > 0,
+        providerCount: providers.length,
+        message:
+          providers.length > 0
+            ? forceBookingFeeZero
+              ? `${label} providers found ✅ Insurance accepted. Booking fee waived.`
+              : `${label} providers found ✅ Please pay booking fee to proceed`
+            : `No ${label.toLowerCase()} providers online within range. Booking fee not required.`,
+        insurance: forceBookingFeeZero
+          ? { applied: true, code: waiver.code, partnerId: waiver.partnerId || null }
+          : { applied: false },
+        preview: { ...pricing, serviceDetails: details.details },
+      });
+    }
+
     if (roleNeeded === USER_ROLES.MECHANIC) {
       const pricing = await calculateJobPricing({
         roleNeeded,
@@ -448,10 +603,12 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
         distanceKm: 0,
         mechanicCategory: mechanicCategoryNeeded,
         countryCode: requestCountryCode,
+        zone: serviceArea.zone,
+        serviceAt,
       });
 
       if (!pricing.currency) pricing.currency = countryCurrency;
-      if (forceBookingFeeZero) pricing.bookingFee = 0;
+      if (forceBookingFeeZero) waiveBookingFee(pricing);
 
       const providers = await findNearbyProviders({
         roleNeeded,
@@ -487,6 +644,9 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
           bookingFee: pricing.bookingFee,
           estimatedTotal: 0,
           estimatedDistanceKm: 0,
+          surgeMultiplier: pricing.surgeMultiplier,
+          surge: pricing.surge,
+          tax: pricing.tax,
           mechanicCategoryNeeded,
           customerProblemDescription: customerProblemDescription || null,
         },
@@ -503,11 +663,15 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
         towTruckTypeNeeded: normalizedTowTruckTypeNeeded,
         vehicleType,
         distanceKm,
+        route,
+        legs,
         countryCode: requestCountryCode,
+        zone: serviceArea.zone,
+        serviceAt,
       });
 
       if (!pricing.currency) pricing.currency = countryCurrency;
-      if (forceBookingFeeZero) pricing.bookingFee = 0;
+      if (forceBookingFeeZero) waiveBookingFee(pricing);
 
       const providers = await findNearbyProviders({
         roleNeeded,
@@ -551,11 +715,15 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
         towTruckTypeNeeded: normalizedType,
         vehicleType,
         distanceKm,
+        route,
+        legs,
         countryCode: requestCountryCode,
+        zone: serviceArea.zone,
+        serviceAt,
       });
 
       if (!pricing.currency) pricing.currency = countryCurrency;
-      if (forceBookingFeeZero) pricing.bookingFee = 0;
+      if (forceBookingFeeZero) waiveBookingFee(pricing);
 
       const providersForType = await findNearbyProviders({
         roleNeeded,
@@ -576,6 +744,11 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
         estimatedDistanceKm: pricing.estimatedDistanceKm,
         towTruckTypeMultiplier: pricing.towTruckTypeMultiplier,
         vehicleTypeMultiplier: pricing.vehicleTypeMultiplier,
+        surgeMultiplier: pricing.surgeMultiplier,
+        surge: pricing.surge,
+        stopFee: pricing.stopFee,
+        legs: pricing.legs,
+        tax: pricing.tax,
         providersCount: providersForType.length,
         status: providersForType.length > 0 ? "ONLINE" : "OFFLINE",
       };
@@ -605,6 +778,16 @@ router.post("/preview", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, r
       preview: {
         currency: countryCurrency,
         distanceKm,
+        estimatedDurationMinutes: route?.durationMinutes ?? null,
+        distanceSource: route?.source ?? null,
+        waypoints: towDistance.waypoints,
+        legs: legs.map(({ sequence, from, to, distanceKm: legKm, durationMinutes }) => ({
+          sequence,
+          from,
+          to,
+          distanceKm: legKm,
+          durationMinutes,
+        })),
         resultsByTowTruckType,
       },
     });
@@ -628,9 +811,22 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
 
     const requestCountryCode = resolveReqCountryCode(req);
 
+    // ✅ booked service → provider role (roadside services pick the role)
+    const service = resolveJobService({
+      roleNeeded: req.body?.roleNeeded,
+      serviceType: req.body?.serviceType,
+    });
+    if (!service.ok) {
+      return res.status(service.status).json({ message: service.message, code: service.code });
+    }
+
+    const { roleNeeded, serviceType } = service;
+    const roadside = isRoadsideServiceType(serviceType);
+
     const serviceGate = await enforceServiceEnabledOrThrow({
       countryCode: requestCountryCode,
-      roleNeeded: req.body?.roleNeeded,
+      roleNeeded,
+      serviceType,
     });
     if (!serviceGate.ok) {
       return res.status(403).json({
@@ -663,7 +859,6 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
     const {
       title,
       description,
-      roleNeeded,
       pickupLat,
       pickupLng,
       pickupAddressText,
@@ -674,15 +869,34 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
       vehicleType,
       mechanicCategoryNeeded,
       customerProblemDescription,
+      scheduledFor,
+      serviceDetails,
     } = req.body;
 
-    if (!title || !roleNeeded || pickupLat === undefined || pickupLng === undefined) {
+    if (!title || pickupLat === undefined || pickupLng === undefined) {
       return res.status(400).json({
-        message: "title, roleNeeded, pickupLat, pickupLng are required",
+        message: "title, roleNeeded (or serviceType), pickupLat, pickupLng are required",
       });
     }
 
+    const countryPricingConfig = await PricingConfig.findOne({ countryCode: requestCountryCode }).lean();
+
+    // ✅ roadside extras (fuel litres etc.) validated against the country pricing block
+    let roadsideDetails = null;
+    if (roadside) {
+      const details = normalizeServiceDetails({
+        serviceType,
+        serviceDetails,
+        pricingConfig: countryPricingConfig,
+      });
+      if (!details.ok) {
+        return res.status(details.status).json({ message: details.message, code: details.code });
+      }
+      roadsideDetails = details.details;
+    }
+
     if (
+      !roadside &&
       roleNeeded === USER_ROLES.TOW_TRUCK &&
       (dropoffLat === undefined || dropoffLng === undefined)
     ) {
@@ -691,7 +905,7 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
       });
     }
 
-    if (roleNeeded === USER_ROLES.MECHANIC) {
+    if (!roadside && roleNeeded === USER_ROLES.MECHANIC) {
       if (!mechanicCategoryNeeded) {
         return res.status(400).json({
           message: "mechanicCategoryNeeded is required for Mechanic jobs",
@@ -699,6 +913,16 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
       }
     }
 
+    // ✅ Scheduled (future-dated) booking
+    let schedule = null;
+    if (scheduledFor) {
+      const built = await buildJobSchedule({ scheduledFor, countryCode: requestCountryCode });
+      if (!built.ok) {
+        return res.status(built.status).json({ message: built.message, code: built.code });
+      }
+      schedule = built.schedule;
+    }
+
     const waiver = await resolveInsuranceWaiver({
       req,
       requestCountryCode,
@@ -711,9 +935,27 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
 
     const insuranceWaived = waiver.waived === true;
 
-    const normalizedTowTruckTypeNeeded = towTruckTypeNeeded
-      ? normalizeTowTruckType(towTruckTypeNeeded)
-      : null;
+    const normalizedTowTruckTypeNeeded =
+      towTruckTypeNeeded && !roadside ? normalizeTowTruckType(towTruckTypeNeeded) : null;
+
+    // ✅ Geofenced service area (Zone polygons)
+    const serviceArea = await checkServiceArea({
+      countryCode: requestCountryCode,
+      lat: pickupLat,
+      lng: pickupLng,
+      roleNeeded,
+      towTruckTypeNeeded: normalizedTowTruckTypeNeeded,
+      mechanicCategoryNeeded:
+        !roadside && roleNeeded === USER_ROLES.MECHANIC ? mechanicCategoryNeeded : null,
+    });
+    if (!serviceArea.ok) {
+      return res.status(serviceArea.status).json({
+        message: serviceArea.message,
+        code: serviceArea.code,
+        zone: serviceArea.zone,
+        countryCode: requestCountryCode,
+      });
+    }
 
     const providers = await findNearbyProviders({
       roleNeeded,
@@ -721,52 +963,70 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
       pickupLat,
       towTruckTypeNeeded: normalizedTowTruckTypeNeeded,
       vehicleType,
-      mechanicCategoryNeeded: roleNeeded === USER_ROLES.MECHANIC ? mechanicCategoryNeeded : null,
+      mechanicCategoryNeeded:
+        !roadside && roleNeeded === USER_ROLES.MECHANIC ? mechanicCategoryNeeded : null,
+      serviceType,
       isInsurance: insuranceWaived, // ✅ NEW
       excludedProviders: [],
       maxDistanceMeters: 20000,
       limit: 10,
     });
 
-    if (!providers || providers.length === 0) {
+    // ✅ Scheduled jobs are dispatched later, so nobody needs to be online right now
+    if (!schedule && (!providers || providers.length === 0)) {
       return res.status(400).json({
         message: "No providers online within range. Cannot create job.",
       });
     }
 
-    const distanceKm =
-      roleNeeded === USER_ROLES.TOW_TRUCK &&
-      dropoffLat !== undefined &&
-      dropoffLng !== undefined
-        ? haversineDistanceKm(pickupLat, pickupLng, dropoffLat, dropoffLng)
-        : 0;
+    // roadside services: fixed price like towing, no dropoff, no diagnosis disclaimer
+    const isTowing = !roadside && roleNeeded === USER_ROLES.TOW_TRUCK;
+    const isMechanicDiagnosis = !roadside && roleNeeded === USER_ROLES.MECHANIC;
+
+    // ✅ drive distance per leg (services/routing, haversine × detour fallback)
+    const towDistance = isTowing
+      ? await resolveTowDistance({
+          body: req.body,
+          countryCode: requestCountryCode,
+          pricingConfig: countryPricingConfig,
+        })
+      : { ok: true, route: null, legs: [], waypoints: [], distanceKm: 0 };
+
+    if (!towDistance.ok) {
+      return res.status(towDistance.status).json({ message: towDistance.message, code: towDistance.code });
+    }
+
+    const { route, legs, distanceKm } = towDistance;
 
     const pricing = await calculateJobPricing({
       roleNeeded,
       pickupLat,
       pickupLng,
-      dropoffLat: roleNeeded === USER_ROLES.TOW_TRUCK ? dropoffLat : undefined,
-      dropoffLng: roleNeeded === USER_ROLES.TOW_TRUCK ? dropoffLng : undefined,
-      towTruckTypeNeeded: roleNeeded === USER_ROLES.TOW_TRUCK ? normalizedTowTruckTypeNeeded : null,
+      dropoffLat: isTowing ? dropoffLat : undefined,
+      dropoffLng: isTowing ? dropoffLng : undefined,
+      towTruckTypeNeeded: isTowing ? normalizedTowTruckTypeNeeded : null,
       vehicleType,
       distanceKm,
-      mechanicCategory: roleNeeded === USER_ROLES.MECHANIC ? mechanicCategoryNeeded : null,
+      route,
+      legs,
+      mechanicCategory: isMechanicDiagnosis ? mechanicCategoryNeeded : null,
       countryCode: requestCountryCode,
+      serviceAt: schedule?.scheduledFor || null,
+      zone: serviceArea.zone,
+      serviceType,
+      serviceDetails: roadsideDetails,
     });
 
     if (!pricing.currency) pricing.currency = await getCountryCurrency(requestCountryCode);
-    if (insuranceWaived) pricing.bookingFee = 0;
+    if (insuranceWaived) waiveBookingFee(pricing);
 
-    const hasDropoff =
-      roleNeeded === USER_ROLES.TOW_TRUCK && dropoffLat !== undefined && dropoffLng !== undefined;
+    const hasDropoff = isTowing && dropoffLat !== undefined && dropoffLng !== undefined;
 
-    const paymentMode =
-      roleNeeded === USER_ROLES.TOW_TRUCK ? "DIRECT_TO_PROVIDER" : "PAY_AFTER_COMPLETION";
+    const paymentMode = isMechanicDiagnosis ? "PAY_AFTER_COMPLETION" : "DIRECT_TO_PROVIDER";
 
-    const safePricing =
-      roleNeeded === USER_ROLES.MECHANIC
-        ? { ...pricing, estimatedTotal: 0, estimatedDistanceKm: 0 }
-        : pricing;
+    const safePricing = isMechanicDiagnosis
+      ? { ...pricing, estimatedTotal: 0, estimatedDistanceKm: 0 }
+      : pricing;
 
     const bookingFeeStatus = insuranceWaived ? "PAID" : "PENDING";
     const bookingFeePaidAt = insuranceWaived ? new Date() : null;
@@ -776,7 +1036,10 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
       description,
       customerProblemDescription: customerProblemDescription || null,
       roleNeeded,
+      serviceType,
+      serviceDetails: roadsideDetails || undefined,
       countryCode: requestCountryCode,
+      zone: serviceArea.zone?._id || null,
 
       pickupLocation: { type: "Point", coordinates: [pickupLng, pickupLat] },
       pickupAddressText: pickupAddressText || null,
@@ -786,14 +1049,27 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
         : undefined,
       dropoffAddressText: hasDropoff ? dropoffAddressText : undefined,
 
+      ...buildJobLegFields({ legs, pricedLegs: pricing.legs, waypoints: towDistance.waypoints }),
+
       towTruckTypeNeeded: normalizedTowTruckTypeNeeded || null,
-      mechanicCategoryNeeded: roleNeeded === USER_ROLES.MECHANIC ? mechanicCategoryNeeded : null,
+      mechanicCategoryNeeded: isMechanicDiagnosis ? mechanicCategoryNeeded : null,
       vehicleType: vehicleType || null,
 
       customer: req.user._id,
       status: JOB_STATUSES.CREATED,
+      statusHistory: [
+        {
+          from: null,
+          to: JOB_STATUSES.CREATED,
+          actor: JOB_ACTORS.CUSTOMER,
+          actorId: req.user._id,
+          reason: "Job created",
+        },
+      ],
       paymentMode,
 
+      ...(schedule ? { schedule } : {}),
+
       insurance: insuranceWaived
         ? {
             enabled: true,
@@ -808,10 +1084,9 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
             validatedAt: null,
           },
 
-      disclaimers:
-        roleNeeded === USER_ROLES.MECHANIC
-          ? { mechanicFinalFeeNotPredetermined: true, text: MECHANIC_FINAL_FEE_DISCLAIMER }
-          : { mechanicFinalFeeNotPredetermined: false, text: null },
+      disclaimers: isMechanicDiagnosis
+        ? { mechanicFinalFeeNotPredetermined: true, text: MECHANIC_FINAL_FEE_DISCLAIMER }
+        : { mechanicFinalFeeNotPredetermined: false, text: null },
 
       pricing: {
         ...safePricing,
@@ -844,17 +1119,60 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
     }
 
     let payment = null;
+    let walletApplied = 0;
+
+    // ✅ what the customer pays: VAT added on top when prices exclude tax
+    const bookingFeeDue = bookingFeeChargeAmount(safePricing);
+
+    if (bookingFeeDue > 0) {
+      // ✅ wallet credit first (opt out with useWallet=false); the gateway only charges the rest
+      const walletUse =
+        req.body?.useWallet === false
+          ? { applied: 0 }
+          : await applyWalletToBookingFee({
+              userId: req.user._id,
+              jobId: job._id,
+              amount: bookingFeeDue,
+              currency: safePricing.currency,
+              countryCode: requestCountryCode,
+              req,
+            });
+
+      walletApplied = walletUse.applied || 0;
+
+      if (walletApplied > 0) {
+        payment = await Payment.create({
+          job: job._id,
+          customer: req.user._id,
+          amount: walletApplied,
+          currency: safePricing.currency,
+          status: PAYMENT_STATUSES.PAID,
+          paidAt: new Date(),
+          provider: "WALLET",
+          providerReference: `WALLET-${walletUse.transaction._id}`,
+          countryCode: requestCountryCode,
+        });
 
-    if (Number(safePricing.bookingFee) > 0) {
-      payment = await Payment.create({
-        job: job._id,
-        customer: req.user._id,
-        amount: safePricing.bookingFee,
-        currency: safePricing.currency,
-        status: PAYMENT_STATUSES.PENDING,
-        provider: "SIMULATION",
-        countryCode: requestCountryCode,
-      });
+        await WalletTransaction.updateOne({ _id: walletUse.transaction._id }, { $set: { payment: payment._id } });
+      }
+
+      const remaining = Number((bookingFeeDue - walletApplied).toFixed(2));
+
+      if (remaining > 0) {
+        payment = await Payment.create({
+          job: job._id,
+          customer: req.user._id,
+          amount: remaining,
+          currency: safePricing.currency,
+          status: PAYMENT_STATUSES.PENDING,
+          provider: "SIMULATION",
+          countryCode: requestCountryCode,
+        });
+      } else {
+        job.pricing.bookingFeeStatus = "PAID";
+        job.pricing.bookingFeePaidAt = new Date();
+        await job.save();
+      }
     } else {
       const provider = insuranceWaived ? "INSURANCE" : "FREE_BOOKING";
       const providerReference = insuranceWaived ? waiver.code || null : null;
@@ -895,7 +1213,7 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
 
       if (insuranceWaived) {
         try {
-          await broadcastJobToProviders(job._id, requestCountryCode);
+          await broadcastJobToProviders(job._id);
         } catch (e) {
           console.error("❌ Insurance job broadcast failed:", e.message);
         }
@@ -916,17 +1234,28 @@ router.post("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) =>
       }
     }
 
+    const scheduledText = schedule
+      ? ` Scheduled for ${schedule.scheduledFor.toISOString()}.`
+      : "";
+
+    const feeText = insuranceWaived
+      ? "Insurance applied — booking fee waived."
+      : job.pricing?.bookingFeeStatus === "PAID" && walletApplied > 0
+        ? "Booking fee paid from wallet."
+        : "Booking fee required.";
+
     return res.status(201).json({
-      message: insuranceWaived
-        ? `Job created ✅ Providers found: ${providers.length}. Insurance applied — booking fee waived.`
-        : `Job created ✅ Providers found: ${providers.length}. Booking fee required.`,
-      disclaimer:
-        roleNeeded === USER_ROLES.MECHANIC
-          ? { mechanicFinalFeeNotPredetermined: true, text: MECHANIC_FINAL_FEE_DISCLAIMER }
-          : null,
+      message: `Job created ✅ Providers found: ${providers.length}.${scheduledText} ${feeText}`,
+      disclaimer: isMechanicDiagnosis
+        ? { mechanicFinalFeeNotPredetermined: true, text: MECHANIC_FINAL_FEE_DISCLAIMER }
+        : null,
       insurance: insuranceWaived
         ? { applied: true, code: waiver.code, partnerId: waiver.partnerId || null }
         : { applied: false },
+      wallet: {
+        applied: walletApplied,
+        amountDue: payment?.status === PAYMENT_STATUSES.PENDING ? payment.amount : 0,
+      },
       job,
       payment,
     });
@@ -959,10 +1288,8 @@ router.delete("/:id/draft", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (re
       });
     }
 
-    await Payment.updateMany(
-      { job: job._id, status: PAYMENT_STATUSES.PENDING },
-      { $set: { status: PAYMENT_STATUSES.CANCELLED } }
-    );
+    // ✅ cancels PENDING payments; wallet credit already applied to the draft goes back
+    await settleJobPaymentOnCancel({ job, refund: true, reason: "draft_deleted", req });
 
     await Job.findByIdAndDelete(job._id);
 
@@ -986,8 +1313,10 @@ router.get("/my/active", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req,
   try {
     const activeStatuses = [
       JOB_STATUSES.CREATED,
+      JOB_STATUSES.SCHEDULED,
       JOB_STATUSES.BROADCASTED,
       JOB_STATUSES.ASSIGNED,
+      JOB_STATUSES.ARRIVED,
       JOB_STATUSES.IN_PROGRESS,
     ];
 
@@ -1037,8 +1366,10 @@ router.get("/customer/active", auth, authorizeRoles(USER_ROLES.CUSTOMER), async
   try {
     const activeStatuses = [
       JOB_STATUSES.CREATED,
+      JOB_STATUSES.SCHEDULED,
       JOB_STATUSES.BROADCASTED,
       JOB_STATUSES.ASSIGNED,
+      JOB_STATUSES.ARRIVED,
       JOB_STATUSES.IN_PROGRESS,
     ];
 
@@ -1106,6 +1437,17 @@ router.get("/:id", auth, async (req, res) => {
     safeJob.providerLocation = providerLocation;
     safeJob.providerLastSeenAt = providerLastSeenAt;
 
+    // ✅ drive ETA for the current leg (same estimate as the tracking socket)
+    safeJob.eta = safeJob.assignedTo?.location
+      ? await estimateJobEta(job, safeJob.assignedTo.location)
+      : null;
+
+    // ✅ Start PIN is visible to the customer only, while the provider waits at pickup
+    if (isOwner && job.status === JOB_STATUSES.ARRIVED) {
+      const withPin = await Job.findById(job._id).select("+arrival.startPin").lean();
+      safeJob.arrival = { ...(safeJob.arrival || {}), startPin: withPin?.arrival?.startPin || null };
+    }
+
     return res.status(200).json({ job: safeJob });
   } catch (err) {
     console.error("❌ GET JOB ERROR:", err);
@@ -1116,9 +1458,117 @@ router.get("/:id", auth, async (req, res) => {
   }
 });
 
+/**
+ * ✅ Receipt / tax invoice PDF for a completed job
+ * GET /api/jobs/:id/receipt.pdf
+ * Customer or assigned provider. Labels follow X-LANGUAGE / Accept-Language (i18n middleware).
+ */
+router.get("/:id/receipt.pdf", auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id)
+      .populate("customer", "name")
+      .populate("assignedTo", "name");
+
+    if (!job) return res.status(404).json({ message: "Job not found" });
+
+    const isOwner = job.customer?._id?.toString() === req.user._id.toString();
+    const isAssignedProvider = job.assignedTo?._id?.toString() === req.user._id.toString();
+
+    if (!isOwner && !isAssignedProvider) {
+      return res.status(403).json({ message: "Not allowed" });
+    }
+
+    if (job.status !== JOB_STATUSES.COMPLETED) {
+      return res.status(409).json({
+        message: "A receipt is available once the job is completed",
+        code: "RECEIPT_NOT_AVAILABLE",
+        status: job.status,
+      });
+    }
+
+    const pricingConfig = await PricingConfig.findOne({ countryCode: job.countryCode })
+      .select("taxRules")
+      .lean();
+    const taxRules = getTaxRules(pricingConfig);
+
+    // jobs completed before invoice numbering get theirs on first download
+    const invoice = await issueJobInvoiceNumber(job, taxRules);
+
+    const lang = req.lang || "en";
+    const t = (key, vars = {}) =>
+      translate(lang, key, { ...vars, fallback: translate("en", key, vars) });
+
+    const pdfBuffer = await renderJobReceiptPdfBuffer({
+      job,
+      receipt: buildJobReceipt({ job, taxRules }),
+      invoice,
+      t,
+    });
+
+    const filename = `TowMech-${invoice?.invoiceNumber || job._id.toString()}.pdf`;
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Content-Length", pdfBuffer.length);
+    res.setHeader("Cache-Control", "no-store");
+
+    return res.status(200).send(pdfBuffer);
+  } catch (err) {
+    console.error("❌ JOB RECEIPT PDF ERROR:", err);
+    return res.status(500).json({ message: "Could not generate receipt", error: err.message });
+  }
+});
+
+/**
+ * ✅ CUSTOMER issues a new start PIN (lost PIN / too many wrong attempts)
+ * POST /api/jobs/:id/start-pin/reissue
+ */
+router.post(
+  "/:id/start-pin/reissue",
+  auth,
+  authorizeRoles(USER_ROLES.CUSTOMER),
+  async (req, res) => {
+    try {
+      const job = await Job.findById(req.params.id);
+      if (!job) return res.status(404).json({ message: "Job not found" });
+
+      if (job.customer?.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: "Not allowed: job not yours" });
+      }
+
+      if (job.status !== JOB_STATUSES.ARRIVED) {
+        return res.status(400).json({
+          message: "A start PIN can only be issued after the provider has arrived.",
+          code: "JOB_NOT_ARRIVED",
+          currentStatus: job.status,
+        });
+      }
+
+      const startPin = generateStartPin();
+
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            "arrival.startPin": startPin,
+            "arrival.pinIssuedAt": new Date(),
+            "arrival.pinAttempts": 0,
+          },
+        }
+      );
+
+      return res.status(200).json({ message: "New start PIN issued ✅", startPin });
+    } catch (err) {
+      console.error("❌ START PIN REISSUE ERROR:", err);
+      return res.status(500).json({ message: "Failed to issue start PIN", error: err.message });
+    }
+  }
+);
+
 /**
  * ✅ CUSTOMER authorizes job start (Phase 1)
  * PATCH /api/jobs/:id/authorize-start
+ * Lets the provider confirm ARRIVED even outside the pickup geofence (GPS drift)
  */
 router.patch("/:id/authorize-start", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
   try {
@@ -1167,14 +1617,6 @@ router.patch("/:id/cancel", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (re
       return res.status(403).json({ message: "Not allowed: job not yours" });
     }
 
-    if (job.status === JOB_STATUSES.COMPLETED) {
-      return res.status(400).json({ message: "Cannot cancel a completed job" });
-    }
-
-    if (job.status === JOB_STATUSES.CANCELLED) {
-      return res.status(400).json({ message: "Job already cancelled" });
-    }
-
     const nowMs = Date.now();
     const assignedAtMs = job.lockedAt ? new Date(job.lockedAt).getTime() : null;
 
@@ -1197,9 +1639,15 @@ router.patch("/:id/cancel", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (re
     } else if (job.status === JOB_STATUSES.ASSIGNED && !assignedAtMs) {
       refundBookingFee = false;
       refundReason = "missing_lockedAt_no_refund";
+    } else if (job.status === JOB_STATUSES.SCHEDULED) {
+      refundBookingFee = true;
+      refundReason = "cancel_scheduled_before_release";
     } else if (job.status === JOB_STATUSES.BROADCASTED) {
       refundBookingFee = false;
       refundReason = "cancel_broadcasted_no_refund_rule";
+    } else if (job.status === JOB_STATUSES.ARRIVED) {
+      refundBookingFee = false;
+      refundReason = "cancel_after_arrival_no_refund";
     } else if (job.status === JOB_STATUSES.IN_PROGRESS) {
       refundBookingFee = false;
       refundReason = "cancel_in_progress_no_refund";
@@ -1210,97 +1658,41 @@ router.patch("/:id/cancel", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (re
       });
     }
 
-    job.status = JOB_STATUSES.CANCELLED;
-    job.cancelledBy = req.user._id;
-    job.cancelReason = req.body?.reason || "Cancelled by customer";
-    job.cancelledAt = new Date();
-
-    if (job.pricing) {
-      if (refundBookingFee) {
-        job.pricing.bookingFeeStatus = "REFUND_REQUESTED";
-        job.pricing.bookingFeeRefundedAt = new Date();
-      } else {
-        job.pricing.bookingFeeStatus = job.pricing.bookingFeeStatus || "PENDING";
-      }
+    // REFUND_REQUESTED / REFUNDED are set by the refund queue once a refund is really queued
+    if (job.pricing && !job.pricing.bookingFeeStatus) {
+      job.pricing.bookingFeeStatus = "PENDING";
     }
 
-    await job.save();
+    // ✅ also unlocks the insurance code (lifecycle effect)
+    await transitionJob(job, JOB_STATUSES.CANCELLED, {
+      actor: JOB_ACTORS.CUSTOMER,
+      actorId: req.user._id,
+      reason: req.body?.reason || "Cancelled by customer",
+    });
 
-    // ✅ NEW: If insurance was used, unlock the code so it can be reused
-    if (job.insurance?.enabled && job.insurance?.code) {
+    // ✅ Scheduled booking: let the pre-accepted provider know the slot is gone
+    if (job.schedule?.preAcceptedBy && !job.assignedTo) {
       try {
-        await unlockInsuranceCode({
-          partnerId: job.insurance.partnerId,
-          code: job.insurance.code,
-          countryCode: job.countryCode,
-          jobId: job._id,
+        await sendPushToUser({
+          userId: job.schedule.preAcceptedBy,
+          title: "Scheduled job cancelled",
+          body: `${job.title || "A scheduled job"} was cancelled by the customer.`,
+          data: { type: "job_cancelled", jobId: job._id.toString(), reason: "customer_cancelled" },
         });
       } catch (err) {
-        console.error("❌ Failed to unlock insurance code on cancel:", err.message);
+        console.error("❌ Failed to notify pre-accepted provider:", err.message);
       }
     }
 
-    const payment = await Payment.findOne({ job: job._id }).sort({ createdAt: -1 });
-
-    // ✅ attempt gateway refund if eligible
-    let refundResult = null;
-
-    if (payment) {
-      if (refundBookingFee) {
-        if (payment.status === PAYMENT_STATUSES.PAID) {
-          try {
-            refundResult = await attemptGatewayRefund({ payment, reason: refundReason });
-
-            payment.status = resolveRefundRequestedStatus();
-            payment.refundReason = refundReason;
-            payment.refundedAt = new Date(); // used as "requested at"
-
-            const rr = refundResult?.refundResponse || null;
-            payment.refundReference =
-              rr?.refundReference || rr?.raw?.data?.reference || `REFUND_REQ-${Date.now()}`;
-
-            const existingPayload =
-              payment.providerPayload && typeof payment.providerPayload === "object"
-                ? payment.providerPayload
-                : {};
-            payment.providerPayload = {
-              ...existingPayload,
-              refund: rr || refundResult,
-            };
-
-            await payment.save();
-          } catch (e) {
-            console.error("❌ Refund attempt failed:", e?.message || e);
-
-            payment.status = resolveRefundRequestedStatus();
-            payment.refundReason = refundReason;
-            payment.refundedAt = new Date();
-            payment.refundReference = `REFUND_REQ_FAILED-${Date.now()}`;
-
-            const existingPayload =
-              payment.providerPayload && typeof payment.providerPayload === "object"
-                ? payment.providerPayload
-                : {};
-            payment.providerPayload = {
-              ...existingPayload,
-              refund: { ok: false, error: e?.message || String(e) },
-            };
-
-            await payment.save();
-          }
-        } else {
-          if (payment.status === PAYMENT_STATUSES.PENDING) {
-            payment.status = PAYMENT_STATUSES.CANCELLED;
-            await payment.save();
-          }
-        }
-      } else {
-        if (payment.status === PAYMENT_STATUSES.PENDING) {
-          payment.status = PAYMENT_STATUSES.CANCELLED;
-          await payment.save();
-        }
-      }
-    }
+    // ✅ queue gateway refund if eligible (first attempt runs now)
+    // refundToWallet=true → stored credit instead of the card (instant, no gateway fee)
+    const { refundAttempt: refundResult, refundAttempts } = await settleJobPaymentOnCancel({
+      job,
+      refund: refundBookingFee,
+      reason: refundReason,
+      req,
+      toWallet: req.body?.refundToWallet === true,
+    });
 
     return res.status(200).json({
       message: "Job cancelled ✅",
@@ -1309,6 +1701,7 @@ router.patch("/:id/cancel", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (re
         bookingFeeRefunded: refundBookingFee,
         reason: refundReason,
         refundAttempt: refundResult,
+        refundAttempts,
         windows: {
           cancelRefundWindowMinutes: 3,
           providerNoShowRefundMinutes: 45,
@@ -1316,6 +1709,7 @@ router.patch("/:id/cancel", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (re
       },
     });
   } catch (err) {
+    if (sendTransitionError(res, err)) return;
     console.error("❌ CUSTOMER CANCEL ERROR:", err);
     return res.status(500).json({
       message: "Could not cancel job",
@@ -1324,164 +1718,467 @@ router.patch("/:id/cancel", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (re
   }
 });
 
+/**
+ * ✅ Provider / customer status update
+ * PATCH /api/jobs/:id/status
+ * Allowed moves + guards live in services/jobLifecycle.service.js
+ *
+ * Provider flow: ASSIGNED → ARRIVED (within pickup geofence)
+ *                ARRIVED → IN_PROGRESS (body.startPin from the customer)
+ */
 router.patch("/:id/status", auth, async (req, res) => {
   try {
     const { status } = req.body || {};
     if (!status) return res.status(400).json({ message: "status is required" });
 
-    const allowed = Object.values(JOB_STATUSES);
-    if (!allowed.includes(status)) {
-      return res.status(400).json({ message: "Invalid status", allowed });
-    }
-
     const job = await Job.findById(req.params.id);
     if (!job) return res.status(404).json({ message: "Job not found" });
 
-    const isProvider = [USER_ROLES.MECHANIC, USER_ROLES.TOW_TRUCK].includes(req.user.role);
-    const isCustomer = req.user.role === USER_ROLES.CUSTOMER;
+    const actor = actorForUser(req.user);
 
-    if (isProvider) {
+    if (actor === JOB_ACTORS.PROVIDER) {
       if (!job.assignedTo || job.assignedTo.toString() !== req.user._id.toString()) {
         return res.status(403).json({ message: "Not allowed: job not assigned to you" });
       }
+    } else if (actor === JOB_ACTORS.CUSTOMER) {
+      if (job.customer?.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: "Not allowed: job not yours" });
+      }
+    } else {
+      return res.status(403).json({ message: "Role not allowed" });
+    }
 
-      const current = job.status;
+    const isCustomerCancel = actor === JOB_ACTORS.CUSTOMER && status === JOB_STATUSES.CANCELLED;
 
-      const ok =
-        (current === JOB_STATUSES.ASSIGNED && status === JOB_STATUSES.IN_PROGRESS) ||
-        (current === JOB_STATUSES.IN_PROGRESS && status === JOB_STATUSES.COMPLETED);
+    await transitionJob(job, status, {
+      actor,
+      actorId: req.user._id,
+      reason: req.body.reason || (isCustomerCancel ? "Cancelled by customer" : null),
+      context: { startPin: req.body.startPin },
+    });
 
-      if (!ok) {
-        return res.status(400).json({
-          message: "Invalid provider status transition",
-          current,
-          attempted: status,
-          allowedTransitions: ["ASSIGNED -> IN_PROGRESS", "IN_PROGRESS -> COMPLETED"],
-        });
+    return res.status(200).json({
+      message: isCustomerCancel ? "Job cancelled ✅" : "Job status updated ✅",
+      job,
+    });
+  } catch (err) {
+    if (sendTransitionError(res, err)) return;
+    console.error("❌ UPDATE STATUS ERROR:", err);
+    return res.status(500).json({
+      message: "Could not update job status",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ Provider completes the current leg of a tow
+ * PATCH /api/jobs/:id/legs/:sequence/complete
+ * The next leg starts straight away; after the last leg finish with PATCH /:id/status → COMPLETED.
+ */
+router.patch(
+  "/:id/legs/:sequence/complete",
+  auth,
+  authorizeRoles(USER_ROLES.TOW_TRUCK),
+  async (req, res) => {
+    try {
+      const result = await completeJobLeg({
+        jobId: req.params.id,
+        providerId: req.user._id,
+        sequence: req.params.sequence,
+      });
+
+      if (!result.ok) {
+        return res.status(result.status).json({ message: result.message, code: result.code });
       }
 
-      if (current === JOB_STATUSES.ASSIGNED && status === JOB_STATUSES.IN_PROGRESS) {
-        const pickupCoords = job?.pickupLocation?.coordinates;
-        if (!Array.isArray(pickupCoords) || pickupCoords.length < 2) {
-          return res.status(400).json({
-            code: "PICKUP_LOCATION_MISSING",
-            message: "Pickup location is missing. Cannot start job.",
-          });
-        }
+      const { job, nextLeg } = result;
 
-        const pickupLng = Number(pickupCoords[0]);
-        const pickupLat = Number(pickupCoords[1]);
+      emitJobTracking(job, "tracking:leg", {
+        jobId: job._id.toString(),
+        completedSequence: Number(req.params.sequence),
+        nextLeg: nextLeg ? { sequence: nextLeg.sequence, to: nextLeg.to } : null,
+        at: new Date(),
+      });
 
-        if (!Number.isFinite(pickupLat) || !Number.isFinite(pickupLng)) {
-          return res.status(400).json({
-            code: "PICKUP_LOCATION_INVALID",
-            message: "Pickup location is invalid. Cannot start this job.",
-            pickupCoords,
-          });
-        }
+      return res.status(200).json({
+        message: nextLeg
+          ? "Leg completed ✅ Heading to the next stop"
+          : "Final leg completed ✅ Complete the job to finish",
+        legs: job.legs,
+        nextLeg,
+      });
+    } catch (err) {
+      console.error("❌ COMPLETE LEG ERROR:", err);
+      return res.status(500).json({
+        message: "Could not complete leg",
+        error: err.message,
+      });
+    }
+  }
+);
 
-        const me = await User.findById(req.user._id).select("providerProfile.location");
-        const myCoords = me?.providerProfile?.location?.coordinates;
+/**
+ * ✅ Mechanic hands the vehicle over to a tow (linked follow-up job)
+ * POST /api/jobs/:id/follow-up-tow
+ * body: dropoffLat, dropoffLng, dropoffAddressText, towTruckTypeNeeded?, waypoints?, reason?
+ *
+ * Pre-filled from the mechanic job (customer, pickup, vehicle, country).
+ * Pre-authorised: no start PIN, the mechanic hands the vehicle over.
+ * The customer still pays the booking fee before it is broadcast.
+ */
+router.post(
+  "/:id/follow-up-tow",
+  auth,
+  authorizeRoles(USER_ROLES.MECHANIC),
+  async (req, res) => {
+    try {
+      const parent = await Job.findById(req.params.id);
+      if (!parent) return res.status(404).json({ message: "Job not found" });
+
+      if (parent.assignedTo?.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: "Not allowed: job not assigned to you" });
+      }
 
-        if (!Array.isArray(myCoords) || myCoords.length < 2) {
-          return res.status(409).json({
-            code: "PROVIDER_GPS_MISSING",
-            message: "Your GPS location is missing. Turn on location and try again.",
-          });
-        }
+      if (parent.status !== JOB_STATUSES.IN_PROGRESS) {
+        return res.status(409).json({
+          message: "A follow-up tow can only be requested while the job is IN_PROGRESS",
+          code: "PARENT_NOT_IN_PROGRESS",
+          status: parent.status,
+        });
+      }
 
-        const myLng = Number(myCoords[0]);
-        const myLat = Number(myCoords[1]);
-
-        if (
-          !Number.isFinite(myLat) ||
-          !Number.isFinite(myLng) ||
-          (myLat === 0 && myLng === 0)
-        ) {
-          return res.status(409).json({
-            code: "PROVIDER_GPS_INVALID",
-            message: "Your GPS location is invalid. Refresh location and try again.",
-          });
-        }
+      const { dropoffLat, dropoffLng, dropoffAddressText, towTruckTypeNeeded, waypoints, reason } =
+        req.body || {};
 
-        const distMeters = haversineDistanceMeters(myLat, myLng, pickupLat, pickupLng);
+      if (dropoffLat === undefined || dropoffLng === undefined) {
+        return res.status(400).json({ message: "dropoffLat and dropoffLng are required" });
+      }
 
-        // ✅ Phase 1: Check for Customer Start Authorization
-        const isAuthorized = job.customerStartAuthorization === true;
+      const openFollowUp = await Job.exists({
+        "handoff.parentJob": parent._id,
+        status: { $nin: [JOB_STATUSES.COMPLETED, JOB_STATUSES.CANCELLED] },
+      });
+      if (openFollowUp) {
+        return res.status(409).json({
+          message: "This job already has an open follow-up tow",
+          code: "FOLLOW_UP_EXISTS",
+          jobId: openFollowUp._id,
+        });
+      }
 
-        if (distMeters > START_JOB_MAX_DISTANCE_METERS && !isAuthorized) {
-          return res.status(409).json({
-            code: "TOO_FAR_FROM_PICKUP",
-            message: `You must be within ${START_JOB_MAX_DISTANCE_METERS} meters of pickup to start this job.`,
-            distanceMeters: distMeters,
-            maxAllowedMeters: START_JOB_MAX_DISTANCE_METERS,
-            customerStartAuthorization: false
-          });
-        }
+      const countryCode = parent.countryCode || "ZA";
+
+      const serviceGate = await enforceServiceEnabledOrThrow({
+        countryCode,
+        roleNeeded: USER_ROLES.TOW_TRUCK,
+      });
+      if (!serviceGate.ok) {
+        return res.status(403).json({ message: serviceGate.message, code: serviceGate.code, countryCode });
       }
 
-      job.status = status;
-      if (status === JOB_STATUSES.COMPLETED) {
-        job.completedAt = new Date();
+      const [pickupLng, pickupLat] = parent.pickupLocation.coordinates;
+
+      const normalizedTowTruckTypeNeeded = towTruckTypeNeeded
+        ? normalizeTowTruckType(towTruckTypeNeeded)
+        : null;
+
+      const serviceArea = await checkServiceArea({
+        countryCode,
+        lat: pickupLat,
+        lng: pickupLng,
+        roleNeeded: USER_ROLES.TOW_TRUCK,
+        towTruckTypeNeeded: normalizedTowTruckTypeNeeded,
+      });
+      if (!serviceArea.ok) {
+        return res.status(serviceArea.status).json({
+          message: serviceArea.message,
+          code: serviceArea.code,
+          zone: serviceArea.zone,
+          countryCode,
+        });
+      }
+
+      const pricingConfig = await PricingConfig.findOne({ countryCode }).lean();
+
+      const towDistance = await resolveTowDistance({
+        body: {
+          pickupLat,
+          pickupLng,
+          pickupAddressText: parent.pickupAddressText,
+          dropoffLat,
+          dropoffLng,
+          dropoffAddressText,
+          waypoints,
+        },
+        countryCode,
+        pricingConfig,
+      });
+      if (!towDistance.ok) {
+        return res.status(towDistance.status).json({ message: towDistance.message, code: towDistance.code });
       }
-      await job.save();
 
-      // ✅ NEW: If insurance job is COMPLETED, officially consume the code
-      if (status === JOB_STATUSES.COMPLETED && job.insurance?.enabled && job.insurance?.code) {
+      const pricing = await calculateJobPricing({
+        roleNeeded: USER_ROLES.TOW_TRUCK,
+        pickupLat,
+        pickupLng,
+        dropoffLat,
+        dropoffLng,
+        towTruckTypeNeeded: normalizedTowTruckTypeNeeded,
+        vehicleType: parent.vehicleType,
+        distanceKm: towDistance.distanceKm,
+        route: towDistance.route,
+        legs: towDistance.legs,
+        countryCode,
+        zone: serviceArea.zone,
+      });
+
+      if (!pricing.currency) pricing.currency = await getCountryCurrency(countryCode);
+
+      const now = new Date();
+      const freeBooking = !(Number(pricing.bookingFee) > 0);
+      const handoffReason = reason ? String(reason).trim() : null;
+
+      const job = await Job.create({
+        title: `Tow after: ${parent.title}`,
+        description: handoffReason,
+        customerProblemDescription: parent.customerProblemDescription || null,
+        roleNeeded: USER_ROLES.TOW_TRUCK,
+        countryCode,
+        zone: serviceArea.zone?._id || null,
+
+        pickupLocation: { type: "Point", coordinates: [pickupLng, pickupLat] },
+        pickupAddressText: parent.pickupAddressText || null,
+
+        dropoffLocation: { type: "Point", coordinates: [dropoffLng, dropoffLat] },
+        dropoffAddressText: dropoffAddressText || null,
+
+        ...buildJobLegFields({
+          legs: towDistance.legs,
+          pricedLegs: pricing.legs,
+          waypoints: towDistance.waypoints,
+        }),
+
+        towTruckTypeNeeded: normalizedTowTruckTypeNeeded,
+        vehicleType: parent.vehicleType || null,
+
+        customer: parent.customer,
+        status: JOB_STATUSES.CREATED,
+        statusHistory: [
+          {
+            from: null,
+            to: JOB_STATUSES.CREATED,
+            actor: JOB_ACTORS.PROVIDER,
+            actorId: req.user._id,
+            reason: "Follow-up tow requested by mechanic",
+          },
+        ],
+        paymentMode: "DIRECT_TO_PROVIDER",
+
+        handoff: {
+          parentJob: parent._id,
+          requestedBy: req.user._id,
+          reason: handoffReason,
+          preAuthorized: true,
+          preAuthorizedAt: now,
+        },
+
+        pricing: {
+          ...pricing,
+          bookingFeeStatus: freeBooking ? "PAID" : "PENDING",
+          bookingFeePaidAt: freeBooking ? now : null,
+          bookingFeeRefundedAt: null,
+        },
+      });
+
+      await Job.updateOne({ _id: parent._id }, { $addToSet: { followUpJobs: job._id } });
+
+      const payment = await Payment.create({
+        job: job._id,
+        customer: parent.customer,
+        amount: freeBooking ? 0 : bookingFeeChargeAmount(pricing),
+        currency: pricing.currency,
+        status: freeBooking ? PAYMENT_STATUSES.PAID : PAYMENT_STATUSES.PENDING,
+        ...(freeBooking ? { paidAt: now, provider: "FREE_BOOKING" } : { provider: "SIMULATION" }),
+        countryCode,
+      });
+
+      if (freeBooking) {
         try {
-          await markInsuranceCodeUsed({
-            partnerId: job.insurance.partnerId,
-            code: job.insurance.code,
-            countryCode: job.countryCode,
-            userId: job.customer,
-            jobId: job._id,
-          });
-        } catch (err) {
-          console.error("❌ Failed to mark insurance code as used on completion:", err.message);
+          await broadcastJobToProviders(job._id);
+        } catch (e) {
+          console.error("❌ Follow-up tow broadcast failed:", e.message);
         }
       }
 
-      return res.status(200).json({
-        message: "Job status updated ✅",
+      try {
+        await sendPushToUser({
+          userId: parent.customer,
+          title: "Tow requested 🚚",
+          body: freeBooking
+            ? "Your mechanic requested a tow for your vehicle. We are finding a tow truck."
+            : "Your mechanic requested a tow for your vehicle. Pay the booking fee to dispatch a tow truck.",
+          data: { open: "job_details", type: "follow_up_tow", jobId: job._id.toString() },
+        });
+      } catch (e) {
+        console.error("⚠️ Follow-up tow push failed:", e.message);
+      }
+
+      return res.status(201).json({
+        message: freeBooking
+          ? "Follow-up tow created ✅ Broadcasting to tow trucks."
+          : "Follow-up tow created ✅ Waiting for the customer to pay the booking fee.",
         job,
+        payment,
+      });
+    } catch (err) {
+      console.error("❌ FOLLOW-UP TOW ERROR:", err);
+      return res.status(500).json({
+        message: "Could not create follow-up tow",
+        error: err.message,
       });
     }
+  }
+);
 
-    if (isCustomer) {
-      if (job.customer?.toString() !== req.user._id.toString()) {
-        return res.status(403).json({ message: "Not allowed: job not yours" });
+/**
+ * ✅ Provider adds an extra to the final invoice (parts, labour, waiting, tolls)
+ * POST /api/jobs/:id/invoice-items
+ * body: type, description?, quantity?, unitPrice
+ * PAY_AFTER_COMPLETION jobs only, while IN_PROGRESS. The customer approves each line.
+ */
+router.post(
+  "/:id/invoice-items",
+  auth,
+  authorizeRoles(USER_ROLES.MECHANIC),
+  async (req, res) => {
+    try {
+      const result = await addJobInvoiceItem({
+        jobId: req.params.id,
+        providerId: req.user._id,
+        input: req.body,
+      });
+
+      if (!result.ok) {
+        return res.status(result.status).json({ message: result.message, code: result.code });
       }
 
-      if (status !== JOB_STATUSES.CANCELLED) {
-        return res.status(403).json({ message: "Customer can only cancel jobs" });
+      const { job, item } = result;
+
+      try {
+        await sendPushToUser({
+          userId: job.customer,
+          title: "Approve an extra charge 🧾",
+          body: `${item.description}: ${item.amount.toFixed(2)} ${job.pricing?.currency || "ZAR"}`,
+          data: {
+            open: "job_details",
+            type: "invoice_item",
+            jobId: job._id.toString(),
+            itemId: item._id.toString(),
+          },
+        });
+      } catch (e) {
+        console.error("⚠️ Invoice item push failed:", e.message);
       }
 
-      if ([JOB_STATUSES.COMPLETED].includes(job.status)) {
-        return res.status(400).json({ message: "Cannot cancel a completed job" });
+      return res.status(201).json({
+        message: "Extra added ✅ Waiting for customer approval",
+        item,
+        invoiceItems: job.invoiceItems,
+      });
+    } catch (err) {
+      console.error("❌ ADD INVOICE ITEM ERROR:", err);
+      return res.status(500).json({ message: "Could not add invoice extra", error: err.message });
+    }
+  }
+);
+
+/**
+ * ✅ Provider withdraws an extra the customer has not decided yet
+ * DELETE /api/jobs/:id/invoice-items/:itemId
+ */
+router.delete(
+  "/:id/invoice-items/:itemId",
+  auth,
+  authorizeRoles(USER_ROLES.MECHANIC),
+  async (req, res) => {
+    try {
+      const result = await removeJobInvoiceItem({
+        jobId: req.params.id,
+        providerId: req.user._id,
+        itemId: req.params.itemId,
+      });
+
+      if (!result.ok) {
+        return res.status(result.status).json({ message: result.message, code: result.code });
       }
 
-      job.status = JOB_STATUSES.CANCELLED;
-      job.cancelledBy = req.user._id;
-      job.cancelReason = req.body.reason || "Cancelled by customer";
-      job.cancelledAt = new Date();
+      return res.status(200).json({ message: "Extra removed ✅", invoiceItems: result.job.invoiceItems });
+    } catch (err) {
+      console.error("❌ REMOVE INVOICE ITEM ERROR:", err);
+      return res.status(500).json({ message: "Could not remove invoice extra", error: err.message });
+    }
+  }
+);
+
+/**
+ * ✅ Customer approves / rejects an extra
+ * PATCH /api/jobs/:id/invoice-items/:itemId/decision
+ * body: decision ("APPROVE" | "REJECT"), reason?
+ */
+router.patch(
+  "/:id/invoice-items/:itemId/decision",
+  auth,
+  authorizeRoles(USER_ROLES.CUSTOMER),
+  async (req, res) => {
+    try {
+      const decision = String(req.body?.decision || "").trim().toUpperCase();
+      if (!["APPROVE", "REJECT"].includes(decision)) {
+        return res.status(400).json({
+          message: "decision must be APPROVE or REJECT",
+          code: "INVALID_DECISION",
+        });
+      }
+
+      const result = await decideJobInvoiceItem({
+        jobId: req.params.id,
+        customerId: req.user._id,
+        itemId: req.params.itemId,
+        approve: decision === "APPROVE",
+        reason: req.body?.reason,
+      });
+
+      if (!result.ok) {
+        return res.status(result.status).json({ message: result.message, code: result.code });
+      }
+
+      const { job, item } = result;
+      const summary = summarizeInvoiceItems(job);
 
-      await job.save();
+      try {
+        await sendPushToUser({
+          userId: job.assignedTo,
+          title: decision === "APPROVE" ? "Extra approved ✅" : "Extra rejected ❌",
+          body: item ? item.description : "The customer responded to your extra charge.",
+          data: { open: "job_details", type: "invoice_item", jobId: job._id.toString() },
+        });
+      } catch (e) {
+        console.error("⚠️ Invoice decision push failed:", e.message);
+      }
 
       return res.status(200).json({
-        message: "Job cancelled ✅",
-        job,
+        message: decision === "APPROVE" ? "Extra approved ✅" : "Extra rejected ✅",
+        item,
+        invoiceItems: job.invoiceItems,
+        approvedExtrasTotal: summary.approvedTotal,
+        pendingCount: summary.pendingCount,
       });
+    } catch (err) {
+      console.error("❌ INVOICE ITEM DECISION ERROR:", err);
+      return res.status(500).json({ message: "Could not save decision", error: err.message });
     }
-
-    return res.status(403).json({ message: "Role not allowed" });
-  } catch (err) {
-    console.error("❌ UPDATE STATUS ERROR:", err);
-    return res.status(500).json({
-      message: "Could not update job status",
-      error: err.message,
-    });
   }
-});
+);
 
 router.post("/rate", auth, async (req, res) => {
   try {
@@ -1,7 +1,5 @@
 // backend/src/routes/payments.js
 import express from "express";
-import crypto from "crypto";
-
 import Payment, { PAYMENT_STATUSES } from "../models/Payment.js";
 import Job, { JOB_STATUSES } from "../models/Job.js";
 
@@ -9,13 +7,19 @@ import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
 import { USER_ROLES } from "../models/User.js";
 
-import { broadcastJobToProviders } from "../utils/broadcastJob.js";
 import {
-  getGatewayAdapter,
-  getActivePaymentGateway,
+  createPaymentWithFailover,
+  getGatewayCandidates,
   normalizeGatewayKeyToEnum,
-  resolvePaymentRoutingForCountry,
 } from "../services/payments/index.js";
+import {
+  isRefundFlowBlocked,
+  markPaymentPaidAndBroadcast,
+  PAYMENT_EVENT_KINDS,
+  reconcilePaymentEvent,
+} from "../services/payments/reconcile.js";
+import { ingestPaymentWebhook } from "../services/payments/webhooks.js";
+import { bookingFeeChargeAmount } from "../utils/taxEngine.js";
 
 // ✅ Paystack verify helper
 import { paystackVerifyPayment } from "../services/payments/providers/paystack.js";
@@ -28,52 +32,6 @@ console.log("✅ payments.js loaded ✅");
    HELPERS
 ============================================================ */
 
-function encodePayfast(value) {
-  return encodeURIComponent(String(value)).replace(/%20/g, "+");
-}
-
-function md5(str) {
-  return crypto.createHash("md5").update(str).digest("hex");
-}
-
-function buildSignatureFromRaw(rawBody, passphrase) {
-  const pairs = (rawBody || "").split("&").filter(Boolean);
-  const withoutSig = pairs.filter((p) => !p.startsWith("signature=")).join("&");
-
-  const finalString =
-    passphrase && passphrase.trim() !== ""
-      ? `${withoutSig}&passphrase=${encodePayfast(passphrase.trim())}`
-      : withoutSig;
-
-  return md5(finalString).toLowerCase();
-}
-
-function buildSignatureSorted(body, passphrase) {
-  const data = { ...(body || {}) };
-  delete data.signature;
-
-  const keys = Object.keys(data).sort();
-
-  const queryString = keys
-    .map((k) => {
-      const v = data[k] ?? "";
-      return `${k}=${encodePayfast(v)}`;
-    })
-    .join("&");
-
-  const finalString =
-    passphrase && passphrase.trim() !== ""
-      ? `${queryString}&passphrase=${encodePayfast(passphrase.trim())}`
-      : queryString;
-
-  return md5(finalString).toLowerCase();
-}
-
-function normalizeFlowType(v) {
-  const t = String(v || "REDIRECT").trim().toUpperCase();
-  return t === "SDK" ? "SDK" : "REDIRECT";
-}
-
 /**
  * ✅ Strict unified PaymentInstruction builder (ALWAYS returned)
  */
@@ -107,9 +65,8 @@ function buildPaymentInstruction({
 }
 
 /**
- * ✅ Refund alignment helpers
- * - Do NOT allow late "paid" signals (webhook/verify/ITN) to overwrite a refund state
- * - Do NOT broadcast if payment is refunded/refund-requested/cancelled
+ * ✅ Refund state flags for the status endpoint
+ * (the "never overwrite a refund state" rule lives in services/payments/reconcile.js)
  */
 function isRefundRequestedStatus(status) {
   const s = String(status || "").toUpperCase();
@@ -127,54 +84,8 @@ function isRefundedStatus(status) {
   return s === r;
 }
 
-function isCancelledStatus(status) {
-  const s = String(status || "").toUpperCase();
-  const c = PAYMENT_STATUSES?.CANCELLED
-    ? String(PAYMENT_STATUSES.CANCELLED).toUpperCase()
-    : "CANCELLED";
-  return s === c;
-}
-
-function isRefundFlowBlocked(status) {
-  // Any of these states must NEVER be overwritten back to PAID by late provider signals.
-  return isRefundRequestedStatus(status) || isRefundedStatus(status) || isCancelledStatus(status);
-}
-
-/**
- * ✅ shared "mark paid + update job + broadcast" helper
- * (Refund-aligned: will not overwrite refund/cancel states)
- */
-async function markPaymentPaidAndBroadcast(payment, payload = null) {
-  if (!payment) return null;
-
-  // ✅ REFUND ALIGNMENT: don't override refund/cancel states
-  if (isRefundFlowBlocked(payment.status)) {
-    // Do not change anything; keep provider payload for audit if provided
-    if (payload) {
-      payment.providerPayload = payload;
-      await payment.save();
-    }
-    return payment;
-  }
-
-  if (payment.status !== PAYMENT_STATUSES.PAID) {
-    payment.status = PAYMENT_STATUSES.PAID;
-    payment.paidAt = new Date();
-    if (payload) payment.providerPayload = payload;
-    await payment.save();
-  }
-
-  const job = await Job.findById(payment.job);
-  if (job) {
-    if (!job.pricing) job.pricing = {};
-    job.pricing.bookingFeeStatus = "PAID";
-    job.pricing.bookingFeePaidAt = new Date();
-    await job.save();
-
-    await broadcastJobToProviders(job._id);
-  }
-
-  return payment;
+function isRefundFailedStatus(status) {
+  return String(status || "").toUpperCase() === PAYMENT_STATUSES.REFUND_FAILED;
 }
 
 /* ============================================================
@@ -212,24 +123,27 @@ router.get(
         });
       }
 
-      const routing = await resolvePaymentRoutingForCountry(jobCountry);
+      // ✅ same order payment initiation tries them (default first, then priority)
+      const { routing, candidates } = await getGatewayCandidates(jobCountry);
+
+      const options = candidates
+        .filter((c) => c.implemented)
+        .map((c) => ({
+          gateway: c.gateway,
+          paymentFlowType: c.flowType,
+          label: c.gateway,
+          priority: c.priority,
+          // cooling-down gateways are skipped unless nothing else is up
+          available: !c.coolingDown,
+        }));
 
-      // Return normalized options array
-      const options = (routing?.providers || [])
-        .filter((p) => p && p.enabled !== false)
-        .sort((a, b) => Number(a.priority || 999) - Number(b.priority || 999))
-        .map((p) => ({
-          gateway: String(p.gateway || "").trim().toUpperCase(),
-          paymentFlowType: normalizeFlowType(p.flowType),
-          label: p.label || String(p.gateway || "").trim(),
-          priority: Number(p.priority || 0),
-        }))
-        .filter((o) => o.gateway);
+      const recommended = options.find((o) => o.available) || options[0] || null;
 
       return res.json({
         success: true,
         countryCode: jobCountry,
         defaultProvider: routing?.defaultProvider || routing?.defaultProviderKey || null,
+        recommendedGateway: recommended?.gateway || null,
         options,
       });
     } catch (err) {
@@ -243,73 +157,27 @@ router.get(
 );
 
 /* ============================================================
-   ✅ PAYSTACK WEBHOOK (auto-mark paid)
-   POST /api/payments/webhook/paystack
+   ✅ GATEWAY WEBHOOKS (single verified entry point)
+   POST /api/payments/webhooks/:gateway   (paystack | stripe | payfast | flutterwave)
+   - signature verified per gateway, raw event stored once, replays ignored
+   - state changes go through services/payments/reconcile.js
 ============================================================ */
 
-// IMPORTANT: This route captures raw body for signature verify
-router.post(
-  "/webhook/paystack",
-  express.json({
-    verify: (req, res, buf) => {
-      req.rawBody = buf; // buffer
-    },
-  }),
-  async (req, res) => {
-    try {
-      const sig = req.headers["x-paystack-signature"];
-      const secret = (process.env.PAYSTACK_SECRET_KEY || "").trim();
-
-      // Signature verification (best-effort)
-      if (sig && secret && req.rawBody) {
-        const hash = crypto.createHmac("sha512", secret).update(req.rawBody).digest("hex");
-        if (hash !== sig) {
-          console.log("❌ Paystack webhook signature mismatch");
-          return res.status(401).send("Invalid signature");
-        }
-      } else {
-        console.log("⚠️ Paystack webhook signature not verified (missing rawBody or secret)");
-      }
-
-      const event = req.body || {};
-      const data = event.data || {};
-      const reference = String(data.reference || "").trim();
-
-      if (!reference) return res.status(200).json({ received: true, note: "No reference" });
-
-      const payment = await Payment.findOne({ providerReference: reference });
-      if (!payment) {
-        return res.status(200).json({ received: true, note: "Payment not found (ignored)" });
-      }
+async function handleGatewayWebhook(req, res, gateway) {
+  try {
+    const result = await ingestPaymentWebhook({ gateway, req });
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error(`❌ ${gateway} webhook error:`, err?.message || err);
+    // non-2xx so the gateway retries once storage is back
+    return res.status(500).json({ received: false, error: err.message });
+  }
+}
 
-      let verify;
-      try {
-        verify = await paystackVerifyPayment({ reference });
-      } catch (e) {
-        console.log("❌ Paystack verify failed inside webhook:", e?.message || e);
-        // return 200 so Paystack does not retry forever
-        return res.status(200).json({ received: true, note: "Verify failed" });
-      }
+router.post("/webhooks/:gateway", (req, res) => handleGatewayWebhook(req, res, req.params.gateway));
 
-      // ✅ FIX: paystackVerifyPayment returns { status, paid, raw }, not { data: { status } }
-      const ok =
-        verify?.paid === true || String(verify?.status || "").toLowerCase() === "success";
-
-      if (ok) {
-        // ✅ REFUND ALIGNMENT: markPaymentPaidAndBroadcast will not override refund/cancel states
-        await markPaymentPaidAndBroadcast(payment, verify?.raw || verify);
-      } else {
-        payment.providerPayload = verify?.raw || verify;
-        await payment.save();
-      }
-
-      return res.status(200).json({ received: true });
-    } catch (err) {
-      console.log("❌ Paystack webhook error:", err?.message || err);
-      return res.status(200).json({ received: true, error: err.message });
-    }
-  }
-);
+// ✅ legacy URLs already registered on gateway dashboards
+router.post("/webhook/paystack", (req, res) => handleGatewayWebhook(req, res, "PAYSTACK"));
 
 /* ============================================================
    ✅ PAYSTACK VERIFY (fallback)
@@ -351,14 +219,25 @@ router.get(
         return res.status(400).json({ success: false, message: "Payment not successful", verify });
       }
 
-      // ✅ REFUND ALIGNMENT: don't override refund/cancel states
-      await markPaymentPaidAndBroadcast(payment, verify?.raw || verify);
+      // ✅ same path as the webhook (amount check + refund alignment)
+      const { outcome } = await reconcilePaymentEvent({
+        gateway: "PAYSTACK",
+        event: {
+          kind: PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED,
+          reference,
+          amount: verify?.amount,
+          payload: verify?.raw || verify,
+        },
+      });
+
+      const current = await Payment.findById(payment._id).lean();
 
       return res.status(200).json({
         success: true,
         message: "Payment verified + processed ✅",
         reference,
-        status: payment.status, // keep actual status (PAID / REFUND_REQUESTED / REFUNDED / CANCELLED)
+        outcome,
+        status: current?.status || payment.status, // keep actual status (PAID / REFUND_REQUESTED / REFUNDED / CANCELLED)
       });
     } catch (err) {
       return res.status(500).json({
@@ -458,6 +337,8 @@ router.get("/reference/:reference/status", auth, async (req, res) => {
       // ✅ add refund signals (non-breaking additions)
       refundRequested,
       refunded,
+      refundFailed: isRefundFailedStatus(payment.status),
+      refundedAmount: payment.refundedAmount || 0,
 
       amount: payment.amount,
       currency: payment.currency,
@@ -473,76 +354,10 @@ router.get("/reference/:reference/status", auth, async (req, res) => {
 });
 
 /* ============================================================
-   PAYFAST ITN
+   PAYFAST ITN (legacy notify_url → unified webhook)
 ============================================================ */
 
-router.post(
-  "/notify/payfast",
-  express.urlencoded({
-    extended: false,
-    verify: (req, res, buf) => {
-      req.rawBody = buf.toString("utf8");
-    },
-  }),
-  async (req, res) => {
-    try {
-      const data = req.body || {};
-      const raw = req.rawBody || "";
-
-      console.log("✅ PAYFAST ITN RECEIVED ✅", data);
-
-      const reference = data.m_payment_id;
-      const paymentStatus = (data.payment_status || "").toUpperCase();
-      const receivedSignature = (data.signature || "").toLowerCase();
-
-      if (!reference || !receivedSignature) {
-        return res.status(200).send("Missing reference or signature");
-      }
-
-      const passphrase = (process.env.PAYFAST_PASSPHRASE || "").trim();
-
-      const sigRawWithPass = buildSignatureFromRaw(raw, passphrase);
-      const sigRawNoPass = buildSignatureFromRaw(raw, "");
-      const sigSortedWithPass = buildSignatureSorted(data, passphrase);
-      const sigSortedNoPass = buildSignatureSorted(data, "");
-
-      const signatureMatches =
-        receivedSignature === sigRawWithPass ||
-        receivedSignature === sigRawNoPass ||
-        receivedSignature === sigSortedWithPass ||
-        receivedSignature === sigSortedNoPass;
-
-      if (paymentStatus !== "COMPLETE") {
-        console.log("⚠️ PayFast payment not COMPLETE:", paymentStatus);
-        return res.status(200).send("Payment not complete");
-      }
-
-      const payment = await Payment.findOne({ providerReference: reference });
-      if (!payment) return res.status(200).send("Payment not found");
-
-      if (payment.status === PAYMENT_STATUSES.PAID) {
-        return res.status(200).send("Already paid");
-      }
-
-      // ✅ REFUND ALIGNMENT: don't overwrite refund/cancel states due to late ITNs
-      if (isRefundFlowBlocked(payment.status)) {
-        return res.status(200).send(`Ignored: payment is ${payment.status}`);
-      }
-
-      if (!signatureMatches) {
-        console.log("❌ PAYFAST ITN SIGNATURE MISMATCH ❌");
-        return res.status(200).send("Signature mismatch");
-      }
-
-      await markPaymentPaidAndBroadcast(payment, data);
-
-      return res.status(200).send("ITN Processed ✅");
-    } catch (err) {
-      console.error("❌ PAYFAST ITN ERROR:", err);
-      return res.status(200).send("ITN error handled");
-    }
-  }
-);
+router.post("/notify/payfast", (req, res) => handleGatewayWebhook(req, res, "PAYFAST"));
 
 /* ============================================================
    CREATE PAYMENT
@@ -570,7 +385,8 @@ router.post(
         return res.status(400).json({ message: `Cannot pay for job in status ${job.status}` });
       }
 
-      const bookingFee = Number(job.pricing?.bookingFee || 0);
+      // ✅ VAT on top when the country's prices exclude tax
+      const bookingFee = bookingFeeChargeAmount(job.pricing);
       if (!Number.isFinite(bookingFee) || bookingFee <= 0) {
         return res.status(400).json({ message: "Booking fee not set" });
       }
@@ -586,24 +402,50 @@ router.post(
         });
       }
 
-      const routing = await resolvePaymentRoutingForCountry(jobCountry);
+      // ✅ optional customer choice (must be one of the enabled options)
+      const preferredGateway = req.body?.gateway ? normalizeGatewayKeyToEnum(req.body.gateway) : null;
+      const { candidates } = await getGatewayCandidates(jobCountry, { preferredGateway });
 
-      const activeGatewayEnum = await getActivePaymentGateway(jobCountry);
-      const gatewayEnum = normalizeGatewayKeyToEnum(activeGatewayEnum);
+      if (preferredGateway && !candidates.some((c) => c.gateway === preferredGateway && c.implemented)) {
+        return res.status(400).json({
+          success: false,
+          message: `Payment method ${preferredGateway} is not available in ${jobCountry}`,
+          code: "GATEWAY_NOT_AVAILABLE",
+        });
+      }
 
-      const gatewayAdapter = await getGatewayAdapter(jobCountry);
+      // ✅ wallet credit applied at booking covers part of the fee; the gateway charges the rest
+      const walletPaid = await Payment.find({
+        job: job._id,
+        provider: "WALLET",
+        status: PAYMENT_STATUSES.PAID,
+      })
+        .select("amount")
+        .lean();
+      const amountDue = Number(
+        (bookingFee - walletPaid.reduce((sum, p) => sum + (Number(p.amount) || 0), 0)).toFixed(2)
+      );
 
       let payment = await Payment.findOne({
         job: job._id,
         countryCode: jobCountry,
+        provider: { $ne: "WALLET" },
       });
 
+      if (!payment && amountDue <= 0) {
+        return res.status(200).json({
+          success: true,
+          message: "Booking fee already paid from wallet ✅",
+          payment: null,
+        });
+      }
+
       if (payment && payment.status === PAYMENT_STATUSES.PAID) {
         const referencePaid = payment.providerReference || `TM-${payment._id}`;
 
         const instructionPaid = buildPaymentInstruction({
           flowType: "REDIRECT",
-          gateway: payment.provider || gatewayEnum,
+          gateway: payment.provider,
           countryCode: jobCountry,
           currency: payment.currency || job.pricing?.currency || "ZAR",
           amount: payment.amount || bookingFee,
@@ -624,15 +466,14 @@ router.post(
         payment = await Payment.create({
           job: job._id,
           customer: req.user._id,
-          amount: bookingFee,
+          amount: amountDue,
           currency: job.pricing?.currency || "ZAR",
           status: PAYMENT_STATUSES.PENDING,
-          provider: gatewayEnum,
+          provider: candidates[0]?.gateway,
           countryCode: jobCountry,
         });
-      } else {
-        payment.provider = gatewayEnum;
-        if (!payment.countryCode) payment.countryCode = jobCountry;
+      } else if (!payment.countryCode) {
+        payment.countryCode = jobCountry;
         await payment.save();
       }
 
@@ -650,45 +491,43 @@ router.post(
       const successUrl = `${frontendBase}/payment-success`;
       const cancelUrl = `${frontendBase}/payment-cancel`;
 
-      const notifyUrl =
-        gatewayEnum === "PAYFAST" ? `${backendBase}/api/payments/notify/payfast` : null;
-
-      let initResponse;
+      // ✅ preferred gateway first, then next enabled provider on error / timeout
+      let initialized;
       try {
-        initResponse = await gatewayAdapter.createPayment({
-          amount: bookingFee,
-          currency: payment.currency,
-          reference,
-          successUrl,
-          cancelUrl,
-          notifyUrl,
-          customerEmail: req.user.email,
-          customerPhone: req.user.phoneNumber || req.user.phone || null,
-          customerName: req.user.name || req.user.fullName || "TowMech User",
+        initialized = await createPaymentWithFailover({
           countryCode: jobCountry,
-          routing,
+          preferredGateway,
+          buildPayload: (gateway) => ({
+            amount: payment.amount,
+            currency: payment.currency,
+            reference,
+            successUrl,
+            cancelUrl,
+            notifyUrl: gateway === "PAYFAST" ? `${backendBase}/api/payments/webhooks/payfast` : null,
+            customerEmail: req.user.email,
+            customerPhone: req.user.phoneNumber || req.user.phone || null,
+            customerName: req.user.name || req.user.fullName || "TowMech User",
+          }),
         });
       } catch (e) {
-        console.error("❌ Adapter createPayment failed:", e?.message || e);
-        return res.status(400).json({
+        console.error("❌ Payment initialization failed on every gateway:", e?.message || e);
+        return res.status(502).json({
           success: false,
-          message: `Payment gateway (${gatewayEnum}) not configured or not supported.`,
-          gateway: gatewayEnum,
+          message: "Payment could not be started. Please try again shortly.",
+          code: e?.code || "ALL_GATEWAYS_FAILED",
           countryCode: jobCountry,
+          attempts: e?.attempts || [],
           error: e?.message || String(e),
         });
       }
 
+      const { gateway: gatewayEnum, flowType, initResponse, attempts } = initialized;
+
+      payment.provider = gatewayEnum;
       payment.providerReference = reference;
       payment.providerPayload = initResponse;
       await payment.save();
 
-      const providerDef = (routing.providers || []).find(
-        (p) => String(p.gateway || "").toUpperCase() === String(gatewayEnum).toUpperCase()
-      );
-
-      const flowType = normalizeFlowType(providerDef?.flowType);
-
       const redirectUrl =
         initResponse?.redirectUrl ||
         initResponse?.paymentUrl ||
@@ -708,7 +547,7 @@ router.post(
         gateway: gatewayEnum,
         countryCode: jobCountry,
         currency: payment.currency,
-        amount: bookingFee,
+        amount: payment.amount,
         reference,
         redirectUrl: flowType === "REDIRECT" ? redirectUrl : null,
         sdkParams: flowType === "SDK" ? sdkParams : null,
@@ -719,6 +558,11 @@ router.post(
         message: `${gatewayEnum} initialized ✅`,
         instruction,
         payment,
+        // ✅ failover trail (earlier gateways that errored / timed out)
+        failover: {
+          usedFallback: attempts.length > 1 || (!!preferredGateway && preferredGateway !== gatewayEnum),
+          attempts,
+        },
       });
     } catch (err) {
       console.error("❌ PAYMENT CREATE ERROR:", err);
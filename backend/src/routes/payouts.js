@@ -146,6 +146,8 @@ router.get("/admin/provider/:providerId/monthly-statement/pdf", auth, authorizeR
         currency: payouts[0].currency,
         status: payouts.every(p => p.status === "PAID") ? "PAID" : "MIXED",
         totalAmount: payouts.reduce((s, p) => s + p.totalAmount, 0),
+        withheldAmount: payouts.reduce((s, p) => s + (p.withheldAmount || 0), 0),
+        netAmount: payouts.reduce((s, p) => s + (p.netAmount ?? p.totalAmount), 0),
         jobs: payouts.flatMap(p => p.jobs),
         isMonthly: true
     };
@@ -5,6 +5,8 @@ import Payment, { PAYMENT_STATUSES } from '../models/Payment.js';
 import User, { USER_ROLES } from '../models/User.js';
 import auth from '../middleware/auth.js';
 import authorizeRoles from '../middleware/role.js';
+import { CONFIG_VERSION_TYPES } from '../models/ConfigVersion.js';
+import { ensureBaselineVersion, recordConfigVersion } from '../services/configVersion.service.js';
 
 const router = express.Router();
 
@@ -31,13 +33,27 @@ router.patch('/', auth, authorizeRoles(USER_ROLES.ADMIN), async (req, res) => {
     let config = await PricingConfig.findOne();
     if (!config) config = await PricingConfig.create({});
 
+    await ensureBaselineVersion({
+      configType: CONFIG_VERSION_TYPES.PRICING,
+      countryCode: config.countryCode,
+      doc: config
+    });
+
     // ✅ Only update fields provided (safe patch)
     Object.keys(req.body).forEach((key) => {
+      if (['comment', 'configVersion'].includes(key)) return;
       config[key] = req.body[key];
     });
 
     await config.save();
 
+    await recordConfigVersion(req, {
+      configType: CONFIG_VERSION_TYPES.PRICING,
+      countryCode: config.countryCode,
+      doc: config,
+      comment: req.body.comment
+    });
+
     return res.status(200).json({
       message: 'Pricing config updated ✅',
       config
@@ -7,7 +7,8 @@ import User, {
   MECHANIC_CATEGORIES,
   VEHICLE_TYPES,
 } from "../models/User.js";
-import Job, { JOB_STATUSES } from "../models/Job.js";
+import Job, { JOB_STATUSES, ROADSIDE_SERVICE_TYPES } from "../models/Job.js";
+import { roadsideServicesForRole } from "../utils/roadsideServices.js";
 
 // ✅ NEW: PricingConfig source of truth for dashboard-controlled categories/types
 import PricingConfig from "../models/PricingConfig.js";
@@ -19,6 +20,15 @@ import { uploadToFirebase } from "../utils/uploadToFirebase.js";
 // ✅✅✅ ADDED (push helpers)
 import { sendPushToManyUsers } from "../utils/sendPush.js";
 import { logAuditEvent } from "../utils/auditLogger.js";
+import { broadcastJobToProviders } from "../utils/broadcastJob.js";
+import { trackProviderDispatch } from "../utils/providerScoring.js";
+import { publishProviderLocation } from "../utils/jobTracking.js";
+import {
+  JOB_ACTORS,
+  transitionJob,
+  transitionJobAtomic,
+  sendTransitionError,
+} from "../services/jobLifecycle.service.js";
 
 // ✅ ADDED (for driver verification codes)
 import DriverVerificationCode from "../models/DriverVerificationCode.js";
@@ -182,6 +192,13 @@ router.patch("/location", auth, async (req, res) => {
 
     console.log("📍 Provider location updated:", user._id.toString(), latitude, longitude);
 
+    // ✅ live tracking for the customer / admin map (fire-and-forget: never blocks the update)
+    publishProviderLocation(user._id, {
+      lat: latitude,
+      lng: longitude,
+      at: user.providerProfile.lastSeenAt,
+    }).catch((trackErr) => console.error("⚠️ Tracking publish failed:", trackErr.message));
+
     return res.status(200).json({
       message: "Location updated ✅",
       location: user.providerProfile.location,
@@ -234,7 +251,16 @@ router.patch("/me", auth, async (req, res) => {
       return res.status(403).json({ message: "Only providers can update this profile" });
     }
 
-    const { email, phone, mechanicCategories, towTruckTypes, carTypesSupported, jobPreference } = req.body || {};
+    const {
+      email,
+      phone,
+      mechanicCategories,
+      towTruckTypes,
+      carTypesSupported,
+      jobPreference,
+      roadsideServices,
+      vehicle,
+    } = req.body || {};
 
     const { allowedTowTruckTypes, allowedMechanicCategories, allowedVehicleTypes } =
       await getAllowedProviderTypesFromPricingConfig();
@@ -290,6 +316,30 @@ router.patch("/me", auth, async (req, res) => {
       }
     }
 
+    // roadside services (empty array = opt out of all)
+    if (Array.isArray(roadsideServices)) {
+      const allowedRoadside = roadsideServicesForRole(req.user.role);
+      const normalizedServices = normalizeStringArray(roadsideServices).map((v) => v.toUpperCase());
+      const invalid = normalizedServices.filter((v) => !allowedRoadside.includes(v));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          message: `Invalid roadsideServices: ${invalid.join(", ")}`,
+          allowed: allowedRoadside,
+        });
+      }
+      user.providerProfile.roadsideServices = [...new Set(normalizedServices)];
+    }
+
+    // vehicle details (make / model / color / plateNumber), partial updates allowed
+    if (vehicle && typeof vehicle === "object") {
+      const current = user.providerProfile.vehicle || {};
+      const next = {};
+      for (const k of ["make", "model", "color", "plateNumber"]) {
+        next[k] = typeof vehicle[k] === "string" ? vehicle[k].trim() || null : current[k] ?? null;
+      }
+      user.providerProfile.vehicle = next;
+    }
+
     if (jobPreference && ["BOTH", "INSURANCE", "CASH"].includes(jobPreference.toUpperCase())) {
       user.providerProfile.jobPreference = jobPreference.toUpperCase();
     }
@@ -555,7 +605,7 @@ router.patch("/me/status", auth, async (req, res) => {
       if (isOnline === false) {
         const activeJobCount = await Job.countDocuments({
           assignedTo: user._id,
-          status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] },
+          status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] },
         });
 
         if (activeJobCount > 0) {
@@ -710,6 +760,178 @@ router.get("/jobs/broadcasted/:jobId", auth, async (req, res) => {
   }
 });
 
+/**
+ * ✅ Scheduled jobs this provider can do: same country + role, and classic jobs matching
+ * tow types / categories or roadside jobs matching providerProfile.roadsideServices
+ * (shared by GET /jobs/scheduled and the pre-accept claim)
+ */
+function scheduledJobMatchFilter(me, role) {
+  const classicJobs = { serviceType: { $nin: ROADSIDE_SERVICE_TYPES } };
+
+  if (role === USER_ROLES.TOW_TRUCK) {
+    const types = me.providerProfile?.towTruckTypes || [];
+    if (types.length > 0) {
+      classicJobs.$or = [{ towTruckTypeNeeded: { $in: types } }, { towTruckTypeNeeded: null }];
+    }
+  }
+
+  if (role === USER_ROLES.MECHANIC) {
+    const cats = me.providerProfile?.mechanicCategories || [];
+    if (cats.length > 0) classicJobs.mechanicCategoryNeeded = { $in: cats };
+  }
+
+  return {
+    roleNeeded: role,
+    countryCode: me.countryCode || "ZA",
+    $or: [classicJobs, { serviceType: { $in: me.providerProfile?.roadsideServices || [] } }],
+  };
+}
+
+/**
+ * ✅ Provider browses upcoming scheduled jobs near them
+ * GET /api/providers/jobs/scheduled
+ *
+ * Returns open SCHEDULED jobs (not yet pre-accepted) that match the provider's
+ * role/types within 50km, plus the ones this provider already pre-accepted.
+ */
+router.get("/jobs/scheduled", auth, async (req, res) => {
+  try {
+    const providerRoles = [USER_ROLES.MECHANIC, USER_ROLES.TOW_TRUCK];
+    if (!providerRoles.includes(req.user.role)) {
+      return res.status(403).json({ message: "Only providers can view scheduled jobs" });
+    }
+
+    const me = await User.findById(req.user._id).select("countryCode providerProfile");
+    if (!me?.providerProfile) return res.status(403).json({ message: "Provider profile missing" });
+
+    const myJobs = await Job.find({
+      status: JOB_STATUSES.SCHEDULED,
+      "schedule.preAcceptedBy": req.user._id,
+    }).sort({ "schedule.scheduledFor": 1 });
+
+    const openQuery = {
+      status: JOB_STATUSES.SCHEDULED,
+      "schedule.preAcceptedBy": null,
+      excludedProviders: { $ne: req.user._id },
+      ...scheduledJobMatchFilter(me, req.user.role),
+    };
+
+    const coords = me.providerProfile.location?.coordinates;
+    const hasLocation =
+      Array.isArray(coords) && coords.length >= 2 && !(coords[0] === 0 && coords[1] === 0);
+
+    let openJobsQuery = Job.find(openQuery);
+
+    if (hasLocation) {
+      openJobsQuery = openJobsQuery.where("pickupLocation").near({
+        center: { type: "Point", coordinates: [Number(coords[0]), Number(coords[1])] },
+        maxDistance: 50000,
+        spherical: true,
+      });
+    } else {
+      openJobsQuery = openJobsQuery.sort({ "schedule.scheduledFor": 1 });
+    }
+
+    const openJobs = await openJobsQuery.limit(20);
+
+    return res.status(200).json({ jobs: openJobs, preAccepted: myJobs });
+  } catch (err) {
+    return res.status(500).json({ message: "Could not fetch scheduled jobs", error: err.message });
+  }
+});
+
+/**
+ * ✅ Provider pre-accepts a scheduled job (first pre-accept wins)
+ * PATCH /api/providers/jobs/:jobId/pre-accept
+ *
+ * On release the job is assigned straight to this provider instead of broadcast.
+ */
+router.patch("/jobs/:jobId/pre-accept", auth, async (req, res) => {
+  try {
+    const providerRoles = [USER_ROLES.MECHANIC, USER_ROLES.TOW_TRUCK];
+    if (!providerRoles.includes(req.user.role)) {
+      return res.status(403).json({ message: "Only providers can pre-accept jobs" });
+    }
+
+    const me = await User.findById(req.user._id).select("countryCode providerProfile accountStatus");
+    if (me?.providerProfile?.verificationStatus !== "APPROVED") {
+      return res.status(403).json({ message: "Provider must be verified before accepting jobs" });
+    }
+
+    const job = await Job.findOneAndUpdate(
+      {
+        _id: req.params.jobId,
+        status: JOB_STATUSES.SCHEDULED,
+        "schedule.preAcceptedBy": null,
+        excludedProviders: { $ne: req.user._id },
+        ...scheduledJobMatchFilter(me, req.user.role),
+      },
+      {
+        $set: {
+          "schedule.preAcceptedBy": req.user._id,
+          "schedule.preAcceptedAt": new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!job) {
+      return res.status(409).json({
+        message: "Scheduled job already pre-accepted or not available",
+      });
+    }
+
+    try {
+      await sendPushToManyUsers({
+        userIds: [job.customer.toString()],
+        title: "Provider confirmed 📅",
+        body: `A provider has confirmed your scheduled booking: ${job.title || "TowMech Service"}`,
+        data: { open: "job_details", type: "scheduled_job_pre_accepted", jobId: job._id.toString() },
+      });
+    } catch (e) {
+      console.error("⚠️ Pre-accept push failed:", e.message);
+    }
+
+    return res.status(200).json({ message: "Scheduled job pre-accepted ✅", job });
+  } catch (err) {
+    return res.status(500).json({ message: "Could not pre-accept job", error: err.message });
+  }
+});
+
+/**
+ * ✅ Provider withdraws a pre-acceptance before the job is released
+ * PATCH /api/providers/jobs/:jobId/pre-accept/withdraw
+ */
+router.patch("/jobs/:jobId/pre-accept/withdraw", auth, async (req, res) => {
+  try {
+    const providerRoles = [USER_ROLES.MECHANIC, USER_ROLES.TOW_TRUCK];
+    if (!providerRoles.includes(req.user.role)) {
+      return res.status(403).json({ message: "Only providers can withdraw pre-acceptance" });
+    }
+
+    const job = await Job.findOneAndUpdate(
+      {
+        _id: req.params.jobId,
+        status: JOB_STATUSES.SCHEDULED,
+        "schedule.preAcceptedBy": req.user._id,
+      },
+      {
+        $set: { "schedule.preAcceptedBy": null, "schedule.preAcceptedAt": null },
+        $addToSet: { excludedProviders: req.user._id },
+      },
+      { new: true }
+    );
+
+    if (!job) {
+      return res.status(404).json({ message: "Pre-accepted scheduled job not found" });
+    }
+
+    return res.status(200).json({ message: "Pre-acceptance withdrawn ✅", jobId: job._id });
+  } catch (err) {
+    return res.status(500).json({ message: "Could not withdraw pre-acceptance", error: err.message });
+  }
+});
+
 /**
  * ✅ Provider accepts job (first accept wins)
  * PATCH /api/providers/jobs/:jobId/accept
@@ -723,11 +945,13 @@ router.patch("/jobs/:jobId/accept", auth, async (req, res) => {
 
     const activeJobs = await Job.find({
       assignedTo: req.user._id,
-      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] },
+      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] },
     }).select("status dropoffLocation pickupLocation title");
 
     const inProgress = activeJobs.filter((j) => j.status === JOB_STATUSES.IN_PROGRESS);
-    const assigned = activeJobs.filter((j) => j.status === JOB_STATUSES.ASSIGNED);
+    const assigned = activeJobs.filter((j) =>
+      [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED].includes(j.status)
+    );
 
     if (assigned.length >= 1) {
       return res.status(409).json({
@@ -795,24 +1019,18 @@ router.patch("/jobs/:jobId/accept", auth, async (req, res) => {
       });
     }
 
-    const job = await Job.findOneAndUpdate(
-      {
-        _id: req.params.jobId,
+    // ✅ Race-safe: only one provider can win the BROADCASTED → ASSIGNED move
+    const job = await transitionJobAtomic(req.params.jobId, JOB_STATUSES.ASSIGNED, {
+      actor: JOB_ACTORS.PROVIDER,
+      actorId: req.user._id,
+      reason: "Accepted by provider",
+      filter: {
         status: JOB_STATUSES.BROADCASTED,
         assignedTo: null,
         broadcastedTo: req.user._id,
       },
-      [
-        {
-          $set: {
-            assignedTo: req.user._id,
-            status: JOB_STATUSES.ASSIGNED,
-            lockedAt: { $ifNull: ["$lockedAt", new Date()] },
-          },
-        },
-      ],
-      { new: true }
-    );
+      set: { assignedTo: req.user._id },
+    });
 
     if (!job) {
       return res.status(409).json({
@@ -820,6 +1038,8 @@ router.patch("/jobs/:jobId/accept", auth, async (req, res) => {
       });
     }
 
+    await trackProviderDispatch(req.user._id, "ACCEPTED");
+
     const otherProviders = (job.broadcastedTo || [])
       .map((id) => id.toString())
       .filter((id) => id !== req.user._id.toString());
@@ -839,6 +1059,7 @@ router.patch("/jobs/:jobId/accept", auth, async (req, res) => {
 
     return res.status(200).json({ message: "Job accepted", job });
   } catch (err) {
+    if (sendTransitionError(res, err)) return;
     return res.status(500).json({ message: "Could not accept job", error: err.message });
   }
 });
@@ -874,8 +1095,15 @@ router.patch("/jobs/:jobId/reject", auth, async (req, res) => {
       job.excludedProviders.push(req.user._id);
     }
 
+    // ✅ Everyone notified so far rejected → bring the next dispatch wave forward
+    if (job.broadcastedTo.length === 0 && job.dispatch?.nextWaveAt) {
+      job.dispatch.nextWaveAt = new Date();
+    }
+
     await job.save();
 
+    await trackProviderDispatch(req.user._id, "REJECTED");
+
     return res.status(200).json({ message: "Job rejected", jobId: job._id });
   } catch (err) {
     return res.status(500).json({ message: "Could not reject job", error: err.message });
@@ -919,7 +1147,7 @@ router.get("/jobs/assigned", auth, async (req, res) => {
 
     const jobs = await Job.find({
       assignedTo: req.user._id,
-      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS] },
+      status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] },
     })
       .sort({ updatedAt: -1 })
       .limit(20);
@@ -1039,53 +1267,36 @@ router.patch("/jobs/:jobId/cancel", auth, async (req, res) => {
       job.excludedProviders.push(req.user._id);
     }
 
-    job.assignedTo = null;
-    job.lockedAt = null;
-    job.status = JOB_STATUSES.BROADCASTED;
-    job.broadcastedTo = [];
-
-    job.cancelledBy = req.user._id;
-    job.cancelReason = req.body.reason || "Cancelled by provider";
-    job.cancelledAt = new Date();
-
-    await job.save();
-
-    // ✅ NEW (SAFE): rebroadcast should prefer providers in same country if job.countryCode exists
-    const jobCountry = String(job.countryCode || "").trim().toUpperCase();
-
-    const providerQuery = {
-      role: job.roleNeeded,
-      "providerProfile.isOnline": true,
-      _id: { $nin: job.excludedProviders },
-    };
-
-    if (jobCountry) {
-      providerQuery.$or = [
-        { countryCode: jobCountry },
-        { "providerProfile.allowedCountries": jobCountry },
-      ];
-    }
-
-    const newProviders = await User.find(providerQuery).limit(10);
+    const cancelReason = req.body.reason || "Cancelled by provider";
 
-    job.broadcastedTo = newProviders.map((p) => p._id);
-
-    job.dispatchAttempts = job.dispatchAttempts || [];
-    newProviders.forEach((p) => {
-      job.dispatchAttempts.push({
-        providerId: p._id,
-        attemptedAt: new Date(),
-      });
+    // ✅ ASSIGNED → BROADCASTED (back to the pool)
+    await transitionJob(job, JOB_STATUSES.BROADCASTED, {
+      actor: JOB_ACTORS.PROVIDER,
+      actorId: req.user._id,
+      reason: cancelReason,
+      set: {
+        assignedTo: null,
+        lockedAt: null,
+        broadcastedTo: [],
+        cancelledBy: req.user._id,
+        cancelReason,
+        cancelledAt: new Date(),
+      },
     });
 
-    await job.save();
+    await trackProviderDispatch(req.user._id, "CANCELLED");
+
+    // ✅ Restart dispatch waves (wave 1) — excludedProviders keeps this provider out
+    const rebroadcast = await broadcastJobToProviders(job._id);
+    const fresh = (await Job.findById(job._id)) || job;
 
     return res.status(200).json({
       message: "Provider cancelled within 2 minutes. Job rebroadcasted ✅",
-      job,
-      broadcastedTo: job.broadcastedTo,
+      job: fresh,
+      broadcastedTo: (rebroadcast?.providers || []).map((p) => p._id),
     });
   } catch (err) {
+    if (sendTransitionError(res, err)) return;
     return res.status(500).json({
       message: "Could not cancel and rebroadcast job",
       error: err.message,
@@ -1,31 +1,42 @@
 import express from "express";
+import mongoose from "mongoose";
 import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
-import PanicAlert, { PANIC_STATUSES } from "../models/PanicAlert.js";
+import PanicAlert, { PANIC_SOURCES, PANIC_STATUSES } from "../models/PanicAlert.js";
 import User, { USER_ROLES } from "../models/User.js";
 import Job from "../models/Job.js";
+import TripShare, { TRIP_SHARE_REVOKE_REASONS } from "../models/TripShare.js";
+import { appendPanicLocation, raisePanicAlert } from "../services/safety/panicEscalation.js";
+import { createTripShare, getSharedTrip, revokeTripSharesForJob } from "../services/safety/tripShare.js";
 
 const router = express.Router();
 
+const PANIC_ROLES = [USER_ROLES.CUSTOMER, USER_ROLES.TOW_TRUCK, USER_ROLES.MECHANIC];
+
 /**
  * ✅ Panic Alert Trigger
  * POST /api/safety/panic
  *
+ * Notifies on-duty safety admins (push + email) and SMSes the user's emergency contacts,
+ * then escalates until an admin acknowledges. The device should keep posting
+ * /panic/:id/location until it gets 409 PANIC_ALERT_RESOLVED.
+ *
  * Body:
  * {
  *   jobId?: string,
  *   lat: number,
  *   lng: number,
+ *   accuracy?: number,
  *   message?: string
  * }
  */
 router.post(
   "/panic",
   auth,
-  authorizeRoles(USER_ROLES.CUSTOMER, USER_ROLES.TOW_TRUCK, USER_ROLES.MECHANIC),
+  authorizeRoles(...PANIC_ROLES),
   async (req, res) => {
     try {
-      const { jobId, lat, lng, message } = req.body;
+      const { jobId, lat, lng, accuracy, message } = req.body;
 
       if (lat === undefined || lng === undefined) {
         return res.status(400).json({
@@ -33,30 +44,44 @@ router.post(
         });
       }
 
+      const la = Number(lat);
+      const ln = Number(lng);
+      if (!Number.isFinite(la) || !Number.isFinite(ln) || Math.abs(la) > 90 || Math.abs(ln) > 180) {
+        return res.status(400).json({ message: "Valid lat and lng are required ❌", code: "INVALID_LOCATION" });
+      }
+
+      // ✅ only the job's customer or assigned provider may tie an alert to it
       let job = null;
       if (jobId) {
+        if (!mongoose.Types.ObjectId.isValid(jobId)) {
+          return res.status(400).json({ message: "Invalid jobId ❌", code: "INVALID_JOB_ID" });
+        }
+
         job = await Job.findById(jobId);
+        if (!job) {
+          return res.status(404).json({ message: "Job not found ❌", code: "JOB_NOT_FOUND" });
+        }
+
+        const userId = req.user._id.toString();
+        const isParticipant = job.customer?.toString() === userId || job.assignedTo?.toString() === userId;
+        if (!isParticipant) {
+          return res.status(403).json({ message: "Not allowed ❌", code: "NOT_JOB_PARTICIPANT" });
+        }
       }
 
-      const alert = await PanicAlert.create({
-        triggeredBy: req.user._id,
-        triggeredRole: req.user.role,
-        job: job ? job._id : null,
-        location: { lat, lng },
-        message: message || "",
-        status: PANIC_STATUSES.OPEN,
-        auditLogs: [
-          {
-            action: "PANIC_TRIGGERED",
-            by: req.user._id,
-            meta: { jobId: jobId || null },
-          },
-        ],
+      const alert = await raisePanicAlert({
+        user: req.user,
+        job,
+        lat: la,
+        lng: ln,
+        accuracy: Number.isFinite(Number(accuracy)) ? Number(accuracy) : null,
+        message,
       });
 
       return res.status(201).json({
         message: "Panic alert sent ✅",
         alert,
+        locationStreamUrl: `/api/safety/panic/${alert._id}/location`,
       });
     } catch (err) {
       return res.status(500).json({
@@ -67,4 +92,338 @@ router.post(
   }
 );
 
+/**
+ * ✅ Stream device location into the alert timeline
+ * POST /api/safety/panic/:id/location
+ *
+ * Body: { lat, lng, accuracy?, speed?, heading?, recordedAt? }
+ */
+router.post("/panic/:id/location", auth, authorizeRoles(...PANIC_ROLES), async (req, res) => {
+  try {
+    const result = await appendPanicLocation({
+      alertId: req.params.id,
+      userId: req.user._id,
+      ...req.body,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message, code: result.code });
+    }
+
+    return res.status(200).json({
+      message: "Location received ✅",
+      status: result.alert.status,
+      acknowledged: !!result.alert.acknowledgedAt,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not record location ❌",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ Panic alert status (device polls to show "help is on the way")
+ * GET /api/safety/panic/:id
+ */
+router.get("/panic/:id", auth, authorizeRoles(...PANIC_ROLES), async (req, res) => {
+  try {
+    const alert = await PanicAlert.findOne({ _id: req.params.id, triggeredBy: req.user._id }).select(
+      "status location job countryCode escalationLevel acknowledgedAt resolvedAt lastLocationAt createdAt"
+    );
+
+    if (!alert) {
+      return res.status(404).json({ message: "Panic alert not found ❌", code: "PANIC_ALERT_NOT_FOUND" });
+    }
+
+    return res.status(200).json({ alert });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not fetch panic alert ❌",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ Customer answers the trip monitor's "is everything OK?" push
+ * POST /api/safety/incidents/:id/check-in
+ *
+ * Body: { ok: boolean, message?: string }
+ * ok=false escalates a still-unacknowledged incident on the next escalation run.
+ */
+router.post("/incidents/:id/check-in", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
+  try {
+    if (typeof req.body?.ok !== "boolean") {
+      return res.status(400).json({ message: "ok must be true or false ❌" });
+    }
+
+    const safe = req.body.ok;
+    const now = new Date();
+
+    const set = {
+      "customerCheckIn.respondedAt": now,
+      "customerCheckIn.ok": safe,
+      "customerCheckIn.message": req.body.message ? String(req.body.message).trim() : null,
+    };
+    if (!safe) set.nextEscalationAt = now;
+
+    const incident = await PanicAlert.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        triggeredBy: req.user._id,
+        source: PANIC_SOURCES.TRIP_MONITOR,
+        status: { $ne: PANIC_STATUSES.RESOLVED },
+      },
+      {
+        $set: set,
+        $push: {
+          auditLogs: {
+            action: safe ? "CUSTOMER_CHECKED_IN_OK" : "CUSTOMER_NEEDS_HELP",
+            by: req.user._id,
+            meta: { message: set["customerCheckIn.message"] },
+            timestamp: now,
+          },
+        },
+      },
+      { new: true, projection: { locationTimeline: 0, notifications: 0, auditLogs: 0 } }
+    );
+
+    if (!incident) {
+      return res.status(404).json({ message: "Incident not found ❌", code: "INCIDENT_NOT_FOUND" });
+    }
+
+    return res.status(200).json({
+      message: safe ? "Thanks, glad you're safe ✅" : "Help is on the way — our safety team has been alerted 🚨",
+      incident,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not record check-in ❌",
+      error: err.message,
+    });
+  }
+});
+
+const MAX_EMERGENCY_CONTACTS = 5;
+const MAX_TRUSTED_CONTACTS = 10;
+
+/**
+ * ✅ Validate a contact list from the app → { contacts } or { error }
+ */
+function parseContacts(contacts, max, label) {
+  if (!Array.isArray(contacts)) return { error: "contacts must be an array ❌" };
+  if (contacts.length > max) return { error: `You can save up to ${max} ${label} ❌` };
+
+  const cleaned = [];
+  for (const c of contacts) {
+    const name = String(c?.name || "").trim();
+    const phone = String(c?.phone || "").trim();
+    if (!name || !phone) return { error: "Each contact needs a name and phone ❌" };
+
+    cleaned.push({
+      name,
+      phone,
+      email: c?.email ? String(c.email).trim().toLowerCase() : null,
+      relationship: c?.relationship ? String(c.relationship).trim() : null,
+    });
+  }
+
+  return { contacts: cleaned };
+}
+
+/**
+ * ✅ Emergency contacts (SMS'd on panic)
+ * GET /api/safety/emergency-contacts
+ */
+router.get("/emergency-contacts", auth, authorizeRoles(...PANIC_ROLES), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("emergencyContacts");
+    return res.status(200).json({ contacts: user?.emergencyContacts || [] });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not fetch emergency contacts ❌",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ Replace emergency contacts
+ * PUT /api/safety/emergency-contacts
+ *
+ * Body: { contacts: [{ name, phone, relationship? }] }  (max 5)
+ */
+router.put("/emergency-contacts", auth, authorizeRoles(...PANIC_ROLES), async (req, res) => {
+  try {
+    const parsed = parseContacts(req.body?.contacts, MAX_EMERGENCY_CONTACTS, "emergency contacts");
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const cleaned = parsed.contacts;
+
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: "User not found ❌" });
+
+    user.emergencyContacts = cleaned;
+    await user.save();
+
+    return res.status(200).json({
+      message: "Emergency contacts saved ✅",
+      contacts: user.emergencyContacts,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not save emergency contacts ❌",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ Trusted contacts (receive shared live trip links)
+ * GET /api/safety/trusted-contacts
+ */
+router.get("/trusted-contacts", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("trustedContacts");
+    return res.status(200).json({ contacts: user?.trustedContacts || [] });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not fetch trusted contacts ❌",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ Replace trusted contacts
+ * PUT /api/safety/trusted-contacts
+ *
+ * Body: { contacts: [{ name, phone, email?, relationship? }] }  (max 10)
+ */
+router.put("/trusted-contacts", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const parsed = parseContacts(req.body?.contacts, MAX_TRUSTED_CONTACTS, "trusted contacts");
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: "User not found ❌" });
+
+    user.trustedContacts = parsed.contacts;
+    await user.save();
+
+    return res.status(200).json({
+      message: "Trusted contacts saved ✅",
+      contacts: user.trustedContacts,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not save trusted contacts ❌",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ Share a live trip link (ASSIGNED / ARRIVED / IN_PROGRESS jobs)
+ * POST /api/safety/trips/:jobId/share
+ *
+ * Body: { ttlMinutes?: number (default 240, max 720), contactIds?: string[] }
+ * The token is only returned here — it cannot be read back later.
+ */
+router.post("/trips/:jobId/share", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.jobId).select("customer assignedTo status countryCode");
+    if (!job) return res.status(404).json({ message: "Job not found ❌" });
+
+    const user = await User.findById(req.user._id).select("name firstName trustedContacts");
+
+    const result = await createTripShare({
+      job,
+      user,
+      ttlMinutes: req.body?.ttlMinutes,
+      contactIds: req.body?.contactIds,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message, code: result.code });
+    }
+
+    return res.status(201).json({
+      message: "Trip link created ✅",
+      shareId: result.share._id,
+      token: result.token,
+      url: result.url,
+      expiresAt: result.share.expiresAt,
+      delivery: result.delivery,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not share trip ❌",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ Links created for a job
+ * GET /api/safety/trips/:jobId/shares
+ */
+router.get("/trips/:jobId/shares", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const shares = await TripShare.find({ job: req.params.jobId, createdBy: req.user._id })
+      .select("-tokenHash")
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({ shares });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not fetch trip links ❌",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ Stop sharing: revoke every link of the job
+ * DELETE /api/safety/trips/:jobId/share
+ */
+router.delete("/trips/:jobId/share", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.jobId, customer: req.user._id }).select("_id");
+    if (!job) return res.status(404).json({ message: "Job not found ❌" });
+
+    const revoked = await revokeTripSharesForJob(job._id, TRIP_SHARE_REVOKE_REASONS.CUSTOMER);
+
+    return res.status(200).json({ message: "Trip sharing stopped ✅", revoked });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not stop sharing ❌",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * ✅ PUBLIC live trip view (no auth — the token is the credential)
+ * GET /api/safety/share/:token
+ */
+router.get("/share/:token", async (req, res) => {
+  try {
+    const result = await getSharedTrip(req.params.token);
+
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message, code: result.code });
+    }
+
+    res.set("Cache-Control", "no-store");
+    return res.status(200).json({ trip: result.trip });
+  } catch (err) {
+    return res.status(500).json({
+      message: "Could not load trip ❌",
+      error: err.message,
+    });
+  }
+});
+
 export default router;
@@ -3,6 +3,7 @@ import express from "express";
 import auth from "../middleware/auth.js";
 import authorizeRoles from "../middleware/role.js";
 import User, { USER_ROLES } from "../models/User.js";
+import { auditSnapshot, logAdminAction } from "../utils/adminAudit.js";
 
 const router = express.Router();
 
@@ -110,6 +111,14 @@ router.post(
 
       await admin.save();
 
+      await logAdminAction(req, {
+        action: "ADMIN_CREATED",
+        entityType: "ADMIN",
+        entityId: admin._id,
+        countryCode: workspaceCountryCode,
+        after: auditSnapshot(admin, ["name", "email", "phone", "role", "countryCode", "permissions"]),
+      });
+
       return res.status(201).json({
         message: `${chosenRole} created successfully ✅`,
         workspaceCountryCode,
@@ -140,6 +149,8 @@ router.patch(
           .json({ message: "Target user is not Admin/SuperAdmin ❌" });
       }
 
+      const before = auditSnapshot(admin, ["permissions"]);
+
       const incomingPermissions = req.body.permissions || {};
       admin.permissions = {
         ...admin.permissions,
@@ -148,6 +159,15 @@ router.patch(
 
       await admin.save();
 
+      await logAdminAction(req, {
+        action: "ADMIN_PERMISSIONS_UPDATED",
+        entityType: "ADMIN",
+        entityId: admin._id,
+        countryCode: admin.countryCode,
+        before,
+        after: auditSnapshot(admin, ["permissions"]),
+      });
+
       return res.status(200).json({
         message: "Permissions updated ✅",
         admin: admin.toSafeJSON(USER_ROLES.SUPER_ADMIN),
@@ -206,6 +226,9 @@ router.patch(
           .json({ message: "You cannot archive your own account ❌" });
       }
 
+      const auditPaths = ["accountStatus.isArchived", "accountStatus.archivedAt", "accountStatus.archivedBy"];
+      const before = auditSnapshot(admin, auditPaths);
+
       if (!admin.accountStatus) admin.accountStatus = {};
       admin.accountStatus.isArchived = true;
       admin.accountStatus.archivedAt = new Date();
@@ -213,6 +236,15 @@ router.patch(
 
       await admin.save();
 
+      await logAdminAction(req, {
+        action: "ADMIN_ARCHIVED",
+        entityType: "ADMIN",
+        entityId: admin._id,
+        countryCode: admin.countryCode,
+        before,
+        after: auditSnapshot(admin, auditPaths),
+      });
+
       return res.status(200).json({
         message: "Admin archived ✅",
         admin: admin.toSafeJSON(USER_ROLES.SUPER_ADMIN),
@@ -0,0 +1,75 @@
+// backend/src/routes/wallet.js
+import express from "express";
+import auth from "../middleware/auth.js";
+import authorizeRoles from "../middleware/role.js";
+import { USER_ROLES } from "../models/User.js";
+import { getWalletSummary } from "../services/wallet/walletLedger.js";
+import { redeemPromoCode } from "../services/wallet/promoCodes.js";
+
+const router = express.Router();
+
+/**
+ * ✅ Customer wallet: balances + recent history
+ * GET /api/wallet
+ */
+router.get("/", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const { wallets, transactions } = await getWalletSummary(req.user._id, { limit: 20 });
+    return res.status(200).json({ wallets, transactions });
+  } catch (err) {
+    return res.status(500).json({ message: "Could not load wallet", error: err.message });
+  }
+});
+
+/**
+ * ✅ Wallet history (newest first, paged by createdAt)
+ * GET /api/wallet/transactions?currency=&limit=&before=
+ */
+router.get("/transactions", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const { transactions } = await getWalletSummary(req.user._id, {
+      currency: req.query.currency || null,
+      limit: req.query.limit,
+      before: req.query.before || null,
+    });
+
+    const last = transactions[transactions.length - 1];
+    return res.status(200).json({
+      transactions,
+      count: transactions.length,
+      nextBefore: last ? last.createdAt : null,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: "Could not load wallet history", error: err.message });
+  }
+});
+
+/**
+ * ✅ Redeem a promo code into wallet credit
+ * POST /api/wallet/redeem  body: { code }
+ */
+router.post("/redeem", auth, authorizeRoles(USER_ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const result = await redeemPromoCode({
+      userId: req.user._id,
+      code: req.body?.code,
+      countryCode: req.countryCode || req.user?.countryCode,
+      req,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message, code: result.code });
+    }
+
+    return res.status(200).json({
+      message: `Promo applied ✅ ${result.promo.amount.toFixed(2)} ${result.promo.currency} added to your wallet`,
+      balance: result.balance,
+      currency: result.promo.currency,
+      transaction: result.transaction,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: "Could not redeem promo code", error: err.message });
+  }
+});
+
+export default router;
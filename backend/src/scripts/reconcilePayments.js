@@ -0,0 +1,118 @@
+// backend/src/scripts/reconcilePayments.js
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Payment from "../models/Payment.js";
+import {
+  API_RECONCILABLE_GATEWAYS,
+  importGatewayCsv,
+  runGatewayReconciliation,
+} from "../services/payments/settlementReconciliation.js";
+
+dotenv.config();
+
+/**
+ * ✅ This script should be run every day (cron job)
+ * It reconciles the PREVIOUS day (UTC) against each gateway's transaction list.
+ *
+ *   node src/scripts/reconcilePayments.js
+ *   node src/scripts/reconcilePayments.js --date 2026-01-31 --country ZA --gateway PAYSTACK
+ *   node src/scripts/reconcilePayments.js --csv ./payfast-2026-01-31.csv --gateway PAYFAST --country ZA --date 2026-01-31
+ */
+
+// recorded internally, never charged through a gateway
+const INTERNAL_PROVIDERS = ["WALLET", "SIMULATION", "INSURANCE", "FREE_BOOKING"];
+
+function readArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+  }
+  return args;
+}
+
+function dayWindow(dateArg) {
+  const day = dateArg ? new Date(`${dateArg}T00:00:00.000Z`) : new Date();
+  if (!dateArg) day.setUTCDate(day.getUTCDate() - 1);
+  day.setUTCHours(0, 0, 0, 0);
+
+  const end = new Date(day);
+  end.setUTCHours(23, 59, 59, 999);
+  return { from: day, to: end };
+}
+
+function printRun(run) {
+  console.log(
+    `📊 ${run.countryCode} ${run.gateway} (${run.source}): ` +
+      `${run.totals.gatewayTransactions} gateway rows, ${run.totals.matched} matched, ${run.totals.issues} issues`
+  );
+  for (const [issue, count] of Object.entries(run.issueCounts || {})) {
+    console.log(`   ⚠️ ${issue}: ${count}`);
+  }
+}
+
+async function run() {
+  try {
+    const args = readArgs(process.argv.slice(2));
+    const { from, to } = dayWindow(args.date);
+
+    const mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017/towmech";
+    await mongoose.connect(mongoUri);
+    console.log("✅ Connected to MongoDB");
+    console.log(`🔍 Reconciling ${from.toISOString()} → ${to.toISOString()}`);
+
+    if (args.csv) {
+      if (!args.gateway || !args.country) throw new Error("--csv needs --gateway and --country");
+
+      const csv = fs.readFileSync(path.resolve(String(args.csv)), "utf8");
+      const result = await importGatewayCsv({
+        countryCode: args.country,
+        gateway: args.gateway,
+        from,
+        to,
+        csv,
+        fileName: path.basename(String(args.csv)),
+      });
+      printRun(result);
+      process.exit(0);
+    }
+
+    // Country + gateway pairs that actually took payments in the window
+    const pairs = await Payment.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: { countryCode: "$countryCode", gateway: "$provider" } } },
+    ]);
+
+    const targets = pairs
+      .map((p) => ({ countryCode: p._id.countryCode, gateway: String(p._id.gateway || "").toUpperCase() }))
+      .filter((t) => !INTERNAL_PROVIDERS.includes(t.gateway))
+      .filter((t) => !args.country || t.countryCode === String(args.country).toUpperCase())
+      .filter((t) => !args.gateway || t.gateway === String(args.gateway).toUpperCase());
+
+    let failures = 0;
+    for (const t of targets) {
+      if (!API_RECONCILABLE_GATEWAYS.includes(t.gateway)) {
+        console.log(`⏭️ ${t.countryCode} ${t.gateway}: no list API — import its CSV with --csv`);
+        continue;
+      }
+
+      try {
+        const result = await runGatewayReconciliation({ ...t, from, to });
+        printRun(result);
+      } catch (err) {
+        failures++;
+        console.error(`❌ ${t.countryCode} ${t.gateway} failed:`, err?.message || err);
+      }
+    }
+
+    console.log(`🏁 Finished. ${targets.length} country/gateway pairs, ${failures} failed.`);
+    process.exit(failures ? 1 : 0);
+  } catch (err) {
+    console.error("❌ Reconciliation failed:", err);
+    process.exit(1);
+  }
+}
+
+run();
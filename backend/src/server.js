@@ -7,6 +7,12 @@ import http from "http";
 import app from "./app.js";
 import connectDB from "./config/db.js";
 import { createSocketServer } from "./socket/index.js";
+import { runScheduledJobsDispatch } from "./utils/scheduledJobs.js";
+import { runDispatchWaves } from "./utils/dispatchWaves.js";
+import { runRefundQueue } from "./services/payments/refundQueue.js";
+import { runPanicEscalations } from "./services/safety/panicEscalation.js";
+import { runTripMonitorSweep } from "./services/safety/tripMonitor.js";
+import { runScheduledConfigVersions } from "./services/configVersion.service.js";
 
 // ✅ get current file path
 const __filename = fileURLToPath(import.meta.url);
@@ -64,6 +70,38 @@ const PORT = process.env.PORT || 5000;
           console.error("❌ Ghost cleanup error:", e.message);
         }
       }, 5 * 60 * 1000); // Every 5 minutes
+
+      // ✅ Scheduled bookings: release due jobs + customer reminders
+      setInterval(() => {
+        runScheduledJobsDispatch().catch((e) =>
+          console.error("❌ Scheduled jobs dispatch error:", e.message)
+        );
+      }, 60 * 1000); // Every minute
+
+      // ✅ Dispatch waves: widen radius for unmatched jobs, give up + refund on timeout
+      setInterval(() => {
+        runDispatchWaves().catch((e) => console.error("❌ Dispatch waves error:", e.message));
+      }, 30 * 1000); // Every 30 seconds
+
+      // ✅ Refund queue: gateway refund retries with backoff
+      setInterval(() => {
+        runRefundQueue().catch((e) => console.error("❌ Refund queue error:", e.message));
+      }, 60 * 1000); // Every minute
+
+      // ✅ Panic alerts: escalate the ones nobody acknowledged in time
+      setInterval(() => {
+        runPanicEscalations().catch((e) => console.error("❌ Panic escalation error:", e.message));
+      }, 30 * 1000); // Every 30 seconds
+
+      // ✅ Trip monitor: tows that stopped moving / reporting
+      setInterval(() => {
+        runTripMonitorSweep().catch((e) => console.error("❌ Trip monitor sweep error:", e.message));
+      }, 60 * 1000); // Every minute
+
+      // ✅ Config versions: apply scheduled pricing / country service changes
+      setInterval(() => {
+        runScheduledConfigVersions().catch((e) => console.error("❌ Scheduled config versions error:", e.message));
+      }, 60 * 1000); // Every minute
     });
   } catch (err) {
     console.error("❌ Failed to start server:", err.message);
@@ -146,7 +146,38 @@ export const EmailService = {
   /**
    * ✅ Send Job Notification
    */
-  sendJobNotification: async (req, { to, name, title, status, pickup, dropoff, type = "accepted" }) => {
+  sendJobNotification: async (req, { to, name, title, status, pickup, dropoff, type = "accepted", invoice = null }) => {
+    const money = (n) => `${(Number(n) || 0).toFixed(2)} ${invoice?.currency || "ZAR"}`;
+    const cell = "padding: 6px; border-bottom: 1px solid #eee;";
+    const esc = (v) => String(v ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+    const invoiceHtml = invoice?.items?.length
+      ? `
+        <h3 style="color: #333; margin-top: 20px;">Approved Extras</h3>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <tr style="background: #f9f9f9; text-align: left;">
+            <th style="${cell}">Item</th>
+            <th style="${cell} text-align: right;">Qty</th>
+            <th style="${cell} text-align: right;">Unit</th>
+            <th style="${cell} text-align: right;">Amount</th>
+          </tr>
+          ${invoice.items
+            .map(
+              (i) => `
+          <tr>
+            <td style="${cell}">${esc(i.description)}</td>
+            <td style="${cell} text-align: right;">${i.quantity}</td>
+            <td style="${cell} text-align: right;">${money(i.unitPrice)}</td>
+            <td style="${cell} text-align: right;">${money(i.amount)}</td>
+          </tr>`
+            )
+            .join("")}
+        </table>
+        <p style="margin: 10px 0 0; text-align: right;"><strong>Extras total:</strong> ${money(invoice.extrasTotal)}</p>
+        <p style="margin: 5px 0; text-align: right;"><strong>Total:</strong> ${money(invoice.total)}</p>
+      `
+      : "";
+
     const subject = type === "accepted"
       ? "✅ Your TowMech Job Has Been Accepted"
       : "✅ Your TowMech Job Has Been Completed";
@@ -162,6 +193,7 @@ export const EmailService = {
           <p style="margin: 5px 0;"><strong>Pickup:</strong> ${pickup}</p>
           <p style="margin: 5px 0;"><strong>Dropoff:</strong> ${dropoff}</p>
         </div>
+        ${invoiceHtml}
         <hr style="border: 0; border-top: 1px solid #eee; margin: 20px 0;">
         <p style="font-size: 12px; color: #999; text-align: center;">&copy; ${new Date().getFullYear()} TowMech. All rights reserved.</p>
       </div>
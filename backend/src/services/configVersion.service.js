@@ -0,0 +1,377 @@
+// backend/src/services/configVersion.service.js
+import PricingConfig from "../models/PricingConfig.js";
+import CountryServiceConfig from "../models/CountryServiceConfig.js";
+import ConfigVersion, {
+  CONFIG_VERSION_SOURCES,
+  CONFIG_VERSION_STATUSES,
+  CONFIG_VERSION_TYPES,
+} from "../models/ConfigVersion.js";
+import { diffAudit } from "../utils/adminAudit.js";
+
+/**
+ * ✅ Config versioning (PricingConfig + CountryServiceConfig, per country)
+ *
+ * - every admin save records an APPLIED version (author + comment); the state before the
+ *   first versioned save is kept as version 0 (BASELINE)
+ * - a save with a future effectiveAt is stored as SCHEDULED and applied by
+ *   runScheduledConfigVersions() (server.js) — the snapshot is the whole config as it would
+ *   have been at scheduling time, so it also replaces edits made in between
+ * - rollback copies an older snapshot into a new version and applies it immediately
+ *
+ * Mutating helpers return { ok, ... } or { ok:false, status, code, message }.
+ */
+
+const MODELS = {
+  [CONFIG_VERSION_TYPES.PRICING]: PricingConfig,
+  [CONFIG_VERSION_TYPES.COUNTRY_SERVICES]: CountryServiceConfig,
+};
+
+// identity / bookkeeping fields never restored from a snapshot
+const NON_VERSIONED_FIELDS = ["_id", "__v", "countryCode", "createdAt", "updatedAt", "configVersion"];
+
+const DUPLICATE_KEY = 11000;
+
+const normalizeCountryCode = (v) => String(v || "ZA").trim().toUpperCase();
+
+export function configModel(configType) {
+  return MODELS[configType] || null;
+}
+
+/**
+ * ✅ Live config (doc or lean object) → plain snapshot
+ */
+export function snapshotConfig(doc) {
+  const plain = JSON.parse(JSON.stringify(doc?.toObject ? doc.toObject({ depopulate: true }) : doc || {}));
+  for (const k of NON_VERSIONED_FIELDS) delete plain[k];
+  return plain;
+}
+
+/**
+ * ✅ Optional effectiveAt from a request body
+ * Missing / past → apply now (date null); unparseable → error
+ */
+export function parseEffectiveAt(value) {
+  if (value === undefined || value === null || value === "") return { ok: true, date: null };
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { ok: false, status: 400, code: "INVALID_EFFECTIVE_AT", message: "effectiveAt must be a valid date" };
+  }
+
+  return { ok: true, date: date > new Date() ? date : null };
+}
+
+const authorFields = (req) => ({
+  createdBy: req?.user?._id || null,
+  createdByEmail: req?.user?.email || null,
+  createdByRole: req?.user?.role || null,
+});
+
+/**
+ * ✅ Insert the next version number (retries when two admins save at the same moment)
+ */
+async function createVersion({ configType, countryCode, ...fields }) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await ConfigVersion.findOne({ configType, countryCode })
+      .sort({ version: -1 })
+      .select("version")
+      .lean();
+
+    try {
+      return await ConfigVersion.create({
+        configType,
+        countryCode,
+        version: latest ? latest.version + 1 : 1,
+        ...fields,
+      });
+    } catch (err) {
+      if (err?.code !== DUPLICATE_KEY || attempt === 2) throw err;
+    }
+  }
+  return null;
+}
+
+async function setLiveVersion(configType, countryCode, version) {
+  await configModel(configType).updateOne(
+    { countryCode },
+    { $set: { configVersion: version } },
+    { timestamps: false }
+  );
+}
+
+/**
+ * ✅ Keep the pre-edit state as version 0 before a config is first changed
+ * doc: the live config BEFORE the mutation (null when the config does not exist yet)
+ */
+export async function ensureBaselineVersion({ configType, countryCode, doc }) {
+  if (!doc) return null;
+
+  const cc = normalizeCountryCode(countryCode);
+  const exists = await ConfigVersion.exists({ configType, countryCode: cc });
+  if (exists) return null;
+
+  try {
+    return await ConfigVersion.create({
+      configType,
+      countryCode: cc,
+      version: 0,
+      snapshot: snapshotConfig(doc),
+      source: CONFIG_VERSION_SOURCES.BASELINE,
+      comment: "Config before versioning",
+      status: CONFIG_VERSION_STATUSES.APPLIED,
+      effectiveAt: doc.updatedAt || new Date(),
+      appliedAt: doc.updatedAt || new Date(),
+    });
+  } catch (err) {
+    if (err?.code === DUPLICATE_KEY) return null; // another save created it
+    throw err;
+  }
+}
+
+/**
+ * ✅ Record the config that was just saved as a new APPLIED version
+ * doc: the live config AFTER the save
+ */
+export async function recordConfigVersion(req, { configType, countryCode, doc, comment = null }) {
+  const cc = normalizeCountryCode(countryCode);
+  const now = new Date();
+
+  const version = await createVersion({
+    configType,
+    countryCode: cc,
+    snapshot: snapshotConfig(doc),
+    source: CONFIG_VERSION_SOURCES.SAVE,
+    comment: comment ? String(comment).trim() : null,
+    ...authorFields(req),
+    status: CONFIG_VERSION_STATUSES.APPLIED,
+    effectiveAt: now,
+    appliedAt: now,
+  });
+
+  await setLiveVersion(configType, cc, version.version);
+  if (doc && typeof doc === "object") doc.configVersion = version.version;
+
+  return version;
+}
+
+/**
+ * ✅ Store a config snapshot to go live at effectiveAt (future)
+ */
+export async function scheduleConfigVersion(
+  req,
+  { configType, countryCode, snapshot, effectiveAt, comment = null, restoredFrom = null }
+) {
+  const when = effectiveAt ? new Date(effectiveAt) : null;
+  if (!when || Number.isNaN(when.getTime()) || when <= new Date()) {
+    return { ok: false, status: 400, code: "INVALID_EFFECTIVE_AT", message: "effectiveAt must be in the future" };
+  }
+
+  const version = await createVersion({
+    configType,
+    countryCode: normalizeCountryCode(countryCode),
+    snapshot,
+    source: restoredFrom !== null ? CONFIG_VERSION_SOURCES.ROLLBACK : CONFIG_VERSION_SOURCES.SAVE,
+    restoredFrom,
+    comment: comment ? String(comment).trim() : null,
+    ...authorFields(req),
+    status: CONFIG_VERSION_STATUSES.SCHEDULED,
+    effectiveAt: when,
+  });
+
+  return { ok: true, version };
+}
+
+/**
+ * ✅ Top-level schema fields a snapshot restores (everything but identity / bookkeeping)
+ */
+function versionedFields(Model) {
+  const fields = new Set(Object.keys(Model.schema.paths).map((p) => p.split(".")[0]));
+  for (const k of NON_VERSIONED_FIELDS) fields.delete(k);
+  return [...fields];
+}
+
+/**
+ * ✅ Write a version's snapshot into the live config and mark it APPLIED
+ * Fields missing from the snapshot (added after it was taken) are unset → back to their defaults.
+ */
+async function activateVersion(version) {
+  const Model = configModel(version.configType);
+  const snapshot = version.snapshot || {};
+
+  const update = { $set: { ...snapshot, configVersion: version.version } };
+  const missing = versionedFields(Model).filter((k) => !(k in snapshot));
+  if (missing.length) update.$unset = Object.fromEntries(missing.map((k) => [k, 1]));
+
+  const config = await Model.findOneAndUpdate({ countryCode: version.countryCode }, update, {
+    new: true,
+    upsert: true,
+    runValidators: true,
+    setDefaultsOnInsert: true,
+  });
+
+  await ConfigVersion.updateOne(
+    { _id: version._id, status: CONFIG_VERSION_STATUSES.SCHEDULED },
+    { $set: { status: CONFIG_VERSION_STATUSES.APPLIED, appliedAt: new Date() } }
+  );
+
+  return config;
+}
+
+/**
+ * ✅ One-action rollback: copy an applied version into a new version and apply it now
+ * Returns { ok, version, config, pendingScheduled }
+ */
+export async function rollbackConfigVersion(req, { configType, countryCode, version, comment = null }) {
+  const cc = normalizeCountryCode(countryCode);
+
+  const target = await ConfigVersion.findOne({ configType, countryCode: cc, version: Number(version) }).lean();
+  if (!target) {
+    return { ok: false, status: 404, code: "CONFIG_VERSION_NOT_FOUND", message: "Config version not found" };
+  }
+  if (target.status !== CONFIG_VERSION_STATUSES.APPLIED) {
+    return {
+      ok: false,
+      status: 409,
+      code: "CONFIG_VERSION_NOT_APPLIED",
+      message: `Only versions that were live can be restored (version ${target.version} is ${target.status})`,
+    };
+  }
+
+  const live = await configModel(configType).findOne({ countryCode: cc }).select("configVersion").lean();
+  if (live && live.configVersion === target.version) {
+    return {
+      ok: false,
+      status: 409,
+      code: "CONFIG_VERSION_ALREADY_LIVE",
+      message: `Version ${target.version} is already live`,
+    };
+  }
+
+  // created SCHEDULED-now so a failed apply is retried by the scheduler instead of being lost
+  const now = new Date();
+  const created = await createVersion({
+    configType,
+    countryCode: cc,
+    snapshot: target.snapshot,
+    source: CONFIG_VERSION_SOURCES.ROLLBACK,
+    restoredFrom: target.version,
+    comment: comment ? String(comment).trim() : `Rollback to version ${target.version}`,
+    ...authorFields(req),
+    status: CONFIG_VERSION_STATUSES.SCHEDULED,
+    effectiveAt: now,
+  });
+
+  const config = await activateVersion(created);
+
+  const pendingScheduled = await ConfigVersion.find({
+    configType,
+    countryCode: cc,
+    status: CONFIG_VERSION_STATUSES.SCHEDULED,
+  })
+    .select("version effectiveAt comment createdByEmail")
+    .sort({ effectiveAt: 1 })
+    .lean();
+
+  return {
+    ok: true,
+    version: await ConfigVersion.findById(created._id).select("-snapshot").lean(),
+    config,
+    pendingScheduled,
+  };
+}
+
+/**
+ * ✅ Cancel a SCHEDULED version before it goes live
+ */
+export async function cancelScheduledConfigVersion(req, { configType, countryCode, version }) {
+  const filter = { configType, countryCode: normalizeCountryCode(countryCode), version: Number(version) };
+
+  const cancelled = await ConfigVersion.findOneAndUpdate(
+    { ...filter, status: CONFIG_VERSION_STATUSES.SCHEDULED },
+    {
+      $set: {
+        status: CONFIG_VERSION_STATUSES.CANCELLED,
+        cancelledAt: new Date(),
+        cancelledBy: req?.user?._id || null,
+      },
+    },
+    { new: true }
+  ).select("-snapshot");
+
+  if (cancelled) return { ok: true, version: cancelled };
+
+  const exists = await ConfigVersion.findOne(filter).select("status").lean();
+  if (!exists) {
+    return { ok: false, status: 404, code: "CONFIG_VERSION_NOT_FOUND", message: "Config version not found" };
+  }
+  return {
+    ok: false,
+    status: 409,
+    code: "CONFIG_VERSION_NOT_SCHEDULED",
+    message: `Only scheduled versions can be cancelled (status: ${exists.status})`,
+  };
+}
+
+/**
+ * ✅ Field-level diff between two versions (to defaults to the live version)
+ * Returns { ok, from, to, changes: [{ path, from, to }] }
+ */
+export async function diffConfigVersions({ configType, countryCode, from, to = null }) {
+  const cc = normalizeCountryCode(countryCode);
+
+  let toVersion = to;
+  if (toVersion === null || toVersion === undefined || toVersion === "") {
+    const live = await configModel(configType).findOne({ countryCode: cc }).select("configVersion").lean();
+    toVersion = live?.configVersion ?? 0;
+  }
+
+  const [a, b] = await Promise.all([
+    ConfigVersion.findOne({ configType, countryCode: cc, version: Number(from) }).lean(),
+    ConfigVersion.findOne({ configType, countryCode: cc, version: Number(toVersion) }).lean(),
+  ]);
+
+  if (!a || !b) {
+    return {
+      ok: false,
+      status: 404,
+      code: "CONFIG_VERSION_NOT_FOUND",
+      message: `Config version ${!a ? from : toVersion} not found`,
+    };
+  }
+
+  return {
+    ok: true,
+    from: a.version,
+    to: b.version,
+    changes: diffAudit(a.snapshot, b.snapshot),
+  };
+}
+
+/**
+ * ✅ Apply SCHEDULED versions whose effectiveAt has passed (oldest first)
+ */
+export async function runScheduledConfigVersions({ limit = 20 } = {}) {
+  const due = await ConfigVersion.find({
+    status: CONFIG_VERSION_STATUSES.SCHEDULED,
+    effectiveAt: { $lte: new Date() },
+  })
+    .sort({ effectiveAt: 1, version: 1 })
+    .limit(limit);
+
+  let applied = 0;
+
+  for (const version of due) {
+    try {
+      await activateVersion(version);
+      applied++;
+      console.log(`🗂️ ${version.configType} v${version.version} applied for ${version.countryCode}`);
+    } catch (err) {
+      console.error(
+        `❌ Scheduled config ${version.configType} v${version.version} (${version.countryCode}) failed:`,
+        err.message
+      );
+    }
+  }
+
+  return { due: due.length, applied };
+}
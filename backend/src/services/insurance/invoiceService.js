@@ -1,6 +1,8 @@
 // backend/src/services/insurance/invoiceService.js
 import InsurancePartner from "../../models/InsurancePartner.js";
 import Job, { JOB_STATUSES } from "../../models/Job.js";
+import { summarizeInvoiceItems } from "../../utils/jobInvoice.js";
+import { getCountryTaxRules, jobTaxRules, buildPricingTax } from "../../utils/taxEngine.js";
 
 function parseMonthToRange(month) {
   const start = new Date(`${month}-01T00:00:00.000Z`);
@@ -92,7 +94,7 @@ export async function buildInsuranceInvoice(args) {
 
   const jobs = await Job.find(filter)
     .select(
-      "status createdAt updatedAt roleNeeded pickupAddressText dropoffAddressText pricing insurance customer assignedTo"
+      "status createdAt updatedAt roleNeeded pickupAddressText dropoffAddressText pricing invoiceItems insurance customer assignedTo"
     )
     .populate("assignedTo", "name email phone role")
     .populate("customer", "name email phone role")
@@ -112,21 +114,39 @@ export async function buildInsuranceInvoice(args) {
   // ✅ What you owe providers (net)
   let totalProviderAmountDue = 0;
 
+  // ✅ Tax (utils/taxEngine.js): VAT on booking fee / commission, withholding on provider payments
+  const countryTaxRules = await getCountryTaxRules(countryCode);
+  let totalBookingFeeTax = 0;
+  let totalCommissionTax = 0;
+  let totalProviderWithholding = 0;
+
   const currency = "ZAR";
 
   const items = jobs.map((j) => {
     totalJobs += 1;
 
-    const estimatedTotal = Number(j?.pricing?.estimatedTotal || 0) || 0; // gross
+    // ✅ approved provider extras (parts, labour, ...) are billed in full and paid in full to the provider
+    const { approvedItems, approvedTotal: extrasTotal } = summarizeInvoiceItems(j);
+
+    const estimatedTotal = (Number(j?.pricing?.estimatedTotal || 0) || 0) + extrasTotal; // gross
     const bookingFee = Number(j?.pricing?.bookingFee || 0) || 0;
     const commission = Number(j?.pricing?.commissionAmount || 0) || 0;
-    const providerDue = Number(j?.pricing?.providerAmountDue || 0) || 0; // net to provider
+    const providerDue = (Number(j?.pricing?.providerAmountDue || 0) || 0) + extrasTotal; // net to provider
 
     totalPartnerAmountDue += estimatedTotal;
     totalBookingFeeWaived += bookingFee;
     totalCommission += commission;
     totalProviderAmountDue += providerDue;
 
+    const tax = buildPricingTax(
+      { bookingFee, commissionAmount: commission, providerAmountDue: providerDue },
+      jobTaxRules(j, countryTaxRules)
+    );
+
+    totalBookingFeeTax += tax.bookingFee.tax;
+    totalCommissionTax += tax.commission.tax;
+    totalProviderWithholding += tax.providerWithholding.withheld;
+
     return {
       jobId: String(j?._id),
       shortId: String(j?._id).slice(-8).toUpperCase(),
@@ -159,12 +179,22 @@ export async function buildInsuranceInvoice(args) {
       pricing: {
         currency: j?.pricing?.currency || currency,
         estimatedTotal,
+        extrasTotal,
         bookingFee,
         commissionAmount: commission,
         providerAmountDue: providerDue,
+        tax,
         estimatedDistanceKm: Number(j?.pricing?.estimatedDistanceKm || 0) || 0,
       },
 
+      extras: approvedItems.map((i) => ({
+        type: i.type,
+        description: i.description,
+        quantity: i.quantity,
+        unitPrice: i.unitPrice,
+        amount: i.amount,
+      })),
+
       insurance: {
         enabled: !!j?.insurance?.enabled,
         code: j?.insurance?.code || null,
@@ -200,6 +230,8 @@ export async function buildInsuranceInvoice(args) {
       grossTotal: 0,
       commissionTotal: 0,
       netTotalDue: 0,
+      withholdingTotal: 0,
+      netAfterWithholding: 0,
 
       // Backward compat field name used by some UIs
       totalProviderAmountDue: 0,
@@ -212,6 +244,8 @@ export async function buildInsuranceInvoice(args) {
     cur.commissionTotal += Number(it?.pricing?.commissionAmount || 0) || 0;
     cur.netTotalDue += Number(it?.pricing?.providerAmountDue || 0) || 0;
     cur.totalProviderAmountDue = cur.netTotalDue;
+    cur.withholdingTotal += Number(it?.pricing?.tax?.providerWithholding?.withheld || 0) || 0;
+    cur.netAfterWithholding = cur.netTotalDue - cur.withholdingTotal;
 
     cur.jobs.push({
       jobId: it.jobId,
@@ -221,8 +255,11 @@ export async function buildInsuranceInvoice(args) {
       pickupAddressText: it.pickupAddressText,
       dropoffAddressText: it.dropoffAddressText,
       estimatedTotal: it.pricing.estimatedTotal,
+      extrasTotal: it.pricing.extrasTotal,
+      extras: it.extras,
       commissionAmount: it.pricing.commissionAmount,
       providerAmountDue: it.pricing.providerAmountDue,
+      withheld: it.pricing.tax.providerWithholding.withheld,
       insuranceCode: it.insurance.code || null,
     });
 
@@ -270,6 +307,15 @@ export async function buildInsuranceInvoice(args) {
 
       // ✅ provider payments (net)
       totalProviderAmountDue,
+
+      // ✅ tax breakdown
+      tax: {
+        label: countryTaxRules.label,
+        totalBookingFeeTax,
+        totalCommissionTax,
+        totalProviderWithholding,
+        totalProviderNetAfterWithholding: totalProviderAmountDue - totalProviderWithholding,
+      },
     },
     items,
     groupedByProvider,
@@ -325,13 +371,14 @@ export async function buildCollectiveInsuranceReport(args) {
       ],
     };
 
-    const jobs = await Job.find(filter).select("pricing").lean();
+    const jobs = await Job.find(filter).select("pricing invoiceItems").lean();
 
     let amountOwed = 0;
     let jobCount = jobs.length;
 
     for (const j of jobs) {
       amountOwed += Number(j?.pricing?.estimatedTotal || 0) || 0;
+      amountOwed += summarizeInvoiceItems(j).approvedTotal;
     }
 
     results.push({
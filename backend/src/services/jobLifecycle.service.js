@@ -0,0 +1,661 @@
+// backend/src/services/jobLifecycle.service.js
+import Job, { JOB_STATUSES, LEG_STATUSES } from "../models/Job.js";
+import User, { USER_ROLES } from "../models/User.js";
+import ChatThread from "../models/ChatThread.js";
+import { sendPushToUser } from "../utils/sendPush.js";
+import { sendJobAcceptedEmail } from "../utils/sendJobAcceptedEmail.js";
+import { sendJobCompletedEmail } from "../utils/sendJobCompletedEmail.js";
+import { markInsuranceCodeUsed, unlockInsuranceCode } from "./insurance/codeService.js";
+import {
+  getArrivalConfig,
+  generateStartPin,
+  isStartPinMatch,
+  computeWaitTime,
+} from "../utils/jobArrival.js";
+import { summarizeInvoiceItems } from "../utils/jobInvoice.js";
+import { issueJobInvoiceNumber } from "../utils/jobReceipt.js";
+import { revokeTripSharesForJob } from "./safety/tripShare.js";
+import { TRIP_SHARE_REVOKE_REASONS } from "../models/TripShare.js";
+
+/**
+ * ✅ Job lifecycle (single source of truth for job status changes)
+ *
+ * Every status change goes through transitionJob() / transitionJobAtomic():
+ * 1) transition must be allowed for the actor (TRANSITIONS)
+ * 2) guard hooks must pass (booking fee paid, arrival geofence, start PIN, ...)
+ * 3) status + statusHistory entry are saved
+ * 4) side-effect hooks run (push, email, chat lock, insurance code)
+ */
+
+export const JOB_ACTORS = {
+  CUSTOMER: "CUSTOMER",
+  PROVIDER: "PROVIDER",
+  ADMIN: "ADMIN",
+  SYSTEM: "SYSTEM",
+};
+
+const { CUSTOMER, PROVIDER, ADMIN, SYSTEM } = JOB_ACTORS;
+const S = JOB_STATUSES;
+
+const FROM_DRAFT = {
+  [S.SCHEDULED]: [SYSTEM],
+  [S.BROADCASTED]: [SYSTEM],
+  [S.ASSIGNED]: [SYSTEM], // scheduled job paid after its release time (pre-accepted)
+  [S.CANCELLED]: [ADMIN, SYSTEM],
+};
+
+/**
+ * ✅ from → to → actors allowed to make that move
+ */
+export const JOB_TRANSITIONS = {
+  [S.PENDING]: FROM_DRAFT,
+  [S.CREATED]: FROM_DRAFT,
+
+  [S.SCHEDULED]: {
+    [S.BROADCASTED]: [SYSTEM],
+    [S.ASSIGNED]: [SYSTEM], // pre-accepted provider on release
+    [S.CANCELLED]: [CUSTOMER, ADMIN, SYSTEM],
+  },
+
+  [S.BROADCASTED]: {
+    [S.ASSIGNED]: [PROVIDER, ADMIN, SYSTEM],
+    [S.CANCELLED]: [CUSTOMER, ADMIN, SYSTEM],
+  },
+
+  [S.ASSIGNED]: {
+    [S.ARRIVED]: [PROVIDER],
+    [S.BROADCASTED]: [PROVIDER, ADMIN, SYSTEM], // provider cancel / admin requeue
+    [S.CANCELLED]: [CUSTOMER, ADMIN, SYSTEM],
+  },
+
+  [S.ARRIVED]: {
+    [S.IN_PROGRESS]: [PROVIDER], // start PIN handshake
+    [S.BROADCASTED]: [ADMIN, SYSTEM],
+    [S.CANCELLED]: [CUSTOMER, ADMIN, SYSTEM],
+  },
+
+  [S.IN_PROGRESS]: {
+    [S.COMPLETED]: [PROVIDER, ADMIN],
+    [S.CANCELLED]: [CUSTOMER, ADMIN],
+  },
+
+  [S.COMPLETED]: {},
+  [S.CANCELLED]: {},
+};
+
+export class JobTransitionError extends Error {
+  constructor(message, { statusCode = 409, code = "INVALID_STATUS_TRANSITION", details = {} } = {}) {
+    super(message);
+    this.name = "JobTransitionError";
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * ✅ Map a user role to a lifecycle actor
+ */
+export function actorForUser(user) {
+  const role = user?.role;
+  if (role === USER_ROLES.CUSTOMER) return CUSTOMER;
+  if ([USER_ROLES.MECHANIC, USER_ROLES.TOW_TRUCK].includes(role)) return PROVIDER;
+  if ([USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN].includes(role)) return ADMIN;
+  return null;
+}
+
+/**
+ * ✅ Allowed next statuses for an actor (useful for UIs / error messages)
+ */
+export function getAllowedTransitions(from, actor) {
+  const next = JOB_TRANSITIONS[from] || {};
+  return Object.keys(next).filter((to) => next[to].includes(actor));
+}
+
+function assertTransitionAllowed(from, to, actor) {
+  if (!Object.values(JOB_STATUSES).includes(to)) {
+    throw new JobTransitionError("Invalid status", {
+      statusCode: 400,
+      code: "INVALID_STATUS",
+      details: { allowed: Object.values(JOB_STATUSES) },
+    });
+  }
+
+  const actors = JOB_TRANSITIONS[from]?.[to] || [];
+  if (!actors.includes(actor)) {
+    throw new JobTransitionError(`Cannot move job from ${from} to ${to}`, {
+      details: {
+        current: from,
+        attempted: to,
+        allowedTransitions: getAllowedTransitions(from, actor).map((s) => `${from} -> ${s}`),
+      },
+    });
+  }
+}
+
+/* ============================================================
+   ✅ Guard hooks
+   check(job, ctx) → null when OK, otherwise { statusCode, code, message, ...details }
+   ctx = { set, ...context } — guards may add fields to ctx.set (saved with the move)
+   ============================================================ */
+
+function haversineDistanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = (v) => (v * Math.PI) / 180;
+  const R = 6371000;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+}
+
+function isBookingFeePaid(job) {
+  const st = String(job.pricing?.bookingFeeStatus || "").toUpperCase();
+  return st === "PAID" || job.pricing?.bookingFeePaidAt != null;
+}
+
+const guards = [
+  {
+    name: "bookingFeePaid",
+    applies: (from, to) =>
+      [S.PENDING, S.CREATED, S.SCHEDULED].includes(from) &&
+      [S.SCHEDULED, S.BROADCASTED, S.ASSIGNED].includes(to),
+    check: (job) =>
+      isBookingFeePaid(job)
+        ? null
+        : { statusCode: 402, code: "BOOKING_FEE_NOT_PAID", message: "Booking fee is not paid" },
+  },
+
+  {
+    name: "providerAssigned",
+    applies: (from, to) => [S.ASSIGNED, S.ARRIVED, S.IN_PROGRESS, S.COMPLETED].includes(to),
+    check: (job, ctx) =>
+      job.assignedTo || ctx.set?.assignedTo
+        ? null
+        : { statusCode: 409, code: "NO_PROVIDER_ASSIGNED", message: "Job has no assigned provider" },
+  },
+
+  /**
+   * ✅ ARRIVED only inside the pickup geofence, using the location from
+   * PATCH /api/providers/location (customer authorize-start overrides the distance)
+   */
+  {
+    name: "arrivalGeofence",
+    applies: (from, to, actor) => to === S.ARRIVED && actor === PROVIDER,
+    check: async (job, ctx) => {
+      const pickupCoords = job?.pickupLocation?.coordinates;
+      if (!Array.isArray(pickupCoords) || pickupCoords.length < 2) {
+        return {
+          statusCode: 400,
+          code: "PICKUP_LOCATION_MISSING",
+          message: "Pickup location is missing. Cannot confirm arrival.",
+        };
+      }
+
+      const pickupLng = Number(pickupCoords[0]);
+      const pickupLat = Number(pickupCoords[1]);
+
+      if (!Number.isFinite(pickupLat) || !Number.isFinite(pickupLng)) {
+        return {
+          statusCode: 400,
+          code: "PICKUP_LOCATION_INVALID",
+          message: "Pickup location is invalid. Cannot confirm arrival.",
+          pickupCoords,
+        };
+      }
+
+      const cfg = await getArrivalConfig(job.countryCode);
+
+      const me = await User.findById(job.assignedTo).select(
+        "providerProfile.location providerProfile.lastSeenAt"
+      );
+      const myCoords = me?.providerProfile?.location?.coordinates;
+
+      if (!Array.isArray(myCoords) || myCoords.length < 2) {
+        return {
+          statusCode: 409,
+          code: "PROVIDER_GPS_MISSING",
+          message: "Your GPS location is missing. Turn on location and try again.",
+        };
+      }
+
+      const myLng = Number(myCoords[0]);
+      const myLat = Number(myCoords[1]);
+
+      if (!Number.isFinite(myLat) || !Number.isFinite(myLng) || (myLat === 0 && myLng === 0)) {
+        return {
+          statusCode: 409,
+          code: "PROVIDER_GPS_INVALID",
+          message: "Your GPS location is invalid. Refresh location and try again.",
+        };
+      }
+
+      const distMeters = haversineDistanceMeters(myLat, myLng, pickupLat, pickupLng);
+      const authorized = job.customerStartAuthorization === true;
+
+      if (!authorized) {
+        const seenAt = me.providerProfile?.lastSeenAt;
+        const ageSeconds = seenAt ? (Date.now() - new Date(seenAt).getTime()) / 1000 : Infinity;
+
+        if (ageSeconds > cfg.maxLocationAgeSeconds) {
+          return {
+            statusCode: 409,
+            code: "PROVIDER_GPS_STALE",
+            message: "Your location is out of date. Refresh location and try again.",
+            maxLocationAgeSeconds: cfg.maxLocationAgeSeconds,
+          };
+        }
+
+        if (distMeters > cfg.geofenceMeters) {
+          return {
+            statusCode: 409,
+            code: "TOO_FAR_FROM_PICKUP",
+            message: `You must be within ${cfg.geofenceMeters} meters of pickup to confirm arrival.`,
+            distanceMeters: distMeters,
+            maxAllowedMeters: cfg.geofenceMeters,
+            customerStartAuthorization: false,
+          };
+        }
+      }
+
+      ctx.set["arrival.distanceMeters"] = distMeters;
+      return null;
+    },
+  },
+
+  /**
+   * ✅ Start needs the one-time PIN the customer was shown on arrival
+   */
+  {
+    name: "startPinVerified",
+    applies: (from, to, actor) => from === S.ARRIVED && to === S.IN_PROGRESS && actor === PROVIDER,
+    check: async (job, ctx) => {
+      // follow-up job: the vehicle is handed over by the parent job's provider
+      if (job.handoff?.preAuthorized) return null;
+
+      const cfg = await getArrivalConfig(job.countryCode);
+
+      const stored = await Job.findById(job._id).select("+arrival.startPin arrival.pinAttempts").lean();
+      const attempts = Number(stored?.arrival?.pinAttempts || 0);
+
+      if (attempts >= cfg.maxPinAttempts) {
+        return {
+          statusCode: 429,
+          code: "START_PIN_LOCKED",
+          message: "Too many wrong PINs. Ask the customer to issue a new start PIN.",
+        };
+      }
+
+      if (!ctx.startPin) {
+        return { statusCode: 400, code: "START_PIN_REQUIRED", message: "startPin is required" };
+      }
+
+      if (!isStartPinMatch(stored?.arrival?.startPin, ctx.startPin)) {
+        await Job.updateOne({ _id: job._id }, { $inc: { "arrival.pinAttempts": 1 } });
+        return {
+          statusCode: 400,
+          code: "START_PIN_INVALID",
+          message: "Start PIN is incorrect",
+          attemptsLeft: Math.max(0, cfg.maxPinAttempts - attempts - 1),
+        };
+      }
+
+      return null;
+    },
+  },
+
+  /**
+   * ✅ Itemised extras: the customer must approve / reject every line first
+   * (admin force-complete skips this; undecided lines are simply not billed)
+   */
+  {
+    name: "invoiceItemsDecided",
+    applies: (from, to, actor) => from === S.IN_PROGRESS && to === S.COMPLETED && actor !== ADMIN,
+    check: (job) => {
+      const { pendingCount } = summarizeInvoiceItems(job);
+      return pendingCount
+        ? {
+            statusCode: 409,
+            code: "INVOICE_ITEMS_PENDING",
+            message: "The customer has not approved or rejected all invoice extras yet",
+            pendingCount,
+          }
+        : null;
+    },
+  },
+];
+
+/**
+ * ✅ Extension point: add a guard { name, applies(from, to, actor), check(job, ctx) }
+ */
+export function registerJobGuard(guard) {
+  guards.push(guard);
+}
+
+async function runGuards(job, from, to, actor, ctx) {
+  ctx.set = ctx.set || {};
+
+  for (const g of guards) {
+    if (!g.applies(from, to, actor)) continue;
+
+    const failure = await g.check(job, ctx);
+    if (failure) {
+      const { statusCode, code, message, ...details } = failure;
+      throw new JobTransitionError(message, { statusCode, code, details: { guard: g.name, ...details } });
+    }
+  }
+}
+
+/* ============================================================
+   ✅ Side-effect hooks (run after the transition is saved)
+   Failures are logged, never thrown: the status change already happened.
+   ============================================================ */
+
+const CUSTOMER_PUSH = {
+  [S.ASSIGNED]: { title: "Provider assigned ✅", body: "A provider accepted your request and is on the way." },
+  [S.ARRIVED]: {
+    title: "Your provider has arrived 📍",
+    body: (job) => `Share your start PIN ${job.arrival?.startPin || ""} with the provider to begin.`,
+  },
+  [S.IN_PROGRESS]: { title: "Job started 🚗", body: "Your provider has started the job." },
+  [S.COMPLETED]: { title: "Job completed ✅", body: "Your job is complete. Please rate your provider." },
+};
+
+const effects = [
+  {
+    name: "pushCustomer",
+    applies: (from, to, actor) => !!CUSTOMER_PUSH[to] && actor !== CUSTOMER,
+    run: async (job, { to }) => {
+      await sendPushToUser({
+        userId: job.customer,
+        title: CUSTOMER_PUSH[to].title,
+        body:
+          typeof CUSTOMER_PUSH[to].body === "function"
+            ? CUSTOMER_PUSH[to].body(job)
+            : CUSTOMER_PUSH[to].body,
+        data: { open: "job_details", type: "job_status", status: to, jobId: job._id.toString() },
+      });
+    },
+  },
+
+  {
+    name: "email",
+    applies: (from, to) => [S.ASSIGNED, S.COMPLETED].includes(to),
+    run: async (job, { to }) => {
+      const ids = to === S.COMPLETED ? [job.customer, job.assignedTo] : [job.customer];
+      const users = await User.find({ _id: { $in: ids.filter(Boolean) } }).select("name email role");
+
+      for (const u of users) {
+        if (!u.email) continue;
+        if (to === S.ASSIGNED) {
+          await sendJobAcceptedEmail({ to: u.email, name: u.name, job });
+        } else {
+          await sendJobCompletedEmail({
+            to: u.email,
+            name: u.name,
+            job,
+            recipientType: u.role === USER_ROLES.CUSTOMER ? "customer" : "provider",
+          });
+        }
+      }
+    },
+  },
+
+  /**
+   * ✅ Chat lock: thread is ACTIVE only while a provider is on the job
+   */
+  {
+    name: "chatLock",
+    applies: (from, to) =>
+      [S.ASSIGNED, S.COMPLETED, S.CANCELLED].includes(to) ||
+      (from === S.ASSIGNED && to === S.BROADCASTED),
+    run: async (job, { to }) => {
+      const update =
+        to === S.ASSIGNED ? { status: "ACTIVE", provider: job.assignedTo } : { status: "CLOSED" };
+
+      await ChatThread.updateOne({ job: job._id }, { $set: update });
+    },
+  },
+
+  /**
+   * ✅ Wait-time billing: arrival → start
+   */
+  {
+    name: "waitTimeBilling",
+    applies: (from, to) => from === S.ARRIVED && [S.IN_PROGRESS, S.CANCELLED].includes(to),
+    run: async (job) => {
+      const waitTime = await computeWaitTime({
+        countryCode: job.countryCode,
+        startedAt: job.waitTime?.startedAt || job.arrival?.arrivedAt,
+        endedAt: job.waitTime?.endedAt || new Date(),
+      });
+
+      job.waitTime = waitTime;
+      if (job.pricing) job.pricing.waitTimeFee = waitTime.amount;
+
+      await Job.updateOne(
+        { _id: job._id },
+        { $set: { waitTime, "pricing.waitTimeFee": waitTime.amount } }
+      );
+    },
+  },
+
+  /**
+   * ✅ Multi-stop legs: first leg starts with the job, open legs close with it
+   */
+  {
+    name: "legProgress",
+    applies: (from, to) => [S.IN_PROGRESS, S.COMPLETED].includes(to),
+    run: async (job, { to }) => {
+      if (!job.legs?.length) return;
+
+      const now = new Date();
+      const starting = to === S.IN_PROGRESS;
+
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: starting
+            ? { "legs.$[l].status": LEG_STATUSES.IN_PROGRESS, "legs.$[l].startedAt": now }
+            : { "legs.$[l].status": LEG_STATUSES.COMPLETED, "legs.$[l].completedAt": now },
+        },
+        {
+          arrayFilters: [
+            starting
+              ? { "l.sequence": 0, "l.status": LEG_STATUSES.PENDING }
+              : { "l.status": { $ne: LEG_STATUSES.COMPLETED } },
+          ],
+        }
+      );
+    },
+  },
+
+  /**
+   * ✅ Sequential invoice number per country for the customer receipt
+   */
+  {
+    name: "invoiceNumber",
+    applies: (from, to) => to === S.COMPLETED,
+    run: async (job) => {
+      job.receipt = await issueJobInvoiceNumber(job);
+    },
+  },
+
+  {
+    name: "insuranceCode",
+    applies: (from, to) => [S.COMPLETED, S.CANCELLED].includes(to),
+    run: async (job, { to }) => {
+      if (!job.insurance?.enabled || !job.insurance?.code) return;
+
+      const args = {
+        partnerId: job.insurance.partnerId,
+        code: job.insurance.code,
+        countryCode: job.countryCode,
+        jobId: job._id,
+      };
+
+      if (to === S.COMPLETED) await markInsuranceCodeUsed({ ...args, userId: job.customer });
+      else await unlockInsuranceCode(args);
+    },
+  },
+
+  /**
+   * ✅ Shared live trip links die with the job
+   */
+  {
+    name: "tripShareRevoke",
+    applies: (from, to) => [S.COMPLETED, S.CANCELLED].includes(to),
+    run: async (job, { to }) => {
+      await revokeTripSharesForJob(
+        job._id,
+        to === S.COMPLETED ? TRIP_SHARE_REVOKE_REASONS.JOB_COMPLETED : TRIP_SHARE_REVOKE_REASONS.JOB_CANCELLED
+      );
+    },
+  },
+];
+
+/**
+ * ✅ Extension point: add a side effect { name, applies(from, to, actor), run(job, info) }
+ */
+export function registerJobEffect(effect) {
+  effects.push(effect);
+}
+
+async function runEffects(job, info) {
+  for (const e of effects) {
+    if (!e.applies(info.from, info.to, info.actor)) continue;
+    try {
+      await e.run(job, info);
+    } catch (err) {
+      console.error(`⚠️ Job effect "${e.name}" failed for job ${job._id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * ✅ Fields stamped with the transition itself
+ */
+function transitionStamps(from, to, { actorId, reason, now }) {
+  const stamps = {};
+
+  // wait-time clock stops when the job leaves ARRIVED
+  if (from === S.ARRIVED) stamps["waitTime.endedAt"] = now;
+
+  if (to === S.ASSIGNED) stamps.lockedAt = now;
+
+  if (to === S.ARRIVED) {
+    Object.assign(stamps, {
+      "arrival.arrivedAt": now,
+      "arrival.startPin": generateStartPin(),
+      "arrival.pinIssuedAt": now,
+      "arrival.pinVerifiedAt": null,
+      "arrival.pinAttempts": 0,
+      "waitTime.startedAt": now,
+    });
+  }
+
+  if (from === S.ARRIVED && to === S.IN_PROGRESS) stamps["arrival.pinVerifiedAt"] = now;
+
+  if (to === S.COMPLETED) stamps.completedAt = now;
+
+  if (to === S.CANCELLED) {
+    Object.assign(stamps, {
+      cancelledAt: now,
+      cancelledBy: actorId || null,
+      cancelReason: reason || null,
+    });
+  }
+
+  return stamps;
+}
+
+/**
+ * ✅ Transition a loaded job document
+ *
+ * opts:
+ * - actor: JOB_ACTORS value (required)
+ * - actorId: user id (optional for SYSTEM)
+ * - reason: stored on statusHistory (and cancelReason)
+ * - set: extra fields saved together with the status change
+ * - context: extra input for guards (e.g. { startPin })
+ *
+ * Same-status calls just save `set` (no history, no effects).
+ * Throws JobTransitionError when not allowed or a guard fails.
+ */
+export async function transitionJob(
+  job,
+  to,
+  { actor, actorId = null, reason = null, set = {}, context = {} } = {}
+) {
+  const from = job.status;
+
+  if (from === to) {
+    if (Object.keys(set).length > 0) {
+      job.set(set);
+      await job.save();
+    }
+    return job;
+  }
+
+  assertTransitionAllowed(from, to, actor);
+  await runGuards(job, from, to, actor, { ...context, set });
+
+  const now = new Date();
+
+  job.set({ ...transitionStamps(from, to, { actorId, reason, now }), ...set });
+  job.status = to;
+  job.statusHistory.push({ from, to, actor, actorId, reason, at: now });
+
+  await job.save();
+
+  await runEffects(job, { from, to, actor, actorId, reason });
+
+  return job;
+}
+
+/**
+ * ✅ Race-safe transition (accept, dispatcher give-up)
+ * Applies only if the job is still in the status it was read in and matches `filter`.
+ * Returns the updated job, or null when someone else changed it first.
+ */
+export async function transitionJobAtomic(
+  jobId,
+  to,
+  { actor, actorId = null, reason = null, filter = {}, set = {}, context = {} } = {}
+) {
+  const job = await Job.findOne({ _id: jobId, ...filter });
+  if (!job) return null;
+
+  const from = job.status;
+
+  assertTransitionAllowed(from, to, actor);
+  await runGuards(job, from, to, actor, { ...context, set });
+
+  const now = new Date();
+
+  const updated = await Job.findOneAndUpdate(
+    { _id: jobId, status: from, ...filter },
+    {
+      $set: { ...transitionStamps(from, to, { actorId, reason, now }), ...set, status: to },
+      $push: { statusHistory: { from, to, actor, actorId, reason, at: now } },
+    },
+    { new: true }
+  );
+
+  if (!updated) return null;
+
+  await runEffects(updated, { from, to, actor, actorId, reason });
+
+  return updated;
+}
+
+/**
+ * ✅ Send a JobTransitionError as the usual JSON error response
+ * Returns true when handled.
+ */
+export function sendTransitionError(res, err) {
+  if (!(err instanceof JobTransitionError)) return false;
+  res.status(err.statusCode).json({ message: err.message, code: err.code, ...err.details });
+  return true;
+}
@@ -0,0 +1,80 @@
+// backend/src/services/payments/bookingFeeRefund.js
+import Payment, { PAYMENT_STATUSES } from "../../models/Payment.js";
+import { queueRefund, REFUND_SOURCES } from "./refundQueue.js";
+
+/**
+ * ✅ Shared booking-fee settlement when a job is cancelled
+ *
+ * Used by:
+ * - routes/jobs.js (customer cancel)
+ * - utils/dispatchWaves.js (dispatcher gives up after final timeout)
+ *
+ * Refunds go through the refund queue (gateway adapter refund() + retries).
+ */
+
+async function refundPayment({ payment, reason, req, toWallet }) {
+  const result = await queueRefund({
+    payment,
+    reason,
+    source: req ? REFUND_SOURCES.CUSTOMER_CANCEL : REFUND_SOURCES.NO_PROVIDER,
+    requestedBy: req?.user?._id || null,
+    req,
+    toWallet,
+  });
+
+  if (!result.ok) {
+    return { payment, refundAttempt: { ok: false, code: result.code, message: result.message } };
+  }
+
+  return {
+    payment: result.payment,
+    refundAttempt: {
+      ok: true,
+      refundId: result.refund._id,
+      status: result.refund.status,
+      toWallet: result.refund.gateway === "WALLET",
+      message: result.refund.lastError || null,
+    },
+  };
+}
+
+/**
+ * ✅ Settle the job's payments after cancellation
+ * A booking fee can be split: wallet credit (provider WALLET) + gateway remainder.
+ * - refund=true  → every PAID payment is queued for a full refund (first attempt runs now)
+ * - otherwise    → PENDING payments are cancelled
+ * toWallet=true sends gateway refunds to the customer's wallet instead of the card.
+ *
+ * Returns: { payment, refundAttempt, refundAttempts }
+ * payment / refundAttempt describe the latest payment (the one the app shows)
+ * refundAttempt = { ok, refundId?, status?, toWallet?, code?, message? }
+ */
+export async function settleJobPaymentOnCancel({ job, refund, reason, req = null, toWallet = false }) {
+  const payments = await Payment.find({ job: job._id }).sort({ createdAt: -1 });
+
+  if (!payments.length) return { payment: null, refundAttempt: null, refundAttempts: [] };
+
+  let latest = payments[0];
+  let refundAttempt = null;
+  const refundAttempts = [];
+
+  for (const payment of payments) {
+    if (refund && payment.status === PAYMENT_STATUSES.PAID) {
+      const settled = await refundPayment({ payment, reason, req, toWallet });
+      refundAttempts.push({ paymentId: payment._id, provider: payment.provider, ...settled.refundAttempt });
+
+      if (payment === latest) {
+        latest = settled.payment;
+        refundAttempt = settled.refundAttempt;
+      }
+      continue;
+    }
+
+    if (payment.status === PAYMENT_STATUSES.PENDING) {
+      payment.status = PAYMENT_STATUSES.CANCELLED;
+      await payment.save();
+    }
+  }
+
+  return { payment: latest, refundAttempt: refundAttempt || refundAttempts[0] || null, refundAttempts };
+}
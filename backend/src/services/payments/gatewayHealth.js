@@ -0,0 +1,78 @@
+// backend/src/services/payments/gatewayHealth.js
+import PaymentGatewayHealth from "../../models/PaymentGatewayHealth.js";
+
+/**
+ * ✅ Gateway health tracking for payment failover
+ * A success resets the failure streak; failureThreshold failures in a row
+ * put the gateway on cool-down (skipped by getGatewayCandidates until it ends).
+ */
+
+function key(countryCode, gateway) {
+  return {
+    countryCode: String(countryCode || "ZA").trim().toUpperCase(),
+    gateway: String(gateway || "").trim().toUpperCase(),
+  };
+}
+
+export function isCoolingDown(health, now = new Date()) {
+  return !!(health?.coolDownUntil && new Date(health.coolDownUntil) > now);
+}
+
+/**
+ * ✅ Health docs for a country → Map(gateway → health)
+ */
+export async function getGatewayHealthMap(countryCode) {
+  const cc = key(countryCode).countryCode;
+  const rows = await PaymentGatewayHealth.find({ countryCode: cc }).lean();
+  return new Map(rows.map((r) => [r.gateway, r]));
+}
+
+export async function recordGatewaySuccess(countryCode, gateway) {
+  return PaymentGatewayHealth.findOneAndUpdate(
+    key(countryCode, gateway),
+    {
+      $set: { consecutiveFailures: 0, coolDownUntil: null, lastSuccessAt: new Date() },
+      $inc: { totalSuccesses: 1 },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+/**
+ * ✅ Count a failure; start the cool-down once the streak hits the threshold
+ */
+export async function recordGatewayFailure(countryCode, gateway, error, { failureThreshold, coolDownMinutes }) {
+  const now = new Date();
+
+  const health = await PaymentGatewayHealth.findOneAndUpdate(
+    key(countryCode, gateway),
+    {
+      $set: { lastError: String(error || "").slice(0, 500) || null, lastFailureAt: now },
+      $inc: { consecutiveFailures: 1, totalFailures: 1 },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  if (health.consecutiveFailures >= failureThreshold && !isCoolingDown(health, now)) {
+    const coolDownUntil = new Date(now.getTime() + coolDownMinutes * 60 * 1000);
+    await PaymentGatewayHealth.updateOne({ _id: health._id }, { $set: { coolDownUntil } });
+
+    console.warn(
+      `⚠️ Payment gateway ${health.gateway} (${health.countryCode}) cooling down until ${coolDownUntil.toISOString()}`
+    );
+    return { ...health, coolDownUntil };
+  }
+
+  return health;
+}
+
+/**
+ * ✅ Admin: end a cool-down early
+ */
+export async function resetGatewayHealth(countryCode, gateway) {
+  return PaymentGatewayHealth.findOneAndUpdate(
+    key(countryCode, gateway),
+    { $set: { consecutiveFailures: 0, coolDownUntil: null } },
+    { new: true }
+  ).lean();
+}
@@ -168,7 +168,19 @@ async function createPayment({
   }
 }
 
+/**
+ * iKhokha's public API has no refund endpoint: refunds are done in the iKhokha dashboard.
+ * Non-retryable so the refund queue marks it REFUND_FAILED for an admin to settle by hand.
+ */
+async function refundPayment() {
+  const err = new Error("iKhokha refunds are not available through the API. Refund from the iKhokha dashboard.");
+  err.code = "GATEWAY_REFUND_UNSUPPORTED";
+  err.retryable = false;
+  throw err;
+}
+
 export default {
   provider: "IKHOKHA",
   createPayment,
+  refund: refundPayment,
 };
\ No newline at end of file
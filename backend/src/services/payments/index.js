@@ -1,5 +1,11 @@
 // backend/src/services/payments/index.js
 import CountryServiceConfig from "../../models/CountryServiceConfig.js";
+import {
+  getGatewayHealthMap,
+  isCoolingDown,
+  recordGatewayFailure,
+  recordGatewaySuccess,
+} from "./gatewayHealth.js";
 
 // ✅ Existing gateway adapters
 import ikhokaGateway from "./ikhokha.js";
@@ -7,14 +13,25 @@ import payfastGateway from "./payfast.js";
 import peachGateway from "./peachPayments.js";
 
 // ✅ Providers folder modules (existing)
-import { paystackCreatePayment, paystackVerifyPayment } from "./providers/paystack.js";
-import { flutterwaveCreatePayment, flutterwaveVerifyPayment } from "./providers/flutterwave.js";
-import { mpesaCreatePayment, mpesaVerifyPayment } from "./providers/mpesa.js";
+import {
+  paystackCreatePayment,
+  paystackVerifyPayment,
+  paystackRefundPayment,
+} from "./providers/paystack.js";
+import {
+  flutterwaveCreatePayment,
+  flutterwaveVerifyPayment,
+  flutterwaveRefundPayment,
+} from "./providers/flutterwave.js";
+import { mpesaCreatePayment, mpesaVerifyPayment, mpesaReversePayment } from "./providers/mpesa.js";
 
 // ✅ NEW providers (Phase 2)
-import { stripeCreatePayment, stripeVerifyPayment } from "./providers/stripe.js";
-import { paypalCreatePayment, paypalVerifyPayment } from "./providers/paypal.js";
-import { adyenCreatePayment, adyenVerifyPayment } from "./providers/adyen.js";
+import { stripeCreatePayment, stripeVerifyPayment, stripeRefundPayment } from "./providers/stripe.js";
+import { paypalCreatePayment, paypalVerifyPayment, paypalRefundCapture } from "./providers/paypal.js";
+import { adyenCreatePayment, adyenVerifyPayment, adyenRefundPayment } from "./providers/adyen.js";
+
+// ✅ Customer wallet (stored credit)
+import { creditWallet, WALLET_TX_KINDS } from "../wallet/walletLedger.js";
 
 /**
  * Normalize a provider key from dashboard into a stable gateway enum.
@@ -188,6 +205,141 @@ export async function getProviderDefForCountry(countryCode, gatewayEnum) {
   return { routing, def };
 }
 
+const DEFAULT_FAILOVER = {
+  enabled: true,
+  timeoutMs: 15000,
+  failureThreshold: 3,
+  coolDownMinutes: 10,
+};
+
+/**
+ * ✅ Failover settings (CountryServiceConfig.payments.failover) with safe defaults
+ */
+export function getFailoverConfig(routing) {
+  const f = normalizeObj(routing?.raw?.payments?.failover);
+
+  const positive = (k) => {
+    const n = Number(f[k]);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_FAILOVER[k];
+  };
+
+  return {
+    enabled: typeof f.enabled === "boolean" ? f.enabled : DEFAULT_FAILOVER.enabled,
+    timeoutMs: positive("timeoutMs"),
+    failureThreshold: Math.max(1, Math.round(positive("failureThreshold"))),
+    coolDownMinutes: positive("coolDownMinutes"),
+  };
+}
+
+/**
+ * ✅ Enabled gateways in the order payment initiation tries them:
+ * 1) customer's choice (if enabled)
+ * 2) default provider (if enabled)
+ * 3) the rest by priority (higher first)
+ * Each candidate carries its health; coolingDown ones are skipped by failover.
+ */
+export async function getGatewayCandidates(countryCode, { preferredGateway = null } = {}) {
+  const routing = await resolvePaymentRoutingForCountry(countryCode);
+  const failover = getFailoverConfig(routing);
+  const healthMap = await getGatewayHealthMap(routing.countryCode);
+  const now = new Date();
+
+  const preferred = preferredGateway ? normalizeGatewayKeyToEnum(preferredGateway) : null;
+  const rank = (p) => (p.gateway === preferred ? 2 : p.gateway === routing.defaultProvider ? 1 : 0);
+
+  let enabled = (routing.providers || []).filter((p) => p.enabled);
+  if (enabled.length === 0) {
+    enabled = [{ gateway: routing.defaultProvider, flowType: "REDIRECT", priority: 0 }];
+  }
+
+  const candidates = [...enabled]
+    .sort((a, b) => rank(b) - rank(a) || Number(b.priority || 0) - Number(a.priority || 0))
+    .map((p) => {
+      const health = healthMap.get(p.gateway) || null;
+      return {
+        gateway: p.gateway,
+        flowType: normalizeFlowType(p.flowType),
+        priority: Number(p.priority || 0),
+        implemented: !!getLocalAdapterForGatewayEnum(p.gateway),
+        coolingDown: isCoolingDown(health, now),
+        coolDownUntil: health?.coolDownUntil || null,
+        consecutiveFailures: health?.consecutiveFailures || 0,
+      };
+    });
+
+  return { routing, failover, candidates };
+}
+
+function withTimeout(promise, ms, gateway) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${gateway} did not respond within ${ms}ms`);
+      err.code = "GATEWAY_TIMEOUT";
+      reject(err);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * ✅ Initialize a payment, falling back through the candidates on error / timeout
+ * buildPayload(gatewayEnum) → adapter.createPayment payload (countryCode + routing added here)
+ *
+ * Returns { gateway, flowType, initResponse, routing, attempts }
+ * Throws ALL_GATEWAYS_FAILED (err.attempts) when every candidate failed.
+ */
+export async function createPaymentWithFailover({ countryCode, preferredGateway = null, buildPayload }) {
+  const { routing, failover, candidates } = await getGatewayCandidates(countryCode, { preferredGateway });
+
+  let queue = candidates.filter((c) => c.implemented);
+
+  // everything cooling down → still try them rather than refuse the payment
+  const healthy = queue.filter((c) => !c.coolingDown);
+  if (healthy.length > 0) queue = healthy;
+
+  if (!failover.enabled) queue = queue.slice(0, 1);
+
+  const attempts = [];
+
+  for (const candidate of queue) {
+    const adapter = getLocalAdapterForGatewayEnum(candidate.gateway);
+
+    try {
+      const initResponse = await withTimeout(
+        adapter.createPayment({
+          ...buildPayload(candidate.gateway),
+          countryCode: routing.countryCode,
+          routing,
+        }),
+        failover.timeoutMs,
+        candidate.gateway
+      );
+
+      await recordGatewaySuccess(routing.countryCode, candidate.gateway);
+      attempts.push({ gateway: candidate.gateway, ok: true });
+
+      return { gateway: candidate.gateway, flowType: candidate.flowType, initResponse, routing, attempts };
+    } catch (e) {
+      const message = e?.message || String(e);
+      console.error(`❌ ${candidate.gateway} createPayment failed (${routing.countryCode}):`, message);
+
+      await recordGatewayFailure(routing.countryCode, candidate.gateway, message, failover);
+      attempts.push({ gateway: candidate.gateway, ok: false, error: message });
+    }
+  }
+
+  const err = new Error(
+    attempts.length > 0
+      ? "No payment gateway could initialize the payment"
+      : `Gateway adapter not implemented: ${candidates.map((c) => c.gateway).join(", ")}`
+  );
+  err.code = attempts.length > 0 ? "ALL_GATEWAYS_FAILED" : "GATEWAY_NOT_IMPLEMENTED";
+  err.attempts = attempts;
+  throw err;
+}
+
 /**
  * Wallet alias resolution:
  * GOOGLE_PAY / APPLE_PAY are usually enabled THROUGH Stripe or Adyen.
@@ -211,10 +363,104 @@ function resolveWalletAliasTarget({ routing, walletEnum }) {
   return prefer === "ADYEN" ? "ADYEN" : "STRIPE";
 }
 
+/**
+ * ✅ Refund helpers
+ * Gateway ids needed for refunds live in Payment.providerPayload
+ * (init response, verify response or webhook body depending on the gateway).
+ */
+function payloadOf(payment) {
+  return normalizeObj(payment?.providerPayload);
+}
+
+function firstId(...vals) {
+  for (const v of vals) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (s) return s;
+  }
+  return "";
+}
+
+// nothing to refund against → retrying will not help
+function missingRefundId(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
+
+function stripePaymentIntentId(payment) {
+  const p = payloadOf(payment);
+  return firstId(
+    p.paymentIntentId,
+    p.payment_intent,
+    String(p.id || "").startsWith("pi_") ? p.id : null,
+    p.initResponse?.paymentIntent?.id,
+    p.raw?.paymentIntent?.id
+  );
+}
+
+function mpesaReceiptNumber(payment) {
+  const p = payloadOf(payment);
+  const items = p.Body?.stkCallback?.CallbackMetadata?.Item || p.CallbackMetadata?.Item || [];
+  const item = (Array.isArray(items) ? items : []).find((i) => i?.Name === "MpesaReceiptNumber");
+  return firstId(p.mpesaReceiptNumber, p.MpesaReceiptNumber, item?.Value);
+}
+
+function paypalCaptureId(payment) {
+  const p = payloadOf(payment);
+  const units = Array.isArray(p.purchase_units) ? p.purchase_units : [];
+  const captures = units[0]?.payments?.captures || [];
+  return firstId(p.captureId, captures[0]?.id);
+}
+
+/**
+ * ✅ Ids each adapter's verifyPayment() looks for, read from the stored Payment
+ * (superset; every adapter picks the ones it needs)
+ */
+export function getGatewayVerifyIds(payment) {
+  const p = payloadOf(payment);
+  const reference = firstId(payment?.providerReference);
+
+  return {
+    reference,
+    tx_ref: reference,
+    transactionId: firstId(p.transactionId, p.data?.id, p.transaction_id),
+    paymentIntentId: stripePaymentIntentId(payment),
+    orderId: firstId(p.orderId, p.id),
+    checkoutRequestId: firstId(p.checkoutRequestId, p.sdkParams?.checkoutRequestId, p.CheckoutRequestID),
+    pspReference: firstId(p.pspReference),
+    checkoutId: firstId(p.checkoutId, p.id),
+  };
+}
+
+/**
+ * ✅ Normalize a provider refund response for the refund queue
+ * → { gateway, status: "SUCCEEDED" | "PENDING", refundReference, raw }
+ * Throws when the gateway reports the refund as failed.
+ */
+function refundOutcome(gateway, res, { succeeded = [], failed = [] } = {}) {
+  const status = String(res?.refundStatus || "").toLowerCase();
+
+  if (failed.includes(status)) {
+    throw new Error(`${gateway} refund ${status}`);
+  }
+
+  return {
+    gateway,
+    status: succeeded.includes(status) ? "SUCCEEDED" : "PENDING",
+    refundReference: res?.refundReference || null,
+    raw: res?.raw || res,
+  };
+}
+
 /**
  * ✅ Map gateway enum -> adapter implementation
  * Adapter must return:
  *   { gateway, reference, redirectUrl?, paymentUrl?, sdkParams?, initResponse? }
+ *
+ * refund({ payment, amount, currency, reason, reference, countryCode, routing })
+ *   → { gateway, status: "SUCCEEDED" | "PENDING", refundReference, raw }
+ *   PENDING = accepted by the gateway, final result arrives by webhook.
  */
 function getLocalAdapterForGatewayEnum(gatewayEnum) {
   switch (String(gatewayEnum || "").toUpperCase()) {
@@ -250,6 +496,13 @@ function getLocalAdapterForGatewayEnum(gatewayEnum) {
           };
         },
         verifyPayment: async ({ reference }) => paystackVerifyPayment({ reference }),
+        refund: async ({ payment, amount, currency, reason, routing }) => {
+          const reference = firstId(payment?.providerReference);
+          if (!reference) throw missingRefundId("Missing providerReference for PAYSTACK refund");
+
+          const res = await paystackRefundPayment({ reference, amount, currency, reason, routing });
+          return refundOutcome("PAYSTACK", res, { succeeded: ["processed"], failed: ["failed"] });
+        },
       };
 
     case "FLUTTERWAVE":
@@ -286,6 +539,14 @@ function getLocalAdapterForGatewayEnum(gatewayEnum) {
         },
         verifyPayment: async ({ transactionId, tx_ref }) =>
           flutterwaveVerifyPayment({ transactionId, tx_ref }),
+        refund: async ({ payment, amount, reason, routing }) => {
+          const p = payloadOf(payment);
+          const transactionId = firstId(p.transactionId, p.data?.id, p.transaction_id);
+          if (!transactionId) throw missingRefundId("Missing Flutterwave transaction id for refund");
+
+          const res = await flutterwaveRefundPayment({ transactionId, amount, reason, routing });
+          return refundOutcome("FLUTTERWAVE", res, { succeeded: ["completed"], failed: ["failed"] });
+        },
       };
 
     case "MPESA":
@@ -311,6 +572,13 @@ function getLocalAdapterForGatewayEnum(gatewayEnum) {
         },
         verifyPayment: async ({ checkoutRequestId }) =>
           mpesaVerifyPayment({ checkoutRequestId }),
+        refund: async ({ payment, amount, reason, reference, routing }) => {
+          const transactionId = mpesaReceiptNumber(payment);
+          if (!transactionId) throw missingRefundId("Missing M-Pesa receipt number for reversal");
+
+          const res = await mpesaReversePayment({ transactionId, amount, reason, reference, routing });
+          return refundOutcome("MPESA", res);
+        },
       };
 
     // ✅ STRIPE (SDK + redirect)
@@ -359,6 +627,13 @@ function getLocalAdapterForGatewayEnum(gatewayEnum) {
           };
         },
         verifyPayment: async (payload) => stripeVerifyPayment(payload),
+        refund: async ({ payment, amount, currency, reason, reference, routing }) => {
+          const paymentIntentId = stripePaymentIntentId(payment);
+          if (!paymentIntentId) throw missingRefundId("Missing Stripe PaymentIntent id for refund");
+
+          const res = await stripeRefundPayment({ paymentIntentId, amount, currency, reason, reference, routing });
+          return refundOutcome("STRIPE", res, { succeeded: ["succeeded"], failed: ["failed", "canceled"] });
+        },
       };
 
     // ✅ PAYPAL (redirect + capture/verify path; SDK returns sdkParams)
@@ -405,6 +680,13 @@ function getLocalAdapterForGatewayEnum(gatewayEnum) {
           };
         },
         verifyPayment: async (payload) => paypalVerifyPayment(payload),
+        refund: async ({ payment, amount, currency, reason, routing }) => {
+          const captureId = paypalCaptureId(payment);
+          if (!captureId) throw missingRefundId("Missing PayPal capture id for refund");
+
+          const res = await paypalRefundCapture({ captureId, amount, currency, reason, routing });
+          return refundOutcome("PAYPAL", res, { succeeded: ["completed"], failed: ["failed", "cancelled"] });
+        },
       };
 
     // ✅ ADYEN (SDK sessions + optional payment links)
@@ -451,6 +733,13 @@ function getLocalAdapterForGatewayEnum(gatewayEnum) {
           };
         },
         verifyPayment: async (payload) => adyenVerifyPayment(payload),
+        refund: async ({ payment, amount, currency, reference, routing }) => {
+          const pspReference = firstId(payloadOf(payment).pspReference);
+          if (!pspReference) throw missingRefundId("Missing Adyen pspReference for refund");
+
+          const res = await adyenRefundPayment({ pspReference, amount, currency, reference, routing });
+          return refundOutcome("ADYEN", res);
+        },
       };
 
     // ✅ Wallet aliases (route to Stripe/Adyen)
@@ -493,6 +782,51 @@ function getLocalAdapterForGatewayEnum(gatewayEnum) {
           // Wallet verify is same as underlying gateway verify; default Stripe verify
           return stripeVerifyPayment(payload);
         },
+        refund: async (payload) => {
+          // Refund goes back through whichever gateway actually charged the wallet
+          const target = payloadOf(payload?.payment).pspReference ? "ADYEN" : "STRIPE";
+          const init = await getLocalAdapterForGatewayEnum(target).refund(payload);
+          return { ...init, gateway: String(gatewayEnum || "").toUpperCase() };
+        },
+      };
+
+    // ✅ Customer wallet: paid at job creation from stored credit; refunds go back as credit
+    case "WALLET":
+      return {
+        provider: "WALLET",
+        createPayment: async () => {
+          const err = new Error("Wallet payments are applied at booking, not initiated");
+          err.code = "GATEWAY_NOT_IMPLEMENTED";
+          throw err;
+        },
+        verifyPayment: async () => ({ provider: "wallet", status: "success", paid: true }),
+        refund: async ({ payment, amount, currency, reason, reference, countryCode }) => {
+          const result = await creditWallet({
+            userId: payment.customer,
+            amount,
+            currency: currency || payment.currency,
+            countryCode: countryCode || payment.countryCode,
+            kind: WALLET_TX_KINDS.REFUND_CREDIT,
+            memo: reason || "Refund",
+            job: payment.job?._id || payment.job || null,
+            payment: payment._id,
+            // refund reference is stable per PaymentRefund → retries never double-credit
+            idempotencyKey: `refund:${reference}`,
+          });
+
+          if (!result.ok) {
+            const err = new Error(result.message);
+            err.retryable = false;
+            throw err;
+          }
+
+          return {
+            gateway: "WALLET",
+            status: "SUCCEEDED",
+            refundReference: String(result.transaction?._id || reference),
+            raw: { walletTransactionId: result.transaction?._id || null, balance: result.balance },
+          };
+        },
       };
 
     default:
@@ -500,6 +834,21 @@ function getLocalAdapterForGatewayEnum(gatewayEnum) {
   }
 }
 
+/**
+ * ✅ Adapter for a specific gateway (e.g. the one a Payment was made with)
+ * Throws clean error if adapter isn't implemented.
+ */
+export function getAdapterForGateway(gatewayEnum) {
+  const wanted = normalizeGatewayKeyToEnum(gatewayEnum);
+
+  const adapter = getLocalAdapterForGatewayEnum(wanted);
+  if (adapter) return adapter;
+
+  const err = new Error(`Gateway adapter not implemented: ${wanted}`);
+  err.code = "GATEWAY_NOT_IMPLEMENTED";
+  throw err;
+}
+
 /**
  * ✅ Return gateway adapter for country’s chosen gateway
  * Throws clean error if adapter isn't implemented.
@@ -1,4 +1,5 @@
 // backend/src/services/payments/payfast.js
+import axios from "axios";
 import crypto from "crypto";
 
 /**
@@ -6,6 +7,7 @@ import crypto from "crypto";
  */
 const PAYFAST_SANDBOX_URL = "https://sandbox.payfast.co.za/eng/process";
 const PAYFAST_LIVE_URL = "https://www.payfast.co.za/eng/process";
+const PAYFAST_API_URL = "https://api.payfast.co.za";
 
 /**
  * PayFast encoding:
@@ -119,8 +121,84 @@ async function verifyPayment() {
   return { message: "PayFast verification handled via notify_url ITN ✅" };
 }
 
+/**
+ * ✅ PayFast API signature: md5 of ALL header + body vars sorted by key (+ passphrase)
+ */
+function generatePayfastApiSignature(vars, passphrase = "") {
+  const all = { ...vars };
+  if (passphrase) all.passphrase = passphrase;
+
+  const paramString = Object.keys(all)
+    .sort()
+    .filter((k) => all[k] !== undefined && all[k] !== null && all[k] !== "")
+    .map((k) => `${k}=${encodePayfast(String(all[k]).trim())}`)
+    .join("&");
+
+  return crypto.createHash("md5").update(paramString).digest("hex");
+}
+
+/**
+ * ✅ Refund a completed PayFast payment (Refunds API)
+ * POST /refunds/{pf_payment_id}  amount in cents
+ * pf_payment_id comes from the ITN stored on Payment.providerPayload.
+ */
+async function refundPayment({ payment, amount, reason, countryCode, routing }) {
+  const config = loadPayfastConfig({ countryCode, routing });
+
+  if (!config.merchantId) {
+    throw new Error("PayFast Merchant details missing (PAYFAST_MERCHANT_ID) ❌");
+  }
+
+  const pfPaymentId = String(payment?.providerPayload?.pf_payment_id || "").trim();
+  if (!pfPaymentId) {
+    const err = new Error("PayFast refund requires pf_payment_id from the ITN");
+    err.retryable = false;
+    throw err;
+  }
+
+  const numericAmount = Number(amount);
+  if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
+    throw new Error(`Invalid amount for PayFast refund: ${amount}`);
+  }
+
+  const headers = {
+    "merchant-id": config.merchantId,
+    version: "v1",
+    timestamp: new Date().toISOString().slice(0, 19),
+  };
+
+  const body = {
+    amount: Math.round(numericAmount * 100),
+    reason: String(reason || "TowMech refund").trim().slice(0, 100),
+  };
+
+  const signature = generatePayfastApiSignature({ ...headers, ...body }, config.passphrase);
+  const testing = config.mode === "LIVE" ? "" : "?testing=true";
+
+  const response = await axios.post(
+    `${PAYFAST_API_URL}/refunds/${encodeURIComponent(pfPaymentId)}${testing}`,
+    body,
+    {
+      headers: { ...headers, signature, "Content-Type": "application/json" },
+      timeout: 30000,
+    }
+  );
+
+  const data = response?.data;
+  const ok = String(data?.status || "").toLowerCase() === "success" || Number(data?.code) === 200;
+  if (!ok) throw new Error(data?.data?.message || data?.message || "PayFast refund failed");
+
+  return {
+    gateway: "PAYFAST",
+    status: "SUCCEEDED",
+    refundReference: data?.data?.refund_id ? String(data.data.refund_id) : `PAYFAST_REFUND-${pfPaymentId}`,
+    raw: data,
+  };
+}
+
 export default {
   provider: "PAYFAST",
   createPayment,
   verifyPayment,
+  refund: refundPayment,
 };
\ No newline at end of file
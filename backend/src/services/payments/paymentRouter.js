@@ -9,45 +9,85 @@
  * If legacy code imports this file, it will still work.
  */
 
+import Payment from "../../models/Payment.js";
 import {
   resolvePaymentRoutingForCountry,
-  getActivePaymentGateway,
-  getGatewayAdapter,
+  createPaymentWithFailover,
+  getAdapterForGateway,
+  getGatewayVerifyIds,
 } from "./index.js";
+import { PAYMENT_EVENT_KINDS, reconcilePaymentEvent } from "./reconcile.js";
+
+const VERIFY_SUCCESS = ["success", "succeeded", "successful", "completed", "paid"];
+const VERIFY_FAILED = ["failed", "cancelled", "canceled", "abandoned", "reversed"];
 
 /**
  * ✅ createPayment(payload)
  * payload should include at least:
  * { countryCode, amount, currency, reference, successUrl, cancelUrl, notifyUrl, email }
+ * optional payload.gateway = preferred gateway; falls back by priority on error / timeout
  */
 export async function createPayment(payload = {}) {
   const countryCode = (payload.countryCode || payload.country || "ZA").toString().trim().toUpperCase();
-  const routing = await resolvePaymentRoutingForCountry(countryCode);
-
-  // gateway enum like PAYFAST
-  const gatewayEnum = await getActivePaymentGateway(countryCode);
 
-  const adapter = await getGatewayAdapter(countryCode);
-
-  const res = await adapter.createPayment({
-    amount: payload.amount,
-    currency: payload.currency,
-    reference: payload.reference,
-    successUrl: payload.successUrl,
-    cancelUrl: payload.cancelUrl,
-    notifyUrl: payload.notifyUrl,
-    customerEmail: payload.email,
+  const { gateway, routing, initResponse } = await createPaymentWithFailover({
     countryCode,
-    routing,
+    preferredGateway: payload.gateway || null,
+    buildPayload: () => ({
+      amount: payload.amount,
+      currency: payload.currency,
+      reference: payload.reference,
+      successUrl: payload.successUrl,
+      cancelUrl: payload.cancelUrl,
+      notifyUrl: payload.notifyUrl,
+      customerEmail: payload.email,
+    }),
   });
 
-  return { gateway: gatewayEnum, routing, ...res };
+  return { gateway, routing, ...initResponse };
 }
 
+/**
+ * ✅ verifyPayment({ reference })
+ * Polling fallback for a missed webhook: asks the gateway that charged the payment,
+ * then applies the answer through the same reconciliation as the webhooks.
+ * → { gateway, status, outcome, verify }
+ */
 export async function verifyPayment(payload = {}) {
-  // Not fully implemented in Phase 1 for all providers.
-  // PayFast verification happens via ITN notify URL.
-  return { message: "Verification is provider-specific. Use webhook/verify endpoint per provider." };
+  const reference = String(payload.reference || "").trim();
+  if (!reference) throw new Error("reference is required");
+
+  const payment = await Payment.findOne({ providerReference: reference });
+  if (!payment) throw new Error(`Payment not found for reference ${reference}`);
+
+  const gateway = String(payment.provider || "").trim().toUpperCase();
+  const adapter = getAdapterForGateway(gateway);
+  const routing = await resolvePaymentRoutingForCountry(payment.countryCode || "ZA");
+
+  const verify = await adapter.verifyPayment({
+    ...getGatewayVerifyIds(payment),
+    countryCode: payment.countryCode,
+    routing,
+  });
+
+  const status = String(verify?.status || "").trim().toLowerCase();
+  let kind = null;
+  if (verify?.paid === true || VERIFY_SUCCESS.includes(status)) kind = PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED;
+  else if (VERIFY_FAILED.includes(status)) kind = PAYMENT_EVENT_KINDS.PAYMENT_FAILED;
+
+  // still pending at the gateway (or the gateway only reports via webhook/ITN)
+  if (!kind) return { gateway, status: payment.status, outcome: "PENDING", verify };
+
+  // M-Pesa's STK query reports no amount; the STK push itself was bound to payment.amount
+  const amount = verify?.amount ?? (gateway === "MPESA" ? payment.amount : undefined);
+
+  const { outcome } = await reconcilePaymentEvent({
+    gateway,
+    event: { kind, reference, amount, payload: verify?.raw || verify },
+  });
+
+  const current = await Payment.findById(payment._id).lean();
+  return { gateway, status: current?.status || payment.status, outcome, verify };
 }
 
 /**
@@ -104,8 +104,67 @@ async function verifyPayment({ checkoutId, countryCode, routing }) {
   return response.data;
 }
 
+// ✅ OPP result codes for successfully processed / pending-review transactions
+const PEACH_SUCCESS_CODE = /^(000\.000\.|000\.100\.1|000\.[36])/;
+const PEACH_PENDING_CODE = /^(000\.200)/;
+
+/**
+ * ✅ Refund a captured Peach payment (paymentType RF against the payment id)
+ * The payment id is the "id" of the verify response stored on Payment.providerPayload.
+ */
+async function refundPayment({ payment, amount, currency, countryCode, routing }) {
+  const config = loadPeachConfig({ countryCode, routing });
+
+  if (!config.entityId || !config.accessToken) {
+    throw new Error("Peach Payments keys missing (PEACH_ENTITY_ID / PEACH_ACCESS_TOKEN) ❌");
+  }
+
+  const paymentId = String(payment?.providerPayload?.id || "").trim();
+  if (!paymentId) {
+    const err = new Error("Peach refund requires the payment id from verification");
+    err.retryable = false;
+    throw err;
+  }
+
+  const numericAmount = Number(amount);
+  if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
+    throw new Error(`Invalid amount for Peach refund: ${amount}`);
+  }
+
+  const baseURL = config.mode === "LIVE" ? "https://oppwa.com/v1/payments" : "https://test.oppwa.com/v1/payments";
+
+  const params = new URLSearchParams();
+  params.append("entityId", config.entityId);
+  params.append("amount", numericAmount.toFixed(2));
+  params.append("currency", (currency || "ZAR").toUpperCase());
+  params.append("paymentType", "RF");
+
+  const response = await axios.post(`${baseURL}/${encodeURIComponent(paymentId)}`, params, {
+    headers: {
+      Authorization: `Bearer ${config.accessToken}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    timeout: 30000,
+  });
+
+  const data = response?.data;
+  const code = String(data?.result?.code || "");
+
+  if (!PEACH_SUCCESS_CODE.test(code) && !PEACH_PENDING_CODE.test(code)) {
+    throw new Error(data?.result?.description || `Peach refund failed (${code || "no result code"})`);
+  }
+
+  return {
+    gateway: "PEACH_PAYMENTS",
+    status: PEACH_SUCCESS_CODE.test(code) ? "SUCCEEDED" : "PENDING",
+    refundReference: data?.id || null,
+    raw: data,
+  };
+}
+
 export default {
   provider: "PEACH_PAYMENTS",
   createPayment,
   verifyPayment,
+  refund: refundPayment,
 };
\ No newline at end of file
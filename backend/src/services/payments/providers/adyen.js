@@ -180,4 +180,44 @@ export async function adyenVerifyPayment(payload = {}) {
     paid: false,
     raw: null,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * ✅ Adyen Refund
+ * POST /{version}/payments/{pspReference}/refunds
+ * Adyen answers "received"; the final result comes with the REFUND webhook.
+ */
+export async function adyenRefundPayment(payload = {}) {
+  const { apiKey, merchantAccount, apiVersion } = getKeys(payload);
+
+  const pspReference = String(payload.pspReference || "").trim();
+  if (!pspReference) throw new Error("pspReference is required for adyenRefundPayment");
+
+  const currency = String(payload.currency || "EUR").trim().toUpperCase();
+
+  const body = {
+    merchantAccount,
+    amount: { currency, value: toMinorUnits(payload.amount, currency) },
+  };
+  if (payload.reference) body.reference = String(payload.reference).trim();
+
+  const res = await axios.post(
+    `${getBaseUrl(payload)}/${apiVersion}/payments/${encodeURIComponent(pspReference)}/refunds`,
+    body,
+    {
+      headers: { "X-API-Key": apiKey, "Content-Type": "application/json" },
+      timeout: 30000,
+    }
+  );
+
+  const data = res?.data;
+
+  return {
+    provider: "adyen",
+    method: "adyen",
+    pspReference,
+    refundReference: data?.pspReference || null,
+    refundStatus: String(data?.status || "").toLowerCase(), // received
+    raw: data,
+  };
+}
@@ -220,4 +220,93 @@ export async function flutterwaveVerifyPayment(payload = {}) {
       "Flutterwave verify by tx_ref failed";
     throw new Error(msg);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * ✅ Flutterwave Refund
+ * POST /v3/transactions/:id/refund { amount? }
+ * amount in MAJOR units; omitted → full refund.
+ */
+export async function flutterwaveRefundPayment(payload = {}) {
+  const transactionId = payload.transactionId ? String(payload.transactionId).trim() : "";
+  if (!transactionId) throw new Error("Flutterwave refund requires transactionId");
+
+  const body = {};
+  if (payload.amount !== undefined && payload.amount !== null) {
+    const n = Number(payload.amount);
+    if (!Number.isFinite(n) || n <= 0) throw new Error("Invalid amount");
+    body.amount = n;
+  }
+  if (payload.reason) body.comments = String(payload.reason).trim();
+
+  try {
+    const res = await axios.post(
+      `${baseUrl(payload)}/v3/transactions/${encodeURIComponent(transactionId)}/refund`,
+      body,
+      { headers: authHeaders(payload), timeout: 30000 }
+    );
+
+    const data = res?.data;
+    if (!data || data?.status !== "success") {
+      throw new Error(data?.message || "Flutterwave refund failed");
+    }
+
+    return {
+      provider: "flutterwave",
+      method: "flutterwave",
+      transactionId,
+      refundReference: data?.data?.id ? String(data.data.id) : null,
+      refundStatus: String(data?.data?.status || "").toLowerCase(), // completed | pending ...
+      raw: data,
+    };
+  } catch (err) {
+    const msg =
+      err?.response?.data?.message ||
+      err?.response?.data?.error ||
+      err?.message ||
+      "Flutterwave refund failed";
+    throw new Error(msg);
+  }
+}
+
+/**
+ * ✅ Flutterwave transaction list (settlement reconciliation)
+ * GET /v3/transactions?from&to&page — paged until exhausted (maxPages cap)
+ * → { transactions: [{ gatewayId, reference, amount, currency, status, occurredAt }] }
+ */
+export async function flutterwaveListTransactions(payload = {}) {
+  const from = new Date(payload.from).toISOString().slice(0, 10);
+  const to = new Date(payload.to).toISOString().slice(0, 10);
+  const maxPages = Number(payload.maxPages || 50);
+
+  const transactions = [];
+  for (let page = 1; page <= maxPages; page++) {
+    const res = await axios.get(`${baseUrl(payload)}/v3/transactions`, {
+      headers: authHeaders(payload),
+      params: { from, to, page },
+      timeout: 30000,
+    });
+
+    const data = res?.data;
+    if (!data || data?.status !== "success") {
+      throw new Error(data?.message || "Flutterwave transaction list failed");
+    }
+
+    for (const t of data.data || []) {
+      const s = String(t.status || "").toLowerCase();
+      transactions.push({
+        gatewayId: String(t.id),
+        reference: t.tx_ref || null,
+        amount: Number(t.amount || 0),
+        currency: String(t.currency || "").toUpperCase(),
+        status: s === "successful" ? "SUCCESS" : s === "failed" || s === "cancelled" ? "FAILED" : "PENDING",
+        occurredAt: t.created_at || null,
+      });
+    }
+
+    const totalPages = Number(data?.meta?.page_info?.total_pages || 1);
+    if (page >= totalPages) break;
+  }
+
+  return { provider: "flutterwave", transactions };
+}
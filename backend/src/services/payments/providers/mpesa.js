@@ -189,4 +189,66 @@ export async function mpesaVerifyPayment(payload = {}) {
     resultDesc,
     raw: data,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * ✅ M-Pesa Transaction Reversal (refund of a paid STK push)
+ * POST /mpesa/reversal/v1/request
+ * Safaricom only accepts the request here; the outcome is posted to the ResultURL.
+ * Needs an initiator: MPESA_INITIATOR_NAME + MPESA_SECURITY_CREDENTIAL.
+ */
+export async function mpesaReversePayment(payload = {}) {
+  const { shortcode, callbackUrl } = getMpesaEnvConfig(payload);
+  const cfg = getProviderConfig(payload);
+
+  const initiator = requireValue(
+    "MPESA_INITIATOR_NAME",
+    pickFirst(cfg.initiatorName, process.env.MPESA_INITIATOR_NAME)
+  );
+  const securityCredential = requireValue(
+    "MPESA_SECURITY_CREDENTIAL",
+    pickFirst(cfg.securityCredential, process.env.MPESA_SECURITY_CREDENTIAL)
+  );
+  const resultUrl = pickFirst(cfg.reversalResultUrl, process.env.MPESA_REVERSAL_RESULT_URL, callbackUrl);
+
+  const transactionId = String(payload.transactionId || "").trim();
+  if (!transactionId) throw new Error("M-Pesa reversal requires transactionId (M-Pesa receipt number)");
+
+  const amount = Number(payload.amount);
+  if (!Number.isFinite(amount) || amount <= 0) throw new Error("Invalid amount");
+
+  const token = await getMpesaAccessToken(payload);
+
+  const body = {
+    Initiator: initiator,
+    SecurityCredential: securityCredential,
+    CommandID: "TransactionReversal",
+    TransactionID: transactionId,
+    Amount: Math.round(amount),
+    ReceiverParty: shortcode,
+    RecieverIdentifierType: "11",
+    ResultURL: resultUrl,
+    QueueTimeOutURL: resultUrl,
+    Remarks: String(payload.reason || "TowMech refund").trim().slice(0, 100),
+    Occasion: String(payload.reference || "").trim().slice(0, 100),
+  };
+
+  const res = await axios.post(`${mpesaBaseUrl(payload)}/mpesa/reversal/v1/request`, body, {
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    timeout: 30000,
+  });
+
+  const data = res?.data;
+  if (!data || String(data?.ResponseCode ?? "") !== "0") {
+    throw new Error(data?.ResponseDescription || data?.errorMessage || "M-Pesa reversal failed");
+  }
+
+  return {
+    provider: "mpesa",
+    method: "mpesa",
+    transactionId,
+    refundReference: data?.ConversationID || data?.OriginatorConversationID || null,
+    refundStatus: "accepted",
+    raw: data,
+  };
+}
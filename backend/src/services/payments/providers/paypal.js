@@ -164,6 +164,7 @@ export async function paypalVerifyPayment(payload = {}) {
 
   const data = res?.data;
   const status = String(data?.status || "").toUpperCase();
+  const amount = Number(data?.purchase_units?.[0]?.amount?.value);
 
   return {
     provider: "paypal",
@@ -171,6 +172,50 @@ export async function paypalVerifyPayment(payload = {}) {
     orderId,
     status,
     paid: status === "COMPLETED",
+    amount: Number.isFinite(amount) ? amount : null,
     raw: data,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * ✅ PayPal Refund (captured payment)
+ * POST /v2/payments/captures/:captureId/refund { amount?, note_to_payer? }
+ * amount in MAJOR units; omitted → full refund.
+ */
+export async function paypalRefundCapture(payload = {}) {
+  const baseUrl = getBaseUrl(payload);
+  const token = await getAccessToken(payload);
+
+  const captureId = String(payload.captureId || "").trim();
+  if (!captureId) throw new Error("PayPal refund requires captureId");
+
+  const body = {};
+  if (payload.amount !== undefined && payload.amount !== null) {
+    const n = Number(payload.amount);
+    if (!Number.isFinite(n) || n <= 0) throw new Error("Invalid amount");
+    body.amount = {
+      value: n.toFixed(2),
+      currency_code: String(payload.currency || "USD").trim().toUpperCase(),
+    };
+  }
+  if (payload.reason) body.note_to_payer = String(payload.reason).trim().slice(0, 255);
+
+  const res = await axios.post(`${baseUrl}/v2/payments/captures/${encodeURIComponent(captureId)}/refund`, body, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    timeout: 30000,
+  });
+
+  const data = res?.data;
+
+  return {
+    provider: "paypal",
+    method: "paypal",
+    captureId,
+    refundReference: data?.id || null,
+    refundStatus: String(data?.status || "").toUpperCase(), // COMPLETED | PENDING | FAILED | CANCELLED
+    raw: data,
+  };
+}
@@ -178,4 +178,45 @@ export async function paystackRefundPayment(payload = {}) {
     refundStatus,
     raw: data,
   };
-}
\ No newline at end of file
+}
+/**
+ * ✅ Paystack transaction list (settlement reconciliation)
+ * GET /transaction?from&to&perPage&page — paged until exhausted (maxPages cap)
+ * → { transactions: [{ gatewayId, reference, amount, currency, status, occurredAt }] }
+ * amount in MAJOR units; status "SUCCESS" | "FAILED" | "PENDING"
+ */
+export async function paystackListTransactions(payload = {}) {
+  const baseUrl = getBaseUrl(payload);
+  const from = new Date(payload.from).toISOString();
+  const to = new Date(payload.to).toISOString();
+  const maxPages = Number(payload.maxPages || 50);
+
+  const transactions = [];
+  for (let page = 1; page <= maxPages; page++) {
+    const res = await axios.get(`${baseUrl}/transaction`, {
+      headers: buildBearerHeaders(payload),
+      params: { from, to, perPage: 100, page },
+      timeout: 30000,
+    });
+
+    const data = res?.data;
+    if (!data?.status) throw new Error(data?.message || "Paystack transaction list failed");
+
+    for (const t of data.data || []) {
+      const s = String(t.status || "").toLowerCase();
+      transactions.push({
+        gatewayId: String(t.id),
+        reference: t.reference || null,
+        amount: Number(t.amount || 0) / 100,
+        currency: String(t.currency || "").toUpperCase(),
+        status: s === "success" ? "SUCCESS" : s === "failed" || s === "abandoned" || s === "reversed" ? "FAILED" : "PENDING",
+        occurredAt: t.paid_at || t.paidAt || t.created_at || t.createdAt || null,
+      });
+    }
+
+    const pageCount = Number(data?.meta?.pageCount || 1);
+    if (page >= pageCount) break;
+  }
+
+  return { provider: "paystack", transactions };
+}
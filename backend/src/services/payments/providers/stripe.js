@@ -216,4 +216,88 @@ export async function stripeVerifyPayment(payload = {}) {
     currency: pi?.currency ? String(pi.currency).toUpperCase() : null,
     raw: pi,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * ✅ Stripe Refund
+ * POST /v1/refunds { payment_intent, amount? }
+ * amount in MAJOR units (converted here); omitted → full refund.
+ * Stripe's own `reason` only accepts fixed values, so ours goes into metadata.
+ */
+export async function stripeRefundPayment(payload = {}) {
+  const { secretKey } = getKeys(payload);
+
+  const paymentIntentId = String(payload.paymentIntentId || "").trim();
+  if (!paymentIntentId) throw new Error("Stripe refund requires paymentIntentId");
+
+  const body = { payment_intent: paymentIntentId };
+
+  if (payload.amount !== undefined && payload.amount !== null) {
+    body.amount = toMinorUnits(payload.amount, payload.currency);
+  }
+
+  if (payload.reason) body["metadata[reason]"] = String(payload.reason).trim();
+  if (payload.reference) body["metadata[reference]"] = String(payload.reference).trim();
+
+  const res = await axios.post(`${STRIPE_API_BASE}/v1/refunds`, formEncode(body), {
+    headers: stripeHeaders(secretKey),
+    timeout: 30000,
+  });
+
+  const refund = res?.data;
+
+  return {
+    provider: "stripe",
+    method: "stripe",
+    paymentIntentId,
+    refundReference: refund?.id || null,
+    refundStatus: String(refund?.status || "").toLowerCase(), // succeeded | pending | failed | canceled
+    raw: refund,
+  };
+}
+
+/**
+ * ✅ Stripe PaymentIntent list (settlement reconciliation)
+ * GET /v1/payment_intents?created[gte]&created[lte] — cursor paged (maxPages cap)
+ * reference = metadata.reference (set at creation)
+ * → { transactions: [{ gatewayId, reference, amount, currency, status, occurredAt }] }
+ */
+export async function stripeListPaymentIntents(payload = {}) {
+  const { secretKey } = getKeys(payload);
+  const gte = Math.floor(new Date(payload.from).getTime() / 1000);
+  const lte = Math.floor(new Date(payload.to).getTime() / 1000);
+  const maxPages = Number(payload.maxPages || 50);
+
+  const transactions = [];
+  let startingAfter = null;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const params = { "created[gte]": gte, "created[lte]": lte, limit: 100 };
+    if (startingAfter) params.starting_after = startingAfter;
+
+    const res = await axios.get(`${STRIPE_API_BASE}/v1/payment_intents`, {
+      headers: stripeHeaders(secretKey),
+      params,
+      timeout: 30000,
+    });
+
+    const list = res?.data?.data || [];
+    for (const pi of list) {
+      const currency = String(pi.currency || "").toUpperCase();
+      const s = String(pi.status || "").toLowerCase();
+      transactions.push({
+        gatewayId: pi.id,
+        reference: pi.metadata?.reference || null,
+        amount: ZERO_DECIMAL.has(currency) ? Number(pi.amount || 0) : Number(pi.amount || 0) / 100,
+        currency,
+        status: s === "succeeded" ? "SUCCESS" : s === "canceled" ? "FAILED" : "PENDING",
+        occurredAt: pi.created ? new Date(pi.created * 1000) : null,
+      });
+    }
+
+    if (!res?.data?.has_more || list.length === 0) break;
+    startingAfter = list[list.length - 1].id;
+  }
+
+  return { provider: "stripe", transactions };
+}
@@ -0,0 +1,158 @@
+// backend/src/services/payments/reconcile.js
+import Payment, { PAYMENT_STATUSES } from "../../models/Payment.js";
+import Job from "../../models/Job.js";
+import { broadcastJobToProviders } from "../../utils/broadcastJob.js";
+import { settleGatewayRefund } from "./refundQueue.js";
+
+/**
+ * ✅ One place that moves Payment + Job booking-fee state from gateway signals
+ *
+ * Used by:
+ * - services/payments/webhooks.js (all gateway webhooks / ITNs)
+ * - services/payments/paymentRouter.js verifyPayment (polling fallback)
+ * - routes/payments.js (Paystack verify fallback, admin mark-paid)
+ */
+
+export const PAYMENT_EVENT_KINDS = {
+  PAYMENT_SUCCEEDED: "PAYMENT_SUCCEEDED",
+  PAYMENT_FAILED: "PAYMENT_FAILED",
+  REFUND_SUCCEEDED: "REFUND_SUCCEEDED",
+  REFUND_FAILED: "REFUND_FAILED",
+  IGNORED: "IGNORED",
+};
+
+// amounts from gateways may differ by rounding only
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * ✅ Payment.provider values a gateway's signals may settle
+ * (Google Pay / Apple Pay charges run through Stripe)
+ */
+const SETTLED_PROVIDERS = {
+  STRIPE: ["STRIPE", "GOOGLE_PAY", "APPLE_PAY"],
+};
+
+const providersSettledBy = (gateway) => SETTLED_PROVIDERS[gateway] || [gateway];
+
+/**
+ * ✅ Refund alignment
+ * Late "paid" signals (webhook/verify/ITN) must NEVER move these states back to PAID.
+ */
+export function isRefundFlowBlocked(status) {
+  return [
+    PAYMENT_STATUSES.REFUND_REQUESTED,
+    PAYMENT_STATUSES.REFUNDED,
+    PAYMENT_STATUSES.REFUND_FAILED,
+    PAYMENT_STATUSES.CANCELLED,
+  ].includes(String(status || "").toUpperCase());
+}
+
+/**
+ * ✅ shared "mark paid + update job + broadcast" helper
+ * (Refund-aligned: will not overwrite refund/cancel states)
+ */
+export async function markPaymentPaidAndBroadcast(payment, payload = null) {
+  if (!payment) return null;
+
+  // ✅ REFUND ALIGNMENT: don't override refund/cancel states
+  if (isRefundFlowBlocked(payment.status)) {
+    // Do not change anything; keep provider payload for audit if provided
+    if (payload) {
+      payment.providerPayload = payload;
+      await payment.save();
+    }
+    return payment;
+  }
+
+  if (payment.status !== PAYMENT_STATUSES.PAID) {
+    payment.status = PAYMENT_STATUSES.PAID;
+    payment.paidAt = new Date();
+    if (payload) payment.providerPayload = payload;
+    await payment.save();
+  }
+
+  const job = await Job.findById(payment.job);
+  if (job) {
+    if (!job.pricing) job.pricing = {};
+    job.pricing.bookingFeeStatus = "PAID";
+    job.pricing.bookingFeePaidAt = new Date();
+    await job.save();
+
+    await broadcastJobToProviders(job._id);
+  }
+
+  return payment;
+}
+
+/**
+ * ✅ Apply one normalized gateway event
+ * event = { kind, reference?, amount?, currency?, refundReferences?, payload? }
+ * (amount is required for PAYMENT_SUCCEEDED — paid events without one are rejected)
+ *
+ * Returns { outcome, paymentId? } — outcome is stored on the webhook event.
+ */
+export async function reconcilePaymentEvent({ gateway, event }) {
+  const kind = event?.kind;
+  const gw = String(gateway || "").trim().toUpperCase();
+
+  if (kind === PAYMENT_EVENT_KINDS.REFUND_SUCCEEDED || kind === PAYMENT_EVENT_KINDS.REFUND_FAILED) {
+    for (const gatewayReference of event.refundReferences || []) {
+      if (!gatewayReference) continue;
+
+      const refund = await settleGatewayRefund({
+        gateway: gw,
+        gatewayReference,
+        succeeded: kind === PAYMENT_EVENT_KINDS.REFUND_SUCCEEDED,
+        raw: event.payload || null,
+        error: event.error || null,
+      });
+
+      if (refund) return { outcome: `REFUND_${refund.status}`, paymentId: refund.payment };
+    }
+    return { outcome: "REFUND_NOT_FOUND" };
+  }
+
+  if (kind !== PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED && kind !== PAYMENT_EVENT_KINDS.PAYMENT_FAILED) {
+    return { outcome: "IGNORED" };
+  }
+
+  const reference = String(event.reference || "").trim();
+  if (!reference) return { outcome: "NO_REFERENCE" };
+
+  // scoped to the gateway: a signed event from one gateway must not settle another gateway's payment
+  const payment = await Payment.findOne({ providerReference: reference, provider: { $in: providersSettledBy(gw) } });
+  if (!payment) return { outcome: "PAYMENT_NOT_FOUND" };
+
+  const paymentId = payment._id;
+
+  if (kind === PAYMENT_EVENT_KINDS.PAYMENT_FAILED) {
+    if (payment.status !== PAYMENT_STATUSES.PENDING) return { outcome: `KEPT_${payment.status}`, paymentId };
+
+    payment.status = PAYMENT_STATUSES.FAILED;
+    if (event.payload) payment.providerPayload = event.payload;
+    await payment.save();
+    return { outcome: "MARKED_FAILED", paymentId };
+  }
+
+  if (payment.status === PAYMENT_STATUSES.PAID) return { outcome: "ALREADY_PAID", paymentId };
+
+  if (isRefundFlowBlocked(payment.status)) {
+    return { outcome: `IGNORED_${payment.status}`, paymentId };
+  }
+
+  // a "paid" signal must say how much was paid
+  const amount = event.amount === undefined || event.amount === null ? NaN : Number(event.amount);
+  if (!Number.isFinite(amount)) {
+    console.error(`❌ ${gw} paid event for ${reference} carries no amount — not marking paid`);
+    return { outcome: "MISSING_AMOUNT", paymentId };
+  }
+  if (amount + AMOUNT_TOLERANCE < Number(payment.amount)) {
+    console.error(
+      `❌ ${gw} paid ${amount} for ${reference}, expected ${payment.amount} — not marking paid`
+    );
+    return { outcome: "AMOUNT_MISMATCH", paymentId };
+  }
+
+  await markPaymentPaidAndBroadcast(payment, event.payload || null);
+  return { outcome: "MARKED_PAID", paymentId };
+}
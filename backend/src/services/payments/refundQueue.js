@@ -0,0 +1,488 @@
+// backend/src/services/payments/refundQueue.js
+import Payment, { PAYMENT_STATUSES } from "../../models/Payment.js";
+import PaymentRefund, { REFUND_STATUSES, REFUND_SOURCES } from "../../models/PaymentRefund.js";
+import Job, { BOOKING_FEE_STATUSES } from "../../models/Job.js";
+import { getAdapterForGateway, resolvePaymentRoutingForCountry } from "./index.js";
+import { logAuditEvent } from "../../utils/auditLogger.js";
+
+/**
+ * ✅ Refund queue: every refund goes through the gateway adapter's refund()
+ *
+ * Used by:
+ * - services/payments/bookingFeeRefund.js (customer cancel, dispatcher give-up)
+ * - routes/adminPayments.js (admin full / partial refunds, retries)
+ * - server.js interval → runRefundQueue() for retries
+ *
+ * Payment ends REFUNDED (fully refunded) or REFUND_FAILED (full refund gave up);
+ * partial refunds keep the payment PAID and add to refundedAmount.
+ * Open refunds hold their amount in Payment.refundReservedAmount (reserved with a conditional $inc)
+ * so concurrent refunds can never exceed what was paid.
+ */
+
+// minutes to wait after attempt N fails
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+const OPEN_STATUSES = [
+  REFUND_STATUSES.QUEUED,
+  REFUND_STATUSES.PROCESSING,
+  REFUND_STATUSES.AWAITING_GATEWAY,
+];
+
+const round = (n, dp = 2) => Number(Number(n).toFixed(dp));
+
+// logAuditEvent expects a request; queue workers log as SYSTEM
+function auditReq(req, countryCode) {
+  if (req) return req;
+  return { countryCode, headers: {}, body: {}, user: null, ip: null };
+}
+
+async function audit(req, refund, action, details = {}) {
+  await logAuditEvent(auditReq(req, refund.countryCode), {
+    action,
+    entityType: "PAYMENT",
+    entityId: refund.payment,
+    details: {
+      refundId: refund._id,
+      jobId: refund.job,
+      gateway: refund.gateway,
+      amount: refund.amount,
+      currency: refund.currency,
+      source: refund.source,
+      reason: refund.reason,
+      attempts: refund.attempts,
+      ...details,
+    },
+  });
+}
+
+// filter narrows which jobs are updated (e.g. never overwrite REFUND_FAILED with REFUNDED)
+async function setJobBookingFeeStatus(jobId, status, filter = {}) {
+  if (!jobId) return;
+  const set = { "pricing.bookingFeeStatus": status };
+  if (status === BOOKING_FEE_STATUSES.REFUNDED) set["pricing.bookingFeeRefundedAt"] = new Date();
+  await Job.updateOne({ _id: jobId, ...filter }, { $set: set });
+}
+
+/**
+ * ✅ Amount still refundable: paid - refunded - reserved by refunds already in flight
+ */
+export async function getRefundableAmount(payment) {
+  return Math.max(
+    0,
+    round(
+      (Number(payment.amount) || 0) -
+        (Number(payment.refundedAmount) || 0) -
+        (Number(payment.refundReservedAmount) || 0)
+    )
+  );
+}
+
+/**
+ * ✅ Atomically reserve amount against a PAID payment's refundable balance
+ * Returns the updated payment, or null when the balance no longer covers it
+ * (another refund got there first).
+ */
+async function reserveRefundAmount(paymentId, amount, status = PAYMENT_STATUSES.PAID) {
+  return Payment.findOneAndUpdate(
+    {
+      _id: paymentId,
+      status,
+      $expr: {
+        $lte: [
+          {
+            $add: [
+              { $ifNull: ["$refundedAmount", 0] },
+              { $ifNull: ["$refundReservedAmount", 0] },
+              amount,
+            ],
+          },
+          { $add: ["$amount", 0.001] },
+        ],
+      },
+    },
+    { $inc: { refundReservedAmount: amount } },
+    { new: true }
+  );
+}
+
+async function releaseRefundAmount(paymentId, amount) {
+  await Payment.updateOne({ _id: paymentId }, { $inc: { refundReservedAmount: -amount } });
+}
+
+/**
+ * ✅ Queue a refund for a PAID payment (full when amount is omitted)
+ * processNow=true makes the first gateway attempt right away (retries go to the worker).
+ * toWallet=true credits the customer's wallet instead of going back to the card
+ * (WALLET-paid bookings always refund to the wallet).
+ *
+ * Returns { ok, refund, payment } or { ok:false, status, code, message }
+ */
+export async function queueRefund({
+  payment,
+  amount = null,
+  reason = null,
+  source,
+  requestedBy = null,
+  req = null,
+  processNow = true,
+  toWallet = false,
+}) {
+  if (!payment) return { ok: false, status: 404, code: "PAYMENT_NOT_FOUND", message: "Payment not found" };
+
+  if (payment.status !== PAYMENT_STATUSES.PAID) {
+    return {
+      ok: false,
+      status: 409,
+      code: "PAYMENT_NOT_REFUNDABLE",
+      message: `Only PAID payments can be refunded (payment is ${payment.status})`,
+    };
+  }
+
+  const refundable = await getRefundableAmount(payment);
+  if (refundable <= 0) {
+    return {
+      ok: false,
+      status: 409,
+      code: "NOTHING_TO_REFUND",
+      message: "This payment is already fully refunded or has refunds in progress",
+    };
+  }
+
+  const requested = amount === null || amount === undefined ? refundable : round(amount);
+  if (!Number.isFinite(requested) || requested <= 0) {
+    return { ok: false, status: 400, code: "INVALID_REFUND_AMOUNT", message: "amount must be greater than 0" };
+  }
+  if (requested > refundable) {
+    return {
+      ok: false,
+      status: 400,
+      code: "REFUND_EXCEEDS_BALANCE",
+      message: `amount exceeds the refundable balance (${refundable.toFixed(2)} ${payment.currency})`,
+    };
+  }
+
+  const reserved = await reserveRefundAmount(payment._id, requested);
+  if (!reserved) {
+    return {
+      ok: false,
+      status: 409,
+      code: "REFUND_EXCEEDS_BALANCE",
+      message: "Another refund for this payment is already in progress; check the refundable balance and try again",
+    };
+  }
+
+  const isFull =
+    round((Number(reserved.refundedAmount) || 0) + (Number(reserved.refundReservedAmount) || 0)) >=
+    round(reserved.amount);
+
+  let refund;
+  try {
+    refund = await PaymentRefund.create({
+      payment: payment._id,
+      job: payment.job?._id || payment.job || null,
+      countryCode: payment.countryCode,
+      gateway: toWallet || payment.provider === "WALLET" ? "WALLET" : payment.provider,
+      amount: requested,
+      currency: payment.currency,
+      isFull,
+      reason: reason ? String(reason).trim() : null,
+      source,
+      requestedBy,
+    });
+  } catch (err) {
+    await releaseRefundAmount(payment._id, requested);
+    throw err;
+  }
+
+  payment.refundReason = refund.reason;
+  if (requestedBy) payment.refundedBy = requestedBy;
+  if (isFull) {
+    payment.status = PAYMENT_STATUSES.REFUND_REQUESTED;
+    payment.refundedAt = new Date(); // "requested at" until the gateway confirms
+  }
+  await payment.save();
+
+  if (isFull) await setJobBookingFeeStatus(refund.job, BOOKING_FEE_STATUSES.REFUND_REQUESTED);
+
+  await audit(req, refund, "REFUND_REQUESTED", { isFull });
+
+  if (!processNow) return { ok: true, refund, payment };
+
+  const claimed = await PaymentRefund.findOneAndUpdate(
+    { _id: refund._id, status: REFUND_STATUSES.QUEUED },
+    { $set: { status: REFUND_STATUSES.PROCESSING, lockedAt: new Date() } },
+    { new: true }
+  );
+  const processed = claimed ? await processRefund(claimed, { req }) : refund;
+
+  return { ok: true, refund: processed, payment: await Payment.findById(payment._id) };
+}
+
+// FAILED is terminal: it is not "open", and failRefund already moved the job to REFUND_FAILED
+async function hasOpenJobRefunds(jobId) {
+  if (!jobId) return false;
+  return Boolean(await PaymentRefund.exists({ job: jobId, status: { $in: OPEN_STATUSES } }));
+}
+
+/**
+ * ✅ Gateway confirmed the money went back
+ */
+async function completeRefund(refund, { gatewayReference = null, gatewayResponse = null, req = null } = {}) {
+  refund.status = REFUND_STATUSES.SUCCEEDED;
+  refund.completedAt = new Date();
+  refund.lockedAt = null;
+  refund.lastError = null;
+  if (gatewayReference) refund.gatewayReference = gatewayReference;
+  if (gatewayResponse) refund.gatewayResponse = gatewayResponse;
+  await refund.save();
+
+  const payment = await Payment.findByIdAndUpdate(
+    refund.payment,
+    { $inc: { refundedAmount: refund.amount, refundReservedAmount: -refund.amount } },
+    { new: true }
+  );
+
+  if (payment) {
+    const fullyRefunded = round(payment.refundedAmount) >= round(payment.amount);
+
+    payment.refundReference = refund.gatewayReference || `REFUND-${refund._id}`;
+    if (fullyRefunded) {
+      payment.status = PAYMENT_STATUSES.REFUNDED;
+      payment.refundedAt = refund.completedAt;
+    }
+
+    const existingPayload =
+      payment.providerPayload && typeof payment.providerPayload === "object" ? payment.providerPayload : {};
+    payment.providerPayload = { ...existingPayload, refund: gatewayResponse || existingPayload.refund || null };
+
+    await payment.save();
+
+    // a fee split across wallet + gateway has one refund per payment: REFUNDED once none is left open.
+    // A failed sibling keeps the job REFUND_FAILED until an admin retries it.
+    if (fullyRefunded && !(await hasOpenJobRefunds(refund.job))) {
+      await setJobBookingFeeStatus(refund.job, BOOKING_FEE_STATUSES.REFUNDED, {
+        "pricing.bookingFeeStatus": { $ne: BOOKING_FEE_STATUSES.REFUND_FAILED },
+      });
+    }
+  }
+
+  await audit(req, refund, "REFUND_COMPLETED", { gatewayReference: refund.gatewayReference });
+  return refund;
+}
+
+/**
+ * ✅ Refund gave up: full refunds flip the payment to REFUND_FAILED
+ */
+async function failRefund(refund, { error, req = null } = {}) {
+  refund.status = REFUND_STATUSES.FAILED;
+  refund.failedAt = new Date();
+  refund.lockedAt = null;
+  refund.lastError = error || refund.lastError;
+  await refund.save();
+
+  await releaseRefundAmount(refund.payment, refund.amount);
+
+  if (refund.isFull) {
+    await Payment.updateOne(
+      { _id: refund.payment, status: PAYMENT_STATUSES.REFUND_REQUESTED },
+      { $set: { status: PAYMENT_STATUSES.REFUND_FAILED } }
+    );
+    await setJobBookingFeeStatus(refund.job, BOOKING_FEE_STATUSES.REFUND_FAILED);
+  }
+
+  await audit(req, refund, "REFUND_FAILED", { error: refund.lastError });
+  return refund;
+}
+
+/**
+ * ✅ One gateway attempt for a claimed (PROCESSING) refund
+ */
+export async function processRefund(refund, { req = null } = {}) {
+  refund.attempts += 1;
+
+  try {
+    const payment = await Payment.findById(refund.payment);
+    if (!payment) {
+      const err = new Error("Payment not found");
+      err.retryable = false;
+      throw err;
+    }
+
+    const adapter = getAdapterForGateway(refund.gateway);
+    if (typeof adapter.refund !== "function") {
+      const err = new Error(`Gateway refund not implemented for ${refund.gateway}`);
+      err.retryable = false;
+      throw err;
+    }
+
+    const routing = await resolvePaymentRoutingForCountry(refund.countryCode);
+
+    const result = await adapter.refund({
+      payment,
+      amount: refund.amount,
+      currency: refund.currency,
+      reason: refund.reason,
+      reference: `TM-RF-${refund._id}`,
+      countryCode: refund.countryCode,
+      routing,
+    });
+
+    refund.attemptLog.push({ ok: true, status: result?.status || null });
+
+    if (result?.status === "SUCCEEDED") {
+      return completeRefund(refund, {
+        gatewayReference: result.refundReference,
+        gatewayResponse: result.raw || null,
+        req,
+      });
+    }
+
+    refund.status = REFUND_STATUSES.AWAITING_GATEWAY;
+    refund.lockedAt = null;
+    refund.gatewayReference = result?.refundReference || null;
+    refund.gatewayResponse = result?.raw || null;
+    await refund.save();
+
+    await audit(req, refund, "REFUND_AWAITING_GATEWAY", { gatewayReference: refund.gatewayReference });
+    return refund;
+  } catch (e) {
+    const message = e?.response?.data?.message || e?.message || String(e);
+    const retryable = e?.retryable !== false && e?.code !== "GATEWAY_NOT_IMPLEMENTED";
+
+    console.error(`❌ Refund ${refund._id} attempt ${refund.attempts} failed:`, message);
+
+    refund.attemptLog.push({ ok: false, error: message });
+    refund.lastError = message;
+
+    if (!retryable || refund.attempts >= refund.maxAttempts) {
+      return failRefund(refund, { error: message, req });
+    }
+
+    const delay = RETRY_DELAYS_MINUTES[Math.min(refund.attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+    refund.status = REFUND_STATUSES.QUEUED;
+    refund.lockedAt = null;
+    refund.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+    await refund.save();
+
+    await audit(req, refund, "REFUND_RETRY_SCHEDULED", { error: message, nextAttemptAt: refund.nextAttemptAt });
+    return refund;
+  }
+}
+
+/**
+ * ✅ Worker tick: claim due refunds one at a time and attempt them
+ * (stale PROCESSING locks from a crashed worker are picked up again)
+ */
+export async function runRefundQueue() {
+  let processed = 0;
+
+  while (processed < BATCH_SIZE) {
+    const now = new Date();
+
+    const refund = await PaymentRefund.findOneAndUpdate(
+      {
+        $or: [
+          { status: REFUND_STATUSES.QUEUED, nextAttemptAt: { $lte: now } },
+          { status: REFUND_STATUSES.PROCESSING, lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+        ],
+      },
+      { $set: { status: REFUND_STATUSES.PROCESSING, lockedAt: now } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!refund) break;
+
+    await processRefund(refund);
+    processed += 1;
+  }
+
+  return processed;
+}
+
+/**
+ * ✅ Final result for a refund the gateway accepted asynchronously (webhooks)
+ * Returns the updated refund, or null when no matching AWAITING_GATEWAY refund exists.
+ */
+export async function settleGatewayRefund({ gateway, gatewayReference, succeeded, raw = null, error = null }) {
+  const refund = await PaymentRefund.findOneAndUpdate(
+    {
+      gateway: String(gateway || "").trim().toUpperCase(),
+      gatewayReference: String(gatewayReference || "").trim(),
+      status: REFUND_STATUSES.AWAITING_GATEWAY,
+    },
+    { $set: { status: REFUND_STATUSES.PROCESSING, lockedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!refund) return null;
+
+  if (succeeded) return completeRefund(refund, { gatewayResponse: raw });
+  return failRefund(refund, { error: error || "Refund rejected by gateway" });
+}
+
+/**
+ * ✅ Admin retry of a FAILED refund (fresh attempt budget)
+ * Returns { ok, refund } or { ok:false, status, code, message }
+ */
+export async function retryFailedRefund({ refundId, countryCode, req = null }) {
+  // claim first: two admins retrying at once must not both reach the gateway
+  const refund = await PaymentRefund.findOneAndUpdate(
+    { _id: refundId, countryCode, status: REFUND_STATUSES.FAILED },
+    {
+      $set: {
+        status: REFUND_STATUSES.PROCESSING,
+        lockedAt: new Date(),
+        attempts: 0,
+        maxAttempts: RETRY_DELAYS_MINUTES.length,
+        failedAt: null,
+      },
+    },
+    { new: true }
+  );
+
+  if (!refund) {
+    const existing = await PaymentRefund.findOne({ _id: refundId, countryCode }).select("status").lean();
+    if (!existing) return { ok: false, status: 404, code: "REFUND_NOT_FOUND", message: "Refund not found" };
+
+    return {
+      ok: false,
+      status: 409,
+      code: "REFUND_NOT_FAILED",
+      message: `Only FAILED refunds can be retried (refund is ${existing.status})`,
+    };
+  }
+
+  const reserved = await reserveRefundAmount(
+    refund.payment,
+    refund.amount,
+    refund.isFull ? PAYMENT_STATUSES.REFUND_FAILED : PAYMENT_STATUSES.PAID
+  );
+  if (!reserved) {
+    await PaymentRefund.updateOne(
+      { _id: refund._id, status: REFUND_STATUSES.PROCESSING },
+      { $set: { status: REFUND_STATUSES.FAILED, lockedAt: null, failedAt: new Date() } }
+    );
+    return {
+      ok: false,
+      status: 409,
+      code: "REFUND_EXCEEDS_BALANCE",
+      message: "The payment's refundable balance no longer covers this refund",
+    };
+  }
+
+  if (refund.isFull) {
+    await Payment.updateOne(
+      { _id: refund.payment, status: PAYMENT_STATUSES.REFUND_FAILED },
+      { $set: { status: PAYMENT_STATUSES.REFUND_REQUESTED } }
+    );
+    await setJobBookingFeeStatus(refund.job, BOOKING_FEE_STATUSES.REFUND_REQUESTED);
+  }
+
+  await audit(req, refund, "REFUND_REQUESTED", { retry: true });
+
+  return { ok: true, refund: await processRefund(refund, { req }) };
+}
+
+export { REFUND_STATUSES, REFUND_SOURCES };
@@ -0,0 +1,350 @@
+// backend/src/services/payments/settlementReconciliation.js
+import Payment, { PAYMENT_STATUSES } from "../../models/Payment.js";
+import PaymentReconciliation, {
+  RECONCILIATION_ISSUES,
+  RECONCILIATION_SOURCES,
+} from "../../models/PaymentReconciliation.js";
+import { normalizeGatewayKeyToEnum, resolvePaymentRoutingForCountry } from "./index.js";
+import { paystackListTransactions } from "./providers/paystack.js";
+import { stripeListPaymentIntents } from "./providers/stripe.js";
+import { flutterwaveListTransactions } from "./providers/flutterwave.js";
+import { logAuditEvent } from "../../utils/auditLogger.js";
+
+/**
+ * ✅ Settlement reconciliation
+ * Gateway transaction list (API pull, or CSV export for gateways without one)
+ * matched against Payment by reference + amount.
+ *
+ * Used by:
+ * - scripts/reconcilePayments.js (daily cron, previous day)
+ * - routes/adminPayments.js (run / import / report)
+ *
+ * Normalized gateway row:
+ * { gatewayId, reference, amount (major units), currency, status: SUCCESS | FAILED | PENDING, occurredAt }
+ */
+
+const AMOUNT_TOLERANCE = 0.01;
+const DEFAULT_STUCK_AFTER_MINUTES = 60;
+
+const LIST_FETCHERS = {
+  PAYSTACK: paystackListTransactions,
+  STRIPE: stripeListPaymentIntents,
+  FLUTTERWAVE: flutterwaveListTransactions,
+};
+
+export const API_RECONCILABLE_GATEWAYS = Object.keys(LIST_FETCHERS);
+
+const round = (n, dp = 2) => Number(Number(n).toFixed(dp));
+
+/**
+ * ✅ Pull the gateway's own transaction list for a window
+ */
+export async function fetchGatewayTransactions({ countryCode, gateway, from, to }) {
+  const gw = normalizeGatewayKeyToEnum(gateway);
+  const fetcher = LIST_FETCHERS[gw];
+
+  if (!fetcher) {
+    const err = new Error(`${gw} has no transaction list API here — import its CSV export instead`);
+    err.code = "GATEWAY_LIST_UNSUPPORTED";
+    throw err;
+  }
+
+  const routing = await resolvePaymentRoutingForCountry(countryCode);
+  const { transactions } = await fetcher({ from, to, routing });
+  return transactions;
+}
+
+/* ============================================================
+   CSV import
+============================================================ */
+
+// header → field; headers are compared lowercased with non-alphanumerics removed
+const CSV_COLUMNS = {
+  reference: ["reference", "mpaymentid", "merchantreference", "txref", "clientreferenceid", "metadatareference", "paymentreference"],
+  gatewayId: ["id", "pfpaymentid", "transactionid", "paymentintent", "paymentintentid", "pspreference"],
+  amount: ["amount", "amountgross", "gross", "grossamount"],
+  currency: ["currency"],
+  status: ["status", "paymentstatus"],
+  occurredAt: ["date", "createdat", "created", "paidat", "transactiondate"],
+};
+
+const CSV_SUCCESS = ["success", "successful", "succeeded", "complete", "completed", "paid", "settled"];
+const CSV_FAILED = ["failed", "cancelled", "canceled", "abandoned", "reversed", "declined"];
+
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ""));
+}
+
+function parseAmount(v) {
+  const n = Number(String(v ?? "").replace(/[^0-9.-]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * ✅ Parse a gateway CSV export into normalized rows
+ * Needs a reference and an amount column; status defaults to SUCCESS
+ * (settlement exports usually only list settled charges).
+ */
+export function parseSettlementCsv(text) {
+  const rows = splitCsv(String(text || "").replace(/^\uFEFF/, ""));
+  if (rows.length < 2) {
+    const err = new Error("CSV has no data rows");
+    err.code = "CSV_EMPTY";
+    throw err;
+  }
+
+  const header = rows[0].map((h) => String(h).toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const col = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    const idx = header.findIndex((h) => aliases.includes(h));
+    if (idx >= 0) col[field] = idx;
+  }
+
+  if (col.reference === undefined || col.amount === undefined) {
+    const err = new Error("CSV needs a reference column and an amount column");
+    err.code = "CSV_COLUMNS_MISSING";
+    throw err;
+  }
+
+  const at = (r, field) => (col[field] === undefined ? "" : String(r[col[field]] ?? "").trim());
+
+  return rows.slice(1).map((r) => {
+    const s = at(r, "status").toLowerCase();
+    return {
+      gatewayId: at(r, "gatewayId") || null,
+      reference: at(r, "reference") || null,
+      amount: parseAmount(at(r, "amount")),
+      currency: at(r, "currency").toUpperCase() || null,
+      status: !s || CSV_SUCCESS.includes(s) ? "SUCCESS" : CSV_FAILED.includes(s) ? "FAILED" : "PENDING",
+      occurredAt: at(r, "occurredAt") || null,
+    };
+  });
+}
+
+/* ============================================================
+   Matching
+============================================================ */
+
+function issueFrom(issue, { tx = null, payment = null } = {}) {
+  return {
+    issue,
+    reference: tx?.reference || payment?.providerReference || null,
+    payment: payment?._id || null,
+    gatewayId: tx?.gatewayId || null,
+    gatewayAmount: tx?.amount ?? null,
+    gatewayStatus: tx?.status || null,
+    paymentAmount: payment?.amount ?? null,
+    paymentStatus: payment?.status || null,
+    currency: tx?.currency || payment?.currency || null,
+  };
+}
+
+/**
+ * ✅ Match gateway rows against Payment and store the run
+ * Returns the saved PaymentReconciliation.
+ */
+export async function reconcileGatewayTransactions({
+  countryCode,
+  gateway,
+  from,
+  to,
+  transactions,
+  source = RECONCILIATION_SOURCES.API,
+  fileName = null,
+  createdBy = null,
+  stuckAfterMinutes = DEFAULT_STUCK_AFTER_MINUTES,
+  req = null,
+}) {
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+  const gw = normalizeGatewayKeyToEnum(gateway);
+  const periodStart = new Date(from);
+  const periodEnd = new Date(to);
+
+  const rows = (transactions || []).filter((t) => t && (t.reference || t.gatewayId));
+  const references = [...new Set(rows.map((t) => t.reference).filter(Boolean).map(String))];
+
+  const byReference = new Map();
+  // no country filter: one gateway account may serve several countries
+  const referenced = await Payment.find({ providerReference: { $in: references } });
+  for (const p of referenced) byReference.set(String(p.providerReference), p);
+
+  const items = [];
+  let matched = 0;
+  const seenSuccess = new Set();
+  const seenAny = new Set();
+
+  for (const tx of rows) {
+    const ref = tx.reference ? String(tx.reference) : null;
+    const payment = ref ? byReference.get(ref) : null;
+    if (ref) seenAny.add(ref);
+
+    if (tx.status === "PENDING") continue;
+    if (payment && String(payment.countryCode || "").toUpperCase() !== cc) continue;
+
+    if (!payment) {
+      if (tx.status === "SUCCESS") items.push(issueFrom(RECONCILIATION_ISSUES.MISSING_PAYMENT, { tx }));
+      continue;
+    }
+
+    if (tx.status === "FAILED") {
+      if (payment.status === PAYMENT_STATUSES.PAID) {
+        items.push(issueFrom(RECONCILIATION_ISSUES.STATUS_MISMATCH, { tx, payment }));
+      } else matched++;
+      continue;
+    }
+
+    seenSuccess.add(ref);
+
+    const hasAmount = tx.amount !== null && tx.amount !== undefined;
+    if (hasAmount && Math.abs(Number(tx.amount) - Number(payment.amount)) > AMOUNT_TOLERANCE) {
+      items.push(issueFrom(RECONCILIATION_ISSUES.AMOUNT_MISMATCH, { tx, payment }));
+      continue;
+    }
+
+    if ([PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.FAILED].includes(payment.status)) {
+      items.push(issueFrom(RECONCILIATION_ISSUES.UNCONFIRMED_PAYMENT, { tx, payment }));
+      continue;
+    }
+
+    matched++;
+  }
+
+  // Our side of the window: payments the gateway list does not back up
+  const windowPayments = await Payment.find({
+    countryCode: cc,
+    provider: gw,
+    createdAt: { $gte: periodStart, $lte: periodEnd },
+    status: { $in: [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.PAID] },
+  });
+
+  const stuckBefore = new Date(Date.now() - Number(stuckAfterMinutes) * 60 * 1000);
+
+  for (const payment of windowPayments) {
+    const ref = String(payment.providerReference || "");
+
+    if (payment.status === PAYMENT_STATUSES.PENDING) {
+      if (!seenSuccess.has(ref) && payment.createdAt < stuckBefore) {
+        items.push(issueFrom(RECONCILIATION_ISSUES.STUCK_PENDING, { payment }));
+      }
+      continue;
+    }
+
+    if (!seenAny.has(ref)) {
+      items.push(issueFrom(RECONCILIATION_ISSUES.NOT_IN_GATEWAY_REPORT, { payment }));
+    }
+  }
+
+  const issueCounts = {};
+  for (const item of items) issueCounts[item.issue] = (issueCounts[item.issue] || 0) + 1;
+
+  const run = await PaymentReconciliation.create({
+    countryCode: cc,
+    gateway: gw,
+    source,
+    periodStart,
+    periodEnd,
+    totals: {
+      gatewayTransactions: rows.length,
+      payments: windowPayments.length,
+      matched,
+      issues: items.length,
+    },
+    issueCounts,
+    items,
+    fileName,
+    createdBy,
+  });
+
+  await logAuditEvent(req || { countryCode: cc, headers: {}, body: {}, user: null, ip: null }, {
+    action: "PAYMENTS_RECONCILED",
+    entityType: "PAYMENT",
+    entityId: run._id,
+    details: {
+      gateway: gw,
+      source,
+      periodStart,
+      periodEnd,
+      matched,
+      issues: items.length,
+      issueCounts,
+      gatewayTotal: round(rows.reduce((sum, t) => sum + (t.status === "SUCCESS" ? Number(t.amount || 0) : 0), 0)),
+    },
+  });
+
+  return run;
+}
+
+/**
+ * ✅ API pull + match for one country/gateway window
+ */
+export async function runGatewayReconciliation({ countryCode, gateway, from, to, createdBy = null, req = null }) {
+  const transactions = await fetchGatewayTransactions({ countryCode, gateway, from, to });
+
+  return reconcileGatewayTransactions({
+    countryCode,
+    gateway,
+    from,
+    to,
+    transactions,
+    source: RECONCILIATION_SOURCES.API,
+    createdBy,
+    req,
+  });
+}
+
+/**
+ * ✅ CSV import + match (gateways without a list API, or offline exports)
+ */
+export async function importGatewayCsv({ countryCode, gateway, from, to, csv, fileName = null, createdBy = null, req = null }) {
+  const transactions = parseSettlementCsv(csv);
+
+  return reconcileGatewayTransactions({
+    countryCode,
+    gateway,
+    from,
+    to,
+    transactions,
+    source: RECONCILIATION_SOURCES.CSV,
+    fileName,
+    createdBy,
+    req,
+  });
+}
@@ -0,0 +1,404 @@
+// backend/src/services/payments/webhooks.js
+import axios from "axios";
+import crypto from "crypto";
+
+import PaymentWebhookEvent, { WEBHOOK_EVENT_STATUSES } from "../../models/PaymentWebhookEvent.js";
+import { normalizeGatewayKeyToEnum } from "./index.js";
+import { PAYMENT_EVENT_KINDS, reconcilePaymentEvent } from "./reconcile.js";
+
+/**
+ * ✅ Unified gateway webhook ingestion
+ * POST /api/payments/webhooks/:gateway
+ *
+ * 1) verify the gateway's signature (reject unsigned / forged calls)
+ * 2) normalize the body into { eventId, eventType, kind, reference, ... }
+ * 3) store the raw event once per (gateway, eventId); replays are acknowledged, not re-applied
+ * 4) apply it through reconcilePaymentEvent (Payment + Job booking-fee state)
+ *
+ * Secrets are ENV only:
+ *   PAYSTACK_SECRET_KEY, STRIPE_WEBHOOK_SECRET, FLUTTERWAVE_SECRET_HASH,
+ *   PAYFAST_PASSPHRASE (+ PAYFAST_MODE for the ITN validate host)
+ */
+
+const STRIPE_TOLERANCE_SECONDS = 5 * 60;
+// a RECEIVED event older than this was left behind by a crash and may be claimed again
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+const MAX_RAW_BODY = 64 * 1024;
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function env(name) {
+  return String(process.env[name] || "").trim();
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s || "")).digest("hex");
+}
+
+function rawBodyOf(req) {
+  const raw = req.rawBody;
+  if (Buffer.isBuffer(raw)) return raw.toString("utf8");
+  return typeof raw === "string" ? raw : "";
+}
+
+/* ============================================================
+   PAYFAST ITN signature helpers
+============================================================ */
+
+// Stripe amounts are minor units (cents); undefined stays undefined so the event is rejected
+function stripeAmount(minor) {
+  const n = Number(minor);
+  return minor === undefined || minor === null || !Number.isFinite(n) ? undefined : n / 100;
+}
+
+function encodePayfast(value) {
+  return encodeURIComponent(String(value)).replace(/%20/g, "+");
+}
+
+function md5(str) {
+  return crypto.createHash("md5").update(str).digest("hex");
+}
+
+function withPassphrase(paramString, passphrase) {
+  return passphrase ? `${paramString}&passphrase=${encodePayfast(passphrase)}` : paramString;
+}
+
+// ITN signature is over the posted fields in the order received (minus signature)
+function payfastSignatureFromRaw(rawBody, passphrase) {
+  const pairs = (rawBody || "").split("&").filter(Boolean);
+  const withoutSig = pairs.filter((p) => !p.startsWith("signature=")).join("&");
+  return md5(withPassphrase(withoutSig, passphrase)).toLowerCase();
+}
+
+function payfastSignatureSorted(body, passphrase) {
+  const data = { ...(body || {}) };
+  delete data.signature;
+
+  const queryString = Object.keys(data)
+    .sort()
+    .map((k) => `${k}=${encodePayfast(data[k] ?? "")}`)
+    .join("&");
+
+  return md5(withPassphrase(queryString, passphrase)).toLowerCase();
+}
+
+/* ============================================================
+   Per-gateway verify + parse
+   verify(req) → { ok, message? }
+   parse(body) → { eventId, eventType, kind, reference?, amount?, currency?, refundReferences?, payload? }
+============================================================ */
+
+const HANDLERS = {
+  PAYSTACK: {
+    verify: async (req) => {
+      const secret = env("PAYSTACK_SECRET_KEY");
+      if (!secret) return { ok: false, message: "PAYSTACK_SECRET_KEY not configured" };
+
+      const expected = crypto.createHmac("sha512", secret).update(rawBodyOf(req)).digest("hex");
+      return safeEqual(expected, req.headers["x-paystack-signature"])
+        ? { ok: true }
+        : { ok: false, message: "Paystack signature mismatch" };
+    },
+    parse: (body) => {
+      const event = String(body.event || "");
+      const data = body.data || {};
+      const base = { eventId: data.id ? `${event}:${data.id}` : null, eventType: event };
+
+      if (event === "charge.success") {
+        return {
+          ...base,
+          kind: PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED,
+          reference: data.reference,
+          amount: Number(data.amount || 0) / 100,
+          currency: data.currency,
+          payload: data,
+        };
+      }
+
+      if (event === "refund.processed" || event === "refund.failed") {
+        return {
+          ...base,
+          eventId: `${event}:${data.id || data.refund_reference || data.transaction_reference || ""}`,
+          kind:
+            event === "refund.processed"
+              ? PAYMENT_EVENT_KINDS.REFUND_SUCCEEDED
+              : PAYMENT_EVENT_KINDS.REFUND_FAILED,
+          refundReferences: [data.refund_reference, data.id, data.reference].filter(Boolean).map(String),
+          payload: data,
+        };
+      }
+
+      return { ...base, kind: PAYMENT_EVENT_KINDS.IGNORED };
+    },
+  },
+
+  STRIPE: {
+    verify: async (req) => {
+      const secret = env("STRIPE_WEBHOOK_SECRET");
+      if (!secret) return { ok: false, message: "STRIPE_WEBHOOK_SECRET not configured" };
+
+      // Stripe-Signature: t=<unix>,v1=<hex>[,v1=<hex>]
+      const parts = String(req.headers["stripe-signature"] || "").split(",").map((p) => p.trim().split("="));
+      const timestamp = parts.find(([k]) => k === "t")?.[1];
+      const signatures = parts.filter(([k]) => k === "v1").map(([, v]) => v);
+
+      if (!timestamp || signatures.length === 0) return { ok: false, message: "Missing Stripe signature" };
+
+      if (Math.abs(Date.now() / 1000 - Number(timestamp)) > STRIPE_TOLERANCE_SECONDS) {
+        return { ok: false, message: "Stripe signature timestamp outside tolerance" };
+      }
+
+      const expected = crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${rawBodyOf(req)}`)
+        .digest("hex");
+
+      return signatures.some((s) => safeEqual(expected, s))
+        ? { ok: true }
+        : { ok: false, message: "Stripe signature mismatch" };
+    },
+    parse: (body) => {
+      const type = String(body.type || "");
+      const obj = body.data?.object || {};
+      const base = { eventId: body.id || null, eventType: type };
+
+      if (type === "payment_intent.succeeded" || type === "payment_intent.payment_failed") {
+        return {
+          ...base,
+          kind:
+            type === "payment_intent.succeeded"
+              ? PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED
+              : PAYMENT_EVENT_KINDS.PAYMENT_FAILED,
+          reference: obj.metadata?.reference,
+          amount: stripeAmount(obj.amount_received),
+          currency: obj.currency,
+          payload: obj,
+        };
+      }
+
+      if (type === "checkout.session.completed" && obj.payment_status === "paid") {
+        return {
+          ...base,
+          kind: PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED,
+          reference: obj.client_reference_id,
+          amount: stripeAmount(obj.amount_total),
+          currency: obj.currency,
+          payload: obj,
+        };
+      }
+
+      if (type === "refund.updated" || type === "charge.refund.updated") {
+        const status = String(obj.status || "").toLowerCase();
+        if (status === "succeeded" || status === "failed" || status === "canceled") {
+          return {
+            ...base,
+            kind:
+              status === "succeeded" ? PAYMENT_EVENT_KINDS.REFUND_SUCCEEDED : PAYMENT_EVENT_KINDS.REFUND_FAILED,
+            refundReferences: [obj.id].filter(Boolean),
+            error: obj.failure_reason || null,
+            payload: obj,
+          };
+        }
+      }
+
+      return { ...base, kind: PAYMENT_EVENT_KINDS.IGNORED };
+    },
+  },
+
+  PAYFAST: {
+    verify: async (req) => {
+      const body = req.body || {};
+      const raw = rawBodyOf(req);
+      const received = String(body.signature || "").toLowerCase();
+      if (!received) return { ok: false, message: "Missing PayFast signature" };
+
+      const passphrase = env("PAYFAST_PASSPHRASE");
+      const candidates = [
+        payfastSignatureFromRaw(raw, passphrase),
+        payfastSignatureFromRaw(raw, ""),
+        payfastSignatureSorted(body, passphrase),
+        payfastSignatureSorted(body, ""),
+      ];
+      if (!candidates.some((c) => safeEqual(c, received))) {
+        return { ok: false, message: "PayFast signature mismatch" };
+      }
+
+      // ✅ ITN validation: PayFast confirms it really sent this notification
+      const host =
+        env("PAYFAST_MODE").toUpperCase() === "LIVE" ? "https://www.payfast.co.za" : "https://sandbox.payfast.co.za";
+
+      const validation = await axios.post(`${host}/eng/query/validate`, raw, {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 15000,
+      });
+
+      return String(validation?.data || "").trim() === "VALID"
+        ? { ok: true }
+        : { ok: false, message: "PayFast ITN validation failed" };
+    },
+    parse: (body) => {
+      const status = String(body.payment_status || "").toUpperCase();
+      const base = {
+        eventId: body.pf_payment_id ? `${body.pf_payment_id}:${status}` : null,
+        eventType: `itn.${status.toLowerCase()}`,
+        reference: body.m_payment_id,
+        payload: body,
+      };
+
+      if (status === "COMPLETE") {
+        return { ...base, kind: PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED, amount: Number(body.amount_gross) };
+      }
+      if (status === "FAILED" || status === "CANCELLED") {
+        return { ...base, kind: PAYMENT_EVENT_KINDS.PAYMENT_FAILED };
+      }
+
+      return { ...base, kind: PAYMENT_EVENT_KINDS.IGNORED };
+    },
+  },
+
+  FLUTTERWAVE: {
+    verify: async (req) => {
+      const secretHash = env("FLUTTERWAVE_SECRET_HASH");
+      if (!secretHash) return { ok: false, message: "FLUTTERWAVE_SECRET_HASH not configured" };
+
+      return safeEqual(secretHash, req.headers["verif-hash"])
+        ? { ok: true }
+        : { ok: false, message: "Flutterwave verif-hash mismatch" };
+    },
+    parse: (body) => {
+      const event = String(body.event || body["event.type"] || "");
+      const data = body.data || {};
+      const status = String(data.status || "").toLowerCase();
+      const base = {
+        eventId: data.id ? `${event}:${data.id}:${status}` : null,
+        eventType: event,
+      };
+
+      if (event === "charge.completed" && (status === "successful" || status === "failed")) {
+        return {
+          ...base,
+          kind: status === "successful" ? PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED : PAYMENT_EVENT_KINDS.PAYMENT_FAILED,
+          reference: data.tx_ref,
+          amount: Number(data.amount),
+          currency: data.currency,
+          // refunds read the transaction id from here
+          payload: { ...data, transactionId: data.id },
+        };
+      }
+
+      return { ...base, kind: PAYMENT_EVENT_KINDS.IGNORED };
+    },
+  },
+};
+
+export const WEBHOOK_GATEWAYS = Object.keys(HANDLERS);
+
+/**
+ * ✅ Store the event once; returns the claimed doc, or null for a replay
+ */
+async function claimEvent({ gateway, parsed, body, raw }) {
+  const now = new Date();
+
+  try {
+    return await PaymentWebhookEvent.create({
+      gateway,
+      eventId: parsed.eventId,
+      eventType: parsed.eventType || null,
+      kind: parsed.kind,
+      reference: parsed.reference ? String(parsed.reference) : null,
+      payload: body,
+      rawBody: raw.length > MAX_RAW_BODY ? raw.slice(0, MAX_RAW_BODY) : raw,
+      lastReceivedAt: now,
+      claimedAt: now,
+    });
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+  }
+
+  // replay: only FAILED (or abandoned RECEIVED) events are processed again
+  const reclaimed = await PaymentWebhookEvent.findOneAndUpdate(
+    {
+      gateway,
+      eventId: parsed.eventId,
+      $or: [
+        { status: WEBHOOK_EVENT_STATUSES.FAILED },
+        { status: WEBHOOK_EVENT_STATUSES.RECEIVED, claimedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+      ],
+    },
+    {
+      $set: { status: WEBHOOK_EVENT_STATUSES.RECEIVED, claimedAt: now, lastReceivedAt: now, error: null },
+      $inc: { receivedCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (reclaimed) return reclaimed;
+
+  await PaymentWebhookEvent.updateOne(
+    { gateway, eventId: parsed.eventId },
+    { $set: { lastReceivedAt: now }, $inc: { receivedCount: 1 } }
+  );
+  return null;
+}
+
+/**
+ * ✅ Verify + store + reconcile one webhook call
+ * Returns { status, body } for the route to send.
+ * Non-2xx only for forged calls (401) and reconciliation errors (500 → gateway retries).
+ */
+export async function ingestPaymentWebhook({ gateway, req }) {
+  const gw = normalizeGatewayKeyToEnum(gateway);
+  const handler = HANDLERS[gw];
+
+  if (!handler) {
+    return {
+      status: 404,
+      body: { received: false, code: "WEBHOOK_GATEWAY_UNSUPPORTED", message: `No webhook handler for ${gw}` },
+    };
+  }
+
+  let verified;
+  try {
+    verified = await handler.verify(req);
+  } catch (e) {
+    verified = { ok: false, message: e?.message || String(e) };
+  }
+
+  if (!verified.ok) {
+    console.error(`❌ ${gw} webhook rejected:`, verified.message);
+    return { status: 401, body: { received: false, code: "INVALID_SIGNATURE", message: verified.message } };
+  }
+
+  const body = req.body || {};
+  const raw = rawBodyOf(req);
+  const parsed = handler.parse(body);
+  if (!parsed.eventId) parsed.eventId = `sha256:${sha256(raw || JSON.stringify(body))}`;
+
+  const event = await claimEvent({ gateway: gw, parsed, body, raw });
+  if (!event) return { status: 200, body: { received: true, duplicate: true } };
+
+  try {
+    const result = await reconcilePaymentEvent({ gateway: gw, event: parsed });
+
+    event.status =
+      parsed.kind === PAYMENT_EVENT_KINDS.IGNORED ? WEBHOOK_EVENT_STATUSES.IGNORED : WEBHOOK_EVENT_STATUSES.PROCESSED;
+    event.outcome = result.outcome;
+    event.payment = result.paymentId || null;
+    event.processedAt = new Date();
+    await event.save();
+
+    return { status: 200, body: { received: true, outcome: result.outcome } };
+  } catch (e) {
+    console.error(`❌ ${gw} webhook ${parsed.eventId} failed:`, e?.message || e);
+
+    event.status = WEBHOOK_EVENT_STATUSES.FAILED;
+    event.error = e?.message || String(e);
+    await event.save();
+
+    return { status: 500, body: { received: true, code: "WEBHOOK_PROCESSING_FAILED" } };
+  }
+}
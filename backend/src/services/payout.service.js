@@ -4,6 +4,8 @@ import User from "../models/User.js";
 import { JOB_STATUSES } from "../models/Job.js";
 import { sendEmail } from "../utils/sendEmail.js";
 import { sendPushToManyUsers } from "../utils/sendPush.js";
+import { summarizeInvoiceItems } from "../utils/jobInvoice.js";
+import { getCountryTaxRules, jobTaxRules, applyWithholding } from "../utils/taxEngine.js";
 
 /**
  * ✅ Get start and end of week (Monday to Monday)
@@ -40,17 +42,24 @@ export async function syncProviderWeeklyPayout(providerId, weekStartDate) {
   const countryCode = user.countryCode || "ZA";
   const currency = jobs[0].pricing?.currency || "ZAR";
 
+  const countryTaxRules = await getCountryTaxRules(countryCode);
+
   let totalInsuranceAmount = 0;
+  let totalWithheld = 0;
   const dailyBreakdown = new Map();
   const jobList = [];
 
   jobs.forEach(job => {
     const isInsurance = job.insurance?.enabled === true;
-    const amount = job.pricing?.providerAmountDue || 0;
+
+    // provider share + approved invoice extras, withholding per the job's tax rates
+    const amount = (job.pricing?.providerAmountDue || 0) + summarizeInvoiceItems(job).approvedTotal;
+    const withholding = applyWithholding(amount, jobTaxRules(job, countryTaxRules));
 
     // Only Insurance jobs add to the "TowMech Payout" total
     if (isInsurance) {
       totalInsuranceAmount += amount;
+      totalWithheld += withholding.withheld;
     }
 
     const dateKey = job.updatedAt.toISOString().split('T')[0];
@@ -60,6 +69,8 @@ export async function syncProviderWeeklyPayout(providerId, weekStartDate) {
     jobList.push({
       job: job._id,
       amount,
+      withheldAmount: withholding.withheld,
+      netAmount: withholding.net,
       completedAt: job.updatedAt,
       isInsurance
     });
@@ -73,6 +84,9 @@ export async function syncProviderWeeklyPayout(providerId, weekStartDate) {
       dailyBreakdown,
       jobs: jobList,
       totalAmount: totalInsuranceAmount,
+      withheldAmount: totalWithheld,
+      netAmount: totalInsuranceAmount - totalWithheld,
+      withholdingPercent: countryTaxRules.withholdingPercent,
       currency,
       processedAt: new Date()
     },
@@ -124,7 +138,7 @@ export async function markPayoutAsPaid(payoutId, adminId) {
   if (provider && provider.email) {
     const fromStr = payout.weekStartDate.toISOString().split("T")[0];
     const toStr = payout.weekEndDate.toISOString().split("T")[0];
-    const amountStr = `${payout.currency} ${payout.totalAmount.toFixed(2)}`;
+    const amountStr = `${payout.currency} ${(payout.netAmount ?? payout.totalAmount).toFixed(2)}`;
 
     const notificationText = `Your payout of ${amountStr}\nfor period ${fromStr} to ${toStr}\nhas been processed.\nStandard transfer cutoff times apply.`;
 
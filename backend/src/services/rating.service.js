@@ -198,4 +198,15 @@ export async function getRatingByIdAdmin(id) {
     .populate("job", "title")
     .populate("rater", "name email role")
     .populate("target", "name email role");
-}
\ No newline at end of file
+}
+/**
+ * ✅ Provider rating summary (used by dispatch ranking)
+ * Reads the running average maintained by createRatingAndUpdateStats
+ */
+export function getProviderRatingSummary(user) {
+  const s = user?.ratingStats?.asProvider || {};
+  return {
+    avg: Number(s.avg || 0),
+    count: Number(s.count || 0),
+  };
+}
@@ -0,0 +1,227 @@
+// backend/src/services/routing/index.js
+import CountryServiceConfig from "../../models/CountryServiceConfig.js";
+
+import { osrmRoute, osrmMatrix, osrmIsConfigured } from "./providers/osrm.js";
+import { graphhopperRoute, graphhopperMatrix } from "./providers/graphhopper.js";
+
+/**
+ * ✅ Routing backends
+ * HAVERSINE: offline estimate (straight line × detourFactor at avgSpeedKmh)
+ * OSRM / GRAPHHOPPER: real drive distance + duration over HTTP
+ *
+ * Every call falls back to HAVERSINE when the backend errors, times out or is not configured
+ * (OSRM without a baseUrl), so pricing / dispatch never fail because a routing server is down.
+ */
+export const ROUTING_PROVIDERS = {
+  HAVERSINE: "HAVERSINE",
+  OSRM: "OSRM",
+  GRAPHHOPPER: "GRAPHHOPPER",
+};
+
+const ADAPTERS = {
+  [ROUTING_PROVIDERS.OSRM]: { route: osrmRoute, matrix: osrmMatrix, isConfigured: osrmIsConfigured },
+  [ROUTING_PROVIDERS.GRAPHHOPPER]: { route: graphhopperRoute, matrix: graphhopperMatrix },
+};
+
+const DEFAULT_ROUTING = {
+  provider: ROUTING_PROVIDERS.HAVERSINE,
+  baseUrl: "",
+  profile: "",
+  timeoutMs: 2500,
+  detourFactor: 1.3,
+  avgSpeedKmh: 40,
+};
+
+// location pings repeat the same legs; keep results briefly
+const CACHE_TTL_MS = 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+const routeCache = new Map();
+
+function normalizeCountryCode(countryCode) {
+  return (countryCode || process.env.DEFAULT_COUNTRY || "ZA").toString().trim().toUpperCase();
+}
+
+const round = (n, dp = 2) => Number(Number(n).toFixed(dp));
+
+function haversineDistanceKm(lat1, lng1, lat2, lng2) {
+  const toRad = (v) => (v * Math.PI) / 180;
+
+  const R = 6371;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+function isValidPoint(p) {
+  const lat = Number(p?.lat);
+  const lng = Number(p?.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) && !(lat === 0 && lng === 0);
+}
+
+/**
+ * ✅ Country routing settings with safe defaults
+ */
+export async function getRoutingConfig(countryCode) {
+  const cc = normalizeCountryCode(countryCode);
+
+  const cfg = await CountryServiceConfig.findOne({ countryCode: cc }).select("routing").lean();
+  const r = cfg?.routing || {};
+
+  const provider = String(r.provider || "").trim().toUpperCase();
+
+  const positive = (k) => {
+    const n = Number(r[k]);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_ROUTING[k];
+  };
+
+  return {
+    provider: ROUTING_PROVIDERS[provider] || DEFAULT_ROUTING.provider,
+    baseUrl: String(r.baseUrl || "").trim(),
+    profile: String(r.profile || "").trim(),
+    timeoutMs: positive("timeoutMs"),
+    // a road is never shorter than the straight line
+    detourFactor: Math.max(1, positive("detourFactor")),
+    avgSpeedKmh: positive("avgSpeedKmh"),
+  };
+}
+
+/**
+ * ✅ Offline estimate (also the fallback for every backend)
+ */
+function haversineRoute(from, to, config) {
+  const distanceKm = haversineDistanceKm(Number(from.lat), Number(from.lng), Number(to.lat), Number(to.lng)) *
+    config.detourFactor;
+
+  return {
+    distanceKm: round(distanceKm),
+    durationMinutes: round((distanceKm / config.avgSpeedKmh) * 60, 1),
+    source: ROUTING_PROVIDERS.HAVERSINE,
+  };
+}
+
+function cacheKey(provider, from, to) {
+  const p = (pt) => `${Number(pt.lat).toFixed(4)},${Number(pt.lng).toFixed(4)}`;
+  return `${provider}|${p(from)}|${p(to)}`;
+}
+
+function cacheGet(key) {
+  const hit = routeCache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.at > CACHE_TTL_MS) {
+    routeCache.delete(key);
+    return null;
+  }
+  return hit.value;
+}
+
+function cacheSet(key, value) {
+  if (routeCache.size >= CACHE_MAX_ENTRIES) {
+    // Map keeps insertion order → drop the oldest
+    routeCache.delete(routeCache.keys().next().value);
+  }
+  routeCache.set(key, { at: Date.now(), value });
+}
+
+const warnedUnconfigured = new Set();
+
+/**
+ * ✅ Adapter for the configured provider, or null when HAVERSINE / not usable
+ */
+function resolveAdapter(cfg) {
+  const adapter = ADAPTERS[cfg.provider];
+  if (!adapter) return null;
+
+  if (adapter.isConfigured && !adapter.isConfigured(cfg)) {
+    // warn once per provider, not on every location ping
+    if (!warnedUnconfigured.has(cfg.provider)) {
+      warnedUnconfigured.add(cfg.provider);
+      console.warn(`⚠️ Routing (${cfg.provider}) has no baseUrl configured, using haversine`);
+    }
+    return null;
+  }
+
+  return adapter;
+}
+
+function fromAdapter(result, provider) {
+  return {
+    distanceKm: round(result.distanceKm),
+    durationMinutes: round(result.durationMinutes, 1),
+    source: provider,
+  };
+}
+
+/**
+ * ✅ Drive distance + ETA between two points
+ * from / to: { lat, lng }
+ * Returns { distanceKm, durationMinutes, source, fallback } (null for invalid points)
+ */
+export async function estimateRoute({ from, to, countryCode, config = null }) {
+  if (!isValidPoint(from) || !isValidPoint(to)) return null;
+
+  const cfg = config || (await getRoutingConfig(countryCode));
+  const adapter = resolveAdapter(cfg);
+
+  if (!adapter) return { ...haversineRoute(from, to, cfg), fallback: cfg.provider !== ROUTING_PROVIDERS.HAVERSINE };
+
+  const key = cacheKey(cfg.provider, from, to);
+  const cached = cacheGet(key);
+  if (cached) return cached;
+
+  try {
+    const out = { ...fromAdapter(await adapter.route({ from, to, config: cfg }), cfg.provider), fallback: false };
+    cacheSet(key, out);
+    return out;
+  } catch (err) {
+    console.warn(`⚠️ Routing (${cfg.provider}) failed, using haversine:`, err.message);
+    return { ...haversineRoute(from, to, cfg), fallback: true };
+  }
+}
+
+/**
+ * ✅ Drive distance + ETA from many origins to one destination (dispatch)
+ * origins: [{ id, lat, lng }]
+ * Returns Map(id → { distanceKm, durationMinutes, source, fallback })
+ */
+export async function estimateRoutesToPoint({ origins, destination, countryCode, config = null }) {
+  const out = new Map();
+  if (!isValidPoint(destination)) return out;
+
+  const valid = (origins || []).filter((o) => o?.id != null && isValidPoint(o));
+  if (!valid.length) return out;
+
+  const cfg = config || (await getRoutingConfig(countryCode));
+  const adapter = resolveAdapter(cfg);
+
+  const fillFallback = (list, fallback) => {
+    for (const o of list) out.set(String(o.id), { ...haversineRoute(o, destination, cfg), fallback });
+  };
+
+  if (!adapter) {
+    fillFallback(valid, cfg.provider !== ROUTING_PROVIDERS.HAVERSINE);
+    return out;
+  }
+
+  try {
+    const results = await adapter.matrix({ origins: valid, destination, config: cfg });
+    const missing = [];
+
+    valid.forEach((o, i) => {
+      if (results?.[i]) out.set(String(o.id), { ...fromAdapter(results[i], cfg.provider), fallback: false });
+      else missing.push(o);
+    });
+
+    fillFallback(missing, true);
+  } catch (err) {
+    console.warn(`⚠️ Routing matrix (${cfg.provider}) failed, using haversine:`, err.message);
+    fillFallback(valid, true);
+  }
+
+  return out;
+}
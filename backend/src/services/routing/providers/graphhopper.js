@@ -0,0 +1,81 @@
+// backend/src/services/routing/providers/graphhopper.js
+import axios from "axios";
+
+const DEFAULT_BASE_URL = "https://graphhopper.com/api/1";
+
+function pickFirst(...vals) {
+  for (const v of vals) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (s) return s;
+  }
+  return "";
+}
+
+function getBaseUrl(config) {
+  return pickFirst(config?.baseUrl, process.env.GRAPHHOPPER_BASE_URL, DEFAULT_BASE_URL).replace(/\/$/, "");
+}
+
+function getProfile(config) {
+  return pickFirst(config?.profile, "car");
+}
+
+// ✅ secret stays in env (self-hosted instances usually need none)
+function getKeyParams() {
+  const key = pickFirst(process.env.GRAPHHOPPER_API_KEY);
+  return key ? { key } : {};
+}
+
+/**
+ * ✅ Single route: GET /route?point=lat,lng&point=lat,lng
+ */
+export async function graphhopperRoute({ from, to, config = {} }) {
+  const params = new URLSearchParams({
+    profile: getProfile(config),
+    calc_points: "false",
+    ...getKeyParams(),
+  });
+  params.append("point", `${Number(from.lat)},${Number(from.lng)}`);
+  params.append("point", `${Number(to.lat)},${Number(to.lng)}`);
+
+  const res = await axios.get(`${getBaseUrl(config)}/route?${params.toString()}`, {
+    timeout: config.timeoutMs,
+  });
+
+  const path = res?.data?.paths?.[0];
+  if (!path) throw new Error(res?.data?.message || "GraphHopper route failed");
+
+  return {
+    distanceKm: Number(path.distance) / 1000,
+    durationMinutes: Number(path.time) / 60000, // ms
+  };
+}
+
+/**
+ * ✅ Many origins → one destination: POST /matrix
+ * Returns one entry per origin (null when GraphHopper found no path)
+ */
+export async function graphhopperMatrix({ origins, destination, config = {} }) {
+  const body = {
+    profile: getProfile(config),
+    from_points: origins.map((p) => [Number(p.lng), Number(p.lat)]),
+    to_points: [[Number(destination.lng), Number(destination.lat)]],
+    out_arrays: ["distances", "times"],
+    fail_fast: false,
+  };
+
+  const res = await axios.post(`${getBaseUrl(config)}/matrix`, body, {
+    params: getKeyParams(),
+    timeout: config.timeoutMs,
+  });
+
+  const data = res?.data;
+  if (!Array.isArray(data?.distances)) throw new Error(data?.message || "GraphHopper matrix failed");
+
+  return origins.map((_, i) => {
+    const meters = data.distances?.[i]?.[0];
+    const seconds = data.times?.[i]?.[0]; // matrix API returns seconds
+    if (meters == null || seconds == null) return null;
+    return { distanceKm: Number(meters) / 1000, durationMinutes: Number(seconds) / 60 };
+  });
+}
@@ -0,0 +1,81 @@
+// backend/src/services/routing/providers/osrm.js
+import axios from "axios";
+
+function pickFirst(...vals) {
+  for (const v of vals) {
+    if (v === undefined || v === null) continue;
+    const s = String(v).trim();
+    if (s) return s;
+  }
+  return "";
+}
+
+// ✅ no public default: the demo server is not for production traffic, so OSRM needs our own instance
+function getBaseUrl(config) {
+  return pickFirst(config?.baseUrl, process.env.OSRM_BASE_URL).replace(/\/$/, "");
+}
+
+/**
+ * ✅ OSRM is only usable with a baseUrl (country config) or OSRM_BASE_URL
+ */
+export function osrmIsConfigured(config = {}) {
+  return !!getBaseUrl(config);
+}
+
+function requireBaseUrl(config) {
+  const baseUrl = getBaseUrl(config);
+  if (!baseUrl) throw new Error("OSRM base URL is not configured (routing.baseUrl or OSRM_BASE_URL)");
+  return baseUrl;
+}
+
+function getProfile(config) {
+  return pickFirst(config?.profile, "driving");
+}
+
+// OSRM wants lng,lat
+const toCoord = (p) => `${Number(p.lng)},${Number(p.lat)}`;
+
+/**
+ * ✅ Single route: GET /route/v1/{profile}/{from};{to}
+ */
+export async function osrmRoute({ from, to, config = {} }) {
+  const url = `${requireBaseUrl(config)}/route/v1/${getProfile(config)}/${toCoord(from)};${toCoord(to)}`;
+
+  const res = await axios.get(url, {
+    params: { overview: "false", alternatives: "false", steps: "false" },
+    timeout: config.timeoutMs,
+  });
+
+  const data = res?.data;
+  const route = data?.routes?.[0];
+  if (data?.code !== "Ok" || !route) throw new Error(data?.message || `OSRM route failed (${data?.code})`);
+
+  return {
+    distanceKm: Number(route.distance) / 1000,
+    durationMinutes: Number(route.duration) / 60,
+  };
+}
+
+/**
+ * ✅ Many origins → one destination: GET /table/v1/{profile}/{o1;o2;...;dest}
+ * Returns one entry per origin (null when OSRM found no path)
+ */
+export async function osrmMatrix({ origins, destination, config = {} }) {
+  const coords = [...origins, destination].map(toCoord).join(";");
+  const sources = origins.map((_, i) => i).join(";");
+
+  const res = await axios.get(`${requireBaseUrl(config)}/table/v1/${getProfile(config)}/${coords}`, {
+    params: { sources, destinations: String(origins.length), annotations: "distance,duration" },
+    timeout: config.timeoutMs,
+  });
+
+  const data = res?.data;
+  if (data?.code !== "Ok") throw new Error(data?.message || `OSRM table failed (${data?.code})`);
+
+  return origins.map((_, i) => {
+    const meters = data?.distances?.[i]?.[0];
+    const seconds = data?.durations?.[i]?.[0];
+    if (meters == null || seconds == null) return null;
+    return { distanceKm: Number(meters) / 1000, durationMinutes: Number(seconds) / 60 };
+  });
+}
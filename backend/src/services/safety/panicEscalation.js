@@ -0,0 +1,370 @@
+// backend/src/services/safety/panicEscalation.js
+import PanicAlert, { PANIC_NOTIFY_CHANNELS, PANIC_SOURCES, PANIC_STATUSES } from "../../models/PanicAlert.js";
+import User, { USER_ROLES } from "../../models/User.js";
+import CountryServiceConfig from "../../models/CountryServiceConfig.js";
+import { sendPushToUser } from "../../utils/sendPush.js";
+import { escapeHtml, sendEmail } from "../../utils/sendEmail.js";
+import { sendSms } from "../../utils/sendSms.js";
+import { emitAdminTracking } from "../../socket/jobTrackingSocket.js";
+
+/**
+ * ✅ Panic alert pipeline
+ *
+ * Level 0 (on trigger):   push + email to on-duty safety admins of the alert's country
+ *                         (every safety admin when nobody is on duty) + SMS to the user's emergency contacts
+ *                         (PANIC source only — trip monitor incidents check in with the customer instead)
+ * Level 1 (no ack in N):  every safety admin of the country + on-duty SUPER_ADMINs
+ * Level 2+ (still no ack): + every SUPER_ADMIN + CountryServiceConfig.safety.escalationEmail
+ *
+ * runPanicEscalations() is polled from server.js. Acknowledging or resolving an alert
+ * clears nextEscalationAt, which stops the escalation.
+ */
+
+const DEFAULT_SAFETY = {
+  escalationMinutes: 3,
+  maxEscalationLevel: 3,
+  notifyEmergencyContacts: true,
+  escalationEmail: "",
+
+  tripMonitorEnabled: true,
+  stopAlertMinutes: 10,
+  routeDeviationKm: 5,
+  headingAwayKm: 3,
+};
+
+// newest points kept on the alert
+const MAX_TIMELINE_POINTS = 2000;
+
+const ACTIVE_ADMIN = {
+  "accountStatus.isSuspended": { $ne: true },
+  "accountStatus.isBanned": { $ne: true },
+  "accountStatus.isArchived": { $ne: true },
+};
+
+const mapsLink = (loc) => `https://maps.google.com/?q=${loc?.lat},${loc?.lng}`;
+
+/**
+ * ✅ Safety settings (CountryServiceConfig.safety) with safe defaults
+ */
+export async function getSafetyConfig(countryCode) {
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+  const doc = await CountryServiceConfig.findOne({ countryCode: cc }).select("safety").lean();
+  const s = doc?.safety || {};
+
+  const positive = (k) => {
+    const n = Number(s[k]);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_SAFETY[k];
+  };
+
+  return {
+    escalationMinutes: positive("escalationMinutes"),
+    maxEscalationLevel: Math.max(1, Math.round(positive("maxEscalationLevel"))),
+    notifyEmergencyContacts:
+      typeof s.notifyEmergencyContacts === "boolean" ? s.notifyEmergencyContacts : DEFAULT_SAFETY.notifyEmergencyContacts,
+    escalationEmail: String(s.escalationEmail || "").trim(),
+
+    tripMonitorEnabled:
+      typeof s.tripMonitorEnabled === "boolean" ? s.tripMonitorEnabled : DEFAULT_SAFETY.tripMonitorEnabled,
+    stopAlertMinutes: positive("stopAlertMinutes"),
+    routeDeviationKm: positive("routeDeviationKm"),
+    headingAwayKm: positive("headingAwayKm"),
+  };
+}
+
+async function findAdminAudience(countryCode, level) {
+  const safetyAdmins = {
+    ...ACTIVE_ADMIN,
+    role: USER_ROLES.ADMIN,
+    countryCode,
+    "permissions.canManageSafety": true,
+  };
+
+  if (level === 0) {
+    const onDuty = await User.find({
+      $or: [
+        { ...safetyAdmins, safetyOnDuty: true },
+        { ...ACTIVE_ADMIN, role: USER_ROLES.SUPER_ADMIN, safetyOnDuty: true },
+      ],
+    }).select("name email");
+    if (onDuty.length > 0) return onDuty;
+
+    return User.find(safetyAdmins).select("name email");
+  }
+
+  const superAdmins =
+    level === 1
+      ? { ...ACTIVE_ADMIN, role: USER_ROLES.SUPER_ADMIN, safetyOnDuty: true }
+      : { ...ACTIVE_ADMIN, role: USER_ROLES.SUPER_ADMIN };
+
+  return User.find({ $or: [safetyAdmins, superAdmins] }).select("name email");
+}
+
+function describeAlert(alert, user, level) {
+  const who = user ? `${user.name || "A user"} (${alert.triggeredRole})` : `A ${alert.triggeredRole}`;
+  const jobPart = alert.job ? ` on job ${alert.job}` : "";
+  const kind = alert.source === PANIC_SOURCES.TRIP_MONITOR ? "Trip anomaly" : "Panic alert";
+
+  const what =
+    alert.source === PANIC_SOURCES.TRIP_MONITOR
+      ? `Trip anomaly ${alert.anomaly?.type || ""} detected${jobPart}`
+      : `${who} triggered a panic alert${jobPart}`;
+
+  return {
+    title: level === 0 ? `🚨 ${kind}` : `🚨 ${kind} NOT acknowledged (level ${level})`,
+    body: `${what}. Last location: ${mapsLink(alert.location)}`,
+  };
+}
+
+async function notifyAdmins(alert, user, level, safety) {
+  const admins = await findAdminAudience(alert.countryCode, level);
+  const { title, body } = describeAlert(alert, user, level);
+  const logs = [];
+
+  for (const admin of admins) {
+    try {
+      const sent = await sendPushToUser({
+        userId: admin._id,
+        title,
+        body,
+        data: {
+          type: "panic_alert",
+          open: "safety_incident",
+          alertId: String(alert._id),
+          level,
+          countryCode: alert.countryCode,
+        },
+      });
+      logs.push({
+        level,
+        channel: PANIC_NOTIFY_CHANNELS.PUSH,
+        recipient: admin._id,
+        ok: !!sent,
+        error: sent ? null : "No device token",
+      });
+    } catch (err) {
+      logs.push({ level, channel: PANIC_NOTIFY_CHANNELS.PUSH, recipient: admin._id, ok: false, error: err.message });
+    }
+  }
+
+  const html = `
+    <h2>${escapeHtml(title)}</h2>
+    <p>${escapeHtml(body)}</p>
+    ${alert.message ? `<p><strong>Message:</strong> ${escapeHtml(alert.message)}</p>` : ""}
+    <p>Country: ${alert.countryCode} · Alert ID: ${alert._id}</p>
+    <p>Acknowledge it in the admin dashboard (Safety → Incidents) to stop escalation.</p>
+  `;
+
+  const emails = admins.filter((a) => a.email).map((a) => ({ recipient: a._id, to: a.email }));
+  if (level >= 2 && safety.escalationEmail) emails.push({ recipient: null, to: safety.escalationEmail });
+
+  for (const e of emails) {
+    try {
+      const ok = await sendEmail({ to: e.to, subject: title, html });
+      logs.push({ level, channel: PANIC_NOTIFY_CHANNELS.EMAIL, recipient: e.recipient, to: e.to, ok: !!ok });
+    } catch (err) {
+      logs.push({ level, channel: PANIC_NOTIFY_CHANNELS.EMAIL, recipient: e.recipient, to: e.to, ok: false, error: err.message });
+    }
+  }
+
+  return logs;
+}
+
+async function notifyEmergencyContacts(alert, user) {
+  const contacts = Array.isArray(user?.emergencyContacts) ? user.emergencyContacts : [];
+  const logs = [];
+
+  const name = user?.firstName || user?.name || "Someone";
+  const body =
+    `TowMech SOS: ${name} triggered a panic alert and listed you as an emergency contact. ` +
+    `Last known location: ${mapsLink(alert.location)}. Our safety team has been notified.`;
+
+  for (const c of contacts) {
+    const result = await sendSms({ to: c.phone, body });
+    logs.push({
+      level: 0,
+      channel: PANIC_NOTIFY_CHANNELS.SMS,
+      to: c.phone,
+      ok: result.ok,
+      error: result.ok ? null : result.error || null,
+    });
+  }
+
+  return logs;
+}
+
+function emitAlert(alert, event = "safety:panic") {
+  emitAdminTracking(alert.countryCode, event, {
+    alertId: String(alert._id),
+    status: alert.status,
+    escalationLevel: alert.escalationLevel,
+    location: alert.location,
+    jobId: alert.job ? String(alert.job) : null,
+    triggeredBy: String(alert.triggeredBy),
+    triggeredRole: alert.triggeredRole,
+    source: alert.source,
+    anomaly: alert.anomaly?.type || null,
+    at: new Date().toISOString(),
+  });
+}
+
+async function dispatchLevel(alert, level) {
+  const safety = await getSafetyConfig(alert.countryCode);
+  const user = await User.findById(alert.triggeredBy).select("name firstName emergencyContacts");
+
+  const logs = await notifyAdmins(alert, user, level, safety);
+  if (level === 0 && alert.source !== PANIC_SOURCES.TRIP_MONITOR && safety.notifyEmergencyContacts) {
+    logs.push(...(await notifyEmergencyContacts(alert, user)));
+  }
+
+  if (logs.length > 0) {
+    await PanicAlert.updateOne({ _id: alert._id }, { $push: { notifications: { $each: logs } } });
+  }
+
+  emitAlert(alert);
+  return logs;
+}
+
+/**
+ * ✅ Level 0 notifications for an incident created elsewhere (trip monitor)
+ */
+export async function notifyNewIncident(alert) {
+  try {
+    await dispatchLevel(alert, 0);
+  } catch (err) {
+    console.error("❌ Safety incident notify error:", err.message);
+  }
+}
+
+/**
+ * ✅ Create a panic alert and run level 0 notifications
+ * Notification failures never fail the alert itself.
+ */
+export async function raisePanicAlert({ user, job = null, lat, lng, accuracy = null, message = "" }) {
+  const countryCode = String(job?.countryCode || user?.countryCode || "ZA").trim().toUpperCase();
+  const safety = await getSafetyConfig(countryCode);
+  const now = new Date();
+
+  const alert = await PanicAlert.create({
+    triggeredBy: user._id,
+    triggeredRole: user.role,
+    job: job ? job._id : null,
+    countryCode,
+    location: { lat, lng },
+    locationTimeline: [{ lat, lng, accuracy, recordedAt: now }],
+    lastLocationAt: now,
+    message: message || "",
+    status: PANIC_STATUSES.OPEN,
+    escalationLevel: 0,
+    nextEscalationAt: new Date(now.getTime() + safety.escalationMinutes * 60 * 1000),
+    auditLogs: [
+      {
+        action: "PANIC_TRIGGERED",
+        by: user._id,
+        meta: { jobId: job ? job._id : null },
+      },
+    ],
+  });
+
+  await notifyNewIncident(alert);
+  return alert;
+}
+
+/**
+ * ✅ Append device GPS to the alert timeline (only the user who raised it, until RESOLVED)
+ * Returns { ok, alert } or { ok:false, status, code, message }
+ */
+export async function appendPanicLocation({ alertId, userId, lat, lng, accuracy = null, speed = null, heading = null, recordedAt = null }) {
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(ln) || Math.abs(la) > 90 || Math.abs(ln) > 180) {
+    return { ok: false, status: 400, code: "INVALID_LOCATION", message: "Valid lat and lng are required" };
+  }
+
+  const num = (v) => (v === undefined || v === null || !Number.isFinite(Number(v)) ? null : Number(v));
+  const at = recordedAt && !Number.isNaN(new Date(recordedAt).getTime()) ? new Date(recordedAt) : new Date();
+
+  const alert = await PanicAlert.findOneAndUpdate(
+    { _id: alertId, triggeredBy: userId, status: { $ne: PANIC_STATUSES.RESOLVED } },
+    {
+      $set: { location: { lat: la, lng: ln }, lastLocationAt: at },
+      $push: {
+        locationTimeline: {
+          $each: [{ lat: la, lng: ln, accuracy: num(accuracy), speed: num(speed), heading: num(heading), recordedAt: at }],
+          $slice: -MAX_TIMELINE_POINTS,
+        },
+      },
+    },
+    { new: true, projection: { locationTimeline: 0, notifications: 0, auditLogs: 0 } }
+  );
+
+  if (!alert) {
+    const existing = await PanicAlert.findOne({ _id: alertId, triggeredBy: userId }).select("status");
+    if (!existing) return { ok: false, status: 404, code: "PANIC_ALERT_NOT_FOUND", message: "Panic alert not found" };
+    return { ok: false, status: 409, code: "PANIC_ALERT_RESOLVED", message: "Panic alert is resolved, stop streaming" };
+  }
+
+  emitAdminTracking(alert.countryCode, "safety:location", {
+    alertId: String(alert._id),
+    lat: la,
+    lng: ln,
+    accuracy: num(accuracy),
+    speed: num(speed),
+    heading: num(heading),
+    recordedAt: at.toISOString(),
+  });
+
+  return { ok: true, alert };
+}
+
+/**
+ * ✅ Tell the admin live map about an acknowledge / resolve
+ */
+export function broadcastPanicAlert(alert) {
+  emitAlert(alert);
+}
+
+/**
+ * ✅ Escalate OPEN alerts nobody acknowledged in time
+ * Each alert is claimed by moving nextEscalationAt, so overlapping runs never double-notify.
+ */
+export async function runPanicEscalations({ limit = 50 } = {}) {
+  const now = new Date();
+
+  const due = await PanicAlert.find({
+    status: PANIC_STATUSES.OPEN,
+    nextEscalationAt: { $ne: null, $lte: now },
+  })
+    .select("countryCode escalationLevel nextEscalationAt")
+    .sort({ nextEscalationAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let escalated = 0;
+
+  for (const d of due) {
+    try {
+      const safety = await getSafetyConfig(d.countryCode);
+      const level = (d.escalationLevel || 0) + 1;
+      const next =
+        level >= safety.maxEscalationLevel ? null : new Date(now.getTime() + safety.escalationMinutes * 60 * 1000);
+
+      const alert = await PanicAlert.findOneAndUpdate(
+        { _id: d._id, status: PANIC_STATUSES.OPEN, nextEscalationAt: d.nextEscalationAt },
+        {
+          $set: { escalationLevel: level, lastEscalatedAt: now, nextEscalationAt: next },
+          $push: { auditLogs: { action: "PANIC_ESCALATED", by: null, meta: { level } } },
+        },
+        { new: true, projection: { locationTimeline: 0, notifications: 0 } }
+      );
+      if (!alert) continue; // acknowledged / resolved / claimed meanwhile
+
+      await dispatchLevel(alert, level);
+      escalated++;
+      console.log(`🚨 Panic alert ${alert._id} escalated to level ${level} (${alert.countryCode})`);
+    } catch (err) {
+      console.error(`❌ Panic escalation failed for ${d._id}:`, err.message);
+    }
+  }
+
+  return { checked: due.length, escalated };
+}
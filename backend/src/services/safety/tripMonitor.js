@@ -0,0 +1,287 @@
+// backend/src/services/safety/tripMonitor.js
+import Job, { JOB_STATUSES, LEG_STATUSES } from "../../models/Job.js";
+import PanicAlert, { PANIC_SOURCES, PANIC_STATUSES, TRIP_ANOMALY_TYPES } from "../../models/PanicAlert.js";
+import { sendPushToUser } from "../../utils/sendPush.js";
+import { getSafetyConfig, notifyNewIncident } from "./panicEscalation.js";
+
+/**
+ * ✅ Trip anomaly monitor (IN_PROGRESS tows)
+ *
+ * Fed by provider GPS (utils/jobTracking.js → publishProviderLocation) and swept from
+ * server.js for trucks that stop reporting. Detects:
+ * - LONG_STOP:        no movement for stopAlertMinutes away from the origin and destination
+ *                     (raised once per stop, even after the incident is resolved)
+ * - ROUTE_DEVIATION:  further than routeDeviationKm from the straight origin → destination line
+ * - HEADING_AWAY:     headingAwayKm further from the destination than the closest point so far,
+ *                     for AWAY_SAMPLES updates in a row
+ *
+ * Each anomaly opens one TRIP_MONITOR PanicAlert per job + type (OPEN until an admin resolves it),
+ * runs the usual admin notifications / escalation and asks the customer "is everything OK?".
+ */
+
+const MOVE_THRESHOLD_KM = 0.15; // GPS jitter below this is "not moving"
+const ARRIVAL_RADIUS_KM = 0.5; // stops at the origin (loading) and destination are expected
+const AWAY_SAMPLES = 3;
+
+const CHECK_IN_COPY = {
+  [TRIP_ANOMALY_TYPES.LONG_STOP]: "Your tow has been stopped for a while.",
+  [TRIP_ANOMALY_TYPES.ROUTE_DEVIATION]: "Your tow is off the expected route.",
+  [TRIP_ANOMALY_TYPES.HEADING_AWAY]: "Your tow seems to be heading away from the drop-off.",
+};
+
+function haversineDistanceKm(lat1, lng1, lat2, lng2) {
+  const toRad = (v) => (v * Math.PI) / 180;
+  const R = 6371;
+
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * ✅ Distance (km) from p to the segment a → b (equirectangular, fine at city scale)
+ */
+function distanceToSegmentKm(p, a, b) {
+  const kx = 111.32 * Math.cos((a.lat * Math.PI) / 180);
+  const ky = 110.57;
+
+  const bx = (b.lng - a.lng) * kx;
+  const by = (b.lat - a.lat) * ky;
+  const px = (p.lng - a.lng) * kx;
+  const py = (p.lat - a.lat) * ky;
+
+  const len2 = bx * bx + by * by;
+  const t = len2 > 0 ? Math.min(1, Math.max(0, (px * bx + py * by) / len2)) : 0;
+
+  return Math.hypot(px - t * bx, py - t * by);
+}
+
+const fromGeo = (point) =>
+  Array.isArray(point?.coordinates) && point.coordinates.length >= 2
+    ? { lat: Number(point.coordinates[1]), lng: Number(point.coordinates[0]) }
+    : null;
+
+/**
+ * ✅ Current origin → destination: the IN_PROGRESS leg, else pickup → dropoff
+ */
+function resolveTripSegment(job) {
+  const leg = (job.legs || []).find((l) => l.status === LEG_STATUSES.IN_PROGRESS);
+  if (leg?.from && leg?.to) {
+    return {
+      target: `LEG_${leg.sequence}`,
+      origin: { lat: leg.from.lat, lng: leg.from.lng },
+      destination: { lat: leg.to.lat, lng: leg.to.lng },
+    };
+  }
+
+  const origin = fromGeo(job.pickupLocation);
+  const destination = fromGeo(job.dropoffLocation);
+  if (!origin || !destination) return null;
+
+  return { target: "DROPOFF", origin, destination };
+}
+
+const sameStop = (a, b) => Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+
+/**
+ * ✅ Remember that the stop starting at lastMovedAt was alerted (cleared when the truck moves)
+ */
+async function markStopAlerted(jobId, lastMovedAt) {
+  await Job.updateOne(
+    { _id: jobId, "tripMonitor.lastMovedAt": lastMovedAt },
+    { $set: { "tripMonitor.alertedStopAt": lastMovedAt } }
+  );
+}
+
+/**
+ * ✅ Open (once per job + type) a TRIP_MONITOR incident and check in with the customer
+ */
+async function openTripAnomaly(job, type, { lat, lng }, details) {
+  const existing = await PanicAlert.exists({
+    job: job._id,
+    source: PANIC_SOURCES.TRIP_MONITOR,
+    "anomaly.type": type,
+    status: { $ne: PANIC_STATUSES.RESOLVED },
+  });
+  if (existing) return null;
+
+  const safety = await getSafetyConfig(job.countryCode);
+  const now = new Date();
+
+  const alert = await PanicAlert.create({
+    triggeredBy: job.customer, // incident is about the customer's trip
+    triggeredRole: "SYSTEM",
+    source: PANIC_SOURCES.TRIP_MONITOR,
+    anomaly: { type, details },
+    job: job._id,
+    countryCode: job.countryCode,
+    location: { lat, lng },
+    locationTimeline: [{ lat, lng, recordedAt: now }],
+    lastLocationAt: now,
+    message: CHECK_IN_COPY[type],
+    status: PANIC_STATUSES.OPEN,
+    nextEscalationAt: new Date(now.getTime() + safety.escalationMinutes * 60 * 1000),
+    auditLogs: [{ action: "TRIP_ANOMALY_DETECTED", by: null, meta: { type, ...details } }],
+  });
+
+  console.log(`🛰️ Trip anomaly ${type} on job ${job._id} → incident ${alert._id}`);
+
+  await notifyNewIncident(alert);
+
+  try {
+    await sendPushToUser({
+      userId: job.customer,
+      title: "Is everything OK? 🛟",
+      body: `${CHECK_IN_COPY[type]} Tap to let us know you're safe, or ask for help.`,
+      data: {
+        type: "trip_check_in",
+        open: "trip_check_in",
+        alertId: String(alert._id),
+        jobId: String(job._id),
+        anomaly: type,
+      },
+    });
+    await PanicAlert.updateOne({ _id: alert._id }, { $set: { "customerCheckIn.sentAt": new Date() } });
+  } catch (err) {
+    console.error("⚠️ Trip check-in push failed:", err.message);
+  }
+
+  return alert;
+}
+
+/**
+ * ✅ Evaluate one provider GPS sample for the job being towed
+ * job needs: _id status customer countryCode pickupLocation dropoffLocation legs tripMonitor
+ * Returns the anomaly types opened (usually none).
+ */
+export async function monitorTripProgress(job, { lat, lng, at = new Date() }) {
+  if (job?.status !== JOB_STATUSES.IN_PROGRESS) return [];
+
+  const segment = resolveTripSegment(job);
+  if (!segment) return [];
+
+  const safety = await getSafetyConfig(job.countryCode);
+  if (!safety.tripMonitorEnabled) return [];
+
+  const sampleAt = new Date(at);
+  const prev = job.tripMonitor?.target === segment.target ? job.tripMonitor : null;
+
+  const distToDest = haversineDistanceKm(lat, lng, segment.destination.lat, segment.destination.lng);
+  const moved =
+    !prev || prev.lastLat === null || haversineDistanceKm(lat, lng, prev.lastLat, prev.lastLng) >= MOVE_THRESHOLD_KM;
+
+  const state = {
+    target: segment.target,
+    lastLat: moved ? lat : prev.lastLat,
+    lastLng: moved ? lng : prev.lastLng,
+    lastSampleAt: sampleAt,
+    lastMovedAt: moved ? sampleAt : prev.lastMovedAt || sampleAt,
+    alertedStopAt: moved ? null : prev.alertedStopAt || null,
+    closestDistanceKm: prev?.closestDistanceKm ?? distToDest,
+    awaySamples: prev?.awaySamples || 0,
+  };
+
+  const found = [];
+  const details = { distanceToDestinationKm: Number(distToDest.toFixed(2)), target: segment.target };
+
+  // long unexplained stop
+  const stoppedMinutes = (sampleAt - new Date(state.lastMovedAt)) / 60000;
+  const distFromOrigin = haversineDistanceKm(lat, lng, segment.origin.lat, segment.origin.lng);
+  if (
+    stoppedMinutes >= safety.stopAlertMinutes &&
+    distToDest > ARRIVAL_RADIUS_KM &&
+    distFromOrigin > ARRIVAL_RADIUS_KM &&
+    !sameStop(state.alertedStopAt, state.lastMovedAt)
+  ) {
+    found.push([TRIP_ANOMALY_TYPES.LONG_STOP, { ...details, stoppedMinutes: Math.round(stoppedMinutes) }]);
+  }
+
+  // off the origin → destination corridor
+  const offRouteKm = distanceToSegmentKm({ lat, lng }, segment.origin, segment.destination);
+  if (offRouteKm > safety.routeDeviationKm) {
+    found.push([TRIP_ANOMALY_TYPES.ROUTE_DEVIATION, { ...details, offRouteKm: Number(offRouteKm.toFixed(2)) }]);
+  }
+
+  // drifting away from the destination
+  if (distToDest < state.closestDistanceKm) {
+    state.closestDistanceKm = distToDest;
+    state.awaySamples = 0;
+  } else if (distToDest - state.closestDistanceKm > safety.headingAwayKm) {
+    state.awaySamples += 1;
+    if (state.awaySamples >= AWAY_SAMPLES) {
+      found.push([
+        TRIP_ANOMALY_TYPES.HEADING_AWAY,
+        { ...details, closestDistanceKm: Number(state.closestDistanceKm.toFixed(2)) },
+      ]);
+    }
+  } else {
+    state.awaySamples = 0;
+  }
+
+  await Job.updateOne({ _id: job._id }, { $set: { tripMonitor: state } });
+
+  const opened = [];
+  for (const [type, d] of found) {
+    const alert = await openTripAnomaly(job, type, { lat, lng }, d);
+    if (type === TRIP_ANOMALY_TYPES.LONG_STOP) await markStopAlerted(job._id, state.lastMovedAt);
+    if (alert) opened.push(type);
+  }
+
+  return opened;
+}
+
+/**
+ * ✅ Sweep: IN_PROGRESS tows whose truck stopped moving (or stopped reporting)
+ * Location updates alone can't catch a provider whose app went silent.
+ */
+export async function runTripMonitorSweep({ limit = 100 } = {}) {
+  const now = new Date();
+
+  // cheapest threshold first; the per-country one is checked per job
+  const cutoff = new Date(now.getTime() - 5 * 60 * 1000);
+
+  const jobs = await Job.find({
+    status: JOB_STATUSES.IN_PROGRESS,
+    "tripMonitor.lastMovedAt": { $ne: null, $lte: cutoff },
+  })
+    .select("_id status customer countryCode pickupLocation dropoffLocation legs tripMonitor")
+    .limit(limit);
+
+  let opened = 0;
+
+  for (const job of jobs) {
+    try {
+      const safety = await getSafetyConfig(job.countryCode);
+      if (!safety.tripMonitorEnabled) continue;
+
+      const m = job.tripMonitor;
+      const stoppedMinutes = (now - m.lastMovedAt) / 60000;
+      if (stoppedMinutes < safety.stopAlertMinutes || sameStop(m.alertedStopAt, m.lastMovedAt)) continue;
+
+      const segment = resolveTripSegment(job);
+      if (!segment || segment.target !== m.target) continue;
+
+      const distToDest = haversineDistanceKm(m.lastLat, m.lastLng, segment.destination.lat, segment.destination.lng);
+      if (distToDest <= ARRIVAL_RADIUS_KM) continue;
+      if (haversineDistanceKm(m.lastLat, m.lastLng, segment.origin.lat, segment.origin.lng) <= ARRIVAL_RADIUS_KM) continue;
+
+      const alert = await openTripAnomaly(job, TRIP_ANOMALY_TYPES.LONG_STOP, { lat: m.lastLat, lng: m.lastLng }, {
+        distanceToDestinationKm: Number(distToDest.toFixed(2)),
+        target: segment.target,
+        stoppedMinutes: Math.round(stoppedMinutes),
+        signalLost: (now - m.lastSampleAt) / 60000 >= safety.stopAlertMinutes,
+      });
+      await markStopAlerted(job._id, m.lastMovedAt);
+      if (alert) opened++;
+    } catch (err) {
+      console.error(`❌ Trip monitor sweep failed for job ${job._id}:`, err.message);
+    }
+  }
+
+  return { checked: jobs.length, opened };
+}
@@ -0,0 +1,192 @@
+// backend/src/services/safety/tripShare.js
+import crypto from "crypto";
+import Job, { JOB_STATUSES } from "../../models/Job.js";
+import TripShare, { TRIP_SHARE_REVOKE_REASONS } from "../../models/TripShare.js";
+import { sendSms } from "../../utils/sendSms.js";
+import { escapeHtml, sendEmail } from "../../utils/sendEmail.js";
+
+/**
+ * ✅ Shareable live trip links
+ *
+ * The customer creates a link for an active job and can send it to trusted contacts.
+ * Anyone holding the token sees provider name, vehicle, plate, live location and status
+ * (no login). Links expire, and every link of a job is revoked when the job reaches
+ * COMPLETED / CANCELLED (lifecycle effect "tripShareRevoke").
+ */
+
+export const SHAREABLE_JOB_STATUSES = [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS];
+
+const DEFAULT_TTL_MINUTES = 4 * 60;
+const MAX_TTL_MINUTES = 12 * 60;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export function tripShareUrl(token) {
+  const base = String(process.env.FRONTEND_URL || "https://towmech.com").replace(/\/+$/, "");
+  return `${base}/trip/${token}`;
+}
+
+async function sendLinkToContacts({ contacts, customerName, url, expiresAt }) {
+  const results = [];
+  const until = expiresAt.toISOString().slice(11, 16);
+  const text = `${customerName} shared their TowMech trip with you. Follow it live until ${until} UTC: ${url}`;
+
+  for (const c of contacts) {
+    if (c.phone) {
+      const r = await sendSms({ to: c.phone, body: text });
+      results.push({ to: c.phone, channel: "SMS", ok: r.ok });
+    }
+    if (c.email) {
+      try {
+        const ok = await sendEmail({
+          to: c.email,
+          subject: `${customerName} shared a live TowMech trip with you`,
+          html: `<p>${escapeHtml(customerName)} shared their roadside assistance trip with you.</p>
+                 <p><a href="${escapeHtml(url)}">Follow the trip live</a> (link expires ${expiresAt.toUTCString()}).</p>`,
+        });
+        results.push({ to: c.email, channel: "EMAIL", ok: !!ok });
+      } catch {
+        results.push({ to: c.email, channel: "EMAIL", ok: false });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * ✅ Create a share link for the customer's active job
+ * contactIds: trusted contact _ids the link should be sent to (optional)
+ *
+ * Returns { ok, share, token, url, delivery } or { ok:false, status, code, message }
+ */
+export async function createTripShare({ job, user, ttlMinutes = null, contactIds = [] }) {
+  if (String(job.customer) !== String(user._id)) {
+    return { ok: false, status: 403, code: "NOT_JOB_CUSTOMER", message: "Only the job's customer can share it" };
+  }
+
+  if (!SHAREABLE_JOB_STATUSES.includes(job.status) || !job.assignedTo) {
+    return {
+      ok: false,
+      status: 409,
+      code: "JOB_NOT_SHAREABLE",
+      message: `Trips can only be shared once a provider is assigned (status: ${job.status})`,
+    };
+  }
+
+  const ttl = Math.min(Math.max(Number(ttlMinutes) || DEFAULT_TTL_MINUTES, 5), MAX_TTL_MINUTES);
+
+  const wanted = (Array.isArray(contactIds) ? contactIds : []).map(String);
+  const contacts = (user.trustedContacts || []).filter((c) => wanted.includes(String(c._id)));
+  if (contacts.length !== wanted.length) {
+    return { ok: false, status: 400, code: "TRUSTED_CONTACT_NOT_FOUND", message: "Unknown trusted contact" };
+  }
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const expiresAt = new Date(Date.now() + ttl * 60 * 1000);
+
+  const share = await TripShare.create({
+    job: job._id,
+    createdBy: user._id,
+    countryCode: job.countryCode,
+    tokenHash: hashToken(token),
+    expiresAt,
+    sharedWith: contacts.map((c) => ({ name: c.name, phone: c.phone, email: c.email || null })),
+  });
+
+  const url = tripShareUrl(token);
+  const delivery = await sendLinkToContacts({
+    contacts,
+    customerName: user.firstName || user.name || "A TowMech customer",
+    url,
+    expiresAt,
+  });
+
+  return { ok: true, share, token, url, delivery };
+}
+
+/**
+ * ✅ Revoke every live link of a job (lifecycle effect + customer "stop sharing")
+ */
+export async function revokeTripSharesForJob(jobId, reason = TRIP_SHARE_REVOKE_REASONS.CUSTOMER) {
+  const result = await TripShare.updateMany(
+    { job: jobId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokeReason: reason } }
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * ✅ Public view for a share token
+ * Returns { ok, trip } or { ok:false, status, code, message }
+ */
+export async function getSharedTrip(token) {
+  const notFound = { ok: false, status: 404, code: "TRIP_SHARE_NOT_FOUND", message: "This trip link is not valid" };
+  if (!token) return notFound;
+
+  const share = await TripShare.findOne({ tokenHash: hashToken(token) });
+  if (!share) return notFound;
+
+  if (share.revokedAt) {
+    return { ok: false, status: 410, code: "TRIP_SHARE_REVOKED", message: "This trip has ended" };
+  }
+  if (share.expiresAt <= new Date()) {
+    return { ok: false, status: 410, code: "TRIP_SHARE_EXPIRED", message: "This trip link has expired" };
+  }
+
+  const job = await Job.findById(share.job)
+    .select("status serviceType countryCode pickupLocation dropoffLocation assignedTo updatedAt")
+    .populate("assignedTo", "name firstName lastName providerProfile.vehicle providerProfile.location providerProfile.lastSeenAt role");
+
+  // safety net for a missed lifecycle effect
+  if (!job || [JOB_STATUSES.COMPLETED, JOB_STATUSES.CANCELLED].includes(job.status)) {
+    const reason =
+      job?.status === JOB_STATUSES.COMPLETED
+        ? TRIP_SHARE_REVOKE_REASONS.JOB_COMPLETED
+        : job?.status === JOB_STATUSES.CANCELLED
+          ? TRIP_SHARE_REVOKE_REASONS.JOB_CANCELLED
+          : TRIP_SHARE_REVOKE_REASONS.JOB_INACTIVE;
+    await revokeTripSharesForJob(share.job, reason);
+    return { ok: false, status: 410, code: "TRIP_SHARE_REVOKED", message: "This trip has ended" };
+  }
+
+  await TripShare.updateOne({ _id: share._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } });
+
+  // requeued (provider dropped out) → show status only until the next provider accepts
+  const provider = SHAREABLE_JOB_STATUSES.includes(job.status) ? job.assignedTo : null;
+  const coords = provider?.providerProfile?.location?.coordinates;
+  const hasFix = Array.isArray(coords) && coords.length >= 2 && !(coords[0] === 0 && coords[1] === 0);
+  const vehicle = provider?.providerProfile?.vehicle || {};
+  const lastInitial = provider?.lastName ? ` ${String(provider.lastName).charAt(0)}.` : "";
+
+  return {
+    ok: true,
+    trip: {
+      status: job.status,
+      serviceType: job.serviceType || null,
+      provider: provider
+        ? {
+            name: `${provider.firstName || provider.name || "Provider"}${lastInitial}`,
+            role: provider.role,
+            vehicle: {
+              make: vehicle.make || null,
+              model: vehicle.model || null,
+              color: vehicle.color || null,
+            },
+            plateNumber: vehicle.plateNumber || null,
+          }
+        : null,
+      location: hasFix
+        ? { lat: coords[1], lng: coords[0], updatedAt: provider.providerProfile.lastSeenAt || null }
+        : null,
+      pickup: job.pickupLocation?.coordinates?.length >= 2
+        ? { lat: job.pickupLocation.coordinates[1], lng: job.pickupLocation.coordinates[0] }
+        : null,
+      dropoff: job.dropoffLocation?.coordinates?.length >= 2
+        ? { lat: job.dropoffLocation.coordinates[1], lng: job.dropoffLocation.coordinates[0] }
+        : null,
+      expiresAt: share.expiresAt,
+      updatedAt: job.updatedAt,
+    },
+  };
+}
@@ -0,0 +1,59 @@
+// backend/src/services/wallet/promoCodes.js
+import PromoCode from "../../models/PromoCode.js";
+import { creditWallet, WALLET_TX_KINDS } from "./walletLedger.js";
+
+/**
+ * ✅ Promo code → wallet credit
+ * The slot is claimed atomically (maxRedemptions); the ledger idempotency key
+ * promo:<promoId>:<userId> makes it once per customer.
+ *
+ * Returns { ok, promo, transaction, balance } or { ok:false, status, code, message }
+ */
+export async function redeemPromoCode({ userId, code, countryCode, req = null }) {
+  const normalized = String(code || "").trim().toUpperCase();
+  if (!normalized) return { ok: false, status: 400, code: "PROMO_CODE_REQUIRED", message: "code is required" };
+
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+  const promo = await PromoCode.findOne({ code: normalized, countryCode: cc });
+
+  const now = new Date();
+  if (!promo || !promo.active || (promo.startsAt && promo.startsAt > now)) {
+    return { ok: false, status: 404, code: "PROMO_CODE_INVALID", message: "Promo code is not valid" };
+  }
+  if (promo.expiresAt && promo.expiresAt <= now) {
+    return { ok: false, status: 410, code: "PROMO_CODE_EXPIRED", message: "Promo code has expired" };
+  }
+
+  const claimFilter = { _id: promo._id, active: true };
+  if (promo.maxRedemptions !== null && promo.maxRedemptions !== undefined) {
+    claimFilter.redemptionCount = { $lt: promo.maxRedemptions };
+  }
+
+  const claimed = await PromoCode.findOneAndUpdate(claimFilter, { $inc: { redemptionCount: 1 } }, { new: true });
+  if (!claimed) {
+    return { ok: false, status: 409, code: "PROMO_CODE_EXHAUSTED", message: "Promo code has been fully redeemed" };
+  }
+
+  const result = await creditWallet({
+    userId,
+    amount: promo.amount,
+    currency: promo.currency,
+    countryCode: cc,
+    kind: WALLET_TX_KINDS.PROMO_CREDIT,
+    memo: promo.description || `Promo ${promo.code}`,
+    promoCode: promo._id,
+    idempotencyKey: `promo:${promo._id}:${userId}`,
+    req,
+  });
+
+  if (!result.ok || result.duplicate) {
+    await PromoCode.updateOne({ _id: promo._id }, { $inc: { redemptionCount: -1 } });
+
+    if (result.duplicate) {
+      return { ok: false, status: 409, code: "PROMO_CODE_ALREADY_REDEEMED", message: "You already redeemed this code" };
+    }
+    return result;
+  }
+
+  return { ok: true, promo: claimed, transaction: result.transaction, balance: result.balance };
+}
@@ -0,0 +1,330 @@
+// backend/src/services/wallet/walletLedger.js
+import mongoose from "mongoose";
+import Wallet from "../../models/Wallet.js";
+import WalletTransaction, {
+  LEDGER_SIDES,
+  WALLET_SYSTEM_ACCOUNTS,
+  WALLET_TX_KINDS,
+} from "../../models/WalletTransaction.js";
+import { logAuditEvent } from "../../utils/auditLogger.js";
+
+/**
+ * ✅ Customer wallet ledger (double-entry)
+ *
+ * Used by:
+ * - routes/wallet.js (balance, history, promo redemption)
+ * - routes/adminWallets.js (goodwill / adjustments / recompute)
+ * - routes/jobs.js POST / (wallet applied to the booking fee)
+ * - services/payments/index.js WALLET adapter (refunds to wallet via the refund queue)
+ *
+ * Every movement is one balanced WalletTransaction. Wallet.balance is a cache that is
+ * bumped after the journal is written; recomputeWalletBalance() rebuilds it from the lines.
+ */
+
+export { WALLET_TX_KINDS, WALLET_SYSTEM_ACCOUNTS };
+
+const round = (n, dp = 2) => Number(Number(n).toFixed(dp));
+
+// TowMech-side account each credit kind is funded from
+const CREDIT_CONTRA_ACCOUNTS = {
+  [WALLET_TX_KINDS.REFUND_CREDIT]: WALLET_SYSTEM_ACCOUNTS.REFUNDS,
+  [WALLET_TX_KINDS.GOODWILL_CREDIT]: WALLET_SYSTEM_ACCOUNTS.GOODWILL,
+  [WALLET_TX_KINDS.PROMO_CREDIT]: WALLET_SYSTEM_ACCOUNTS.PROMOTIONS,
+  [WALLET_TX_KINDS.ADMIN_ADJUSTMENT]: WALLET_SYSTEM_ACCOUNTS.ADJUSTMENTS,
+};
+
+const DEBIT_CONTRA_ACCOUNTS = {
+  [WALLET_TX_KINDS.BOOKING_FEE_DEBIT]: WALLET_SYSTEM_ACCOUNTS.BOOKING_FEES,
+  [WALLET_TX_KINDS.ADMIN_ADJUSTMENT]: WALLET_SYSTEM_ACCOUNTS.ADJUSTMENTS,
+};
+
+export function customerAccount(userId) {
+  return `customer:${userId}`;
+}
+
+function normalizeCurrency(currency) {
+  return String(currency || "ZAR").trim().toUpperCase();
+}
+
+// logAuditEvent expects a request; system movements log without a user
+function auditReq(req, countryCode) {
+  if (req) return req;
+  return { countryCode, headers: {}, body: {}, user: null, ip: null };
+}
+
+async function audit(req, transaction, balance) {
+  await logAuditEvent(auditReq(req, transaction.countryCode), {
+    action: transaction.amount >= 0 ? "WALLET_CREDITED" : "WALLET_DEBITED",
+    entityType: "CUSTOMER",
+    entityId: transaction.user,
+    details: {
+      walletTransactionId: transaction._id,
+      kind: transaction.kind,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      balance,
+      jobId: transaction.job,
+      paymentId: transaction.payment,
+      memo: transaction.memo,
+    },
+  });
+}
+
+async function findByKey(idempotencyKey) {
+  if (!idempotencyKey) return null;
+  return WalletTransaction.findOne({ idempotencyKey });
+}
+
+/**
+ * ✅ Cached balance (0 when the customer has no wallet in that currency)
+ */
+export async function getWalletBalance(userId, currency) {
+  const wallet = await Wallet.findOne({ user: userId, currency: normalizeCurrency(currency) }).lean();
+  return round(wallet?.balance || 0);
+}
+
+/**
+ * ✅ Credit a customer wallet (refund, goodwill, promo, positive adjustment)
+ * Returns { ok, transaction, balance, duplicate } or { ok:false, status, code, message }
+ */
+export async function creditWallet({
+  userId,
+  amount,
+  currency,
+  countryCode = "ZA",
+  kind,
+  memo = null,
+  job = null,
+  payment = null,
+  promoCode = null,
+  createdBy = null,
+  idempotencyKey = null,
+  req = null,
+}) {
+  const value = round(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    return { ok: false, status: 400, code: "INVALID_AMOUNT", message: "amount must be greater than 0" };
+  }
+
+  const contra = CREDIT_CONTRA_ACCOUNTS[kind];
+  if (!contra) return { ok: false, status: 400, code: "INVALID_KIND", message: `Cannot credit with ${kind}` };
+
+  const cur = normalizeCurrency(currency);
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+
+  let transaction;
+  try {
+    transaction = await WalletTransaction.create({
+      kind,
+      user: userId,
+      countryCode: cc,
+      currency: cur,
+      amount: value,
+      lines: [
+        { account: contra, side: LEDGER_SIDES.DEBIT, amount: value },
+        { account: customerAccount(userId), side: LEDGER_SIDES.CREDIT, amount: value },
+      ],
+      job,
+      payment,
+      promoCode,
+      memo,
+      createdBy,
+      idempotencyKey: idempotencyKey || undefined,
+    });
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+    const existing = await findByKey(idempotencyKey);
+    return { ok: true, duplicate: true, transaction: existing, balance: await getWalletBalance(userId, cur) };
+  }
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { user: userId, currency: cur },
+    {
+      $inc: { balance: value },
+      $set: { lastTransactionAt: new Date() },
+      $setOnInsert: { countryCode: cc },
+    },
+    { new: true, upsert: true }
+  );
+
+  await audit(req, transaction, round(wallet.balance));
+  return { ok: true, duplicate: false, transaction, balance: round(wallet.balance) };
+}
+
+/**
+ * ✅ Debit a customer wallet (booking fee, negative adjustment)
+ * The balance is reserved first so two debits can never overdraw it.
+ * Returns { ok, transaction, balance, duplicate } or { ok:false, status, code, message }
+ */
+export async function debitWallet({
+  userId,
+  amount,
+  currency,
+  countryCode = "ZA",
+  kind = WALLET_TX_KINDS.BOOKING_FEE_DEBIT,
+  memo = null,
+  job = null,
+  payment = null,
+  createdBy = null,
+  idempotencyKey = null,
+  req = null,
+}) {
+  const value = round(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    return { ok: false, status: 400, code: "INVALID_AMOUNT", message: "amount must be greater than 0" };
+  }
+
+  const contra = DEBIT_CONTRA_ACCOUNTS[kind];
+  if (!contra) return { ok: false, status: 400, code: "INVALID_KIND", message: `Cannot debit with ${kind}` };
+
+  const cur = normalizeCurrency(currency);
+
+  const existing = await findByKey(idempotencyKey);
+  if (existing) {
+    return { ok: true, duplicate: true, transaction: existing, balance: await getWalletBalance(userId, cur) };
+  }
+
+  const reserved = await Wallet.findOneAndUpdate(
+    { user: userId, currency: cur, balance: { $gte: value } },
+    { $inc: { balance: -value }, $set: { lastTransactionAt: new Date() } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    return {
+      ok: false,
+      status: 409,
+      code: "INSUFFICIENT_WALLET_BALANCE",
+      message: `Wallet balance is below ${value.toFixed(2)} ${cur}`,
+    };
+  }
+
+  let transaction;
+  try {
+    transaction = await WalletTransaction.create({
+      kind,
+      user: userId,
+      countryCode: String(countryCode || reserved.countryCode || "ZA").trim().toUpperCase(),
+      currency: cur,
+      amount: -value,
+      lines: [
+        { account: customerAccount(userId), side: LEDGER_SIDES.DEBIT, amount: value },
+        { account: contra, side: LEDGER_SIDES.CREDIT, amount: value },
+      ],
+      job,
+      payment,
+      memo,
+      createdBy,
+      idempotencyKey: idempotencyKey || undefined,
+    });
+  } catch (e) {
+    // journal not written → give the reservation back
+    await Wallet.updateOne({ _id: reserved._id }, { $inc: { balance: value } });
+
+    if (e?.code !== 11000) throw e;
+    return {
+      ok: true,
+      duplicate: true,
+      transaction: await findByKey(idempotencyKey),
+      balance: await getWalletBalance(userId, cur),
+    };
+  }
+
+  await audit(req, transaction, round(reserved.balance));
+  return { ok: true, duplicate: false, transaction, balance: round(reserved.balance) };
+}
+
+/**
+ * ✅ Use wallet credit towards a job's booking fee (as much as the balance covers)
+ * Returns { applied, transaction, balance } — applied = 0 when the wallet is empty.
+ */
+export async function applyWalletToBookingFee({ userId, jobId, amount, currency, countryCode, req = null }) {
+  const due = round(amount);
+  if (!Number.isFinite(due) || due <= 0) return { applied: 0, transaction: null };
+
+  // a concurrent debit can shrink the balance between read and reserve → re-read once
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const balance = await getWalletBalance(userId, currency);
+    const take = round(Math.min(balance, due));
+    if (take <= 0) return { applied: 0, transaction: null, balance };
+
+    const result = await debitWallet({
+      userId,
+      amount: take,
+      currency,
+      countryCode,
+      kind: WALLET_TX_KINDS.BOOKING_FEE_DEBIT,
+      memo: "Booking fee",
+      job: jobId,
+      idempotencyKey: `booking-fee:${jobId}`,
+      req,
+    });
+
+    if (result.ok) {
+      return {
+        applied: Math.abs(round(result.transaction?.amount || 0)),
+        transaction: result.transaction,
+        balance: result.balance,
+      };
+    }
+    if (result.code !== "INSUFFICIENT_WALLET_BALANCE") return { applied: 0, transaction: null, error: result };
+  }
+
+  return { applied: 0, transaction: null };
+}
+
+/**
+ * ✅ Rebuild the cached balance from the journal lines
+ * Returns { balance, cachedBalance, drift }
+ */
+export async function recomputeWalletBalance(userId, currency) {
+  const cur = normalizeCurrency(currency);
+  const account = customerAccount(userId);
+
+  const [row] = await WalletTransaction.aggregate([
+    { $match: { "lines.account": account, currency: cur } },
+    { $unwind: "$lines" },
+    { $match: { "lines.account": account } },
+    {
+      $group: {
+        _id: null,
+        credits: { $sum: { $cond: [{ $eq: ["$lines.side", LEDGER_SIDES.CREDIT] }, "$lines.amount", 0] } },
+        debits: { $sum: { $cond: [{ $eq: ["$lines.side", LEDGER_SIDES.DEBIT] }, "$lines.amount", 0] } },
+      },
+    },
+  ]);
+
+  const balance = round((row?.credits || 0) - (row?.debits || 0));
+  const before = await Wallet.findOne({ user: userId, currency: cur }).lean();
+
+  await Wallet.updateOne(
+    { user: userId, currency: cur },
+    { $set: { balance, recomputedAt: new Date() } },
+    { upsert: true }
+  );
+
+  const cachedBalance = round(before?.balance || 0);
+  return { balance, cachedBalance, drift: round(balance - cachedBalance) };
+}
+
+/**
+ * ✅ Wallets + recent journal for one customer
+ */
+export async function getWalletSummary(userId, { currency = null, limit = 50, before = null } = {}) {
+  const wallets = await Wallet.find({ user: userId }).sort({ currency: 1 }).lean();
+
+  const filter = { user: new mongoose.Types.ObjectId(String(userId)) };
+  if (currency) filter.currency = normalizeCurrency(currency);
+  if (before) filter.createdAt = { $lt: new Date(before) };
+
+  const transactions = await WalletTransaction.find(filter)
+    .select("-lines -idempotencyKey")
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+    .lean();
+
+  return {
+    wallets: wallets.map((w) => ({ currency: w.currency, balance: round(w.balance), countryCode: w.countryCode })),
+    transactions,
+  };
+}
@@ -1,47 +1,11 @@
-import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 
 import Job, { JOB_STATUSES } from "../models/Job.js";
-import User, { USER_ROLES } from "../models/User.js";
+import { USER_ROLES } from "../models/User.js";
 import ChatThread from "../models/ChatThread.js";
 import ChatMessage from "../models/ChatMessage.js";
 import { maskDigits } from "../utils/maskDigits.js";
-
-/**
- * ✅ Socket auth middleware
- */
-async function socketAuthMiddleware(socket, next) {
-  try {
-    const raw = socket?.handshake?.auth?.token || socket?.handshake?.headers?.authorization;
-
-    if (!raw) return next(new Error("Missing token"));
-
-    const token = String(raw).replace("Bearer ", "").trim();
-    if (!token) return next(new Error("Invalid token"));
-
-    const secret = process.env.JWT_SECRET || process.env.SECRET || "dev_secret";
-    const decoded = jwt.verify(token, secret);
-
-    const userId = decoded?.id || decoded?._id || decoded?.userId;
-    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
-      return next(new Error("Invalid token payload"));
-    }
-
-    const user = await User.findById(userId).select("_id role name email");
-    if (!user) return next(new Error("User not found"));
-
-    socket.user = {
-      _id: user._id.toString(),
-      role: user.role,
-      name: user.name || "",
-      email: user.email || "",
-    };
-
-    return next();
-  } catch (err) {
-    return next(new Error("Unauthorized"));
-  }
-}
+import { socketAuthMiddleware } from "./socketAuth.js";
 
 function normalizeStatus(raw) {
   return String(raw || "")
@@ -57,9 +21,9 @@ function normalizeStatus(raw) {
 function isChatActive(st) {
   const activeStatuses = [
     JOB_STATUSES.ASSIGNED, 
+    JOB_STATUSES.ARRIVED,
     JOB_STATUSES.IN_PROGRESS, 
     "ACCEPTED", 
-    "ARRIVED", 
     "ON_THE_WAY"
   ];
   return activeStatuses.includes(st);
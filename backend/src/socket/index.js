@@ -1,6 +1,7 @@
 // /backend/src/socket/index.js
 import { Server } from "socket.io";
 import { registerChatSocket } from "./chatSocket.js";
+import { registerJobTrackingSocket } from "./jobTrackingSocket.js";
 
 /**
  * ✅ createSocketServer(httpServer)
@@ -16,5 +17,8 @@ export function createSocketServer(httpServer) {
 
   registerChatSocket(io);
 
+  // ✅ live job tracking (namespace: /tracking)
+  registerJobTrackingSocket(io);
+
   return io;
 }
\ No newline at end of file
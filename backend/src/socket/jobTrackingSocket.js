@@ -0,0 +1,203 @@
+// /backend/src/socket/jobTrackingSocket.js
+import mongoose from "mongoose";
+
+import Job from "../models/Job.js";
+import User, { USER_ROLES } from "../models/User.js";
+import { isChatActive, normalizeStatus } from "../middleware/chatRules.js";
+import { registerJobEffect } from "../services/jobLifecycle.service.js";
+import { socketAuthMiddleware } from "./socketAuth.js";
+
+/**
+ * ✅ Job tracking namespace: /tracking
+ *
+ * Client → server
+ * - tracking:join { jobId }              customer / assigned provider / admin (canViewLiveMap)
+ * - tracking:leave { jobId }
+ * - tracking:admin:join { countryCode }  live map (canViewLiveMap)
+ *
+ * Server → client
+ * - tracking:location  provider GPS (from PATCH /api/providers/location)
+ * - tracking:eta       estimated minutes to pickup / dropoff
+ * - tracking:status    every lifecycle transition
+ * - safety:panic        panic alert raised / escalated / acknowledged / resolved (admin room only)
+ * - safety:location     panic alert device GPS (admin room only)
+ *
+ * Room membership follows the chat rules (ASSIGNED / ARRIVED / IN_PROGRESS + participant or admin).
+ */
+export const TRACKING_NAMESPACE = "/tracking";
+
+let trackingNsp = null;
+
+const jobRoom = (jobId) => `job:${jobId.toString()}`;
+const adminRoom = (countryCode) => `admin:${String(countryCode || "ZA").toUpperCase()}`;
+
+function isAdminUser(user) {
+  return [USER_ROLES.ADMIN, USER_ROLES.SUPER_ADMIN].includes(user?.role);
+}
+
+async function validateTrackingAccess({ user, jobId }) {
+  if (!user?._id) return { ok: false, message: "Unauthorized" };
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return { ok: false, message: "Invalid jobId" };
+
+  const job = await Job.findById(jobId).select(
+    "customer assignedTo status countryCode pickupLocation dropoffLocation"
+  );
+  if (!job) return { ok: false, message: "Job not found" };
+
+  const st = normalizeStatus(job.status);
+  if (!isChatActive(st)) {
+    return { ok: false, message: `Tracking unavailable for status: ${st}` };
+  }
+
+  const isAdmin = isAdminUser(user);
+  const isCustomer = job.customer?.toString() === user._id.toString();
+  const isProvider = job.assignedTo?.toString() === user._id.toString();
+
+  if (!isAdmin && !isCustomer && !isProvider) {
+    return { ok: false, message: "You are not a participant in this job" };
+  }
+
+  // admins watching someone else's job need the live map rights (restriction, canViewLiveMap, country)
+  if (isAdmin && !isCustomer && !isProvider) {
+    const access = validateAdminLiveMapAccess({ user, countryCode: job.countryCode });
+    if (!access.ok) return access;
+  }
+
+  return { ok: true, job };
+}
+
+function validateAdminLiveMapAccess({ user, countryCode }) {
+  if (!isAdminUser(user)) return { ok: false, message: "Permission denied ❌" };
+  if (user.isRestricted) return { ok: false, message: "Your admin account is restricted ❌" };
+
+  const isSuperAdmin = user.role === USER_ROLES.SUPER_ADMIN;
+
+  if (!isSuperAdmin && user.permissions?.canViewLiveMap !== true) {
+    return { ok: false, message: "Permission denied ❌ Missing canViewLiveMap" };
+  }
+
+  const cc = String(countryCode || user.countryCode || "ZA").trim().toUpperCase();
+  if (!isSuperAdmin && cc !== user.countryCode) {
+    return { ok: false, message: "Country mismatch. Access denied." };
+  }
+
+  return { ok: true, countryCode: cc };
+}
+
+/**
+ * ✅ Last known provider position for a freshly joined client
+ */
+async function buildSnapshot(job) {
+  const provider = job.assignedTo
+    ? await User.findById(job.assignedTo).select("providerProfile.location providerProfile.lastSeenAt")
+    : null;
+
+  const coords = provider?.providerProfile?.location?.coordinates;
+  const hasFix = Array.isArray(coords) && coords.length >= 2 && !(coords[0] === 0 && coords[1] === 0);
+
+  return {
+    jobId: job._id.toString(),
+    status: job.status,
+    providerLocation: hasFix
+      ? { lat: coords[1], lng: coords[0], at: provider.providerProfile.lastSeenAt || null }
+      : null,
+  };
+}
+
+/**
+ * ✅ Emit to a job room + its country's admin live map room
+ * No-op until the namespace is registered (scripts / workers).
+ */
+export function emitJobTracking(job, event, payload) {
+  if (!trackingNsp || !job?._id) return;
+
+  trackingNsp.to(jobRoom(job._id)).to(adminRoom(job.countryCode)).emit(event, payload);
+}
+
+/**
+ * ✅ Admin live map only (no job room) — used for panic alerts
+ */
+export function emitAdminTracking(countryCode, event, payload) {
+  if (!trackingNsp) return;
+
+  trackingNsp.to(adminRoom(countryCode)).emit(event, payload);
+}
+
+export function registerJobTrackingSocket(io) {
+  if (trackingNsp) return trackingNsp;
+
+  trackingNsp = io.of(TRACKING_NAMESPACE);
+  trackingNsp.use(socketAuthMiddleware);
+
+  /**
+   * ✅ Status changes come from the lifecycle, so every route / job runner is covered
+   */
+  registerJobEffect({
+    name: "trackingStatus",
+    applies: () => true,
+    run: async (job, { from, to, actor }) => {
+      emitJobTracking(job, "tracking:status", {
+        jobId: job._id.toString(),
+        from,
+        to,
+        actor,
+        at: new Date(),
+      });
+
+      // ✅ job left the active window → participants drop out of the room
+      if (!isChatActive(to)) trackingNsp.in(jobRoom(job._id)).socketsLeave(jobRoom(job._id));
+    },
+  });
+
+  trackingNsp.on("connection", (socket) => {
+    console.log("✅ Tracking socket connected:", socket.user?._id);
+
+    socket.on("tracking:join", async (payload, cb) => {
+      try {
+        const access = await validateTrackingAccess({ user: socket.user, jobId: payload?.jobId });
+
+        if (!access.ok) {
+          if (typeof cb === "function") cb({ ok: false, message: access.message });
+          return;
+        }
+
+        const room = jobRoom(access.job._id);
+        socket.join(room);
+
+        const snapshot = await buildSnapshot(access.job);
+        if (typeof cb === "function") cb({ ok: true, room, snapshot });
+      } catch (err) {
+        console.error("Tracking join error:", err);
+        if (typeof cb === "function") cb({ ok: false, message: "Join failed" });
+      }
+    });
+
+    socket.on("tracking:leave", (payload, cb) => {
+      const jobId = payload?.jobId;
+      if (jobId && mongoose.Types.ObjectId.isValid(jobId)) socket.leave(jobRoom(jobId));
+      if (typeof cb === "function") cb({ ok: true });
+    });
+
+    socket.on("tracking:admin:join", (payload, cb) => {
+      const access = validateAdminLiveMapAccess({
+        user: socket.user,
+        countryCode: payload?.countryCode,
+      });
+
+      if (!access.ok) {
+        if (typeof cb === "function") cb({ ok: false, message: access.message });
+        return;
+      }
+
+      const room = adminRoom(access.countryCode);
+      socket.join(room);
+      if (typeof cb === "function") cb({ ok: true, room });
+    });
+
+    socket.on("disconnect", () => {
+      console.log("🔌 Tracking socket disconnected:", socket.user?._id);
+    });
+  });
+
+  return trackingNsp;
+}
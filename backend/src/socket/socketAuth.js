@@ -0,0 +1,48 @@
+// /backend/src/socket/socketAuth.js
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+import User from "../models/User.js";
+
+/**
+ * ✅ Socket auth middleware (shared by every namespace)
+ * - token from handshake.auth.token or Authorization header
+ * - attaches a lightweight socket.user
+ */
+export async function socketAuthMiddleware(socket, next) {
+  try {
+    const raw = socket?.handshake?.auth?.token || socket?.handshake?.headers?.authorization;
+
+    if (!raw) return next(new Error("Missing token"));
+
+    const token = String(raw).replace("Bearer ", "").trim();
+    if (!token) return next(new Error("Invalid token"));
+
+    const secret = process.env.JWT_SECRET || process.env.SECRET || "dev_secret";
+    const decoded = jwt.verify(token, secret);
+
+    const userId = decoded?.id || decoded?._id || decoded?.userId;
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return next(new Error("Invalid token payload"));
+    }
+
+    const user = await User.findById(userId).select(
+      "_id role name email countryCode permissions accountStatus"
+    );
+    if (!user) return next(new Error("User not found"));
+
+    socket.user = {
+      _id: user._id.toString(),
+      role: user.role,
+      name: user.name || "",
+      email: user.email || "",
+      countryCode: user.countryCode || "ZA",
+      permissions: user.permissions || null,
+      isRestricted: !!(user.accountStatus?.isSuspended || user.accountStatus?.isBanned),
+    };
+
+    return next();
+  } catch (err) {
+    return next(new Error("Unauthorized"));
+  }
+}
@@ -0,0 +1,120 @@
+// backend/src/utils/adminAudit.js
+import AdminAuditLog from "../models/AdminAuditLog.js";
+
+/**
+ * ✅ Admin audit trail (non-financial)
+ *
+ * const before = auditSnapshot(target, ["accountStatus"]);
+ * ...mutate + save...
+ * await logAdminAction(req, { action: "USER_SUSPENDED", entityType: "USER", entityId: target._id,
+ *   countryCode: target.countryCode, before, after: auditSnapshot(target, ["accountStatus"]) });
+ *
+ * Never throws — a failed audit write must not fail the admin action.
+ */
+
+const REDACTED = "[REDACTED]";
+const SECRET_KEY = /^(password|otpcode)$|token$|secret|api_?key|private_?key|access_?key|startpin|biometric/i;
+
+// Mongoose docs / ObjectIds / Dates → plain JSON, secrets masked
+function toPlain(value) {
+  if (value === undefined) return null;
+  const json = JSON.parse(JSON.stringify(value?.toObject ? value.toObject({ depopulate: true }) : value));
+  return redact(json);
+}
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEY.test(k) && v !== null && v !== "" ? REDACTED : redact(v);
+  }
+  return out;
+}
+
+function getPath(obj, path) {
+  return path.split(".").reduce((acc, k) => (acc == null ? undefined : acc[k]), obj);
+}
+
+/**
+ * ✅ Copy selected paths of a document (or the whole thing when paths is empty)
+ */
+export function auditSnapshot(doc, paths = []) {
+  if (!doc) return null;
+  const plain = toPlain(doc);
+  if (!paths.length) return plain;
+
+  const out = {};
+  for (const p of paths) {
+    const v = getPath(plain, p);
+    out[p] = v === undefined ? null : v;
+  }
+  return out;
+}
+
+function flatten(value, prefix = "", out = {}) {
+  if (value && typeof value === "object" && !Array.isArray(value) && Object.keys(value).length > 0) {
+    for (const [k, v] of Object.entries(value)) flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  } else if (prefix) {
+    out[prefix] = value === undefined ? null : value;
+  }
+  return out;
+}
+
+/**
+ * ✅ Flattened before → after diff: [{ path, from, to }]
+ * Arrays compare as a whole value.
+ */
+export function diffAudit(before, after) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const changes = [];
+
+  for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const from = a[path] === undefined ? null : a[path];
+    const to = b[path] === undefined ? null : b[path];
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ path, from, to });
+  }
+
+  return changes.sort((x, y) => x.path.localeCompare(y.path));
+}
+
+export async function logAdminAction(
+  req,
+  { action, entityType, entityId = null, countryCode = null, before = null, after = null, reason = null, meta = null }
+) {
+  try {
+    const b = before ? toPlain(before) : null;
+    const a = after ? toPlain(after) : null;
+
+    const cc =
+      countryCode ||
+      req?.countryCode ||
+      req?.headers?.["x-country-code"] ||
+      req?.user?.countryCode ||
+      "ZA";
+
+    return await AdminAuditLog.create({
+      action,
+      entityType,
+      entityId: entityId ? String(entityId) : null,
+      countryCode: String(cc).toUpperCase(),
+      actor: req?.user?._id || null,
+      actorRole: req?.user?.role || null,
+      actorEmail: req?.user?.email || null,
+      before: b,
+      after: a,
+      changes: diffAudit(b, a),
+      reason: reason || null,
+      meta: meta ? toPlain(meta) : null,
+      method: req?.method || null,
+      path: req?.originalUrl || null,
+      ip: req?.ip || null,
+      userAgent: req?.headers?.["user-agent"] || null,
+    });
+  } catch (err) {
+    console.error("❌ Admin audit logging failed:", err.message);
+    return null;
+  }
+}
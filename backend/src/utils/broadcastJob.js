@@ -1,17 +1,143 @@
 import Job, { JOB_STATUSES } from "../models/Job.js";
-import { sendPushToManyUsers } from "./sendPush.js";
+import { sendPushToManyUsers, sendPushToUser } from "./sendPush.js";
 import { findNearbyProviders } from "./findNearbyProviders.js";
-import { USER_ROLES } from "../models/User.js";
+import User, { USER_ROLES } from "../models/User.js";
+import CountryServiceConfig from "../models/CountryServiceConfig.js";
+import { trackProviderDispatch } from "./providerScoring.js";
+import { ROADSIDE_SERVICES, isRoadsideServiceType } from "./roadsideServices.js";
+import {
+  JOB_ACTORS,
+  getAllowedTransitions,
+  transitionJob,
+} from "../services/jobLifecycle.service.js";
+
+const DEFAULT_DISPATCH = {
+  initialRadiusKm: 20,
+  radiusStepKm: 10,
+  maxRadiusKm: 60,
+  providersPerWave: 10,
+  waveIntervalSeconds: 90,
+  maxWaves: 5,
+  finalTimeoutMinutes: 20,
+};
 
 /**
- * ✅ Broadcast job to nearest 10 matching providers
+ * ✅ Country dispatch-wave settings with safe defaults
+ */
+export async function getDispatchConfig(countryCode) {
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+
+  const cfg = await CountryServiceConfig.findOne({ countryCode: cc }).select("dispatch").lean();
+  const d = cfg?.dispatch || {};
+
+  const pick = (k) => {
+    const n = Number(d[k]);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_DISPATCH[k];
+  };
+
+  return {
+    initialRadiusKm: pick("initialRadiusKm"),
+    radiusStepKm: pick("radiusStepKm"),
+    maxRadiusKm: pick("maxRadiusKm"),
+    providersPerWave: Math.round(pick("providersPerWave")),
+    waveIntervalSeconds: pick("waveIntervalSeconds"),
+    maxWaves: Math.round(pick("maxWaves")),
+    finalTimeoutMinutes: pick("finalTimeoutMinutes"),
+  };
+}
+
+/**
+ * ✅ Radius for a given wave (1-based), capped at maxRadiusKm
+ */
+export function getWaveRadiusMeters(dispatchConfig, wave) {
+  const km = Math.min(
+    dispatchConfig.initialRadiusKm + dispatchConfig.radiusStepKm * Math.max(0, wave - 1),
+    dispatchConfig.maxRadiusKm
+  );
+  return Math.round(km * 1000);
+}
+
+/**
+ * ✅ Scheduled job released → hand it to the provider who pre-accepted it
+ * Returns the provider when assigned, otherwise null (caller broadcasts normally)
+ */
+async function assignPreAcceptedProvider(job) {
+  const providerId = job.schedule?.preAcceptedBy;
+  if (!providerId) return null;
+
+  const provider = await User.findById(providerId).select(
+    "_id name role providerProfile accountStatus"
+  );
+
+  const roadside = isRoadsideServiceType(job.serviceType);
+
+  if (
+    !provider ||
+    provider.role !== job.roleNeeded ||
+    (roadside && !(provider.providerProfile?.roadsideServices || []).includes(job.serviceType)) ||
+    provider.providerProfile?.verificationStatus !== "APPROVED" ||
+    provider.accountStatus?.isSuspended ||
+    provider.accountStatus?.isBanned
+  ) {
+    console.log("⚠️ Pre-accepted provider no longer eligible → broadcasting instead");
+    return null;
+  }
+
+  // same "busy" set as the accept route: mid-job providers must not get the scheduled job
+  const busy = await Job.exists({
+    assignedTo: provider._id,
+    status: { $in: [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS] },
+  });
+  if (busy) {
+    console.log("⚠️ Pre-accepted provider is on another active job → broadcasting instead");
+    return null;
+  }
+
+  // ✅ customer push + email are lifecycle effects
+  await transitionJob(job, JOB_STATUSES.ASSIGNED, {
+    actor: JOB_ACTORS.SYSTEM,
+    reason: "Scheduled job released to pre-accepted provider",
+    set: {
+      assignedTo: provider._id,
+      broadcastedTo: [provider._id],
+      dispatchAttempts: [{ providerId: provider._id, attemptedAt: new Date() }],
+    },
+  });
+
+  await trackProviderDispatch(provider._id, "OFFERED");
+  await trackProviderDispatch(provider._id, "ACCEPTED");
+
+  try {
+    await sendPushToUser({
+      userId: provider._id,
+      title: "📅 Scheduled job starting",
+      body: `${job.title || "TowMech Service"} is now assigned to you.`,
+      data: { open: "job_details", type: "scheduled_job_assigned", jobId: job._id.toString() },
+    });
+  } catch (err) {
+    console.error("⚠️ Scheduled assignment push failed:", err.message);
+  }
+
+  return provider;
+}
+
+/**
+ * ✅ Broadcast job to nearest matching providers (one dispatch wave)
  * ✅ Also sends push notifications (Bolt style)
  *
+ * ✅ Waves:
+ * - wave 1 (default) starts dispatch: radius/limit from CountryServiceConfig.dispatch
+ * - wave N > 1 widens the radius and only notifies providers not reached yet
+ *   (utils/dispatchWaves.js drives these)
+ *
  * ✅ Called from:
  * - routes/payments.js (after booking fee payment)
  * - routes/jobs.js (when insuranceWaived sets booking fee as paid)
+ * - utils/scheduledJobs.js (when a SCHEDULED job reaches its releaseAt)
+ *
+ * ✅ Scheduled jobs are held in SCHEDULED until schedule.releaseAt
  */
-export const broadcastJobToProviders = async (jobId) => {
+export const broadcastJobToProviders = async (jobId, { wave = 1 } = {}) => {
   const job = await Job.findById(jobId);
 
   if (!job) throw new Error("Job not found");
@@ -34,7 +160,44 @@ export const broadcastJobToProviders = async (jobId) => {
     return { message: "Booking fee not paid", providers: [] };
   }
 
-  console.log("✅ Booking fee PAID → broadcasting job");
+  /**
+   * ✅ Scheduled booking: hold until release time
+   */
+  if (job.schedule?.isScheduled && !job.schedule?.releasedAt) {
+    const releaseAt = job.schedule.releaseAt ? new Date(job.schedule.releaseAt) : null;
+
+    if (releaseAt && releaseAt.getTime() > Date.now()) {
+      await transitionJob(job, JOB_STATUSES.SCHEDULED, {
+        actor: JOB_ACTORS.SYSTEM,
+        reason: "Booking fee paid, waiting for release time",
+      });
+
+      console.log("📅 Scheduled job held until:", releaseAt.toISOString());
+      return { message: "Job scheduled", scheduled: true, releaseAt, providers: [] };
+    }
+
+    job.schedule.releasedAt = new Date();
+
+    const preAccepted = await assignPreAcceptedProvider(job);
+    if (preAccepted) {
+      return { message: "Scheduled job assigned to pre-accepted provider", providers: [preAccepted] };
+    }
+  }
+
+  if (wave > 1 && (job.status !== JOB_STATUSES.BROADCASTED || job.assignedTo)) {
+    return { message: "Job no longer open for dispatch", providers: [] };
+  }
+
+  // ✅ e.g. late payment webhook for a job that was already cancelled
+  if (
+    job.status !== JOB_STATUSES.BROADCASTED &&
+    !getAllowedTransitions(job.status, JOB_ACTORS.SYSTEM).includes(JOB_STATUSES.BROADCASTED)
+  ) {
+    console.log(`⛔ Job is ${job.status}. Not broadcasted.`);
+    return { message: `Job is ${job.status}`, providers: [] };
+  }
+
+  console.log(`✅ Booking fee PAID → broadcasting job (wave ${wave})`);
 
   // ✅ Pickup coords from GeoJSON [lng, lat]
   const [pickupLng, pickupLat] = job.pickupLocation?.coordinates || [null, null];
@@ -51,6 +214,12 @@ export const broadcastJobToProviders = async (jobId) => {
   const mechanicCategoryNeeded =
     job.mechanicCategoryNeeded || job.mechanicCategory || null;
 
+  const dispatchConfig = await getDispatchConfig(job.countryCode);
+  const radiusMeters = getWaveRadiusMeters(dispatchConfig, wave);
+
+  // ✅ later waves skip providers already notified (rejecters are in excludedProviders)
+  const alreadyNotified = wave > 1 ? job.broadcastedTo || [] : [];
+
   /**
    * ✅ Find providers using shared helper
    * TowTruck -> towTruckTypeNeeded + vehicleType
@@ -68,12 +237,18 @@ export const broadcastJobToProviders = async (jobId) => {
     // Mechanic filter
     mechanicCategoryNeeded,
 
+    // Roadside capability (providerProfile.roadsideServices)
+    serviceType: job.serviceType,
+
     // ✅ NEW: Insurance filtering
     isInsurance: !!job.insurance?.enabled,
 
-    excludedProviders: job.excludedProviders || [],
-    maxDistanceMeters: 20000,
-    limit: 10,
+    excludedProviders: [...(job.excludedProviders || []), ...alreadyNotified],
+    maxDistanceMeters: radiusMeters,
+    limit: dispatchConfig.providersPerWave,
+
+    // ✅ rank by the country's dispatch score instead of pure distance
+    rankingCountryCode: job.countryCode || "ZA",
   });
 
   console.log("✅ Providers found:", providers.length);
@@ -82,17 +257,66 @@ export const broadcastJobToProviders = async (jobId) => {
     providers.map((p) => p._id.toString())
   );
 
-  // ✅ Save broadcast list + status
-  job.broadcastedTo = providers.map((p) => p._id);
-  job.status = JOB_STATUSES.BROADCASTED;
+  const now = new Date();
+  const nextWaveAt = new Date(now.getTime() + dispatchConfig.waveIntervalSeconds * 1000);
+
+  // ✅ Track dispatch attempts (+ ranking snapshot for admin job detail)
+  const attempts = providers.map((p) => {
+    const ranking = p.$locals?.ranking || null;
+    return {
+      providerId: p._id,
+      attemptedAt: now,
+      wave,
+      radiusMeters,
+      rank: ranking?.rank ?? null,
+      score: ranking?.score ?? null,
+      distanceKm: ranking?.distanceKm ?? null,
+      etaMinutes: ranking?.etaMinutes ?? null,
+      rankingStrategy: ranking?.strategy ?? null,
+      scoreFactors: ranking?.factors ?? null,
+    };
+  });
 
-  // ✅ Track dispatch attempts
-  job.dispatchAttempts = providers.map((p) => ({
-    providerId: p._id,
-    attemptedAt: new Date(),
-  }));
+  if (wave === 1) {
+    // ✅ Save broadcast list + status
+    await transitionJob(job, JOB_STATUSES.BROADCASTED, {
+      actor: JOB_ACTORS.SYSTEM,
+      reason: "Dispatch started",
+      set: {
+        broadcastedTo: providers.map((p) => p._id),
+        dispatchAttempts: attempts,
+        dispatch: {
+          wave: 1,
+          radiusMeters,
+          startedAt: now,
+          lastWaveAt: now,
+          nextWaveAt,
+          gaveUpAt: null,
+        },
+      },
+    });
+  } else {
+    // ✅ Atomic append so a concurrent accept is never overwritten
+    const result = await Job.updateOne(
+      { _id: job._id, status: JOB_STATUSES.BROADCASTED, assignedTo: null },
+      {
+        $addToSet: { broadcastedTo: { $each: providers.map((p) => p._id) } },
+        $push: { dispatchAttempts: { $each: attempts } },
+        $set: {
+          "dispatch.wave": wave,
+          "dispatch.radiusMeters": radiusMeters,
+          "dispatch.lastWaveAt": now,
+          "dispatch.nextWaveAt": nextWaveAt,
+        },
+      }
+    );
 
-  await job.save();
+    if (!result.matchedCount) {
+      return { message: "Job no longer open for dispatch", providers: [] };
+    }
+  }
+
+  await trackProviderDispatch(providers.map((p) => p._id), "OFFERED");
 
   /**
    * ✅ Pricing display logic
@@ -105,7 +329,12 @@ export const broadcastJobToProviders = async (jobId) => {
    * - final fee unknown
    * - totalFee should be 0
    * - providerPayout should be 0 (do not mislead)
+   *
+   * Roadside services (any role): fixed price, shown like TowTruck
    */
+  const roadside = isRoadsideServiceType(job.serviceType);
+  const mechanicFeeUnknown = job.roleNeeded === USER_ROLES.MECHANIC && !roadside;
+
   const bookingFee = Number(job.pricing?.bookingFee || 0);
 
   // Try common total fields safely
@@ -125,13 +354,12 @@ export const broadcastJobToProviders = async (jobId) => {
   const currency = job.pricing?.currency || "ZAR";
 
   // ✅ Force mechanic total to 0 (as requested)
-  const totalFee = job.roleNeeded === USER_ROLES.MECHANIC ? 0 : detectedTotalFee;
+  const totalFee = mechanicFeeUnknown ? 0 : detectedTotalFee;
 
   // ✅ Provider payout:
   // TowTruck: total - bookingFee
   // Mechanic: 0 (final fee decided later)
-  const providerPayout =
-    job.roleNeeded === USER_ROLES.MECHANIC ? 0 : Math.max(0, totalFee - bookingFee);
+  const providerPayout = mechanicFeeUnknown ? 0 : Math.max(0, totalFee - bookingFee);
 
   /**
    * ✅ SEND PUSH NOTIFICATIONS
@@ -150,10 +378,11 @@ export const broadcastJobToProviders = async (jobId) => {
       const isInsurance = !!job.insurance?.enabled;
       const jobTypeText = isInsurance ? "INSURANCE JOB" : "CASH JOB";
 
-      const pushTitle =
-        job.roleNeeded === USER_ROLES.MECHANIC
-          ? `🔧 ${jobTypeText}: New Mechanic Job`
-          : `🚨 ${jobTypeText}: New Job Request`;
+      const pushTitle = roadside
+        ? `🛠️ ${jobTypeText}: New ${ROADSIDE_SERVICES[job.serviceType].label} Job`
+        : job.roleNeeded === USER_ROLES.MECHANIC
+        ? `🔧 ${jobTypeText}: New Mechanic Job`
+        : `🚨 ${jobTypeText}: New Job Request`;
 
       // TowTruck extras
       const towType = job.towTruckTypeNeeded ? `Tow Type: ${job.towTruckTypeNeeded}` : "";
@@ -162,10 +391,15 @@ export const broadcastJobToProviders = async (jobId) => {
       // Mechanic extras
       const mechCategory = mechanicCategoryNeeded ? `Category: ${mechanicCategoryNeeded}` : "";
 
+      // Roadside extras
+      const fuel = job.serviceDetails?.fuelLitres
+        ? `Fuel: ${job.serviceDetails.fuelLitres}L ${job.serviceDetails.fuelType || ""}`.trim()
+        : "";
+
       const pickupText = job.pickupAddressText ? `Pickup: ${job.pickupAddressText}` : "";
 
       const pushBody = `${job.title || "TowMech Service"}\n${[
-        job.roleNeeded === USER_ROLES.MECHANIC ? mechCategory : towType,
+        roadside ? fuel : job.roleNeeded === USER_ROLES.MECHANIC ? mechCategory : towType,
         job.roleNeeded === USER_ROLES.MECHANIC ? "" : vehicle,
         pickupText,
       ]
@@ -191,6 +425,7 @@ export const broadcastJobToProviders = async (jobId) => {
           dropoff: String(job.dropoffAddressText || ""),
 
           roleNeeded: String(job.roleNeeded || ""),
+          serviceType: String(job.serviceType || ""),
 
           // TowTruck
           towTruckTypeNeeded: String(job.towTruckTypeNeeded || ""),
@@ -206,7 +441,7 @@ export const broadcastJobToProviders = async (jobId) => {
           currency: String(currency),
           bookingFee: String(bookingFee),
 
-          // TowTruck only (Mechanic stays 0)
+          // TowTruck + roadside only (Mechanic stays 0)
           totalFee: String(totalFee),
           providerPayout: String(providerPayout),
 
@@ -228,5 +463,5 @@ export const broadcastJobToProviders = async (jobId) => {
     console.error("⚠️ Push notification failed FULL ERROR:", err);
   }
 
-  return { message: "Job broadcasted successfully", providers };
+  return { message: "Job broadcasted successfully", providers, wave, radiusMeters };
 };
\ No newline at end of file
@@ -1,41 +1,100 @@
 // backend/src/utils/calculateJobPricing.js
 import PricingConfig from "../models/PricingConfig.js";
+import Country from "../models/Country.js";
 import { USER_ROLES } from "../models/User.js";
+import { estimateRoute } from "../services/routing/index.js";
+import { getDynamicSurge, getDynamicSurgeConfig } from "./surgePricing.js";
+import { applyZonePricingOverrides, resolveZoneForPoint } from "./serviceZones.js";
+import {
+  isRoadsideServiceType,
+  getRoadsideServicePricing,
+  calculateRoadsideExtras,
+} from "./roadsideServices.js";
+import { getMultiStopRules, sumLegDistanceKm } from "./jobLegs.js";
+import { getTaxRules, buildPricingTax } from "./taxEngine.js";
+
+const DEFAULT_TIMEZONE = "Africa/Johannesburg";
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
 
 /**
- * ✅ Haversine distance fallback (KM)
+ * ✅ Country timezone (Country.timezone)
  */
-const haversineDistanceKm = (lat1, lng1, lat2, lng2) => {
-  const toRad = (value) => (value * Math.PI) / 180;
-  const R = 6371;
+async function getCountryTimezone(countryCode) {
+  const country = await Country.findOne({ code: countryCode }).select("timezone").lean();
+  return country?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * ✅ Wall-clock time in a timezone (NOT the server clock)
+ * Unknown timezone names fall back to DEFAULT_TIMEZONE.
+ */
+function getLocalClock(at, timeZone) {
+  const build = (tz) =>
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      weekday: "short",
+    });
+
+  let tz = timeZone || DEFAULT_TIMEZONE;
+  let fmt;
+  try {
+    fmt = build(tz);
+  } catch {
+    tz = DEFAULT_TIMEZONE;
+    fmt = build(tz);
+  }
 
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
+  const parts = Object.fromEntries(fmt.formatToParts(at).map((p) => [p.type, p.value]));
 
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLng / 2) ** 2;
+  return {
+    timeZone: tz,
+    hour: Number(parts.hour),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+/**
+ * ✅ Night / Weekend checker (country-local)
+ * Night: nightStartHour → nightEndHour (default 20:00 - 06:00, wraps midnight)
+ * Weekend: weekendDays (default Saturday & Sunday)
+ */
+const isNightTime = (clock, rules) => {
+  const start = Number(rules?.nightStartHour ?? 20);
+  const end = Number(rules?.nightEndHour ?? 6);
+  if (start === end) return false;
+
+  return start > end
+    ? clock.hour >= start || clock.hour < end
+    : clock.hour >= start && clock.hour < end;
+};
 
-  return Math.round(R * c * 10) / 10;
+const isWeekend = (clock, rules) => {
+  const days = Array.isArray(rules?.weekendDays) ? rules.weekendDays : [0, 6];
+  return days.map(Number).includes(clock.weekday);
 };
 
 /**
- * ✅ Night / Weekend checker
- * Night: 20:00 - 06:00
- * Weekend: Saturday & Sunday
+ * ✅ Public holiday lookup (PricingConfig.holidayCalendar)
+ * recurring holidays match on MM-DD only
  */
-const isNightTime = () => {
-  const hour = new Date().getHours();
-  return hour >= 20 || hour < 6;
-};
+const findHoliday = (clock, calendar) => {
+  if (!calendar || calendar.enabled === false) return null;
 
-const isWeekend = () => {
-  const day = new Date().getDay();
-  return day === 0 || day === 6; // Sunday or Saturday
+  const holidays = Array.isArray(calendar.holidays) ? calendar.holidays : [];
+  const monthDay = clock.dateKey.slice(5);
+
+  return (
+    holidays.find(
+      (h) => h?.date === clock.dateKey || (h?.recurring && String(h.date || "").slice(5) === monthDay)
+    ) || null
+  );
 };
 
 /**
@@ -83,14 +142,55 @@ export const calculateJobPricing = async ({
   vehicleType,
   distanceKm,
 
+  // ✅ pre-computed drive route (services/routing) — avoids re-routing per tow type
+  route = null,
+
+  // ✅ multi-stop tow legs (utils/jobLegs.js buildJobLegs) — replaces route / distanceKm
+  legs = null,
+
   // ✅ NEW: accept both names to avoid breaking callers
   mechanicCategoryNeeded = null,
   mechanicCategory = null,
 
   // ✅ NEW: country isolation (do NOT break old callers)
   countryCode = null,
+
+  // ✅ when the service happens (scheduled bookings); defaults to now
+  serviceAt = null,
+
+  // ✅ pickup zone (utils/serviceZones.js); undefined = resolve from pickup point
+  zone = undefined,
+
+  // ✅ light roadside services (Job.serviceType / Job.serviceDetails)
+  serviceType = null,
+  serviceDetails = null,
 }) => {
-  const pricingConfig = await getLatestPricingConfig(countryCode);
+  const pickupZone =
+    zone !== undefined
+      ? zone
+      : await resolveZoneForPoint({
+          countryCode: normalizeCountryCode(countryCode),
+          lat: pickupLat,
+          lng: pickupLng,
+        });
+
+  // ✅ zone pricing overrides win over the country config
+  const pricingConfig = applyZonePricingOverrides(
+    await getLatestPricingConfig(countryCode),
+    pickupZone
+  );
+
+  // ✅ surcharges use the job country's local time
+  const clock = getLocalClock(
+    serviceAt ? new Date(serviceAt) : new Date(),
+    await getCountryTimezone(normalizeCountryCode(countryCode))
+  );
+
+  const surchargeRules = pricingConfig.surchargeRules || {};
+  const holiday = findHoliday(clock, pricingConfig.holidayCalendar);
+  const night = isNightTime(clock, surchargeRules);
+  // holiday fee replaces the weekend fee (no double surcharge)
+  const weekend = !holiday && isWeekend(clock, surchargeRules);
 
   const currency = pricingConfig.currency || "ZAR";
 
@@ -131,23 +231,45 @@ export const calculateJobPricing = async ({
     providerPricing?.weekendFee ??
     0;
 
-  // ✅ distance calc (TowTruck only)
+  const holidayFee =
+    towTypePricing?.holidayFee ??
+    providerPricing?.holidayFee ??
+    0;
+
+  // ✅ distance calc (TowTruck only) — drive distance via services/routing
   let estimatedDistanceKm = 0;
+  let estimatedDurationMinutes = null;
+  let distanceSource = null;
+
+  const multiStop = roleNeeded === USER_ROLES.TOW_TRUCK && Array.isArray(legs) && legs.length > 0;
 
-  if (
+  if (multiStop) {
+    estimatedDistanceKm = sumLegDistanceKm(legs);
+    estimatedDurationMinutes = legs.every((l) => l.durationMinutes != null)
+      ? Number(legs.reduce((sum, l) => sum + Number(l.durationMinutes), 0).toFixed(1))
+      : null;
+    distanceSource = legs[0].distanceSource ?? null;
+  } else if (
     roleNeeded === USER_ROLES.TOW_TRUCK &&
     dropoffLat !== undefined &&
     dropoffLng !== undefined
   ) {
     if (distanceKm !== undefined && distanceKm !== null) {
       estimatedDistanceKm = Number(distanceKm);
+      estimatedDurationMinutes = route?.durationMinutes ?? null;
+      distanceSource = route?.source ?? "INPUT";
     } else {
-      estimatedDistanceKm = haversineDistanceKm(
-        pickupLat,
-        pickupLng,
-        dropoffLat,
-        dropoffLng
-      );
+      const r =
+        route ||
+        (await estimateRoute({
+          from: { lat: pickupLat, lng: pickupLng },
+          to: { lat: dropoffLat, lng: dropoffLng },
+          countryCode: normalizeCountryCode(countryCode),
+        }));
+
+      estimatedDistanceKm = r ? Math.round(r.distanceKm * 10) / 10 : 0;
+      estimatedDurationMinutes = r?.durationMinutes ?? null;
+      distanceSource = r?.source ?? null;
     }
   }
 
@@ -169,8 +291,32 @@ export const calculateJobPricing = async ({
       ? pricingConfig.surgePricing?.towTruckMultiplier || 1
       : pricingConfig.surgePricing?.mechanicMultiplier || 1;
 
-  const applyNightFee = isNightTime() ? nightFee : 0;
-  const applyWeekendFee = isWeekend() ? weekendFee : 0;
+  // ✅ Dynamic surge (supply vs demand around pickup), stacked on the static multiplier
+  const dynamicSurge = surgeEnabled
+    ? await getDynamicSurge({
+        countryCode: normalizeCountryCode(countryCode),
+        roleNeeded,
+        lat: pickupLat,
+        lng: pickupLng,
+        pricingConfig,
+        zone: pickupZone,
+      })
+    : null;
+
+  const dynamicMultiplier = dynamicSurge?.multiplier || 1;
+  const maxSurgeMultiplier = getDynamicSurgeConfig(pricingConfig).maxMultiplier;
+
+  // cap never undercuts the static multiplier the dashboard set
+  const effectiveSurgeMultiplier = surgeEnabled
+    ? Math.min(surgeMultiplier * dynamicMultiplier, Math.max(surgeMultiplier, maxSurgeMultiplier))
+    : 1;
+
+  const applyNightFee = night ? nightFee : 0;
+  const applyWeekendFee = weekend ? weekendFee : 0;
+  const applyHolidayFee = holiday ? holidayFee : 0;
+
+  // ✅ multi-stop: flat fee per intermediate stop
+  const stopFee = multiStop ? getMultiStopRules(pricingConfig).perStopFee * (legs.length - 1) : 0;
 
   /**
    * ✅ TowTruck estimated total (existing)
@@ -178,11 +324,33 @@ export const calculateJobPricing = async ({
   const towTruckEstimatedTotal =
     (baseFee +
       perKmFee * estimatedDistanceKm +
+      stopFee +
       applyNightFee +
-      applyWeekendFee) *
+      applyWeekendFee +
+      applyHolidayFee) *
     towMult *
     vehicleMult *
-    (surgeEnabled ? surgeMultiplier : 1);
+    effectiveSurgeMultiplier;
+
+  /**
+   * ✅ Per-leg price share (per-km part of the tow, same multipliers)
+   * Single tow with a dropoff = one leg.
+   */
+  const legMultiplier = towMult * vehicleMult * effectiveSurgeMultiplier;
+
+  const legsToPrice = multiStop
+    ? legs
+    : roleNeeded === USER_ROLES.TOW_TRUCK && estimatedDistanceKm > 0
+    ? [{ sequence: 0, distanceKm: estimatedDistanceKm, durationMinutes: estimatedDurationMinutes, distanceSource }]
+    : [];
+
+  const pricedLegs = legsToPrice.map((l) => ({
+    sequence: l.sequence,
+    distanceKm: l.distanceKm,
+    durationMinutes: l.durationMinutes ?? null,
+    distanceSource: l.distanceSource ?? null,
+    amount: Math.round(perKmFee * Number(l.distanceKm || 0) * legMultiplier),
+  }));
 
   /**
    * ============================================================
@@ -227,6 +395,11 @@ export const calculateJobPricing = async ({
       ? providerPricing.weekendFee
       : 0;
 
+  const providerMechHoliday =
+    typeof providerPricing?.holidayFee === "number"
+      ? providerPricing.holidayFee
+      : 0;
+
   const mechanicNight =
     typeof mechanicCategoryPricing?.nightFee === "number"
       ? mechanicCategoryPricing.nightFee
@@ -237,6 +410,11 @@ export const calculateJobPricing = async ({
       ? mechanicCategoryPricing.weekendFee
       : providerMechWeekend;
 
+  const mechanicHoliday =
+    typeof mechanicCategoryPricing?.holidayFee === "number"
+      ? mechanicCategoryPricing.holidayFee
+      : providerMechHoliday;
+
   const fallbackMechanicFixed =
     providerMechBase ??
     (typeof pricingConfig.bookingFees?.mechanicFixed === "number"
@@ -245,13 +423,47 @@ export const calculateJobPricing = async ({
 
   const mechanicBaseToUse = categoryBase ?? fallbackMechanicFixed;
 
+  // same cap as the tow surge
+  const mechanicStaticMultiplier = pricingConfig.surgePricing?.mechanicBookingFeeMultiplier || 1;
+  const mechanicMultiplier = Math.min(
+    mechanicStaticMultiplier * dynamicMultiplier,
+    Math.max(mechanicStaticMultiplier, maxSurgeMultiplier)
+  );
+
   const mechanicBookingFee = Math.round(
     (mechanicBaseToUse +
-      (isNightTime() ? mechanicNight : 0) +
-      (isWeekend() ? mechanicWeekend : 0)) *
-      (pricingConfig.surgePricing?.mechanicBookingFeeMultiplier || 1)
+      (night ? mechanicNight : 0) +
+      (weekend ? mechanicWeekend : 0) +
+      (holiday ? mechanicHoliday : 0)) *
+      mechanicMultiplier
   );
 
+  /**
+   * ============================================================
+   * ✅ Light roadside services (fixed call-out price, no distance)
+   * ============================================================
+   */
+  const roadside = isRoadsideServiceType(serviceType);
+  const roadsidePricing = roadside ? getRoadsideServicePricing(pricingConfig, serviceType) : null;
+  const roadsideFee = (k) => (typeof roadsidePricing?.[k] === "number" ? roadsidePricing[k] : 0);
+
+  const roadsideExtras = roadside
+    ? calculateRoadsideExtras({ serviceType, serviceDetails, pricingConfig })
+    : 0;
+
+  const roadsideEstimatedTotal = roadside
+    ? (roadsideFee("baseFee") +
+        roadsideExtras +
+        (night ? roadsideFee("nightFee") : 0) +
+        (weekend ? roadsideFee("weekendFee") : 0) +
+        (holiday ? roadsideFee("holidayFee") : 0)) *
+      vehicleMult *
+      effectiveSurgeMultiplier
+    : 0;
+
+  const roadsideBookingPercent = pricingConfig.bookingFees?.roadsidePercent || 15;
+  const roadsideCompanyPercent = pricingConfig.payoutSplit?.roadsideCompanyPercent || 15;
+
   /**
    * ✅ Booking fee for TowTruck (existing)
    */
@@ -264,39 +476,70 @@ export const calculateJobPricing = async ({
   const towTruckCompanyPercent =
     pricingConfig.payoutSplit?.towTruckCompanyPercent || 15;
 
-  const commissionAmount =
-    roleNeeded === USER_ROLES.TOW_TRUCK
-      ? Math.round((towTruckEstimatedTotal * towTruckCompanyPercent) / 100)
-      : 0;
+  const commissionAmount = roadside
+    ? Math.round((roadsideEstimatedTotal * roadsideCompanyPercent) / 100)
+    : roleNeeded === USER_ROLES.TOW_TRUCK
+    ? Math.round((towTruckEstimatedTotal * towTruckCompanyPercent) / 100)
+    : 0;
 
-  const providerAmountDue =
-    roleNeeded === USER_ROLES.TOW_TRUCK
-      ? Math.max(Math.round(towTruckEstimatedTotal) - commissionAmount, 0)
-      : 0;
+  const providerAmountDue = roadside
+    ? Math.max(Math.round(roadsideEstimatedTotal) - commissionAmount, 0)
+    : roleNeeded === USER_ROLES.TOW_TRUCK
+    ? Math.max(Math.round(towTruckEstimatedTotal) - commissionAmount, 0)
+    : 0;
 
   /**
    * ✅ Final response
    */
-  const estimatedTotal =
-    roleNeeded === USER_ROLES.TOW_TRUCK ? Math.round(towTruckEstimatedTotal) : 0;
-
-  const bookingFee =
-    roleNeeded === USER_ROLES.TOW_TRUCK ? towTruckBookingFee : mechanicBookingFee;
+  const estimatedTotal = roadside
+    ? Math.round(roadsideEstimatedTotal)
+    : roleNeeded === USER_ROLES.TOW_TRUCK
+    ? Math.round(towTruckEstimatedTotal)
+    : 0;
+
+  const bookingFee = roadside
+    ? Math.round((roadsideEstimatedTotal * roadsideBookingPercent) / 100)
+    : roleNeeded === USER_ROLES.TOW_TRUCK
+    ? towTruckBookingFee
+    : mechanicBookingFee;
 
   return {
     currency,
 
-    baseFee,
-    perKmFee,
+    // ✅ which PricingConfig version produced this quote (models/ConfigVersion.js)
+    configVersion: pricingConfig.configVersion ?? null,
+
+    serviceType: serviceType || null,
+
+    baseFee: roadside ? roadsideFee("baseFee") : baseFee,
+    perKmFee: roadside ? 0 : perKmFee,
+    extrasAmount: Math.round(roadsideExtras),
 
-    nightFeeApplied: applyNightFee,
-    weekendFeeApplied: applyWeekendFee,
+    nightFeeApplied: roadside ? (night ? roadsideFee("nightFee") : 0) : applyNightFee,
+    weekendFeeApplied: roadside ? (weekend ? roadsideFee("weekendFee") : 0) : applyWeekendFee,
+    holidayFeeApplied: roadside ? (holiday ? roadsideFee("holidayFee") : 0) : applyHolidayFee,
+    holiday: holiday ? { date: holiday.date, name: holiday.name || null } : null,
+    surchargeTimezone: clock.timeZone,
 
     estimatedDistanceKm,
+    estimatedDurationMinutes,
+    distanceSource,
+
+    stopFee: Math.round(stopFee * legMultiplier),
+    legs: pricedLegs,
 
     towTruckTypeMultiplier: towMult,
     vehicleTypeMultiplier: vehicleMult,
-    surgeMultiplier: surgeEnabled ? surgeMultiplier : 1,
+    surgeMultiplier: effectiveSurgeMultiplier,
+    surge: {
+      dynamicMultiplier,
+      areaType: dynamicSurge?.areaType ?? null,
+      areaKey: dynamicSurge?.areaKey ?? null,
+      demand: dynamicSurge?.demand ?? null,
+      supply: dynamicSurge?.supply ?? null,
+      snapshotId: dynamicSurge?.snapshotId ?? null,
+      computedAt: dynamicSurge?.computedAt ?? null,
+    },
 
     estimatedTotal,
     bookingFee,
@@ -304,7 +547,12 @@ export const calculateJobPricing = async ({
     commissionAmount,
     providerAmountDue,
 
+    // ✅ VAT on booking fee / commission + provider withholding (country taxRules)
+    tax: buildPricingTax({ bookingFee, commissionAmount, providerAmountDue }, getTaxRules(pricingConfig)),
+
     // ✅ FIX: return the actual mechanic category used (or null)
     mechanicCategory: categoryKey,
+
+    zone: pickupZone ? { _id: pickupZone._id, name: pickupZone.name } : null,
   };
 };
\ No newline at end of file
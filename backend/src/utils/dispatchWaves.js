@@ -0,0 +1,139 @@
+// backend/src/utils/dispatchWaves.js
+import Job, { JOB_STATUSES } from "../models/Job.js";
+import PricingConfig from "../models/PricingConfig.js";
+import Notification from "../models/Notification.js";
+import { broadcastJobToProviders, getDispatchConfig } from "./broadcastJob.js";
+import { sendPushToUser, sendCancelJobToManyUsers } from "./sendPush.js";
+import { settleJobPaymentOnCancel } from "../services/payments/bookingFeeRefund.js";
+import { JOB_ACTORS, transitionJobAtomic } from "../services/jobLifecycle.service.js";
+
+const NO_PROVIDER_REASON = "no_provider_found_timeout";
+
+async function isNoProviderRefundAllowed(countryCode) {
+  const cfg = await PricingConfig.findOne({ countryCode }).select("refundRules").lean();
+  const v = cfg?.refundRules?.bookingFeeRefundableIfNoProviderFound;
+  return typeof v === "boolean" ? v : true;
+}
+
+/**
+ * ✅ Final timeout reached: cancel job, refund booking fee, release banners
+ */
+async function giveUpOnJob(jobId) {
+  const now = new Date();
+
+  // ✅ insurance code unlock + chat close are lifecycle effects
+  const job = await transitionJobAtomic(jobId, JOB_STATUSES.CANCELLED, {
+    actor: JOB_ACTORS.SYSTEM,
+    reason: "No provider accepted the job in time",
+    filter: { status: JOB_STATUSES.BROADCASTED, assignedTo: null },
+    set: {
+      "dispatch.gaveUpAt": now,
+      "dispatch.nextWaveAt": null,
+    },
+  });
+
+  // accepted (or cancelled) in the meantime
+  if (!job) return false;
+
+  const bookingFeePaid = String(job.pricing?.bookingFeeStatus || "").toUpperCase() === "PAID";
+  const refund = bookingFeePaid && (await isNoProviderRefundAllowed(job.countryCode));
+
+  // the refund queue moves bookingFeeStatus to REFUND_REQUESTED only for refunds it really queued
+  let refundQueued = false;
+  try {
+    const { refundAttempts } = await settleJobPaymentOnCancel({ job, refund, reason: NO_PROVIDER_REASON });
+    refundQueued = refundAttempts.some((a) => a.ok);
+  } catch (err) {
+    console.error(`[DISPATCH] Refund failed for job ${job._id}:`, err.message);
+  }
+
+  const title = "No provider available";
+  const body = refundQueued
+    ? "We could not find a provider for your request. Your booking fee will be refunded."
+    : "We could not find a provider for your request. Please try again later.";
+
+  try {
+    await sendPushToUser({
+      userId: job.customer,
+      title,
+      body,
+      data: { open: "job_details", type: "job_cancelled", jobId: job._id.toString(), reason: NO_PROVIDER_REASON },
+    });
+
+    await Notification.create({
+      userId: job.customer,
+      title,
+      body,
+      type: "JOB_UPDATE",
+      data: { jobId: job._id.toString() },
+    });
+
+    const notified = (job.broadcastedTo || []).map(String);
+    if (notified.length > 0) {
+      await sendCancelJobToManyUsers({ userIds: notified, jobId: job._id, reason: "job_expired" });
+    }
+  } catch (err) {
+    console.error(`[DISPATCH] Give-up notify failed for job ${job._id}:`, err.message);
+  }
+
+  return true;
+}
+
+/**
+ * ✅ Run dispatch waves (called from server.js on an interval)
+ * - widens the radius wave by wave for BROADCASTED jobs nobody accepted
+ * - after maxWaves, waits for finalTimeoutMinutes then gives up + refunds
+ */
+export async function runDispatchWaves() {
+  const now = new Date();
+
+  const jobs = await Job.find({
+    status: JOB_STATUSES.BROADCASTED,
+    assignedTo: null,
+    "dispatch.nextWaveAt": { $lte: now },
+  })
+    .select("_id countryCode dispatch updatedAt")
+    .limit(50);
+
+  const configByCountry = new Map();
+  let waves = 0;
+  let gaveUp = 0;
+
+  for (const job of jobs) {
+    try {
+      const cc = job.countryCode || "ZA";
+      if (!configByCountry.has(cc)) configByCountry.set(cc, await getDispatchConfig(cc));
+      const cfg = configByCountry.get(cc);
+
+      const startedAt = new Date(job.dispatch?.startedAt || job.updatedAt);
+      const giveUpAt = new Date(startedAt.getTime() + cfg.finalTimeoutMinutes * 60 * 1000);
+
+      if (now >= giveUpAt) {
+        if (await giveUpOnJob(job._id)) gaveUp += 1;
+        continue;
+      }
+
+      const currentWave = Number(job.dispatch?.wave || 1);
+
+      if (currentWave >= cfg.maxWaves) {
+        // ✅ no more waves: sleep until final timeout
+        await Job.updateOne(
+          { _id: job._id, status: JOB_STATUSES.BROADCASTED },
+          { $set: { "dispatch.nextWaveAt": giveUpAt } }
+        );
+        continue;
+      }
+
+      const result = await broadcastJobToProviders(job._id, { wave: currentWave + 1 });
+      waves += 1;
+
+      console.log(
+        `[DISPATCH] Job ${job._id} wave ${currentWave + 1}: +${result?.providers?.length || 0} providers`
+      );
+    } catch (err) {
+      console.error(`[DISPATCH] Wave failed for job ${job._id}:`, err.message);
+    }
+  }
+
+  return { waves, gaveUp };
+}
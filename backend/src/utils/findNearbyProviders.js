@@ -1,6 +1,9 @@
 // utils/findNearbyProviders.js
 import User, { USER_ROLES } from "../models/User.js";
 import Job, { JOB_STATUSES } from "../models/Job.js";
+import { getRankingConfig, rankProviders } from "./providerScoring.js";
+import { estimateRoutesToPoint, getRoutingConfig } from "../services/routing/index.js";
+import { isRoadsideServiceType } from "./roadsideServices.js";
 
 /**
  * ✅ Haversine Distance (km)
@@ -34,9 +37,18 @@ function haversineDistanceKm(lat1, lng1, lat2, lng2) {
  * ✅ Adds Mechanic category filtering:
  * - mechanicCategoryNeeded -> providerProfile.mechanicCategories
  *
+ * ✅ Roadside services (jump start, fuel delivery, ...):
+ * - serviceType -> providerProfile.roadsideServices (provider must opt in)
+ *
  * ✅ Broadcast rules retained with a fix:
  * - The "IN_PROGRESS + >3km from dropoff" rule ONLY applies to TowTruck,
  *   because mechanic jobs typically have no dropoffLocation.
+ *
+ * ✅ Ranking:
+ * - default: nearest first (geo order)
+ * - rankingCountryCode set: ranked by the country's dispatch score
+ *   (utils/providerScoring.js), breakdown on provider.$locals.ranking
+ *   distance factor uses drive distance from services/routing
  */
 export const findNearbyProviders = async ({
   roleNeeded,
@@ -45,12 +57,14 @@ export const findNearbyProviders = async ({
 
   towTruckTypeNeeded = undefined,
   mechanicCategoryNeeded = undefined, // ✅ NEW
+  serviceType = null,
 
   vehicleType = null,
   isInsurance = false, // ✅ NEW
   excludedProviders = [],
   maxDistanceMeters = 20000,
   limit = 10,
+  rankingCountryCode = null,
 }) => {
   if (pickupLat === undefined || pickupLng === undefined) {
     console.log("❌ findNearbyProviders: Missing pickup coordinates");
@@ -123,6 +137,13 @@ export const findNearbyProviders = async ({
     }
   }
 
+  /**
+   * ✅ Roadside capability filter
+   */
+  if (isRoadsideServiceType(serviceType)) {
+    providerQuery["providerProfile.roadsideServices"] = serviceType;
+  }
+
   console.log("✅ findNearbyProviders QUERY:", providerQuery);
 
   // ✅ Fetch more than limit, then filter out “busy” providers safely
@@ -142,7 +163,7 @@ export const findNearbyProviders = async ({
   // ✅ Pull active jobs for these providers in one query
   const providerIds = preProviders.map((p) => p._id);
 
-  const activeStatuses = [JOB_STATUSES.ASSIGNED, JOB_STATUSES.IN_PROGRESS];
+  const activeStatuses = [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS];
 
   const activeJobs = await Job.find({
     assignedTo: { $in: providerIds },
@@ -165,7 +186,8 @@ export const findNearbyProviders = async ({
 
     const bucket = jobsByProvider.get(pid);
 
-    if (j.status === JOB_STATUSES.ASSIGNED) bucket.assignedCount += 1;
+    // ✅ ARRIVED = still waiting at pickup, counts like ASSIGNED
+    if ([JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED].includes(j.status)) bucket.assignedCount += 1;
 
     if (j.status === JOB_STATUSES.IN_PROGRESS) {
       bucket.inProgressCount += 1;
@@ -236,5 +258,30 @@ export const findNearbyProviders = async ({
 
   console.log("✅ Providers found (eligible):", eligible.length);
 
-  return eligible.slice(0, limit);
+  if (!rankingCountryCode) return eligible.slice(0, limit);
+
+  const rankingConfig = await getRankingConfig(rankingCountryCode);
+  const routingConfig = await getRoutingConfig(rankingCountryCode);
+
+  const routes = await estimateRoutesToPoint({
+    origins: eligible.map((p) => ({
+      id: p._id.toString(),
+      lat: p.providerProfile?.location?.coordinates?.[1],
+      lng: p.providerProfile?.location?.coordinates?.[0],
+    })),
+    destination: { lat: pickupLat, lng: pickupLng },
+    config: routingConfig,
+  });
+
+  const ranked = rankProviders({
+    providers: eligible,
+    pickupLat,
+    pickupLng,
+    // search radius is straight-line; the road equivalent is longer
+    maxDistanceMeters: maxDistanceMeters * routingConfig.detourFactor,
+    config: rankingConfig,
+    routes,
+  });
+
+  return ranked.slice(0, limit);
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+// backend/src/utils/jobArrival.js
+import crypto from "crypto";
+import CountryServiceConfig from "../models/CountryServiceConfig.js";
+import PricingConfig from "../models/PricingConfig.js";
+
+const DEFAULT_ARRIVAL = {
+  geofenceMeters: 150,
+  maxLocationAgeSeconds: 120,
+  maxPinAttempts: 5,
+};
+
+const DEFAULT_WAIT_TIME = {
+  enabled: true,
+  freeMinutes: 10,
+  perMinuteFee: 5,
+  maxBillableMinutes: 120,
+};
+
+const START_PIN_LENGTH = 4;
+
+/**
+ * ✅ Country arrival settings with safe defaults
+ */
+export async function getArrivalConfig(countryCode) {
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+
+  const cfg = await CountryServiceConfig.findOne({ countryCode: cc }).select("arrival").lean();
+  const a = cfg?.arrival || {};
+
+  const pick = (k) => {
+    const n = Number(a[k]);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_ARRIVAL[k];
+  };
+
+  return {
+    geofenceMeters: pick("geofenceMeters"),
+    maxLocationAgeSeconds: pick("maxLocationAgeSeconds"),
+    maxPinAttempts: Math.round(pick("maxPinAttempts")),
+  };
+}
+
+/**
+ * ✅ One-time numeric start PIN (shown to the customer)
+ */
+export function generateStartPin() {
+  return String(crypto.randomInt(0, 10 ** START_PIN_LENGTH)).padStart(START_PIN_LENGTH, "0");
+}
+
+/**
+ * ✅ Constant-time PIN comparison
+ */
+export function isStartPinMatch(expected, given) {
+  const a = Buffer.from(String(expected || ""));
+  const b = Buffer.from(String(given || "").trim());
+  if (a.length === 0 || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * ✅ Wait-time charge from arrival to start
+ * Returns the job.waitTime block (+ amount for pricing.waitTimeFee)
+ */
+export async function computeWaitTime({ countryCode, startedAt, endedAt = new Date() }) {
+  const cfg = await PricingConfig.findOne({ countryCode: String(countryCode || "ZA").toUpperCase() })
+    .select("waitTimeRules")
+    .lean();
+
+  const r = { ...DEFAULT_WAIT_TIME, ...(cfg?.waitTimeRules || {}) };
+
+  const minutes = startedAt
+    ? Math.max(0, Math.floor((new Date(endedAt).getTime() - new Date(startedAt).getTime()) / 60000))
+    : 0;
+
+  const billableMinutes = r.enabled
+    ? Math.min(Math.max(0, minutes - Number(r.freeMinutes || 0)), Number(r.maxBillableMinutes || 0))
+    : 0;
+
+  const perMinuteFee = Number(r.perMinuteFee || 0);
+
+  return {
+    startedAt: startedAt || null,
+    endedAt,
+    minutes,
+    freeMinutes: Number(r.freeMinutes || 0),
+    billableMinutes,
+    perMinuteFee,
+    amount: Number((billableMinutes * perMinuteFee).toFixed(2)),
+  };
+}
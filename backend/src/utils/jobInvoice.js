@@ -0,0 +1,242 @@
+// backend/src/utils/jobInvoice.js
+import Job, {
+  JOB_STATUSES,
+  PAYMENT_MODES,
+  INVOICE_ITEM_TYPES,
+  INVOICE_ITEM_STATUSES,
+} from "../models/Job.js";
+
+/**
+ * ✅ Itemised final invoice (PAY_AFTER_COMPLETION jobs)
+ * Provider adds parts / labour / waiting / toll lines while IN_PROGRESS,
+ * customer approves or rejects each line, COMPLETED waits for every decision.
+ */
+
+const MAX_INVOICE_ITEMS = 30;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const round = (n, dp = 2) => Number(Number(n).toFixed(dp));
+
+const DEFAULT_DESCRIPTIONS = {
+  [INVOICE_ITEM_TYPES.LABOUR]: "Labour",
+  [INVOICE_ITEM_TYPES.WAITING]: "Waiting time",
+  [INVOICE_ITEM_TYPES.TOLL]: "Toll fee",
+};
+
+/**
+ * ✅ Validate a provider line: { type, description?, quantity?, unitPrice }
+ * Returns { ok, item } or { ok:false, status, code, message }
+ */
+export function normalizeInvoiceItem(input) {
+  const invalid = (message) => ({ ok: false, status: 400, code: "INVALID_INVOICE_ITEM", message });
+  const body = input && typeof input === "object" ? input : {};
+
+  const type = String(body.type || "").trim().toUpperCase();
+  if (!Object.values(INVOICE_ITEM_TYPES).includes(type)) {
+    return invalid(`type must be one of: ${Object.values(INVOICE_ITEM_TYPES).join(", ")}`);
+  }
+
+  const description = String(body.description || DEFAULT_DESCRIPTIONS[type] || "").trim();
+  if (!description) return invalid("description is required for parts");
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return invalid(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  const quantity = body.quantity === undefined || body.quantity === null ? 1 : Number(body.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) return invalid("quantity must be greater than 0");
+
+  const unitPrice = Number(body.unitPrice);
+  if (!Number.isFinite(unitPrice) || unitPrice <= 0) return invalid("unitPrice must be greater than 0");
+
+  return {
+    ok: true,
+    item: {
+      type,
+      description,
+      quantity: round(quantity),
+      unitPrice: round(unitPrice),
+      amount: round(quantity * unitPrice),
+    },
+  };
+}
+
+/**
+ * ✅ Approved lines + totals for emails, PDFs and the completion guard
+ */
+export function summarizeInvoiceItems(job) {
+  const items = job?.invoiceItems || [];
+  const approvedItems = items.filter((i) => i.status === INVOICE_ITEM_STATUSES.APPROVED);
+
+  return {
+    currency: job?.pricing?.currency || "ZAR",
+    approvedItems,
+    approvedTotal: round(approvedItems.reduce((sum, i) => sum + (Number(i.amount) || 0), 0)),
+    pendingCount: items.filter((i) => i.status === INVOICE_ITEM_STATUSES.PENDING).length,
+  };
+}
+
+// pricing.approvedExtrasTotal recomputed in the same write (no read-modify-write race)
+const APPROVED_TOTAL_PIPELINE = [
+  {
+    $set: {
+      "pricing.approvedExtrasTotal": {
+        $round: [
+          {
+            $sum: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: "$invoiceItems",
+                    cond: { $eq: ["$$this.status", INVOICE_ITEM_STATUSES.APPROVED] },
+                  },
+                },
+                in: "$$this.amount",
+              },
+            },
+          },
+          2,
+        ],
+      },
+    },
+  },
+];
+
+function editableJobError(job, userField, userId) {
+  if (!job) return { ok: false, status: 404, code: "JOB_NOT_FOUND", message: "Job not found" };
+
+  if (job[userField]?.toString() !== userId.toString()) {
+    return { ok: false, status: 403, code: "NOT_ALLOWED", message: "Not allowed: job not yours" };
+  }
+
+  if (job.paymentMode !== PAYMENT_MODES.PAY_AFTER_COMPLETION) {
+    return {
+      ok: false,
+      status: 400,
+      code: "INVOICE_ITEMS_NOT_SUPPORTED",
+      message: "Invoice extras are only used on pay-after-completion jobs",
+    };
+  }
+
+  if (job.status !== JOB_STATUSES.IN_PROGRESS) {
+    return {
+      ok: false,
+      status: 409,
+      code: "JOB_NOT_IN_PROGRESS",
+      message: "Invoice extras can only change while the job is IN_PROGRESS",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * ✅ Provider adds a PENDING line
+ * Returns { ok, job, item } or { ok:false, status, code, message }
+ */
+export async function addJobInvoiceItem({ jobId, providerId, input }) {
+  const parsed = normalizeInvoiceItem(input);
+  if (!parsed.ok) return parsed;
+
+  const current = await Job.findById(jobId).select("assignedTo paymentMode status invoiceItems").lean();
+  const error = editableJobError(current, "assignedTo", providerId);
+  if (error) return error;
+
+  if ((current.invoiceItems || []).length >= MAX_INVOICE_ITEMS) {
+    return {
+      ok: false,
+      status: 400,
+      code: "INVOICE_ITEMS_LIMIT",
+      message: `A job can have at most ${MAX_INVOICE_ITEMS} invoice lines`,
+    };
+  }
+
+  const item = {
+    ...parsed.item,
+    status: INVOICE_ITEM_STATUSES.PENDING,
+    addedBy: providerId,
+    addedAt: new Date(),
+  };
+
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, assignedTo: providerId, status: JOB_STATUSES.IN_PROGRESS },
+    { $push: { invoiceItems: item } },
+    { new: true }
+  );
+
+  if (!job) {
+    return { ok: false, status: 409, code: "JOB_NOT_IN_PROGRESS", message: "Job is no longer IN_PROGRESS" };
+  }
+
+  return { ok: true, job, item: job.invoiceItems[job.invoiceItems.length - 1] };
+}
+
+/**
+ * ✅ Provider withdraws a line the customer has not decided yet
+ */
+export async function removeJobInvoiceItem({ jobId, providerId, itemId }) {
+  const current = await Job.findById(jobId).select("assignedTo paymentMode status").lean();
+  const error = editableJobError(current, "assignedTo", providerId);
+  if (error) return error;
+
+  const job = await Job.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: JOB_STATUSES.IN_PROGRESS,
+      invoiceItems: { $elemMatch: { _id: itemId, status: INVOICE_ITEM_STATUSES.PENDING } },
+    },
+    { $pull: { invoiceItems: { _id: itemId } } },
+    { new: true }
+  );
+
+  if (!job) {
+    return {
+      ok: false,
+      status: 409,
+      code: "INVOICE_ITEM_NOT_PENDING",
+      message: "Only lines still waiting for the customer can be removed",
+    };
+  }
+
+  return { ok: true, job };
+}
+
+/**
+ * ✅ Customer approves / rejects a PENDING line
+ * Returns { ok, job, item } or { ok:false, status, code, message }
+ */
+export async function decideJobInvoiceItem({ jobId, customerId, itemId, approve, reason = null }) {
+  const current = await Job.findById(jobId).select("customer paymentMode status").lean();
+  const error = editableJobError(current, "customer", customerId);
+  if (error) return error;
+
+  const decided = await Job.updateOne(
+    {
+      _id: jobId,
+      status: JOB_STATUSES.IN_PROGRESS,
+      invoiceItems: { $elemMatch: { _id: itemId, status: INVOICE_ITEM_STATUSES.PENDING } },
+    },
+    {
+      $set: {
+        "invoiceItems.$.status": approve ? INVOICE_ITEM_STATUSES.APPROVED : INVOICE_ITEM_STATUSES.REJECTED,
+        "invoiceItems.$.decidedAt": new Date(),
+        "invoiceItems.$.rejectReason": approve ? null : reason ? String(reason).trim() : null,
+      },
+    }
+  );
+
+  if (!decided.modifiedCount) {
+    return {
+      ok: false,
+      status: 409,
+      code: "INVOICE_ITEM_NOT_PENDING",
+      message: "This line was already decided or no longer exists",
+    };
+  }
+
+  await Job.updateOne({ _id: jobId }, APPROVED_TOTAL_PIPELINE);
+
+  const job = await Job.findById(jobId);
+  const item = job.invoiceItems.find((i) => i._id.toString() === String(itemId)) || null;
+
+  return { ok: true, job, item };
+}
@@ -0,0 +1,192 @@
+// backend/src/utils/jobLegs.js
+import Job, { JOB_STATUSES, LEG_STATUSES } from "../models/Job.js";
+import { estimateRoute, getRoutingConfig } from "../services/routing/index.js";
+
+/**
+ * ✅ Multi-stop tows
+ * pickup → waypoints[0] → … → dropoff, one leg per hop.
+ * Legs are priced in calculateJobPricing and completed in order by the provider.
+ */
+
+const DEFAULT_MULTI_STOP = {
+  enabled: true,
+  maxWaypoints: 3,
+  perStopFee: 0,
+};
+
+const round = (n, dp = 2) => Number(Number(n).toFixed(dp));
+
+const legPoint = (p) => ({
+  lat: Number(p.lat),
+  lng: Number(p.lng),
+  addressText: p.addressText || null,
+  label: p.label || null,
+});
+
+/**
+ * ✅ Multi-stop settings (PricingConfig.multiStopRules) with safe defaults
+ */
+export function getMultiStopRules(pricingConfig) {
+  const r = pricingConfig?.multiStopRules || {};
+
+  const maxWaypoints = Number(r.maxWaypoints);
+  const perStopFee = Number(r.perStopFee);
+
+  return {
+    enabled: r.enabled !== false,
+    maxWaypoints:
+      Number.isFinite(maxWaypoints) && maxWaypoints >= 0
+        ? Math.floor(maxWaypoints)
+        : DEFAULT_MULTI_STOP.maxWaypoints,
+    perStopFee: Number.isFinite(perStopFee) && perStopFee > 0 ? perStopFee : 0,
+  };
+}
+
+/**
+ * ✅ Validate request waypoints: [{ lat, lng, addressText?, label? }]
+ * Returns { ok, waypoints } or { ok:false, status, code, message }
+ */
+export function normalizeWaypoints(input, pricingConfig) {
+  if (input === undefined || input === null) return { ok: true, waypoints: [] };
+
+  const invalid = (message) => ({ ok: false, status: 400, code: "INVALID_WAYPOINTS", message });
+
+  if (!Array.isArray(input)) return invalid("waypoints must be an array");
+  if (input.length === 0) return { ok: true, waypoints: [] };
+
+  const rules = getMultiStopRules(pricingConfig);
+
+  if (!rules.enabled) {
+    return {
+      ok: false,
+      status: 403,
+      code: "MULTI_STOP_DISABLED",
+      message: "Multi-stop tows are disabled in this country.",
+    };
+  }
+
+  if (input.length > rules.maxWaypoints) {
+    return invalid(`A tow can have at most ${rules.maxWaypoints} intermediate stops`);
+  }
+
+  const waypoints = [];
+
+  for (const [i, w] of input.entries()) {
+    const lat = Number(w?.lat);
+    const lng = Number(w?.lng);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return invalid(`waypoints[${i}] needs a valid lat and lng`);
+    }
+
+    waypoints.push({
+      lat,
+      lng,
+      addressText: w.addressText ? String(w.addressText).trim() : null,
+      label: w.label ? String(w.label).trim() : null,
+    });
+  }
+
+  return { ok: true, waypoints };
+}
+
+/**
+ * ✅ Drive legs for pickup → waypoints → dropoff (services/routing)
+ * Returns [{ sequence, from, to, distanceKm, durationMinutes, distanceSource }]
+ */
+export async function buildJobLegs({ pickup, waypoints = [], dropoff, countryCode }) {
+  const points = [pickup, ...waypoints, dropoff];
+  const config = await getRoutingConfig(countryCode);
+
+  const legs = [];
+
+  for (let i = 0; i < points.length - 1; i += 1) {
+    const from = points[i];
+    const to = points[i + 1];
+
+    const route = await estimateRoute({ from, to, countryCode, config });
+
+    legs.push({
+      sequence: i,
+      from: legPoint(from),
+      to: legPoint(to),
+      distanceKm: route ? round(route.distanceKm, 1) : 0,
+      durationMinutes: route?.durationMinutes ?? null,
+      distanceSource: route?.source ?? null,
+    });
+  }
+
+  return legs;
+}
+
+export function sumLegDistanceKm(legs) {
+  return round((legs || []).reduce((sum, l) => sum + (Number(l.distanceKm) || 0), 0), 1);
+}
+
+/**
+ * ✅ Job fields for a priced multi-stop tow
+ * pricedLegs = calculateJobPricing().legs (same sequence numbers)
+ */
+export function buildJobLegFields({ legs, pricedLegs = [], waypoints = [] }) {
+  const amountBySequence = new Map((pricedLegs || []).map((l) => [l.sequence, l.amount]));
+
+  return {
+    waypoints: waypoints.map((w) => ({
+      location: { type: "Point", coordinates: [w.lng, w.lat] },
+      addressText: w.addressText,
+      label: w.label,
+    })),
+    legs: (legs || []).map((l) => ({
+      ...l,
+      amount: amountBySequence.get(l.sequence) ?? 0,
+      status: LEG_STATUSES.PENDING,
+      startedAt: null,
+      completedAt: null,
+    })),
+  };
+}
+
+/**
+ * ✅ Provider finished the current leg → next leg starts
+ * Returns { ok, job, nextLeg } or { ok:false, status, code, message }
+ */
+export async function completeJobLeg({ jobId, providerId, sequence }) {
+  const seq = Number(sequence);
+  const now = new Date();
+
+  const job = await Job.findOneAndUpdate(
+    {
+      _id: jobId,
+      assignedTo: providerId,
+      status: JOB_STATUSES.IN_PROGRESS,
+      legs: { $elemMatch: { sequence: seq, status: LEG_STATUSES.IN_PROGRESS } },
+    },
+    {
+      $set: {
+        "legs.$[done].status": LEG_STATUSES.COMPLETED,
+        "legs.$[done].completedAt": now,
+        "legs.$[next].status": LEG_STATUSES.IN_PROGRESS,
+        "legs.$[next].startedAt": now,
+      },
+    },
+    {
+      new: true,
+      arrayFilters: [
+        { "done.sequence": seq },
+        { "next.sequence": seq + 1, "next.status": LEG_STATUSES.PENDING },
+      ],
+    }
+  );
+
+  if (!job) {
+    return {
+      ok: false,
+      status: 409,
+      code: "LEG_NOT_IN_PROGRESS",
+      message: "This leg is not the current leg of your in-progress job",
+    };
+  }
+
+  const nextLeg = job.legs.find((l) => l.status === LEG_STATUSES.IN_PROGRESS) || null;
+  return { ok: true, job, nextLeg };
+}
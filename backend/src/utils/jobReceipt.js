@@ -0,0 +1,112 @@
+// backend/src/utils/jobReceipt.js
+import Job from "../models/Job.js";
+import InvoiceCounter from "../models/InvoiceCounter.js";
+import { summarizeInvoiceItems } from "./jobInvoice.js";
+import { getCountryTaxRules, applyTax, jobTaxRules } from "./taxEngine.js";
+
+/**
+ * ✅ Customer receipts / tax invoices per job
+ * Lines: booking fee (paid to TowMech), provider amount, wait time, approved extras.
+ * Tax uses the job's pricing.tax rates (utils/taxEngine.js), else the country's current rules.
+ */
+
+const round = (n, dp = 2) => Number(Number(n).toFixed(dp));
+
+export const RECEIPT_PAID_TO = {
+  TOWMECH: "TOWMECH",
+  PROVIDER: "PROVIDER",
+};
+
+/**
+ * ✅ Receipt lines + totals for a job (no DB access)
+ * labelKey = i18n key for the standard lines; extras carry the provider's description.
+ * taxRules = the country's current rules (registration number, fallback rates)
+ */
+export function buildJobReceipt({ job, taxRules }) {
+  const pricing = job?.pricing || {};
+  const rules = { ...jobTaxRules(job, taxRules), registrationNumber: taxRules?.registrationNumber || null };
+  const { approvedItems } = summarizeInvoiceItems(job);
+  const insured = !!job?.insurance?.enabled; // booking fee waived, insurer settles the rest
+
+  const lines = [];
+  const push = ({ taxable = true, ...line }) => {
+    if (!(Number(line.amount) > 0)) return;
+    lines.push({ ...line, ...applyTax(line.amount, rules, taxable) });
+  };
+
+  push({
+    labelKey: "receipt.booking_fee",
+    amount: insured ? 0 : pricing.bookingFee,
+    paidTo: RECEIPT_PAID_TO.TOWMECH,
+    taxable: rules.vatOnBookingFee,
+  });
+
+  push({
+    labelKey: "receipt.provider_amount",
+    amount: pricing.providerAmountDue,
+    paidTo: RECEIPT_PAID_TO.PROVIDER,
+  });
+
+  push({
+    labelKey: "receipt.wait_time_fee",
+    amount: pricing.waitTimeFee,
+    paidTo: RECEIPT_PAID_TO.PROVIDER,
+  });
+
+  for (const item of approvedItems) {
+    push({
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      amount: item.amount,
+      paidTo: RECEIPT_PAID_TO.PROVIDER,
+    });
+  }
+
+  const sum = (k) => round(lines.reduce((s, l) => s + (Number(l[k]) || 0), 0));
+
+  return {
+    currency: pricing.currency || "ZAR",
+    tax: rules,
+    lines,
+    subtotal: sum("net"),
+    taxAmount: sum("tax"),
+    total: sum("gross"),
+    insured,
+  };
+}
+
+/**
+ * ✅ Issue the job's invoice number once: <prefix>-<CC>-<000001>
+ * A concurrent issue for the same job loses the race and leaves a gap in the sequence.
+ */
+export async function issueJobInvoiceNumber(job, taxRules = null) {
+  if (job?.receipt?.invoiceNumber) return job.receipt;
+
+  const cc = String(job.countryCode || "ZA").trim().toUpperCase();
+
+  const rules = taxRules || (await getCountryTaxRules(cc));
+
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { countryCode: cc },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const receipt = {
+    invoiceNumber: `${rules.invoicePrefix}-${cc}-${String(counter.seq).padStart(6, "0")}`,
+    sequence: counter.seq,
+    issuedAt: new Date(),
+  };
+
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, "receipt.invoiceNumber": null },
+    { $set: { receipt } },
+    { new: true }
+  ).select("receipt");
+
+  if (updated) return updated.receipt;
+
+  const existing = await Job.findById(job._id).select("receipt").lean();
+  return existing?.receipt || null;
+}
@@ -0,0 +1,90 @@
+// backend/src/utils/jobTracking.js
+import Job, { JOB_STATUSES, LEG_STATUSES } from "../models/Job.js";
+import { emitJobTracking } from "../socket/jobTrackingSocket.js";
+import { estimateRoute } from "../services/routing/index.js";
+import { monitorTripProgress } from "../services/safety/tripMonitor.js";
+
+const TRACKED_STATUSES = [JOB_STATUSES.ASSIGNED, JOB_STATUSES.ARRIVED, JOB_STATUSES.IN_PROGRESS];
+
+/**
+ * ✅ ETA target depends on the leg:
+ * ASSIGNED → pickup, IN_PROGRESS → current leg's stop / dropoff (tow only), ARRIVED → none
+ */
+function resolveEtaTarget(job) {
+  if (job.status === JOB_STATUSES.ASSIGNED) {
+    return { target: "PICKUP", coords: job.pickupLocation?.coordinates };
+  }
+
+  const leg = (job.legs || []).find((l) => l.status === LEG_STATUSES.IN_PROGRESS);
+  if (job.status === JOB_STATUSES.IN_PROGRESS && leg) {
+    const last = leg.sequence === job.legs.length - 1;
+    return {
+      target: last ? "DROPOFF" : "STOP",
+      legSequence: leg.sequence,
+      coords: [leg.to.lng, leg.to.lat],
+    };
+  }
+
+  if (job.status === JOB_STATUSES.IN_PROGRESS && job.dropoffLocation?.coordinates?.length >= 2) {
+    return { target: "DROPOFF", coords: job.dropoffLocation.coordinates };
+  }
+
+  return null;
+}
+
+/**
+ * ✅ Drive ETA for the current leg (services/routing)
+ */
+export async function estimateJobEta(job, { lat, lng }) {
+  const t = resolveEtaTarget(job);
+  if (!t || !Array.isArray(t.coords) || t.coords.length < 2) return null;
+
+  const route = await estimateRoute({
+    from: { lat, lng },
+    to: { lat: Number(t.coords[1]), lng: Number(t.coords[0]) },
+    countryCode: job.countryCode,
+  });
+  if (!route) return null;
+
+  return {
+    target: t.target,
+    ...(t.legSequence !== undefined ? { legSequence: t.legSequence } : {}),
+    distanceKm: route.distanceKm,
+    etaMinutes: Math.max(1, Math.ceil(route.durationMinutes)),
+    source: route.source,
+  };
+}
+
+/**
+ * ✅ Push a provider GPS update to whoever tracks their active job
+ * Returns the tracked job id (or null when the provider has no active job)
+ */
+export async function publishProviderLocation(providerId, { lat, lng, at = new Date() }) {
+  const job = await Job.findOne({ assignedTo: providerId, status: { $in: TRACKED_STATUSES } })
+    .select("_id status customer countryCode pickupLocation dropoffLocation legs tripMonitor")
+    .sort({ updatedAt: -1 });
+
+  if (!job) return null;
+
+  const jobId = job._id.toString();
+
+  emitJobTracking(job, "tracking:location", {
+    jobId,
+    providerId: providerId.toString(),
+    lat,
+    lng,
+    at,
+  });
+
+  const eta = await estimateJobEta(job, { lat, lng });
+  if (eta) emitJobTracking(job, "tracking:eta", { jobId, ...eta, at });
+
+  // ✅ safety: stops / deviations / heading away while towing
+  try {
+    await monitorTripProgress(job, { lat, lng, at });
+  } catch (err) {
+    console.error("⚠️ Trip monitor failed:", err.message);
+  }
+
+  return jobId;
+}
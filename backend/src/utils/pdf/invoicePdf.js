@@ -6,6 +6,7 @@ import PDFDocument from "pdfkit";
  * - Partner invoice (gross claim - no deductions)
  * - Providers owed summary (tabulated by provider)
  * - Provider detailed statement (job breakdown)
+ * Approved provider extras (parts, labour, ...) are itemised under the job table.
  */
 
 function money(n) {
@@ -135,7 +136,7 @@ function totalsPanel(doc, title, lines) {
   const { left, right } = pageBox(doc);
   const boxW = right - left;
   const boxY = doc.y;
-  const boxH = 78;
+  const boxH = Math.max(78, 36 + lines.length * 14);
 
   doc.save();
   doc.fillColor("#FFFFFF");
@@ -259,6 +260,45 @@ function drawTable(doc, columns, rows) {
   doc.y = y + 12;
 }
 
+/**
+ * ✅ Itemised approved extras (one row per invoice line) for jobs that have any
+ */
+function drawExtrasSection(doc, jobs) {
+  const rows = [];
+  for (const j of jobs || []) {
+    for (const x of j?.extras || []) {
+      rows.push({
+        shortId: j.shortId,
+        type: x.type,
+        description: safe(x.description),
+        quantity: safe(x.quantity),
+        unitPrice: money(x.unitPrice),
+        amount: money(x.amount),
+      });
+    }
+  }
+
+  if (!rows.length) return;
+
+  doc.save();
+  doc.font("Helvetica-Bold").fontSize(12).fillColor("#111827").text("Approved Extras", pageBox(doc).left);
+  doc.restore();
+  doc.moveDown(0.4);
+
+  drawTable(
+    doc,
+    [
+      { key: "shortId", label: "Job", width: 70 },
+      { key: "type", label: "Type", width: 80 },
+      { key: "description", label: "Description", width: 330 },
+      { key: "quantity", label: "Qty", width: 60, align: "right" },
+      { key: "unitPrice", label: "Unit", width: 90, align: "right" },
+      { key: "amount", label: "Amount", width: 90, align: "right" },
+    ],
+    rows
+  );
+}
+
 function bufferFromDoc(doc) {
   return new Promise((resolve, reject) => {
     const chunks = [];
@@ -284,6 +324,7 @@ export async function renderPartnerInvoicePdfBuffer(invoice) {
     `Gross total (partner owes): ${money(t.totalPartnerAmountDue)} ${currency}`,
     `(Info) Booking fee waived: ${money(t.totalBookingFeeWaived)} ${currency}`,
     `(Info) Commission total: ${money(t.totalCommission)} ${currency}`,
+    `(Info) ${safe(t.tax?.label || "VAT")} on commission: ${money(t.tax?.totalCommissionTax)} ${currency}`,
   ]);
 
   amountCalloutRight(doc, "TOTAL AMOUNT DUE", `${money(t.totalPartnerAmountDue)} ${currency}`);
@@ -299,6 +340,7 @@ export async function renderPartnerInvoicePdfBuffer(invoice) {
     provider: it?.provider?.name || "-",
     pickup: safe(it.pickupAddressText || "-"),
     dropoff: safe(it.dropoffAddressText || "-"),
+    extras: money(it?.pricing?.extrasTotal),
     gross: money(it?.pricing?.estimatedTotal),
     code: it?.insurance?.code || "-",
   }));
@@ -309,14 +351,17 @@ export async function renderPartnerInvoicePdfBuffer(invoice) {
       { key: "shortId", label: "Job", width: 70 },
       { key: "createdAt", label: "Date", width: 80 },
       { key: "provider", label: "Provider", width: 140 },
-      { key: "pickup", label: "Pickup", width: 190 },
-      { key: "dropoff", label: "Dropoff", width: 190 },
+      { key: "pickup", label: "Pickup", width: 160 },
+      { key: "dropoff", label: "Dropoff", width: 160 },
+      { key: "extras", label: "Extras", width: 60, align: "right" },
       { key: "gross", label: "Gross", width: 70, align: "right" },
       { key: "code", label: "Ins Code", width: 80 },
     ],
     rows
   );
 
+  drawExtrasSection(doc, invoice?.items);
+
   doc.save();
   doc.font("Helvetica-Bold").fontSize(12).fillColor("#111827").text(
     `TOTAL AMOUNT DUE: ${money(t.totalPartnerAmountDue)} ${currency}`,
@@ -341,6 +386,8 @@ export async function renderProvidersSummaryPdfBuffer(invoice) {
     `Total jobs: ${safe(t.totalJobs)}`,
     `Total provider amount due (NET): ${money(t.totalProviderAmountDue)} ${currency}`,
     `(Info) Total commission/booking fee: ${money(t.totalCommission)} ${currency}`,
+    `Withholding: ${money(t.tax?.totalProviderWithholding)} ${currency}`,
+    `Payable after withholding: ${money(t.tax?.totalProviderNetAfterWithholding ?? t.totalProviderAmountDue)} ${currency}`,
   ]);
 
   amountCalloutRight(doc, "TOTAL NET DUE (ALL PROVIDERS)", `${money(t.totalProviderAmountDue)} ${currency}`);
@@ -445,6 +492,8 @@ export async function renderProviderDetailPdfBuffer(invoice, providerId) {
     `Gross total: ${money(providerBlock?.grossTotal)} ${currency}`,
     `Commission (booking fee): ${money(providerBlock?.commissionTotal)} ${currency}`,
     `Net amount due: ${money(providerBlock?.netTotalDue)} ${currency}`,
+    `Withholding: ${money(providerBlock?.withholdingTotal)} ${currency}`,
+    `Payable after withholding: ${money(providerBlock?.netAfterWithholding ?? providerBlock?.netTotalDue)} ${currency}`,
   ]);
 
   doc.save();
@@ -458,6 +507,7 @@ export async function renderProviderDetailPdfBuffer(invoice, providerId) {
     status: j.status,
     pickup: safe(j.pickupAddressText || "-"),
     dropoff: safe(j.dropoffAddressText || "-"),
+    extras: money(j.extrasTotal),
     gross: money(j.estimatedTotal),
     comm: money(j.commissionAmount),
     net: money(j.providerAmountDue),
@@ -470,8 +520,9 @@ export async function renderProviderDetailPdfBuffer(invoice, providerId) {
       { key: "shortId", label: "Job", width: 70 },
       { key: "createdAt", label: "Date", width: 85 },
       { key: "status", label: "Status", width: 90 },
-      { key: "pickup", label: "Pickup", width: 185 },
-      { key: "dropoff", label: "Dropoff", width: 185 },
+      { key: "pickup", label: "Pickup", width: 155 },
+      { key: "dropoff", label: "Dropoff", width: 155 },
+      { key: "extras", label: "Extras", width: 60, align: "right" },
       { key: "gross", label: "Gross", width: 70, align: "right" },
       { key: "comm", label: "Comm", width: 70, align: "right" },
       { key: "net", label: "Net", width: 70, align: "right" },
@@ -480,6 +531,8 @@ export async function renderProviderDetailPdfBuffer(invoice, providerId) {
     jobs
   );
 
+  drawExtrasSection(doc, providerBlock?.jobs);
+
   doc.save();
   doc.font("Helvetica-Bold").fontSize(12).fillColor("#111827").text(
     `NET AMOUNT DUE: ${money(providerBlock?.netTotalDue)} ${currency}`,
@@ -87,6 +87,12 @@ export async function renderProviderStatementPdfBuffer(payout) {
   doc.font("Helvetica-Bold").text("Total Earnings", left + 10, currentY);
   doc.text(`${money(insuranceTotal + cashTotal)} ${payout.currency}`, left + 300, currentY, { align: "right", width: width - 310 });
 
+  if (payout.withheldAmount) {
+    currentY += 18;
+    doc.font("Helvetica").text("Withholding (insurance jobs)", left + 10, currentY);
+    doc.text(`-${money(payout.withheldAmount)} ${payout.currency}`, left + 300, currentY, { align: "right", width: width - 310 });
+  }
+
   doc.y = currentY + 40;
 
   // Job List
@@ -128,7 +134,7 @@ export async function renderProviderStatementPdfBuffer(payout) {
 
   doc.fillColor("#FFFFFF").font("Helvetica-Bold").fontSize(10);
   doc.text("PAYABLE BY TOWMECH", left + width - 185, footerY + 12);
-  doc.fontSize(16).text(`${money(payout.totalAmount)} ${payout.currency}`, left + width - 185, footerY + 28);
+  doc.fontSize(16).text(`${money(payout.netAmount ?? payout.totalAmount)} ${payout.currency}`, left + width - 185, footerY + 28);
 
   return new Promise((resolve, reject) => {
     const chunks = [];
@@ -0,0 +1,164 @@
+// backend/src/utils/pdf/receiptPdf.js
+import PDFDocument from "pdfkit";
+
+/**
+ * ✅ Customer receipt / tax invoice for one job (Portrait)
+ * Labels come from the caller's translator: t(key, vars)
+ */
+
+function money(n) {
+  const v = Number(n || 0) || 0;
+  return v.toFixed(2);
+}
+
+function safe(s) {
+  return s === null || s === undefined ? "" : String(s);
+}
+
+function ymd(d) {
+  if (!d) return "";
+  try {
+    const dt = new Date(d);
+    return dt.toISOString().slice(0, 10);
+  } catch { return ""; }
+}
+
+function createDoc(title) {
+  return new PDFDocument({ size: "A4", margin: 40, info: { Title: title, Author: "TowMech" } });
+}
+
+function drawRoundedRect(doc, x, y, w, h, r = 8) {
+  return doc.roundedRect(x, y, w, h, r);
+}
+
+/**
+ * @param {object} args
+ * @param {object} args.job      Job with customer / assignedTo populated (name)
+ * @param {object} args.receipt  buildJobReceipt() result
+ * @param {object} args.invoice  Job.receipt { invoiceNumber, issuedAt }
+ * @param {Function} args.t      translator (key, vars) → string
+ */
+export async function renderJobReceiptPdfBuffer({ job, receipt, invoice, t }) {
+  const tax = receipt.tax || {};
+  const taxVars = { label: tax.label, rate: tax.ratePercent };
+  const title = tax.enabled ? t("receipt.title") : t("receipt.title_no_tax");
+
+  const doc = createDoc(title);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const currency = safe(receipt.currency);
+
+  // Header
+  doc.font("Helvetica-Bold").fontSize(20).fillColor("#111827").text("TowMech", left, 40);
+  doc.font("Helvetica").fontSize(10).fillColor("#6B7280").text(title, left, 65);
+  if (tax.enabled && tax.registrationNumber) {
+    doc.text(`${t("receipt.tax_number", taxVars)}: ${tax.registrationNumber}`, left, 78);
+  }
+
+  doc.moveDown(2);
+
+  // Meta Box
+  const boxY = doc.y;
+  doc.save();
+  doc.fillColor("#F9FAFB");
+  drawRoundedRect(doc, left, boxY, width, 78, 10).fill();
+  doc.restore();
+
+  doc.fillColor("#111827").fontSize(10);
+  doc.font("Helvetica-Bold").text(t("receipt.invoice_number"), left + 15, boxY + 15);
+  doc.font("Helvetica").text(safe(invoice?.invoiceNumber), left + 15, boxY + 28);
+  doc.text(`${t("receipt.date")}: ${ymd(job.completedAt || invoice?.issuedAt)}`, left + 15, boxY + 44);
+  doc.text(`${t("receipt.job")}: ${safe(job._id).slice(-8).toUpperCase()}`, left + 15, boxY + 56);
+
+  const rightX = left + width / 2;
+  doc.text(`${t("receipt.customer")}: ${safe(job.customer?.name)}`, rightX, boxY + 15);
+  doc.text(`${t("receipt.provider")}: ${safe(job.assignedTo?.name)}`, rightX, boxY + 28);
+  doc.text(`${t("receipt.service")}: ${safe(job.serviceType || job.roleNeeded)}`, rightX, boxY + 44);
+
+  doc.y = boxY + 98;
+
+  // Lines
+  const cols = tax.enabled
+    ? [
+        { label: t("receipt.description"), x: 0, w: 0.4 },
+        { label: t("receipt.paid_to"), x: 0.4, w: 0.15 },
+        { label: t("receipt.net"), x: 0.55, w: 0.15, right: true },
+        { label: t("receipt.tax", taxVars), x: 0.7, w: 0.15, right: true },
+        { label: t("receipt.amount"), x: 0.85, w: 0.15, right: true },
+      ]
+    : [
+        { label: t("receipt.description"), x: 0, w: 0.6 },
+        { label: t("receipt.paid_to"), x: 0.6, w: 0.2 },
+        { label: t("receipt.amount"), x: 0.8, w: 0.2, right: true },
+      ];
+
+  const row = (values, y) => {
+    cols.forEach((c, i) => {
+      doc.text(values[i], left + c.x * width, y, {
+        width: c.w * width - 6,
+        align: c.right ? "right" : "left",
+      });
+    });
+  };
+
+  doc.font("Helvetica-Bold").fontSize(10);
+  row(cols.map((c) => c.label), doc.y);
+  doc.moveDown(0.5);
+  doc.save().moveTo(left, doc.y).lineTo(left + width, doc.y).stroke("#111827").restore();
+  doc.moveDown(0.3);
+
+  doc.font("Helvetica").fontSize(9);
+  receipt.lines.forEach((l) => {
+    if (doc.y > 740) { doc.addPage(); doc.y = 40; }
+
+    const y = doc.y;
+    const description = l.labelKey
+      ? t(l.labelKey)
+      : `${safe(l.description)}${l.quantity && l.quantity !== 1 ? ` (${l.quantity} × ${money(l.unitPrice)})` : ""}`;
+    const paidTo = l.paidTo === "TOWMECH" ? t("receipt.paid_to_towmech") : t("receipt.paid_to_provider");
+
+    row(
+      tax.enabled
+        ? [description, paidTo, money(l.net), money(l.tax), money(l.gross)]
+        : [description, paidTo, money(l.gross)],
+      y
+    );
+    doc.moveDown(1);
+  });
+
+  doc.save().moveTo(left, doc.y).lineTo(left + width, doc.y).stroke("#E5E7EB").restore();
+  doc.moveDown(0.5);
+
+  // Totals
+  const totalsX = left + width * 0.5;
+  const totalsW = width * 0.5;
+  const totalLine = (label, value, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    doc.text(label, totalsX, y, { width: totalsW * 0.6 });
+    doc.text(`${money(value)} ${currency}`, totalsX + totalsW * 0.6, y, { width: totalsW * 0.4, align: "right" });
+    doc.moveDown(0.4);
+  };
+
+  if (tax.enabled) {
+    totalLine(t("receipt.subtotal", taxVars), receipt.subtotal);
+    totalLine(t("receipt.tax_total", taxVars), receipt.taxAmount);
+  }
+  totalLine(t("receipt.total"), receipt.total, true);
+
+  if (receipt.insured) {
+    doc.moveDown(1);
+    doc.font("Helvetica").fontSize(9).fillColor("#6B7280").text(t("receipt.insured"), left, doc.y, { width });
+  }
+
+  doc.moveDown(2);
+  doc.font("Helvetica").fontSize(9).fillColor("#6B7280").text(t("receipt.footer"), left, doc.y, { width, align: "center" });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
@@ -0,0 +1,246 @@
+// backend/src/utils/providerScoring.js
+import User from "../models/User.js";
+import CountryServiceConfig from "../models/CountryServiceConfig.js";
+import { getProviderRatingSummary } from "../services/rating.service.js";
+
+/**
+ * ✅ Provider ranking for dispatch
+ *
+ * Every factor scores 0..1 (higher = better) and the final score is the
+ * weighted average using per-country weights (CountryServiceConfig.ranking).
+ *
+ * Add a factor by registering it in SCORE_FACTORS and giving it a default weight.
+ */
+
+export const RANKING_STRATEGIES = {
+  WEIGHTED: "WEIGHTED", // weighted multi-factor score
+  DISTANCE: "DISTANCE", // legacy: nearest first
+};
+
+const DEFAULT_RANKING = {
+  strategy: RANKING_STRATEGIES.WEIGHTED,
+  weights: {
+    distance: 0.5,
+    rating: 0.2,
+    acceptance: 0.1,
+    reliability: 0.1,
+    idle: 0.1,
+  },
+  // providers with fewer ratings get a neutral rating score
+  minRatingsForScore: 3,
+  // idle time beyond this counts as fully idle
+  idleCapMinutes: 240,
+};
+
+const NEUTRAL = 0.5;
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+const round = (n, dp = 3) => Number(Number(n).toFixed(dp));
+
+function haversineDistanceKm(lat1, lng1, lat2, lng2) {
+  const toRad = (v) => (v * Math.PI) / 180;
+
+  const R = 6371;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function providerDistanceKm(provider, pickupLat, pickupLng) {
+  const coords = provider?.providerProfile?.location?.coordinates;
+  if (!Array.isArray(coords) || coords.length < 2) return null;
+
+  const lng = Number(coords[0]);
+  const lat = Number(coords[1]);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  return haversineDistanceKm(lat, lng, pickupLat, pickupLng);
+}
+
+/**
+ * ✅ Score factors
+ * Each returns { score (0..1), value (raw, for admin explanations) }
+ */
+const SCORE_FACTORS = {
+  distance: ({ distanceKm, maxDistanceKm }) => {
+    if (distanceKm == null) return { score: 0, value: null };
+    return {
+      score: clamp01(1 - distanceKm / Math.max(maxDistanceKm, 0.1)),
+      value: round(distanceKm, 2),
+    };
+  },
+
+  rating: ({ provider, config }) => {
+    const { avg, count } = getProviderRatingSummary(provider);
+    if (count < config.minRatingsForScore) return { score: NEUTRAL, value: avg || null };
+    return { score: clamp01((avg - 1) / 4), value: avg };
+  },
+
+  // Laplace smoothing: new providers start at 0.5 instead of 0 or 1
+  acceptance: ({ stats }) => {
+    const rate = (stats.accepted + 1) / (stats.offered + 2);
+    return { score: clamp01(rate), value: stats.offered ? round(stats.accepted / stats.offered) : null };
+  },
+
+  reliability: ({ stats }) => {
+    const rate = stats.cancelled / (stats.accepted + 2);
+    return {
+      score: clamp01(1 - rate),
+      value: stats.accepted ? round(stats.cancelled / stats.accepted) : null,
+    };
+  },
+
+  // longer without a job → higher (spreads work across the fleet)
+  idle: ({ stats, config, now }) => {
+    if (!stats.lastJobAt) return { score: 1, value: null };
+    const minutes = Math.max(0, (now - new Date(stats.lastJobAt).getTime()) / 60000);
+    return { score: clamp01(minutes / config.idleCapMinutes), value: Math.round(minutes) };
+  },
+};
+
+function readDispatchStats(provider) {
+  const s = provider?.providerProfile?.dispatchStats || {};
+  return {
+    offered: Number(s.offered || 0),
+    accepted: Number(s.accepted || 0),
+    rejected: Number(s.rejected || 0),
+    cancelled: Number(s.cancelled || 0),
+    lastJobAt: s.lastJobAt || null,
+  };
+}
+
+/**
+ * ✅ Country ranking settings with safe defaults
+ */
+export async function getRankingConfig(countryCode) {
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+
+  const cfg = await CountryServiceConfig.findOne({ countryCode: cc }).select("ranking").lean();
+  const r = cfg?.ranking || {};
+
+  const weights = {};
+  for (const k of Object.keys(SCORE_FACTORS)) {
+    const n = Number(r.weights?.[k]);
+    weights[k] = Number.isFinite(n) && n >= 0 ? n : DEFAULT_RANKING.weights[k] || 0;
+  }
+
+  const pick = (k) => {
+    const n = Number(r[k]);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_RANKING[k];
+  };
+
+  return {
+    strategy: Object.values(RANKING_STRATEGIES).includes(r.strategy)
+      ? r.strategy
+      : DEFAULT_RANKING.strategy,
+    weights,
+    minRatingsForScore: pick("minRatingsForScore"),
+    idleCapMinutes: pick("idleCapMinutes"),
+  };
+}
+
+/**
+ * ✅ Score a single provider
+ * route (optional): drive distance from services/routing, preferred over straight line
+ * Returns: { score, distanceKm, etaMinutes, distanceSource, factors: { [name]: { score, weight, value } } }
+ */
+export function scoreProvider({
+  provider,
+  pickupLat,
+  pickupLng,
+  maxDistanceKm,
+  config,
+  route = null,
+  now = Date.now(),
+}) {
+  const distanceKm = route?.distanceKm ?? providerDistanceKm(provider, pickupLat, pickupLng);
+  const stats = readDispatchStats(provider);
+
+  const ctx = { provider, stats, distanceKm, maxDistanceKm, config, now };
+
+  const factors = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const [name, fn] of Object.entries(SCORE_FACTORS)) {
+    let weight = Number(config.weights[name] || 0);
+    if (config.strategy === RANKING_STRATEGIES.DISTANCE) weight = name === "distance" ? 1 : 0;
+
+    const { score, value } = fn(ctx);
+    factors[name] = { score: round(score), weight, value };
+
+    weighted += score * weight;
+    totalWeight += weight;
+  }
+
+  return {
+    score: totalWeight > 0 ? round(weighted / totalWeight) : 0,
+    distanceKm: distanceKm == null ? null : round(distanceKm, 2),
+    etaMinutes: route?.durationMinutes ?? null,
+    distanceSource: route ? route.source : null,
+    factors,
+  };
+}
+
+/**
+ * ✅ Rank providers best-first
+ * The breakdown is attached to provider.$locals.ranking (not persisted)
+ * so broadcastJob can store it on job.dispatchAttempts.
+ *
+ * routes (optional): Map(providerId → drive route) from estimateRoutesToPoint
+ */
+export function rankProviders({ providers, pickupLat, pickupLng, maxDistanceMeters, config, routes = null }) {
+  const now = Date.now();
+  const maxDistanceKm = Number(maxDistanceMeters || 20000) / 1000;
+
+  const scored = providers.map((provider, idx) => {
+    const route = routes?.get(provider._id?.toString()) || null;
+    const ranking = scoreProvider({ provider, pickupLat, pickupLng, maxDistanceKm, config, route, now });
+    return { provider, ranking, idx };
+  });
+
+  // ties keep geo order (nearest first)
+  scored.sort((a, b) => b.ranking.score - a.ranking.score || a.idx - b.idx);
+
+  return scored.map(({ provider, ranking }, i) => {
+    if (provider.$locals) {
+      provider.$locals.ranking = { ...ranking, rank: i + 1, strategy: config.strategy };
+    }
+    return provider;
+  });
+}
+
+/**
+ * ✅ Dispatch counters used by the acceptance / reliability / idle factors
+ * event: OFFERED | ACCEPTED | REJECTED | CANCELLED
+ */
+export async function trackProviderDispatch(providerIds, event) {
+  const ids = (Array.isArray(providerIds) ? providerIds : [providerIds]).filter(Boolean);
+  if (ids.length === 0) return;
+
+  const update = {};
+
+  if (event === "OFFERED") update.$inc = { "providerProfile.dispatchStats.offered": 1 };
+  if (event === "REJECTED") update.$inc = { "providerProfile.dispatchStats.rejected": 1 };
+  if (event === "CANCELLED") update.$inc = { "providerProfile.dispatchStats.cancelled": 1 };
+  if (event === "ACCEPTED") {
+    update.$inc = { "providerProfile.dispatchStats.accepted": 1 };
+    update.$set = { "providerProfile.dispatchStats.lastJobAt": new Date() };
+  }
+
+  if (!update.$inc) return;
+
+  try {
+    await User.updateMany(
+      { _id: { $in: ids }, providerProfile: { $ne: null } },
+      update
+    );
+  } catch (err) {
+    console.error(`⚠️ Dispatch stats update failed (${event}):`, err.message);
+  }
+}
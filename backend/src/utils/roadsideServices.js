@@ -0,0 +1,157 @@
+// backend/src/utils/roadsideServices.js
+import { JOB_SERVICE_TYPES, ROADSIDE_SERVICE_TYPES, FUEL_TYPES } from "../models/Job.js";
+import { USER_ROLES } from "../models/User.js";
+
+/**
+ * ✅ Light roadside services
+ * role        = provider role that serves it (Job.roleNeeded)
+ * countryFlag = CountryServiceConfig.services flag that switches it on
+ *
+ * Providers opt in per service via providerProfile.roadsideServices.
+ */
+export const ROADSIDE_SERVICES = {
+  [JOB_SERVICE_TYPES.JUMP_START]: {
+    label: "Jump start",
+    role: USER_ROLES.MECHANIC,
+    countryFlag: "jumpStartEnabled",
+  },
+  [JOB_SERVICE_TYPES.TYRE_CHANGE]: {
+    label: "Tyre change",
+    role: USER_ROLES.MECHANIC,
+    countryFlag: "tyreChangeEnabled",
+  },
+  [JOB_SERVICE_TYPES.FUEL_DELIVERY]: {
+    label: "Fuel delivery",
+    role: USER_ROLES.MECHANIC,
+    countryFlag: "fuelDeliveryEnabled",
+  },
+  [JOB_SERVICE_TYPES.LOCKOUT]: {
+    label: "Lockout",
+    role: USER_ROLES.MECHANIC,
+    countryFlag: "lockoutEnabled",
+  },
+  [JOB_SERVICE_TYPES.WINCH_RECOVERY]: {
+    label: "Winch recovery",
+    role: USER_ROLES.TOW_TRUCK,
+    countryFlag: "winchRecoveryEnabled",
+  },
+};
+
+const DEFAULT_MAX_FUEL_LITRES = 20;
+
+export function isRoadsideServiceType(serviceType) {
+  return ROADSIDE_SERVICE_TYPES.includes(serviceType);
+}
+
+/**
+ * ✅ Provider roadside services that match their role
+ */
+export function roadsideServicesForRole(role) {
+  return ROADSIDE_SERVICE_TYPES.filter((t) => ROADSIDE_SERVICES[t].role === role);
+}
+
+/**
+ * ✅ Booked service + provider role from a job request
+ * Old clients only send roleNeeded → TOWING / MECHANIC.
+ * Roadside clients send serviceType; roleNeeded is optional but must match.
+ * Returns { ok, serviceType, roleNeeded } or { ok:false, status, code, message }
+ */
+export function resolveJobService({ roleNeeded, serviceType }) {
+  const type = serviceType ? String(serviceType).trim().toUpperCase() : null;
+
+  if (!type) {
+    if (roleNeeded === USER_ROLES.TOW_TRUCK) {
+      return { ok: true, serviceType: JOB_SERVICE_TYPES.TOWING, roleNeeded };
+    }
+    if (roleNeeded === USER_ROLES.MECHANIC) {
+      return { ok: true, serviceType: JOB_SERVICE_TYPES.MECHANIC, roleNeeded };
+    }
+    return {
+      ok: false,
+      status: 400,
+      code: "INVALID_SERVICE_TYPE",
+      message: "roleNeeded must be TowTruck or Mechanic (or send a roadside serviceType)",
+    };
+  }
+
+  const classicRole = {
+    [JOB_SERVICE_TYPES.TOWING]: USER_ROLES.TOW_TRUCK,
+    [JOB_SERVICE_TYPES.MECHANIC]: USER_ROLES.MECHANIC,
+  }[type];
+
+  const role = classicRole || ROADSIDE_SERVICES[type]?.role;
+
+  if (!role) {
+    return {
+      ok: false,
+      status: 400,
+      code: "INVALID_SERVICE_TYPE",
+      message: `Unknown serviceType: ${type}`,
+    };
+  }
+
+  if (roleNeeded && roleNeeded !== role) {
+    return {
+      ok: false,
+      status: 400,
+      code: "SERVICE_ROLE_MISMATCH",
+      message: `${type} jobs are served by ${role} providers`,
+    };
+  }
+
+  return { ok: true, serviceType: type, roleNeeded: role };
+}
+
+/**
+ * ✅ Roadside pricing block (PricingConfig.roadsideServicePricing[serviceType])
+ */
+export function getRoadsideServicePricing(pricingConfig, serviceType) {
+  return pricingConfig?.roadsideServicePricing?.[serviceType] || {};
+}
+
+/**
+ * ✅ Validate / normalize Job.serviceDetails for a roadside service
+ * Returns { ok, details } or { ok:false, status, code, message }
+ */
+export function normalizeServiceDetails({ serviceType, serviceDetails, pricingConfig }) {
+  const input = serviceDetails && typeof serviceDetails === "object" ? serviceDetails : {};
+  const invalid = (message) => ({ ok: false, status: 400, code: "INVALID_SERVICE_DETAILS", message });
+
+  if (serviceType === JOB_SERVICE_TYPES.FUEL_DELIVERY) {
+    const fuelType = String(input.fuelType || "").trim().toUpperCase();
+    if (!FUEL_TYPES.includes(fuelType)) {
+      return invalid(`serviceDetails.fuelType must be one of: ${FUEL_TYPES.join(", ")}`);
+    }
+
+    const maxRaw = Number(getRoadsideServicePricing(pricingConfig, serviceType).maxLitres);
+    const maxLitres = Number.isFinite(maxRaw) && maxRaw > 0 ? maxRaw : DEFAULT_MAX_FUEL_LITRES;
+
+    const fuelLitres = Number(input.fuelLitres);
+    if (!Number.isFinite(fuelLitres) || fuelLitres < 1 || fuelLitres > maxLitres) {
+      return invalid(`serviceDetails.fuelLitres must be between 1 and ${maxLitres}`);
+    }
+
+    return { ok: true, details: { fuelType, fuelLitres: Math.round(fuelLitres * 10) / 10 } };
+  }
+
+  if (serviceType === JOB_SERVICE_TYPES.TYRE_CHANGE) {
+    return {
+      ok: true,
+      details: { hasSpareTyre: typeof input.hasSpareTyre === "boolean" ? input.hasSpareTyre : null },
+    };
+  }
+
+  return { ok: true, details: {} };
+}
+
+/**
+ * ✅ Extras charged on top of the call-out fee (fuel litres)
+ */
+export function calculateRoadsideExtras({ serviceType, serviceDetails, pricingConfig }) {
+  if (serviceType !== JOB_SERVICE_TYPES.FUEL_DELIVERY) return 0;
+
+  const perLitreFee = Number(getRoadsideServicePricing(pricingConfig, serviceType).perLitreFee) || 0;
+  const litres = Number(serviceDetails?.fuelLitres) || 0;
+
+  return Math.max(0, perLitreFee * litres);
+}
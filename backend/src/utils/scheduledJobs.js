@@ -0,0 +1,240 @@
+// backend/src/utils/scheduledJobs.js
+import Job, { JOB_STATUSES } from "../models/Job.js";
+import CountryServiceConfig from "../models/CountryServiceConfig.js";
+import Notification from "../models/Notification.js";
+import { sendPushToUser } from "./sendPush.js";
+import { broadcastJobToProviders } from "./broadcastJob.js";
+
+const DEFAULT_SCHEDULING = {
+  enabled: true,
+  leadTimeMinutes: 30,
+  minAdvanceMinutes: 60,
+  maxAdvanceDays: 14,
+  reminderMinutesBefore: [1440, 60],
+};
+
+/**
+ * ✅ Statuses where a scheduled booking still needs reminders
+ */
+const REMINDER_STATUSES = [
+  JOB_STATUSES.SCHEDULED,
+  JOB_STATUSES.BROADCASTED,
+  JOB_STATUSES.ASSIGNED,
+];
+
+function toPositiveNumber(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * ✅ Country scheduling settings with safe defaults
+ */
+export async function getSchedulingConfig(countryCode) {
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+
+  const cfg = await CountryServiceConfig.findOne({ countryCode: cc }).select("scheduling").lean();
+  const s = cfg?.scheduling || {};
+
+  const reminders = Array.isArray(s.reminderMinutesBefore)
+    ? s.reminderMinutesBefore.map(Number).filter((m) => Number.isFinite(m) && m > 0)
+    : DEFAULT_SCHEDULING.reminderMinutesBefore;
+
+  return {
+    enabled: typeof s.enabled === "boolean" ? s.enabled : DEFAULT_SCHEDULING.enabled,
+    leadTimeMinutes: toPositiveNumber(s.leadTimeMinutes, DEFAULT_SCHEDULING.leadTimeMinutes),
+    minAdvanceMinutes: toPositiveNumber(s.minAdvanceMinutes, DEFAULT_SCHEDULING.minAdvanceMinutes),
+    maxAdvanceDays: toPositiveNumber(s.maxAdvanceDays, DEFAULT_SCHEDULING.maxAdvanceDays),
+    reminderMinutesBefore: [...new Set(reminders)].sort((a, b) => b - a),
+  };
+}
+
+/**
+ * ✅ Validate requested slot and build job.schedule
+ * Returns: { ok, schedule } or { ok: false, status, code, message }
+ */
+export async function buildJobSchedule({ scheduledFor, countryCode }) {
+  const slot = new Date(scheduledFor);
+
+  if (Number.isNaN(slot.getTime())) {
+    return {
+      ok: false,
+      status: 400,
+      code: "SCHEDULED_FOR_INVALID",
+      message: "scheduledFor must be a valid ISO date",
+    };
+  }
+
+  const cfg = await getSchedulingConfig(countryCode);
+
+  if (!cfg.enabled) {
+    return {
+      ok: false,
+      status: 403,
+      code: "SCHEDULING_DISABLED",
+      message: "Scheduled bookings are disabled in this country.",
+    };
+  }
+
+  const now = Date.now();
+  const earliest = now + cfg.minAdvanceMinutes * 60 * 1000;
+  const latest = now + cfg.maxAdvanceDays * 24 * 60 * 60 * 1000;
+
+  if (slot.getTime() < earliest) {
+    return {
+      ok: false,
+      status: 400,
+      code: "SCHEDULED_FOR_TOO_SOON",
+      message: `Scheduled bookings must be at least ${cfg.minAdvanceMinutes} minutes ahead.`,
+    };
+  }
+
+  if (slot.getTime() > latest) {
+    return {
+      ok: false,
+      status: 400,
+      code: "SCHEDULED_FOR_TOO_FAR",
+      message: `Scheduled bookings can be at most ${cfg.maxAdvanceDays} days ahead.`,
+    };
+  }
+
+  // thresholds already inside the booking window never fire (a booking 90 minutes ahead
+  // gets the 60-minute reminder only)
+  const minutesUntilSlot = (slot.getTime() - now) / 60000;
+  const passedReminders = cfg.reminderMinutesBefore.filter((m) => minutesUntilSlot < m);
+
+  return {
+    ok: true,
+    schedule: {
+      isScheduled: true,
+      scheduledFor: slot,
+      leadTimeMinutes: cfg.leadTimeMinutes,
+      releaseAt: new Date(slot.getTime() - cfg.leadTimeMinutes * 60 * 1000),
+      releasedAt: null,
+      preAcceptedBy: null,
+      preAcceptedAt: null,
+      remindersSent: passedReminders,
+    },
+  };
+}
+
+/**
+ * ✅ Human lead time from the real minutes left (not the reminder threshold)
+ */
+function formatReminderLead(minutesLeft) {
+  const m = Math.max(1, Math.round(minutesLeft));
+
+  if (m >= 2 * 1440) return `in ${Math.round(m / 1440)} days`;
+  if (m >= 90) return `in ${Math.round(m / 60)} hours`;
+  if (m >= 55) return "in about 1 hour";
+  return m === 1 ? "in 1 minute" : `in ${m} minutes`;
+}
+
+async function notifyCustomer(job, minutesLeft) {
+  const title = "📅 Booking reminder";
+  const body = `Your ${job.title || "TowMech booking"} is scheduled ${formatReminderLead(minutesLeft)}.`;
+
+  try {
+    await sendPushToUser({
+      userId: job.customer,
+      title,
+      body,
+      data: {
+        open: "job_details",
+        type: "scheduled_job_reminder",
+        jobId: job._id.toString(),
+        scheduledFor: job.schedule.scheduledFor.toISOString(),
+      },
+    });
+
+    await Notification.create({
+      userId: job.customer,
+      title,
+      body,
+      type: "JOB_UPDATE",
+      data: { jobId: job._id.toString() },
+    });
+  } catch (err) {
+    console.error(`[SCHEDULER] Reminder error for job ${job._id}:`, err.message);
+  }
+}
+
+/**
+ * ✅ Release SCHEDULED jobs whose release time has passed
+ */
+async function releaseDueJobs(now) {
+  const due = await Job.find({
+    status: JOB_STATUSES.SCHEDULED,
+    "schedule.releaseAt": { $lte: now },
+  })
+    .select("_id")
+    .limit(50);
+
+  for (const j of due) {
+    try {
+      await broadcastJobToProviders(j._id);
+      console.log(`[SCHEDULER] Released scheduled job ${j._id}`);
+    } catch (err) {
+      console.error(`[SCHEDULER] Release failed for job ${j._id}:`, err.message);
+    }
+  }
+
+  return due.length;
+}
+
+/**
+ * ✅ Send the next due reminder per job (older thresholds are marked as sent too,
+ * so a late booking never gets a burst of stale reminders)
+ */
+async function sendDueReminders(now) {
+  const jobs = await Job.find({
+    "schedule.isScheduled": true,
+    "schedule.scheduledFor": { $gt: now },
+    status: { $in: REMINDER_STATUSES },
+  })
+    .select("_id title customer countryCode schedule status")
+    .limit(200);
+
+  const configByCountry = new Map();
+  let sent = 0;
+
+  for (const job of jobs) {
+    const cc = job.countryCode || "ZA";
+    if (!configByCountry.has(cc)) configByCountry.set(cc, await getSchedulingConfig(cc));
+    const cfg = configByCountry.get(cc);
+
+    const minutesLeft = (new Date(job.schedule.scheduledFor).getTime() - now.getTime()) / 60000;
+    const alreadySent = (job.schedule.remindersSent || []).map(Number);
+
+    const due = cfg.reminderMinutesBefore.filter(
+      (m) => minutesLeft <= m && !alreadySent.includes(m)
+    );
+    if (due.length === 0) continue;
+
+    await notifyCustomer(job, minutesLeft);
+
+    await Job.updateOne(
+      { _id: job._id },
+      { $addToSet: { "schedule.remindersSent": { $each: due } } }
+    );
+    sent += 1;
+  }
+
+  return sent;
+}
+
+/**
+ * ✅ Run scheduled-bookings dispatcher (called every minute from server.js)
+ */
+export async function runScheduledJobsDispatch() {
+  const now = new Date();
+
+  const released = await releaseDueJobs(now);
+  const reminded = await sendDueReminders(now);
+
+  if (released > 0 || reminded > 0) {
+    console.log(`[SCHEDULER] released=${released} reminders=${reminded}`);
+  }
+
+  return { released, reminded };
+}
@@ -10,4 +10,15 @@ import { EmailService } from "../services/EmailService.js";
 export const sendEmail = async ({ to, subject, html }) => {
   // Use the new centralized EmailService
   return await EmailService.send(null, { to, subject, html });
-};
\ No newline at end of file
+};
+
+/**
+ * ✅ Escape user-supplied text before putting it into an email HTML body
+ */
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
@@ -1,10 +1,14 @@
 import { EmailService } from "../services/EmailService.js";
+import { summarizeInvoiceItems } from "./jobInvoice.js";
 
 /**
  * ✅ Sends Job Completed Email (SendGrid Migration)
  */
 export const sendJobCompletedEmail = async ({ to, name, job, recipientType }) => {
   try {
+    // ✅ approved provider extras → itemised receipt lines
+    const { currency, approvedItems, approvedTotal } = summarizeInvoiceItems(job);
+
     return await EmailService.sendJobNotification(null, {
       to,
       name,
@@ -12,7 +16,15 @@ export const sendJobCompletedEmail = async ({ to, name, job, recipientType }) =>
       status: job.status,
       pickup: job.pickupAddressText || "Pickup not provided",
       dropoff: job.dropoffAddressText || "Dropoff not provided",
-      type: "completed"
+      type: "completed",
+      invoice: approvedItems.length
+        ? {
+            currency,
+            items: approvedItems,
+            extrasTotal: approvedTotal,
+            total: (Number(job.pricing?.estimatedTotal) || 0) + approvedTotal
+          }
+        : null
     });
   } catch (err) {
     console.error("❌ Job Completed Email failed:", err.message);
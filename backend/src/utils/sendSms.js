@@ -0,0 +1,44 @@
+import twilioPkg from "twilio";
+
+const twilio = twilioPkg?.default || twilioPkg;
+
+let client = null;
+
+function getClient() {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  if (!sid || !token) return null;
+
+  if (!client) client = twilio(sid, token);
+  return client;
+}
+
+/**
+ * ✅ Generic SMS sender (Twilio)
+ * args.to   = E.164 phone (+27...)
+ * args.body = message text
+ *
+ * Never throws: returns { ok, provider, sid?, error? }
+ */
+export const sendSms = async ({ to, body }) => {
+  const from = process.env.TWILIO_FROM_NUMBER;
+  const sms = getClient();
+
+  if (!sms || !from) {
+    console.log("⚠️ TWILIO NOT CONFIGURED → SMS NOT SENT");
+    console.log("📲 SMS SHOULD HAVE BEEN SENT TO:", to, "|", body);
+    return { ok: false, provider: "none", error: "SMS provider not configured" };
+  }
+
+  if (!to || !String(to).startsWith("+")) {
+    return { ok: false, provider: "twilio", error: "Invalid destination phone number" };
+  }
+
+  try {
+    const message = await sms.messages.create({ body, from, to: String(to) });
+    return { ok: true, provider: "twilio", sid: message?.sid || null };
+  } catch (err) {
+    console.error("❌ SMS send failed:", err.message);
+    return { ok: false, provider: "twilio", error: err.message };
+  }
+};
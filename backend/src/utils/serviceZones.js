@@ -0,0 +1,224 @@
+// backend/src/utils/serviceZones.js
+import Zone from "../models/Zone.js";
+import { USER_ROLES } from "../models/User.js";
+
+/**
+ * ✅ Zone lookup + geofenced rules
+ *
+ * Coverage rule:
+ * - country has no polygon zones → everywhere is serviced (legacy behaviour)
+ * - country has polygon zones    → pickup must fall inside an active, serviced zone
+ */
+
+// PricingConfig keys a zone may override
+export const ZONE_PRICING_OVERRIDE_KEYS = [
+  "baseFee",
+  "perKmFee",
+  "providerBasePricing",
+  "towTruckTypePricing",
+  "roadsideServicePricing",
+  "towTruckTypeMultipliers",
+  "vehicleTypeMultipliers",
+  "mechanicCategoryPricing",
+  "bookingFees",
+  "surgePricing",
+  "surchargeRules",
+  "waitTimeRules",
+  "multiStopRules",
+];
+
+const isPlainObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+function deepMerge(base, patch) {
+  const out = { ...(isPlainObject(base) ? base : {}) };
+  for (const [k, v] of Object.entries(patch || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(out[k]) ? deepMerge(out[k], v) : v;
+  }
+  return out;
+}
+
+function isValidPosition(p) {
+  return (
+    Array.isArray(p) &&
+    p.length >= 2 &&
+    Number.isFinite(Number(p[0])) &&
+    Number.isFinite(Number(p[1])) &&
+    Math.abs(Number(p[0])) <= 180 &&
+    Math.abs(Number(p[1])) <= 90
+  );
+}
+
+function isValidRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isValidPosition)) return false;
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return Number(first[0]) === Number(last[0]) && Number(first[1]) === Number(last[1]);
+}
+
+/**
+ * ✅ GeoJSON Polygon / MultiPolygon validation (rings closed, [lng, lat])
+ * Returns an error message or null.
+ */
+export function validateZoneGeometry(geometry) {
+  if (!isPlainObject(geometry)) return "geometry must be a GeoJSON object";
+
+  const { type, coordinates } = geometry;
+
+  if (type === "Polygon") {
+    if (!Array.isArray(coordinates) || !coordinates.length || !coordinates.every(isValidRing)) {
+      return "Polygon rings must be closed [lng, lat] arrays with at least 4 positions";
+    }
+    return null;
+  }
+
+  if (type === "MultiPolygon") {
+    const ok =
+      Array.isArray(coordinates) &&
+      coordinates.length > 0 &&
+      coordinates.every((poly) => Array.isArray(poly) && poly.length > 0 && poly.every(isValidRing));
+    return ok ? null : "MultiPolygon rings must be closed [lng, lat] arrays with at least 4 positions";
+  }
+
+  return "geometry.type must be Polygon or MultiPolygon";
+}
+
+/**
+ * ✅ Only the PricingConfig keys a zone may override
+ */
+export function sanitizePricingOverrides(input) {
+  if (!isPlainObject(input)) return {};
+  const out = {};
+  for (const k of ZONE_PRICING_OVERRIDE_KEYS) {
+    if (input[k] !== undefined) out[k] = input[k];
+  }
+  return out;
+}
+
+/**
+ * ✅ Zone containing a point (highest priority first), or null
+ */
+export async function resolveZoneForPoint({ countryCode, lat, lng }) {
+  const pLat = Number(lat);
+  const pLng = Number(lng);
+  if (!Number.isFinite(pLat) || !Number.isFinite(pLng)) return null;
+
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+
+  return Zone.findOne({
+    countryCode: cc,
+    isActive: true,
+    geometry: {
+      $geoIntersects: { $geometry: { type: "Point", coordinates: [pLng, pLat] } },
+    },
+  })
+    .sort({ priority: -1, updatedAt: -1 })
+    .lean();
+}
+
+async function countryHasZoneCoverage(countryCode) {
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+  const found = await Zone.exists({ countryCode: cc, isActive: true, "geometry.type": { $exists: true } });
+  return !!found;
+}
+
+/**
+ * ✅ Is this request serviceable at the pickup point?
+ * Returns { ok, zone } or { ok:false, status, code, message, zone }
+ */
+export async function checkServiceArea({
+  countryCode,
+  lat,
+  lng,
+  roleNeeded,
+  towTruckTypeNeeded = null,
+  mechanicCategoryNeeded = null,
+}) {
+  const zone = await resolveZoneForPoint({ countryCode, lat, lng });
+  const zoneInfo = zone ? { _id: zone._id, name: zone.name } : null;
+
+  if (!zone) {
+    if (await countryHasZoneCoverage(countryCode)) {
+      return {
+        ok: false,
+        status: 400,
+        code: "OUT_OF_SERVICE_AREA",
+        message: "Pickup location is outside our service area.",
+        zone: null,
+      };
+    }
+    return { ok: true, zone: null };
+  }
+
+  if (zone.isServiced === false) {
+    return {
+      ok: false,
+      status: 400,
+      code: "ZONE_NOT_SERVICED",
+      message: zone.notServicedReason || `We do not currently service ${zone.name}.`,
+      zone: zoneInfo,
+    };
+  }
+
+  if (roleNeeded === USER_ROLES.TOW_TRUCK && towTruckTypeNeeded) {
+    if (!isAllowedInZone(towTruckTypeNeeded, zone.towTruckTypesEnabled, zone.towTruckTypesDisabled)) {
+      return {
+        ok: false,
+        status: 400,
+        code: "TOW_TRUCK_TYPE_UNAVAILABLE_IN_ZONE",
+        message: `${towTruckTypeNeeded} is not available in ${zone.name}.`,
+        zone: zoneInfo,
+      };
+    }
+  }
+
+  if (roleNeeded === USER_ROLES.MECHANIC && mechanicCategoryNeeded) {
+    if (
+      !isAllowedInZone(
+        mechanicCategoryNeeded,
+        zone.mechanicCategoriesEnabled,
+        zone.mechanicCategoriesDisabled
+      )
+    ) {
+      return {
+        ok: false,
+        status: 400,
+        code: "MECHANIC_CATEGORY_UNAVAILABLE_IN_ZONE",
+        message: `${mechanicCategoryNeeded} is not available in ${zone.name}.`,
+        zone: zoneInfo,
+      };
+    }
+  }
+
+  return { ok: true, zone };
+}
+
+function isAllowedInZone(value, enabled = [], disabled = []) {
+  const v = String(value || "").trim().toLowerCase();
+  const norm = (list) => (Array.isArray(list) ? list : []).map((x) => String(x).trim().toLowerCase());
+
+  if (norm(disabled).includes(v)) return false;
+
+  const only = norm(enabled);
+  return only.length === 0 || only.includes(v);
+}
+
+/**
+ * ✅ Country tow truck types filtered by the zone's enable / disable lists
+ */
+export function filterTowTruckTypesForZone(types, zone) {
+  if (!zone) return types;
+  return (types || []).filter((t) =>
+    isAllowedInZone(t, zone.towTruckTypesEnabled, zone.towTruckTypesDisabled)
+  );
+}
+
+/**
+ * ✅ Country PricingConfig with the zone's overrides applied (plain object)
+ */
+export function applyZonePricingOverrides(pricingConfig, zone) {
+  const base = typeof pricingConfig?.toObject === "function" ? pricingConfig.toObject() : pricingConfig;
+  const overrides = sanitizePricingOverrides(zone?.pricingOverrides);
+
+  if (!Object.keys(overrides).length) return base;
+  return deepMerge(base, overrides);
+}
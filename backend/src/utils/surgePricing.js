@@ -0,0 +1,195 @@
+// backend/src/utils/surgePricing.js
+import Job, { JOB_STATUSES } from "../models/Job.js";
+import User from "../models/User.js";
+import SurgeSnapshot, { SURGE_AREA_TYPES } from "../models/SurgeSnapshot.js";
+
+const DEFAULT_DYNAMIC = {
+  enabled: false,
+  cellSizeKm: 5,
+  ratioThreshold: 1,
+  sensitivity: 0.5,
+  smoothingFactor: 0.5,
+  recomputeSeconds: 60,
+};
+
+// older snapshots are history only, not a smoothing baseline
+const SMOOTHING_MAX_AGE_MS = 30 * 60 * 1000;
+
+const KM_PER_DEG_LAT = 111.32;
+
+const round = (n, dp = 2) => Number(Number(n).toFixed(dp));
+
+/**
+ * ✅ Dynamic surge settings (PricingConfig.surgePricing.dynamic) with safe defaults
+ */
+export function getDynamicSurgeConfig(pricingConfig) {
+  const surge = pricingConfig?.surgePricing || {};
+  const d = surge.dynamic || {};
+
+  const positive = (k) => {
+    const n = Number(d[k]);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_DYNAMIC[k];
+  };
+
+  const maxMultiplier = Number(surge.maxSurgeMultiplier);
+
+  return {
+    enabled: surge.enabled !== false && d.enabled === true,
+    cellSizeKm: positive("cellSizeKm"),
+    ratioThreshold: positive("ratioThreshold"),
+    sensitivity: positive("sensitivity"),
+    smoothingFactor: Math.min(1, positive("smoothingFactor")),
+    recomputeSeconds: positive("recomputeSeconds"),
+    maxMultiplier: Number.isFinite(maxMultiplier) && maxMultiplier >= 1 ? maxMultiplier : 2.5,
+  };
+}
+
+/**
+ * ✅ Square geo cell containing a point
+ * Rows are fixed in latitude; columns are widened by cos(lat) so cells stay ~cellSizeKm wide.
+ */
+function resolveGeoCell(lat, lng, cellSizeKm) {
+  const latStep = cellSizeKm / KM_PER_DEG_LAT;
+  const row = Math.floor(lat / latStep);
+
+  const centerLat = (row + 0.5) * latStep;
+  const lngStep = cellSizeKm / (KM_PER_DEG_LAT * Math.max(Math.cos((centerLat * Math.PI) / 180), 0.01));
+  const col = Math.floor(lng / lngStep);
+
+  const south = row * latStep;
+  const north = south + latStep;
+  const west = col * lngStep;
+  const east = west + lngStep;
+
+  return {
+    areaType: SURGE_AREA_TYPES.CELL,
+    areaKey: `cell:${cellSizeKm}:${row}:${col}`,
+    zone: null,
+    center: { lat: round(centerLat, 6), lng: round(west + lngStep / 2, 6) },
+    geometry: {
+      type: "Polygon",
+      coordinates: [
+        [
+          [west, south],
+          [east, south],
+          [east, north],
+          [west, north],
+          [west, south],
+        ],
+      ],
+    },
+  };
+}
+
+/**
+ * ✅ Pickup zone polygon as the surge area
+ * center = vertex average of the outer ring (good enough for the admin map)
+ */
+function resolveZoneArea(zone) {
+  const g = zone.geometry;
+  const ring = (g.type === "MultiPolygon" ? g.coordinates?.[0]?.[0] : g.coordinates?.[0]) || [];
+  const pts = ring.slice(0, -1);
+
+  const avg = (i) => (pts.length ? pts.reduce((sum, p) => sum + Number(p[i]), 0) / pts.length : null);
+
+  return {
+    areaType: SURGE_AREA_TYPES.ZONE,
+    areaKey: `zone:${zone._id.toString()}`,
+    zone: zone._id,
+    center: { lat: pts.length ? round(avg(1), 6) : null, lng: pts.length ? round(avg(0), 6) : null },
+    geometry: g,
+  };
+}
+
+/**
+ * ✅ Raw multiplier from the demand / supply ratio
+ */
+export function computeRawSurgeMultiplier({ demand, supply, config }) {
+  const ratio = demand / Math.max(supply, 1);
+  const raw =
+    ratio > config.ratioThreshold ? 1 + config.sensitivity * (ratio - config.ratioThreshold) : 1;
+
+  return {
+    ratio: round(ratio, 3),
+    rawMultiplier: round(Math.min(Math.max(raw, 1), config.maxMultiplier)),
+  };
+}
+
+function snapshotToSurge(s) {
+  return {
+    multiplier: s.multiplier,
+    areaType: s.areaType,
+    areaKey: s.areaKey,
+    demand: s.demand,
+    supply: s.supply,
+    snapshotId: s._id,
+    computedAt: s.computedAt,
+  };
+}
+
+/**
+ * ✅ Dynamic surge for a pickup point
+ * Area = the pickup zone polygon when there is one, else a geo cell.
+ * Returns null when dynamic surge is disabled for the country.
+ */
+export async function getDynamicSurge({ countryCode, roleNeeded, lat, lng, pricingConfig, zone = null }) {
+  const config = getDynamicSurgeConfig(pricingConfig);
+  if (!config.enabled) return null;
+
+  const pLat = Number(lat);
+  const pLng = Number(lng);
+  if (!Number.isFinite(pLat) || !Number.isFinite(pLng) || !roleNeeded) return null;
+
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+  const area = zone?.geometry?.type
+    ? resolveZoneArea(zone)
+    : resolveGeoCell(pLat, pLng, config.cellSizeKm);
+
+  const latest = await SurgeSnapshot.findOne({ countryCode: cc, roleNeeded, areaKey: area.areaKey })
+    .sort({ computedAt: -1 })
+    .lean();
+
+  const now = Date.now();
+  const latestAgeMs = latest ? now - new Date(latest.computedAt).getTime() : Infinity;
+
+  if (latestAgeMs < config.recomputeSeconds * 1000) return snapshotToSurge(latest);
+
+  const [demand, supply] = await Promise.all([
+    Job.countDocuments({
+      countryCode: cc,
+      roleNeeded,
+      status: JOB_STATUSES.BROADCASTED,
+      pickupLocation: { $geoWithin: { $geometry: area.geometry } },
+    }),
+    User.countDocuments({
+      role: roleNeeded,
+      "providerProfile.isOnline": true,
+      "providerProfile.verificationStatus": "APPROVED",
+      "providerProfile.location": { $geoWithin: { $geometry: area.geometry } },
+    }),
+  ]);
+
+  const { ratio, rawMultiplier } = computeRawSurgeMultiplier({ demand, supply, config });
+
+  const multiplier =
+    latestAgeMs < SMOOTHING_MAX_AGE_MS
+      ? round(latest.multiplier + config.smoothingFactor * (rawMultiplier - latest.multiplier))
+      : rawMultiplier;
+
+  const snapshot = await SurgeSnapshot.create({
+    countryCode: cc,
+    roleNeeded,
+    areaType: area.areaType,
+    areaKey: area.areaKey,
+    zone: area.zone,
+    center: area.center,
+    demand,
+    supply,
+    ratio,
+    rawMultiplier,
+    multiplier: Math.min(Math.max(multiplier, 1), config.maxMultiplier),
+    computedAt: new Date(now),
+  });
+
+  return snapshotToSurge(snapshot);
+}
@@ -0,0 +1,138 @@
+// backend/src/utils/taxEngine.js
+import PricingConfig from "../models/PricingConfig.js";
+
+/**
+ * ✅ Per-country tax engine (PricingConfig.taxRules)
+ * - VAT on the booking fee (customer → TowMech)
+ * - VAT on the commission (TowMech's fee on the provider's share)
+ * - withholding on provider payouts
+ *
+ * Job pricing keeps a snapshot of the rates used (pricing.tax), so invoices,
+ * payouts and stats recompute breakdowns with the job's own rates.
+ */
+
+const round = (n, dp = 2) => Number(Number(n).toFixed(dp));
+
+const percent = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 100) : 0;
+};
+
+/**
+ * ✅ Tax settings with safe defaults
+ * enabled switches VAT; withholdingPercent applies on its own.
+ */
+export function getTaxRules(pricingConfig) {
+  const r = pricingConfig?.taxRules || {};
+  const ratePercent = percent(r.ratePercent);
+
+  return {
+    enabled: r.enabled === true && ratePercent > 0,
+    label: String(r.label || "VAT").trim() || "VAT",
+    ratePercent,
+    pricesIncludeTax: r.pricesIncludeTax !== false,
+    vatOnBookingFee: r.vatOnBookingFee !== false,
+    vatOnCommission: r.vatOnCommission !== false,
+    withholdingPercent: percent(r.withholdingPercent),
+    registrationNumber: String(r.registrationNumber || "").trim() || null,
+    invoicePrefix: String(r.invoicePrefix || "INV").trim() || "INV",
+  };
+}
+
+/**
+ * ✅ Country tax rules (one PricingConfig read)
+ */
+export async function getCountryTaxRules(countryCode) {
+  const cc = String(countryCode || "ZA").trim().toUpperCase();
+  const pricingConfig = await PricingConfig.findOne({ countryCode: cc }).select("taxRules").lean();
+  return getTaxRules(pricingConfig);
+}
+
+/**
+ * ✅ Split one amount into net + tax (inclusive or on top)
+ * applies=false → no tax on this amount (e.g. vatOnCommission off)
+ */
+export function applyTax(amount, taxRules, applies = true) {
+  const value = Number(amount) || 0;
+
+  if (!taxRules?.enabled || !applies) return { net: round(value), tax: 0, gross: round(value) };
+
+  const rate = taxRules.ratePercent / 100;
+
+  if (taxRules.pricesIncludeTax) {
+    const tax = round(value - value / (1 + rate));
+    return { net: round(value - tax), tax, gross: round(value) };
+  }
+
+  const tax = round(value * rate);
+  return { net: round(value), tax, gross: round(value + tax) };
+}
+
+/**
+ * ✅ Withholding on a provider amount (deducted before paying out)
+ */
+export function applyWithholding(amount, taxRules) {
+  const value = Number(amount) || 0;
+  const withheld = taxRules?.withholdingPercent ? round((value * taxRules.withholdingPercent) / 100) : 0;
+
+  return { gross: round(value), withheld, net: round(value - withheld) };
+}
+
+/**
+ * ✅ Rates snapshot stored on Job.pricing.tax
+ */
+function ratesSnapshot(taxRules) {
+  return {
+    label: taxRules.label,
+    ratePercent: taxRules.enabled ? taxRules.ratePercent : 0,
+    pricesIncludeTax: taxRules.pricesIncludeTax,
+    vatOnBookingFee: taxRules.vatOnBookingFee,
+    vatOnCommission: taxRules.vatOnCommission,
+    withholdingPercent: taxRules.withholdingPercent,
+  };
+}
+
+/**
+ * ✅ Rules back from a pricing.tax snapshot (ratePercent 0 → no VAT)
+ */
+export function taxRulesFromSnapshot(snapshot) {
+  return getTaxRules({ taxRules: { ...snapshot, enabled: true } });
+}
+
+/**
+ * ✅ Tax breakdown for a job's amounts → Job.pricing.tax
+ */
+export function buildPricingTax({ bookingFee, commissionAmount, providerAmountDue }, taxRules) {
+  return {
+    ...ratesSnapshot(taxRules),
+    bookingFee: applyTax(bookingFee, taxRules, taxRules.vatOnBookingFee),
+    commission: applyTax(commissionAmount, taxRules, taxRules.vatOnCommission),
+    providerWithholding: applyWithholding(providerAmountDue, taxRules),
+  };
+}
+
+/**
+ * ✅ Booking fee amount actually charged to the customer
+ * VAT-exclusive prices add VAT on top (pricing.tax.bookingFee.gross); inclusive / no VAT → the fee itself.
+ */
+export function bookingFeeChargeAmount(pricing) {
+  const fee = Number(pricing?.bookingFee) || 0;
+  const breakdown = pricing?.tax?.bookingFee;
+
+  // only trust a breakdown computed for this fee (the fee may have been changed since)
+  if (fee > 0 && breakdown && Math.abs(Number(breakdown.net) - fee) < 0.01 && Number(breakdown.gross) >= fee) {
+    return round(breakdown.gross);
+  }
+  return round(fee);
+}
+
+/**
+ * ✅ Rules for a stored job: its own snapshot when it has one, else the country's current rules
+ */
+export function jobTaxRules(job, countryTaxRules) {
+  const snapshot = job?.pricing?.tax;
+  if (snapshot && Number.isFinite(Number(snapshot.ratePercent)) && snapshot.label) {
+    return taxRulesFromSnapshot(snapshot);
+  }
+  return countryTaxRules;
+}
@@ -0,0 +1,116 @@
+// backend/test/adminAudit.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { authHeader, oid, request, stubModel } from "./helpers.js";
+import User, { USER_ROLES } from "../src/models/User.js";
+import AdminAuditLog from "../src/models/AdminAuditLog.js";
+import adminAuditLogRoutes from "../src/routes/adminAuditLogs.js";
+import { auditSnapshot, diffAudit, logAdminAction } from "../src/utils/adminAudit.js";
+
+const admin = (permissions = {}) => ({
+  _id: oid(),
+  role: USER_ROLES.ADMIN,
+  email: "ops@towmech.test",
+  countryCode: "ZA",
+  permissions: { canViewAuditLogs: true, ...permissions },
+});
+
+describe("admin audit log", () => {
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("diffs nested before/after snapshots by path", () => {
+    const before = { accountStatus: { isSuspended: false, suspendReason: null }, tags: ["a"], name: "Sam" };
+    const after = { accountStatus: { isSuspended: true, suspendReason: "Fraud" }, tags: ["a", "b"], name: "Sam" };
+
+    assert.deepEqual(diffAudit(before, after), [
+      { path: "accountStatus.isSuspended", from: false, to: true },
+      { path: "accountStatus.suspendReason", from: null, to: "Fraud" },
+      { path: "tags", from: ["a"], to: ["a", "b"] },
+    ]);
+  });
+
+  it("masks secrets in snapshots", () => {
+    const snap = auditSnapshot({
+      email: "a@b.c",
+      password: "hash",
+      providerProfile: { fcmToken: "tok", sessionId: "s1" },
+      payments: { config: { secretKey: "sk_live", apiKey: "" } },
+    });
+
+    assert.equal(snap.password, "[REDACTED]");
+    assert.equal(snap.providerProfile.fcmToken, "[REDACTED]");
+    assert.equal(snap.providerProfile.sessionId, "s1");
+    assert.equal(snap.payments.config.secretKey, "[REDACTED]");
+    // empty values stay visible (shows a secret was cleared)
+    assert.equal(snap.payments.config.apiKey, "");
+  });
+
+  it("records actor and changes, and never fails the admin action", async () => {
+    const user = admin();
+    const create = stubModel(AdminAuditLog, "create", (doc) => doc);
+
+    const entry = await logAdminAction(
+      { user, method: "PATCH", originalUrl: "/api/admin/users/1", headers: {} },
+      { action: "USER_SUSPENDED", entityType: "USER", entityId: oid(), before: { a: 1 }, after: { a: 2 } }
+    );
+
+    assert.equal(entry.actor, user._id);
+    assert.equal(entry.countryCode, "ZA");
+    assert.deepEqual(entry.changes, [{ path: "a", from: 1, to: 2 }]);
+    assert.equal(create.mock.callCount(), 1);
+
+    mock.restoreAll();
+    mock.method(console, "error", () => {});
+    mock.method(AdminAuditLog, "create", async () => {
+      throw new Error("db down");
+    });
+    assert.equal(await logAdminAction({ user }, { action: "X", entityType: "USER" }), null);
+  });
+
+  it("exports CSV scoped to the admin's own country with formulas neutralised", async () => {
+    const user = admin();
+    stubModel(User, "findById", user);
+    const find = stubModel(AdminAuditLog, "find", [
+      {
+        createdAt: new Date("2026-03-04T10:00:00Z"),
+        countryCode: "ZA",
+        action: "USER_SUSPENDED",
+        entityType: "USER",
+        entityId: "u1",
+        reason: "=HYPERLINK(\"http://evil\")",
+        changes: [{ path: "accountStatus.isSuspended", from: false, to: true }],
+      },
+    ]);
+
+    const res = await request(adminAuditLogRoutes, {
+      path: "/export?country=KE&action=user_suspended",
+      headers: authHeader(user),
+    });
+
+    assert.equal(res.status, 200);
+    const [header, row] = res.body.split("\r\n");
+    assert.ok(header.startsWith("createdAt,countryCode,action"));
+    assert.ok(row.includes(`"'=HYPERLINK(""http://evil"")"`));
+    assert.ok(row.includes("accountStatus.isSuspended: false → true"));
+
+    const filter = find.mock.calls[0].arguments[0];
+    assert.equal(filter.countryCode, "ZA");
+    assert.deepEqual(filter.action, { $in: ["USER_SUSPENDED"] });
+  });
+
+  it("refuses admins without canViewAuditLogs", async () => {
+    const user = admin({ canViewAuditLogs: false });
+    stubModel(User, "findById", user);
+    const find = stubModel(AdminAuditLog, "find", []);
+
+    const res = await request(adminAuditLogRoutes, { path: "/", headers: authHeader(user) });
+
+    assert.equal(res.status, 403);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
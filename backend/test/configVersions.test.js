@@ -0,0 +1,130 @@
+// backend/test/configVersions.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import PricingConfig from "../src/models/PricingConfig.js";
+import ConfigVersion, {
+  CONFIG_VERSION_SOURCES,
+  CONFIG_VERSION_STATUSES,
+  CONFIG_VERSION_TYPES,
+} from "../src/models/ConfigVersion.js";
+import {
+  diffConfigVersions,
+  parseEffectiveAt,
+  recordConfigVersion,
+  rollbackConfigVersion,
+  snapshotConfig,
+} from "../src/services/configVersion.service.js";
+
+const PRICING = CONFIG_VERSION_TYPES.PRICING;
+const admin = { _id: oid(), email: "ops@towmech.test", role: "Admin" };
+
+const version = (n, snapshot, fields = {}) => ({
+  _id: oid(),
+  configType: PRICING,
+  countryCode: "ZA",
+  version: n,
+  snapshot,
+  status: CONFIG_VERSION_STATUSES.APPLIED,
+  ...fields,
+});
+
+describe("config versions", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("snapshots a config without identity or bookkeeping fields", () => {
+    const snap = snapshotConfig(new PricingConfig({ countryCode: "ZA", currency: "ZAR", configVersion: 3 }));
+
+    assert.equal(snap.currency, "ZAR");
+    for (const k of ["_id", "countryCode", "configVersion"]) assert.ok(!(k in snap), k);
+  });
+
+  it("applies past effective dates now and rejects unparseable ones", () => {
+    assert.deepEqual(parseEffectiveAt("2020-01-01T00:00:00Z"), { ok: true, date: null });
+    assert.equal(parseEffectiveAt("next tuesday").code, "INVALID_EFFECTIVE_AT");
+    assert.ok(parseEffectiveAt(new Date(Date.now() + 60_000).toISOString()).date instanceof Date);
+  });
+
+  it("numbers saves sequentially and retries when two admins save at once", async () => {
+    stubModel(ConfigVersion, "findOne", { version: 4 });
+    let calls = 0;
+    const create = mock.method(ConfigVersion, "create", async (doc) => {
+      calls += 1;
+      if (calls === 1) throw Object.assign(new Error("E11000"), { code: 11000 });
+      return doc;
+    });
+    const live = stubModel(PricingConfig, "updateOne", { modifiedCount: 1 });
+    const doc = { currency: "ZAR" };
+
+    const saved = await recordConfigVersion({ user: admin }, { configType: PRICING, countryCode: "za", doc });
+
+    assert.equal(saved.version, 5);
+    assert.equal(saved.createdByEmail, admin.email);
+    assert.equal(create.mock.callCount(), 2);
+    assert.deepEqual(live.mock.calls[0].arguments.slice(0, 2), [
+      { countryCode: "ZA" },
+      { $set: { configVersion: 5 } },
+    ]);
+    assert.equal(doc.configVersion, 5);
+  });
+
+  it("rolls back by copying the old snapshot into a new version and resetting newer fields", async () => {
+    const target = version(2, { currency: "ZAR", bookingFees: { mechanic: { percent: 10 } } });
+    stubModel(ConfigVersion, "findOne", (filter) => (filter.version === undefined ? { version: 5 } : target));
+    const create = stubModel(ConfigVersion, "create", (doc) => ({ _id: oid(), ...doc }));
+    stubModel(PricingConfig, "findOne", { configVersion: 5 });
+    const apply = stubModel(PricingConfig, "findOneAndUpdate", (filter, update) => update.$set);
+    const markApplied = stubModel(ConfigVersion, "updateOne", { modifiedCount: 1 });
+    stubModel(ConfigVersion, "find", []);
+    stubModel(ConfigVersion, "findById", { version: 6 });
+
+    const out = await rollbackConfigVersion({ user: admin }, { configType: PRICING, countryCode: "ZA", version: "2" });
+
+    assert.equal(out.ok, true);
+    const created = create.mock.calls[0].arguments[0];
+    assert.equal(created.version, 6);
+    assert.equal(created.source, CONFIG_VERSION_SOURCES.ROLLBACK);
+    assert.equal(created.restoredFrom, 2);
+
+    const [filter, update] = apply.mock.calls[0].arguments;
+    assert.deepEqual(filter, { countryCode: "ZA" });
+    assert.deepEqual(update.$set, { ...target.snapshot, configVersion: 6 });
+    assert.equal(update.$unset.surgePricing, 1);
+    assert.ok(!("countryCode" in update.$unset));
+    assert.equal(markApplied.mock.calls[0].arguments[1].$set.status, CONFIG_VERSION_STATUSES.APPLIED);
+  });
+
+  it("refuses to roll back to a missing, never-applied or already-live version", async () => {
+    stubModel(ConfigVersion, "findOne", null);
+    assert.equal((await rollbackConfigVersion(null, { configType: PRICING, countryCode: "ZA", version: 9 })).status, 404);
+
+    mock.restoreAll();
+    stubModel(ConfigVersion, "findOne", version(3, {}, { status: CONFIG_VERSION_STATUSES.CANCELLED }));
+    assert.equal(
+      (await rollbackConfigVersion(null, { configType: PRICING, countryCode: "ZA", version: 3 })).code,
+      "CONFIG_VERSION_NOT_APPLIED"
+    );
+
+    mock.restoreAll();
+    stubModel(ConfigVersion, "findOne", version(3, {}));
+    stubModel(PricingConfig, "findOne", { configVersion: 3 });
+    const create = stubModel(ConfigVersion, "create", {});
+    assert.equal(
+      (await rollbackConfigVersion(null, { configType: PRICING, countryCode: "ZA", version: 3 })).code,
+      "CONFIG_VERSION_ALREADY_LIVE"
+    );
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("diffs a version against the live one", async () => {
+    stubModel(PricingConfig, "findOne", { configVersion: 4 });
+    stubModel(ConfigVersion, "findOne", (filter) =>
+      filter.version === 1 ? version(1, { currency: "ZAR", baseFee: 50 }) : version(4, { currency: "ZAR", baseFee: 65 })
+    );
+
+    const out = await diffConfigVersions({ configType: PRICING, countryCode: "ZA", from: "1" });
+
+    assert.deepEqual(out, { ok: true, from: 1, to: 4, changes: [{ path: "baseFee", from: 50, to: 65 }] });
+  });
+});
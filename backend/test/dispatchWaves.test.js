@@ -0,0 +1,77 @@
+// backend/test/dispatchWaves.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Job, { JOB_STATUSES } from "../src/models/Job.js";
+import CountryServiceConfig from "../src/models/CountryServiceConfig.js";
+import { getDispatchConfig, getWaveRadiusMeters } from "../src/utils/broadcastJob.js";
+import { runDispatchWaves } from "../src/utils/dispatchWaves.js";
+
+const DISPATCH = {
+  initialRadiusKm: 5,
+  radiusStepKm: 5,
+  maxRadiusKm: 12,
+  providersPerWave: 3,
+  waveIntervalSeconds: 60,
+  maxWaves: 3,
+  finalTimeoutMinutes: 10,
+};
+
+const minutesAgo = (m) => new Date(Date.now() - m * 60 * 1000);
+
+describe("dispatch waves", () => {
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("widens the radius per wave and caps it at maxRadiusKm", () => {
+    assert.equal(getWaveRadiusMeters(DISPATCH, 1), 5000);
+    assert.equal(getWaveRadiusMeters(DISPATCH, 2), 10000);
+    assert.equal(getWaveRadiusMeters(DISPATCH, 3), 12000);
+  });
+
+  it("ignores non-positive config values", async () => {
+    stubModel(CountryServiceConfig, "findOne", { dispatch: { ...DISPATCH, maxWaves: 0, radiusStepKm: -1 } });
+
+    const cfg = await getDispatchConfig("za");
+
+    assert.equal(cfg.initialRadiusKm, 5);
+    assert.ok(cfg.maxWaves > 0);
+    assert.ok(cfg.radiusStepKm > 0);
+  });
+
+  it("parks a job that used every wave until its final timeout", async () => {
+    const startedAt = minutesAgo(2);
+    const job = { _id: oid(), countryCode: "ZA", dispatch: { wave: 3, startedAt } };
+
+    stubModel(Job, "find", [job]);
+    stubModel(CountryServiceConfig, "findOne", { dispatch: DISPATCH });
+    const update = stubModel(Job, "updateOne", { modifiedCount: 1 });
+
+    const out = await runDispatchWaves();
+
+    assert.deepEqual(out, { waves: 0, gaveUp: 0 });
+    assert.equal(update.mock.callCount(), 1);
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.equal(filter.status, JOB_STATUSES.BROADCASTED);
+    assert.equal(change.$set["dispatch.nextWaveAt"].getTime(), startedAt.getTime() + 10 * 60 * 1000);
+  });
+
+  it("does not give up on a job that was accepted in the meantime", async () => {
+    const job = { _id: oid(), countryCode: "ZA", dispatch: { wave: 3, startedAt: minutesAgo(30) } };
+
+    stubModel(Job, "find", [job]);
+    stubModel(CountryServiceConfig, "findOne", { dispatch: DISPATCH });
+    // the conditional cancel matches nothing
+    stubModel(Job, "findOne", null);
+    stubModel(Job, "findOneAndUpdate", null);
+
+    const out = await runDispatchWaves();
+
+    assert.deepEqual(out, { waves: 0, gaveUp: 0 });
+  });
+});
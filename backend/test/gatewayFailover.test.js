@@ -0,0 +1,115 @@
+// backend/test/gatewayFailover.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import CountryServiceConfig from "../src/models/CountryServiceConfig.js";
+import PaymentGatewayHealth from "../src/models/PaymentGatewayHealth.js";
+import payfastGateway from "../src/services/payments/payfast.js";
+import peachGateway from "../src/services/payments/peachPayments.js";
+import { recordGatewayFailure } from "../src/services/payments/gatewayHealth.js";
+import { createPaymentWithFailover, getFailoverConfig } from "../src/services/payments/index.js";
+
+const routingConfig = (failover = {}) => ({
+  countryCode: "ZA",
+  payments: {
+    defaultProvider: "payfast",
+    failover,
+    providers: [
+      { gateway: "PAYFAST", flowType: "REDIRECT", enabled: true, priority: 50 },
+      { gateway: "PEACH_PAYMENTS", flowType: "REDIRECT", enabled: true, priority: 10 },
+    ],
+  },
+});
+
+const buildPayload = () => ({ amount: 150, currency: "ZAR", reference: "TM-1" });
+
+describe("payment gateway failover", () => {
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+    mock.method(console, "warn", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("falls back to safe defaults for missing or invalid settings", () => {
+    assert.deepEqual(getFailoverConfig({ raw: { payments: { failover: { timeoutMs: -5, failureThreshold: 2.6 } } } }), {
+      enabled: true,
+      timeoutMs: 15000,
+      failureThreshold: 3,
+      coolDownMinutes: 10,
+    });
+  });
+
+  it("moves on to the next gateway when the default one errors", async () => {
+    stubModel(CountryServiceConfig, "findOne", routingConfig());
+    stubModel(PaymentGatewayHealth, "find", []);
+    const health = stubModel(PaymentGatewayHealth, "findOneAndUpdate", { consecutiveFailures: 1 });
+    mock.method(payfastGateway, "createPayment", async () => {
+      throw new Error("PayFast 502");
+    });
+    mock.method(peachGateway, "createPayment", async () => ({ redirectUrl: "https://peach.test/pay" }));
+
+    const out = await createPaymentWithFailover({ countryCode: "za", buildPayload });
+
+    assert.equal(out.gateway, "PEACH_PAYMENTS");
+    assert.deepEqual(out.attempts, [
+      { gateway: "PAYFAST", ok: false, error: "PayFast 502" },
+      { gateway: "PEACH_PAYMENTS", ok: true },
+    ]);
+    assert.deepEqual(
+      health.mock.calls.map((c) => [c.arguments[0].gateway, Object.keys(c.arguments[1].$inc)[0]]),
+      [
+        ["PAYFAST", "consecutiveFailures"],
+        ["PEACH_PAYMENTS", "totalSuccesses"],
+      ]
+    );
+  });
+
+  it("skips a gateway that is cooling down", async () => {
+    stubModel(CountryServiceConfig, "findOne", routingConfig());
+    stubModel(PaymentGatewayHealth, "find", [
+      { gateway: "PAYFAST", coolDownUntil: new Date(Date.now() + 60_000), consecutiveFailures: 3 },
+    ]);
+    stubModel(PaymentGatewayHealth, "findOneAndUpdate", {});
+    const payfast = mock.method(payfastGateway, "createPayment", async () => ({}));
+    mock.method(peachGateway, "createPayment", async () => ({}));
+
+    const out = await createPaymentWithFailover({ countryCode: "ZA", buildPayload });
+
+    assert.equal(out.gateway, "PEACH_PAYMENTS");
+    assert.equal(payfast.mock.callCount(), 0);
+  });
+
+  it("tries only the first gateway when failover is off and reports every failure", async () => {
+    stubModel(CountryServiceConfig, "findOne", routingConfig({ enabled: false }));
+    stubModel(PaymentGatewayHealth, "find", []);
+    stubModel(PaymentGatewayHealth, "findOneAndUpdate", { consecutiveFailures: 1 });
+    mock.method(payfastGateway, "createPayment", async () => {
+      throw new Error("down");
+    });
+    const peach = mock.method(peachGateway, "createPayment", async () => ({}));
+
+    await assert.rejects(
+      createPaymentWithFailover({ countryCode: "ZA", buildPayload }),
+      (err) => err.code === "ALL_GATEWAYS_FAILED" && err.attempts.length === 1
+    );
+    assert.equal(peach.mock.callCount(), 0);
+  });
+
+  it("starts a cool-down once the failure streak reaches the threshold", async () => {
+    const healthId = oid();
+    stubModel(PaymentGatewayHealth, "findOneAndUpdate", {
+      _id: healthId,
+      gateway: "PAYFAST",
+      countryCode: "ZA",
+      consecutiveFailures: 3,
+    });
+    const coolDown = stubModel(PaymentGatewayHealth, "updateOne", { modifiedCount: 1 });
+
+    const out = await recordGatewayFailure("ZA", "PAYFAST", "timeout", { failureThreshold: 3, coolDownMinutes: 10 });
+
+    assert.equal(coolDown.mock.calls[0].arguments[0]._id, healthId);
+    assert.ok(out.coolDownUntil - Date.now() > 9 * 60 * 1000);
+  });
+});
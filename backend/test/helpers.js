@@ -0,0 +1,92 @@
+// backend/test/helpers.js
+import http from "node:http";
+import { mock } from "node:test";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+// ✅ no database in unit tests: an unstubbed model call fails fast instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+process.env.JWT_SECRET = process.env.JWT_SECRET || "towmech-test-secret";
+
+export const oid = () => new mongoose.Types.ObjectId();
+
+/**
+ * ✅ Thenable stand-in for a mongoose Query / Aggregate
+ * select / lean / sort / ... chain back to itself, awaiting resolves the value
+ */
+export function fakeQuery(value) {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: (reject) => Promise.resolve(value).catch(reject),
+    exec: () => Promise.resolve(value),
+  };
+
+  for (const m of ["select", "lean", "sort", "limit", "skip", "populate", "session", "setOptions", "hint"]) {
+    q[m] = () => q;
+  }
+
+  return q;
+}
+
+/**
+ * ✅ Stub a model static (findOne, updateOne, ...)
+ * impl: plain value, or (...args) => value; the value comes back as a fake query
+ * Returns the node:test mock (mock.calls for assertions)
+ */
+export function stubModel(Model, method, impl = null) {
+  const fn = typeof impl === "function" ? impl : () => impl;
+  return mock.method(Model, method, (...args) => fakeQuery(fn(...args)));
+}
+
+/**
+ * ✅ Document.save() without a database (resolves the document itself)
+ */
+export function stubSave(Model) {
+  return mock.method(Model.prototype, "save", async function save() {
+    return this;
+  });
+}
+
+/**
+ * ✅ Bearer token for the auth middleware (User.findById must be stubbed to return the user)
+ */
+export function authHeader(user) {
+  const sid = user.providerProfile?.sessionId;
+  const token = jwt.sign({ id: String(user._id), ...(sid ? { sid } : {}) }, process.env.JWT_SECRET);
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * ✅ Run one HTTP request against a router mounted on a throwaway express app
+ * → { status, body }
+ */
+export async function request(router, { method = "GET", path = "/", headers = {}, body } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const { port } = server.address();
+    const res = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // not JSON (PDF, CSV, ...)
+    }
+
+    return { status: res.status, body: parsed };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
@@ -0,0 +1,107 @@
+// backend/test/jobArrival.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel, stubSave } from "./helpers.js";
+import Job, { JOB_STATUSES } from "../src/models/Job.js";
+import User from "../src/models/User.js";
+import CountryServiceConfig from "../src/models/CountryServiceConfig.js";
+import PricingConfig from "../src/models/PricingConfig.js";
+import { JOB_ACTORS, transitionJob } from "../src/services/jobLifecycle.service.js";
+import { computeWaitTime, generateStartPin, isStartPinMatch } from "../src/utils/jobArrival.js";
+
+const S = JOB_STATUSES;
+const PICKUP = { lat: -26.2041, lng: 28.0473 };
+
+function assignedJob(fields = {}) {
+  return new Job({
+    title: "Tow",
+    customer: oid(),
+    assignedTo: oid(),
+    countryCode: "ZA",
+    pricing: { bookingFeeStatus: "PAID" },
+    pickupLocation: { type: "Point", coordinates: [PICKUP.lng, PICKUP.lat] },
+    status: S.ASSIGNED,
+    ...fields,
+  });
+}
+
+function providerAt(lat, lng, seenSecondsAgo = 5) {
+  return {
+    providerProfile: {
+      location: { type: "Point", coordinates: [lng, lat] },
+      lastSeenAt: new Date(Date.now() - seenSecondsAgo * 1000),
+    },
+  };
+}
+
+describe("provider arrival", () => {
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+    mock.method(console, "log", () => {});
+    stubModel(CountryServiceConfig, "findOne", { arrival: { geofenceMeters: 150, maxLocationAgeSeconds: 120, maxPinAttempts: 3 } });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("issues a 4 digit start PIN and compares it exactly", () => {
+    const pin = generateStartPin();
+
+    assert.match(pin, /^\d{4}$/);
+    assert.equal(isStartPinMatch(pin, ` ${pin} `), true);
+    assert.equal(isStartPinMatch(pin, "12345"), false);
+    assert.equal(isStartPinMatch("", ""), false);
+  });
+
+  it("marks ARRIVED inside the geofence and starts the wait clock", async () => {
+    stubSave(Job);
+    stubModel(User, "findById", providerAt(PICKUP.lat + 0.0005, PICKUP.lng));
+    const job = assignedJob();
+
+    await transitionJob(job, S.ARRIVED, { actor: JOB_ACTORS.PROVIDER, actorId: job.assignedTo });
+
+    assert.equal(job.status, S.ARRIVED);
+    assert.ok(job.arrival.distanceMeters < 150);
+    assert.match(job.arrival.startPin, /^\d{4}$/);
+    assert.ok(job.waitTime.startedAt instanceof Date);
+  });
+
+  it("rejects ARRIVED from outside the geofence", async () => {
+    stubSave(Job);
+    // ~2 km north of pickup
+    stubModel(User, "findById", providerAt(PICKUP.lat + 0.018, PICKUP.lng));
+    const job = assignedJob();
+
+    await assert.rejects(
+      transitionJob(job, S.ARRIVED, { actor: JOB_ACTORS.PROVIDER }),
+      (err) => err.code === "TOO_FAR_FROM_PICKUP" && err.details.maxAllowedMeters === 150
+    );
+    assert.equal(job.status, S.ASSIGNED);
+  });
+
+  it("counts a wrong start PIN and keeps the job ARRIVED", async () => {
+    stubSave(Job);
+    stubModel(Job, "findById", { arrival: { startPin: "4821", pinAttempts: 1 } });
+    const inc = stubModel(Job, "updateOne", { modifiedCount: 1 });
+    const job = assignedJob({ status: S.ARRIVED });
+
+    await assert.rejects(
+      transitionJob(job, S.IN_PROGRESS, { actor: JOB_ACTORS.PROVIDER, context: { startPin: "0000" } }),
+      (err) => err.code === "START_PIN_INVALID" && err.details.attemptsLeft === 1
+    );
+
+    assert.deepEqual(inc.mock.calls[0].arguments[1], { $inc: { "arrival.pinAttempts": 1 } });
+    assert.equal(job.status, S.ARRIVED);
+  });
+
+  it("bills wait time after the free minutes", async () => {
+    stubModel(PricingConfig, "findOne", { waitTimeRules: { freeMinutes: 10, perMinuteFee: 5, maxBillableMinutes: 120 } });
+
+    const startedAt = new Date("2026-03-01T10:00:00Z");
+    const out = await computeWaitTime({ countryCode: "ZA", startedAt, endedAt: new Date("2026-03-01T10:25:30Z") });
+
+    assert.equal(out.minutes, 25);
+    assert.equal(out.billableMinutes, 15);
+    assert.equal(out.amount, 75);
+  });
+});
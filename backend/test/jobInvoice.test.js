@@ -0,0 +1,110 @@
+// backend/test/jobInvoice.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel, stubSave } from "./helpers.js";
+import Job, { INVOICE_ITEM_STATUSES, JOB_STATUSES, PAYMENT_MODES } from "../src/models/Job.js";
+import { JOB_ACTORS, transitionJob } from "../src/services/jobLifecycle.service.js";
+import {
+  addJobInvoiceItem,
+  decideJobInvoiceItem,
+  normalizeInvoiceItem,
+  summarizeInvoiceItems,
+} from "../src/utils/jobInvoice.js";
+
+const providerId = oid();
+const customerId = oid();
+
+const inProgress = (fields = {}) => ({
+  _id: oid(),
+  assignedTo: providerId,
+  customer: customerId,
+  paymentMode: PAYMENT_MODES.PAY_AFTER_COMPLETION,
+  status: JOB_STATUSES.IN_PROGRESS,
+  invoiceItems: [],
+  ...fields,
+});
+
+describe("itemised invoice extras", () => {
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("normalizes a line and computes its amount", () => {
+    assert.deepEqual(normalizeInvoiceItem({ type: "labour", quantity: 1.5, unitPrice: 350 }), {
+      ok: true,
+      item: { type: "LABOUR", description: "Labour", quantity: 1.5, unitPrice: 350, amount: 525 },
+    });
+
+    assert.equal(normalizeInvoiceItem({ type: "PART", unitPrice: 100 }).message, "description is required for parts");
+    assert.equal(normalizeInvoiceItem({ type: "TOLL", unitPrice: 0 }).code, "INVALID_INVOICE_ITEM");
+  });
+
+  it("lets the assigned provider add a PENDING line", async () => {
+    const job = inProgress();
+    stubModel(Job, "findById", job);
+    const push = stubModel(Job, "findOneAndUpdate", (filter, update) => ({
+      ...job,
+      invoiceItems: [{ _id: oid(), ...update.$push.invoiceItems }],
+    }));
+
+    const out = await addJobInvoiceItem({
+      jobId: job._id,
+      providerId,
+      input: { type: "PART", description: "Battery", unitPrice: 1200 },
+    });
+
+    assert.equal(out.ok, true);
+    assert.equal(out.item.status, INVOICE_ITEM_STATUSES.PENDING);
+    assert.equal(out.item.amount, 1200);
+    assert.equal(push.mock.calls[0].arguments[0].status, JOB_STATUSES.IN_PROGRESS);
+  });
+
+  it("refuses extras on jobs that are not pay-after-completion or not the provider's", async () => {
+    stubModel(Job, "findById", inProgress({ paymentMode: PAYMENT_MODES.DIRECT_TO_PROVIDER }));
+    const direct = await addJobInvoiceItem({ jobId: oid(), providerId, input: { type: "TOLL", unitPrice: 50 } });
+    assert.equal(direct.code, "INVOICE_ITEMS_NOT_SUPPORTED");
+
+    const other = await addJobInvoiceItem({ jobId: oid(), providerId: oid(), input: { type: "TOLL", unitPrice: 50 } });
+    assert.equal(other.status, 403);
+  });
+
+  it("reports a line that was already decided", async () => {
+    stubModel(Job, "findById", inProgress());
+    stubModel(Job, "updateOne", { modifiedCount: 0 });
+
+    const out = await decideJobInvoiceItem({ jobId: oid(), customerId, itemId: oid(), approve: true });
+
+    assert.equal(out.code, "INVOICE_ITEM_NOT_PENDING");
+  });
+
+  it("holds completion until every line is decided and bills approved lines only", async () => {
+    stubSave(Job);
+    const job = new Job({
+      title: "Mechanic",
+      customer: customerId,
+      assignedTo: providerId,
+      countryCode: "ZA",
+      paymentMode: PAYMENT_MODES.PAY_AFTER_COMPLETION,
+      status: JOB_STATUSES.IN_PROGRESS,
+      pricing: { bookingFeeStatus: "PAID", currency: "ZAR" },
+      invoiceItems: [
+        { type: "PART", description: "Battery", quantity: 1, unitPrice: 1200, amount: 1200, status: "APPROVED" },
+        { type: "TOLL", description: "Toll fee", quantity: 1, unitPrice: 45.5, amount: 45.5, status: "REJECTED" },
+        { type: "LABOUR", description: "Labour", quantity: 2, unitPrice: 300, amount: 600, status: "PENDING" },
+      ],
+    });
+
+    await assert.rejects(
+      transitionJob(job, JOB_STATUSES.COMPLETED, { actor: JOB_ACTORS.PROVIDER }),
+      (err) => err.code === "INVOICE_ITEMS_PENDING" && err.details.pendingCount === 1
+    );
+
+    const summary = summarizeInvoiceItems(job);
+    assert.equal(summary.approvedTotal, 1200);
+    assert.equal(summary.approvedItems.length, 1);
+  });
+});
@@ -0,0 +1,108 @@
+// backend/test/jobLegs.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Job, { LEG_STATUSES } from "../src/models/Job.js";
+import PricingConfig from "../src/models/PricingConfig.js";
+import Country from "../src/models/Country.js";
+import CountryServiceConfig from "../src/models/CountryServiceConfig.js";
+import { USER_ROLES } from "../src/models/User.js";
+import { buildJobLegs, completeJobLeg, normalizeWaypoints } from "../src/utils/jobLegs.js";
+import { calculateJobPricing } from "../src/utils/calculateJobPricing.js";
+
+const pricing = (multiStopRules = {}) =>
+  new PricingConfig({
+    countryCode: "ZA",
+    providerBasePricing: { towTruck: { baseFee: 500, perKmFee: 20, nightFee: 0, weekendFee: 0, holidayFee: 0 } },
+    surgePricing: { enabled: false },
+    multiStopRules: { enabled: true, maxWaypoints: 2, perStopFee: 100, ...multiStopRules },
+  });
+
+describe("multi-stop tows", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("normalizes waypoints up to the country maximum", () => {
+    const out = normalizeWaypoints([{ lat: "-26.1", lng: "28.0", label: " Workshop " }], pricing());
+
+    assert.deepEqual(out, { ok: true, waypoints: [{ lat: -26.1, lng: 28, addressText: null, label: "Workshop" }] });
+  });
+
+  it("rejects too many stops, bad points and countries without multi-stop", () => {
+    const p = { lat: -26.1, lng: 28 };
+
+    assert.equal(normalizeWaypoints([p, p, p], pricing()).code, "INVALID_WAYPOINTS");
+    assert.equal(normalizeWaypoints([{ lat: 91, lng: 28 }], pricing()).code, "INVALID_WAYPOINTS");
+    assert.equal(normalizeWaypoints([p], pricing({ enabled: false })).status, 403);
+  });
+
+  it("builds one leg per hop", async () => {
+    stubModel(CountryServiceConfig, "findOne", null);
+
+    const legs = await buildJobLegs({
+      pickup: { lat: -26.2, lng: 28.04 },
+      waypoints: [{ lat: -26.15, lng: 28.04 }],
+      dropoff: { lat: -26.1, lng: 28.04 },
+      countryCode: "ZA",
+    });
+
+    assert.deepEqual(legs.map((l) => l.sequence), [0, 1]);
+    assert.equal(legs[0].to.lat, -26.15);
+    assert.equal(legs[1].from.lat, -26.15);
+    assert.ok(legs.every((l) => l.distanceKm > 0));
+  });
+
+  it("prices every leg plus a fee per intermediate stop", async () => {
+    stubModel(Country, "findOne", { timezone: "Africa/Johannesburg" });
+    stubModel(PricingConfig, "findOne", pricing());
+
+    const out = await calculateJobPricing({
+      roleNeeded: USER_ROLES.TOW_TRUCK,
+      pickupLat: -26.2,
+      pickupLng: 28.04,
+      dropoffLat: -26.1,
+      dropoffLng: 28.04,
+      countryCode: "ZA",
+      serviceAt: "2026-03-04T10:00:00Z",
+      zone: null,
+      legs: [
+        { sequence: 0, distanceKm: 10, durationMinutes: 15 },
+        { sequence: 1, distanceKm: 5, durationMinutes: 8 },
+      ],
+    });
+
+    // 500 base + 15 km × 20 + 1 stop × 100
+    assert.equal(out.estimatedTotal, 900);
+    assert.equal(out.estimatedDistanceKm, 15);
+    assert.equal(out.estimatedDurationMinutes, 23);
+    assert.equal(out.stopFee, 100);
+    assert.deepEqual(out.legs.map((l) => l.amount), [200, 100]);
+  });
+
+  it("moves to the next leg and refuses a leg that is not current", async () => {
+    const jobId = oid();
+    const providerId = oid();
+
+    stubModel(Job, "findOneAndUpdate", null);
+    const stale = await completeJobLeg({ jobId, providerId, sequence: 0 });
+    assert.equal(stale.code, "LEG_NOT_IN_PROGRESS");
+
+    mock.restoreAll();
+    const update = stubModel(Job, "findOneAndUpdate", {
+      _id: jobId,
+      legs: [
+        { sequence: 0, status: LEG_STATUSES.COMPLETED },
+        { sequence: 1, status: LEG_STATUSES.IN_PROGRESS },
+      ],
+    });
+
+    const out = await completeJobLeg({ jobId, providerId, sequence: "0" });
+
+    assert.equal(out.ok, true);
+    assert.equal(out.nextLeg.sequence, 1);
+    assert.deepEqual(update.mock.calls[0].arguments[2].arrayFilters[1], {
+      "next.sequence": 1,
+      "next.status": LEG_STATUSES.PENDING,
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// backend/test/jobLifecycle.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel, stubSave } from "./helpers.js";
+import Job, { JOB_STATUSES } from "../src/models/Job.js";
+import {
+  JOB_ACTORS,
+  JobTransitionError,
+  getAllowedTransitions,
+  transitionJob,
+  transitionJobAtomic,
+} from "../src/services/jobLifecycle.service.js";
+
+const S = JOB_STATUSES;
+
+const newJob = (fields = {}) =>
+  new Job({ title: "Tow", customer: oid(), countryCode: "ZA", pricing: { bookingFeeStatus: "PAID" }, ...fields });
+
+describe("job lifecycle", () => {
+  beforeEach(() => {
+    // side effects (push, chat lock, ...) have no backend here; they only log
+    mock.method(console, "error", () => {});
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("records the move in statusHistory and stamps cancellation fields", async () => {
+    const save = stubSave(Job);
+    const customerId = oid();
+    const job = newJob({ status: S.BROADCASTED, customer: customerId });
+
+    await transitionJob(job, S.CANCELLED, {
+      actor: JOB_ACTORS.CUSTOMER,
+      actorId: customerId,
+      reason: "changed my mind",
+    });
+
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(job.status, S.CANCELLED);
+    assert.equal(job.cancelReason, "changed my mind");
+    assert.ok(job.cancelledAt instanceof Date);
+
+    const last = job.statusHistory[job.statusHistory.length - 1];
+    assert.equal(last.from, S.BROADCASTED);
+    assert.equal(last.to, S.CANCELLED);
+    assert.equal(last.actor, JOB_ACTORS.CUSTOMER);
+  });
+
+  it("rejects moves the actor may not make", async () => {
+    const save = stubSave(Job);
+    const job = newJob({ status: S.COMPLETED, assignedTo: oid() });
+
+    await assert.rejects(
+      transitionJob(job, S.IN_PROGRESS, { actor: JOB_ACTORS.PROVIDER }),
+      (err) => err instanceof JobTransitionError && err.statusCode === 409 && err.code === "INVALID_STATUS_TRANSITION"
+    );
+
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(job.status, S.COMPLETED);
+    assert.deepEqual(getAllowedTransitions(S.COMPLETED, JOB_ACTORS.ADMIN), []);
+  });
+
+  it("blocks dispatch until the booking fee is paid", async () => {
+    stubSave(Job);
+    const job = newJob({ status: S.CREATED, pricing: { bookingFeeStatus: "PENDING" } });
+
+    await assert.rejects(
+      transitionJob(job, S.BROADCASTED, { actor: JOB_ACTORS.SYSTEM }),
+      (err) => err.statusCode === 402 && err.code === "BOOKING_FEE_NOT_PAID"
+    );
+    assert.equal(job.status, S.CREATED);
+  });
+
+  it("requires a provider before ASSIGNED", async () => {
+    stubSave(Job);
+    const job = newJob({ status: S.BROADCASTED });
+
+    await assert.rejects(
+      transitionJob(job, S.ASSIGNED, { actor: JOB_ACTORS.ADMIN }),
+      (err) => err.code === "NO_PROVIDER_ASSIGNED"
+    );
+  });
+
+  it("returns null from the atomic move when another request changed the job first", async () => {
+    const job = newJob({ status: S.BROADCASTED });
+    stubModel(Job, "findOne", job);
+    const update = stubModel(Job, "findOneAndUpdate", null);
+
+    const out = await transitionJobAtomic(job._id, S.CANCELLED, { actor: JOB_ACTORS.SYSTEM, reason: "timeout" });
+
+    assert.equal(out, null);
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.equal(filter.status, S.BROADCASTED);
+    assert.equal(change.$set.status, S.CANCELLED);
+    assert.equal(change.$push.statusHistory.actor, JOB_ACTORS.SYSTEM);
+  });
+});
@@ -0,0 +1,89 @@
+// backend/test/jobReceipt.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Job from "../src/models/Job.js";
+import InvoiceCounter from "../src/models/InvoiceCounter.js";
+import { translate } from "../src/i18n/index.js";
+import { RECEIPT_PAID_TO, buildJobReceipt, issueJobInvoiceNumber } from "../src/utils/jobReceipt.js";
+import { renderJobReceiptPdfBuffer } from "../src/utils/pdf/receiptPdf.js";
+
+const VAT_15 = {
+  enabled: true,
+  label: "VAT",
+  ratePercent: 15,
+  pricesIncludeTax: true,
+  vatOnBookingFee: true,
+  registrationNumber: "4123456789",
+  invoicePrefix: "TM",
+};
+
+const completedJob = (fields = {}) => ({
+  _id: oid(),
+  countryCode: "ZA",
+  completedAt: new Date("2026-03-04T12:00:00Z"),
+  pricing: { currency: "ZAR", bookingFee: 115, providerAmountDue: 460, waitTimeFee: 0 },
+  invoiceItems: [
+    { description: "Battery", quantity: 1, unitPrice: 230, amount: 230, status: "APPROVED" },
+    { description: "Toll", quantity: 1, unitPrice: 50, amount: 50, status: "REJECTED" },
+  ],
+  ...fields,
+});
+
+describe("job receipts", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("splits VAT out of inclusive prices per line and totals approved extras only", () => {
+    const receipt = buildJobReceipt({ job: completedJob(), taxRules: VAT_15 });
+
+    assert.deepEqual(
+      receipt.lines.map((l) => [l.labelKey || l.description, l.paidTo, l.net, l.tax, l.gross]),
+      [
+        ["receipt.booking_fee", RECEIPT_PAID_TO.TOWMECH, 100, 15, 115],
+        ["receipt.provider_amount", RECEIPT_PAID_TO.PROVIDER, 400, 60, 460],
+        ["Battery", RECEIPT_PAID_TO.PROVIDER, 200, 30, 230],
+      ]
+    );
+    assert.equal(receipt.subtotal, 700);
+    assert.equal(receipt.taxAmount, 105);
+    assert.equal(receipt.total, 805);
+  });
+
+  it("leaves the waived booking fee off insured jobs", () => {
+    const receipt = buildJobReceipt({ job: completedJob({ insurance: { enabled: true } }), taxRules: VAT_15 });
+
+    assert.equal(receipt.insured, true);
+    assert.ok(!receipt.lines.some((l) => l.labelKey === "receipt.booking_fee"));
+  });
+
+  it("issues a per-country invoice number once", async () => {
+    const counter = stubModel(InvoiceCounter, "findOneAndUpdate", { seq: 42 });
+    stubModel(Job, "findOneAndUpdate", (filter, update) => ({ receipt: update.$set.receipt }));
+
+    const receipt = await issueJobInvoiceNumber(completedJob(), VAT_15);
+
+    assert.equal(receipt.invoiceNumber, "TM-ZA-000042");
+    assert.equal(counter.mock.calls[0].arguments[0].countryCode, "ZA");
+
+    const again = await issueJobInvoiceNumber(completedJob({ receipt }), VAT_15);
+    assert.equal(again, receipt);
+    assert.equal(counter.mock.callCount(), 1);
+  });
+
+  it("renders a PDF in the requested language", async () => {
+    const job = completedJob();
+    const receipt = buildJobReceipt({ job, taxRules: VAT_15 });
+    const t = (key, vars = {}) => translate("af", key, { ...vars, fallback: translate("en", key, vars) });
+
+    const pdf = await renderJobReceiptPdfBuffer({
+      job,
+      receipt,
+      invoice: { invoiceNumber: "TM-ZA-000042", issuedAt: new Date() },
+      t,
+    });
+
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  });
+});
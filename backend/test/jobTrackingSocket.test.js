@@ -0,0 +1,135 @@
+// backend/test/jobTrackingSocket.test.js
+import assert from "node:assert/strict";
+import { afterEach, before, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Job, { JOB_STATUSES } from "../src/models/Job.js";
+import User, { USER_ROLES } from "../src/models/User.js";
+import CountryServiceConfig from "../src/models/CountryServiceConfig.js";
+import { registerJobTrackingSocket } from "../src/socket/jobTrackingSocket.js";
+import { publishProviderLocation } from "../src/utils/jobTracking.js";
+
+// in-memory stand-in for io.of("/tracking")
+const emitted = [];
+let onConnection = null;
+
+const nsp = {
+  use: () => {},
+  on: (event, fn) => {
+    if (event === "connection") onConnection = fn;
+  },
+  to: (room) => ({
+    to: (room2) => ({ emit: (event, payload) => emitted.push({ rooms: [room, room2], event, payload }) }),
+    emit: (event, payload) => emitted.push({ rooms: [room], event, payload }),
+  }),
+  in: () => ({ socketsLeave: () => {} }),
+};
+
+function connect(user) {
+  const handlers = {};
+  const socket = {
+    user,
+    rooms: [],
+    on: (event, fn) => {
+      handlers[event] = fn;
+    },
+    join(room) {
+      this.rooms.push(room);
+    },
+    leave() {},
+  };
+  onConnection(socket);
+
+  const call = (event, payload) => new Promise((resolve) => handlers[event](payload, resolve));
+  return { socket, call };
+}
+
+const activeJob = (fields = {}) => ({
+  _id: oid(),
+  customer: oid(),
+  assignedTo: oid(),
+  status: JOB_STATUSES.ASSIGNED,
+  countryCode: "ZA",
+  pickupLocation: { type: "Point", coordinates: [28.0473, -26.2041] },
+  ...fields,
+});
+
+describe("job tracking socket", () => {
+  before(() => {
+    registerJobTrackingSocket({ of: () => nsp });
+  });
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    emitted.length = 0;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("lets the customer join their job room and sends a snapshot", async () => {
+    const job = activeJob();
+    stubModel(Job, "findById", job);
+    stubModel(User, "findById", null);
+
+    const { socket, call } = connect({ _id: job.customer, role: USER_ROLES.CUSTOMER });
+    const res = await call("tracking:join", { jobId: job._id.toString() });
+
+    assert.equal(res.ok, true);
+    assert.equal(res.snapshot.status, JOB_STATUSES.ASSIGNED);
+    assert.deepEqual(socket.rooms, [`job:${job._id}`]);
+  });
+
+  it("refuses users who are not on the job", async () => {
+    const job = activeJob();
+    stubModel(Job, "findById", job);
+
+    const { socket, call } = connect({ _id: oid(), role: USER_ROLES.CUSTOMER });
+    const res = await call("tracking:join", { jobId: job._id.toString() });
+
+    assert.equal(res.ok, false);
+    assert.deepEqual(socket.rooms, []);
+  });
+
+  it("requires canViewLiveMap for admins joining a job room", async () => {
+    const job = activeJob();
+    stubModel(Job, "findById", job);
+    stubModel(User, "findById", null);
+
+    const without = connect({ _id: oid(), role: USER_ROLES.ADMIN, countryCode: "ZA", permissions: {} });
+    assert.equal((await without.call("tracking:join", { jobId: job._id.toString() })).ok, false);
+
+    const restricted = connect({
+      _id: oid(),
+      role: USER_ROLES.ADMIN,
+      countryCode: "ZA",
+      isRestricted: true,
+      permissions: { canViewLiveMap: true },
+    });
+    assert.equal((await restricted.call("tracking:join", { jobId: job._id.toString() })).ok, false);
+
+    const allowed = connect({ _id: oid(), role: USER_ROLES.ADMIN, countryCode: "ZA", permissions: { canViewLiveMap: true } });
+    assert.equal((await allowed.call("tracking:join", { jobId: job._id.toString() })).ok, true);
+  });
+
+  it("keeps admins on their own country's live map", async () => {
+    const admin = { _id: oid(), role: USER_ROLES.ADMIN, countryCode: "ZA", permissions: { canViewLiveMap: true } };
+
+    const { call } = connect(admin);
+
+    assert.equal((await call("tracking:admin:join", { countryCode: "KE" })).ok, false);
+    assert.deepEqual(await call("tracking:admin:join", { countryCode: "za" }), { ok: true, room: "admin:ZA" });
+  });
+
+  it("publishes provider GPS to the job room and the admin map", async () => {
+    const job = activeJob();
+    stubModel(Job, "findOne", job);
+    stubModel(CountryServiceConfig, "findOne", null);
+
+    const jobId = await publishProviderLocation(job.assignedTo, { lat: -26.2, lng: 28.04 });
+
+    assert.equal(jobId, job._id.toString());
+    const location = emitted.find((e) => e.event === "tracking:location");
+    assert.deepEqual(location.rooms, [`job:${job._id}`, "admin:ZA"]);
+    assert.equal(location.payload.lat, -26.2);
+  });
+});
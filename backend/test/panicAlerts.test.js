@@ -0,0 +1,85 @@
+// backend/test/panicAlerts.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { authHeader, oid, request, stubModel } from "./helpers.js";
+import User, { USER_ROLES } from "../src/models/User.js";
+import Job from "../src/models/Job.js";
+import PanicAlert, { PANIC_NOTIFY_CHANNELS, PANIC_STATUSES } from "../src/models/PanicAlert.js";
+import CountryServiceConfig from "../src/models/CountryServiceConfig.js";
+import safetyRoutes from "../src/routes/safety.js";
+import { appendPanicLocation } from "../src/services/safety/panicEscalation.js";
+
+const customer = {
+  _id: oid(),
+  name: "Thandi",
+  role: USER_ROLES.CUSTOMER,
+  countryCode: "ZA",
+  emergencyContacts: [{ name: "Sipho", phone: "+27820000000" }],
+};
+
+const panic = (body) =>
+  request(safetyRoutes, { method: "POST", path: "/panic", headers: authHeader(customer), body });
+
+describe("panic alerts", () => {
+  beforeEach(() => {
+    delete process.env.TWILIO_ACCOUNT_SID;
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    stubModel(User, "findById", customer);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("raises an alert on the customer's job and texts their emergency contacts", async () => {
+    const job = { _id: oid(), customer: customer._id, assignedTo: oid(), countryCode: "ZA" };
+    stubModel(Job, "findById", job);
+    stubModel(CountryServiceConfig, "findOne", null);
+    stubModel(User, "find", []);
+    const create = stubModel(PanicAlert, "create", (doc) => ({ _id: oid(), ...doc }));
+    const notifications = stubModel(PanicAlert, "updateOne", { modifiedCount: 1 });
+
+    const res = await panic({ jobId: String(job._id), lat: "-26.2041", lng: 28.0473, message: "Help" });
+
+    assert.equal(res.status, 201);
+    const alert = create.mock.calls[0].arguments[0];
+    assert.equal(alert.status, PANIC_STATUSES.OPEN);
+    assert.deepEqual(alert.location, { lat: -26.2041, lng: 28.0473 });
+    assert.ok(alert.nextEscalationAt > new Date());
+
+    const [sms] = notifications.mock.calls[0].arguments[1].$push.notifications.$each;
+    assert.equal(sms.channel, PANIC_NOTIFY_CHANNELS.SMS);
+    assert.equal(sms.to, "+27820000000");
+  });
+
+  it("rejects a location off the map", async () => {
+    const create = stubModel(PanicAlert, "create", {});
+
+    const res = await panic({ lat: 95, lng: 28 });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_LOCATION");
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("refuses to tie an alert to someone else's job", async () => {
+    stubModel(Job, "findById", { _id: oid(), customer: oid(), assignedTo: oid(), countryCode: "ZA" });
+    const create = stubModel(PanicAlert, "create", {});
+
+    const res = await panic({ jobId: String(oid()), lat: -26.2, lng: 28 });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "NOT_JOB_PARTICIPANT");
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("stops location streaming once the alert is resolved", async () => {
+    stubModel(PanicAlert, "findOneAndUpdate", null);
+    stubModel(PanicAlert, "findOne", { status: PANIC_STATUSES.RESOLVED });
+
+    const out = await appendPanicLocation({ alertId: oid(), userId: customer._id, lat: -26.2, lng: 28 });
+
+    assert.equal(out.status, 409);
+    assert.equal(out.code, "PANIC_ALERT_RESOLVED");
+  });
+});
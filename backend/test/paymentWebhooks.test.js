@@ -0,0 +1,130 @@
+// backend/test/paymentWebhooks.test.js
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel, stubSave } from "./helpers.js";
+import Payment, { PAYMENT_STATUSES } from "../src/models/Payment.js";
+import Job from "../src/models/Job.js";
+import PaymentWebhookEvent, { WEBHOOK_EVENT_STATUSES } from "../src/models/PaymentWebhookEvent.js";
+import { ingestPaymentWebhook } from "../src/services/payments/webhooks.js";
+import { PAYMENT_EVENT_KINDS, reconcilePaymentEvent } from "../src/services/payments/reconcile.js";
+
+const PAYSTACK_SECRET = "sk_test_webhooks";
+
+const chargeSuccess = (amountMinor = 15000) => ({
+  event: "charge.success",
+  data: { id: 991, reference: "TM-REF-1", amount: amountMinor, currency: "ZAR" },
+});
+
+function paystackReq(body, secret = PAYSTACK_SECRET) {
+  const rawBody = JSON.stringify(body);
+  const signature = crypto.createHmac("sha512", secret).update(rawBody).digest("hex");
+  return { headers: { "x-paystack-signature": signature }, body, rawBody: Buffer.from(rawBody) };
+}
+
+const pendingPayment = (fields = {}) =>
+  new Payment({
+    _id: oid(),
+    job: oid(),
+    amount: 150,
+    currency: "ZAR",
+    provider: "PAYSTACK",
+    providerReference: "TM-REF-1",
+    status: PAYMENT_STATUSES.PENDING,
+    ...fields,
+  });
+
+describe("payment webhooks", () => {
+  beforeEach(() => {
+    process.env.PAYSTACK_SECRET_KEY = PAYSTACK_SECRET;
+    mock.method(console, "error", () => {});
+    stubSave(PaymentWebhookEvent);
+    stubSave(Payment);
+  });
+
+  afterEach(() => {
+    delete process.env.PAYSTACK_SECRET_KEY;
+    mock.restoreAll();
+  });
+
+  it("marks the payment paid for a correctly signed Paystack charge", async () => {
+    const payment = pendingPayment();
+    const create = stubModel(PaymentWebhookEvent, "create", (doc) => new PaymentWebhookEvent(doc));
+    const lookup = stubModel(Payment, "findOne", payment);
+    stubModel(Job, "findById", null);
+
+    const out = await ingestPaymentWebhook({ gateway: "paystack", req: paystackReq(chargeSuccess()) });
+
+    assert.deepEqual(out, { status: 200, body: { received: true, outcome: "MARKED_PAID" } });
+    assert.equal(payment.status, PAYMENT_STATUSES.PAID);
+    assert.equal(create.mock.calls[0].arguments[0].eventId, "charge.success:991");
+    assert.deepEqual(lookup.mock.calls[0].arguments[0].provider, { $in: ["PAYSTACK"] });
+  });
+
+  it("rejects a forged signature before storing anything", async () => {
+    const create = stubModel(PaymentWebhookEvent, "create", {});
+
+    const out = await ingestPaymentWebhook({
+      gateway: "PAYSTACK",
+      req: paystackReq(chargeSuccess(), "not-the-secret"),
+    });
+
+    assert.equal(out.status, 401);
+    assert.equal(out.body.code, "INVALID_SIGNATURE");
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("rejects a Stripe signature outside the replay tolerance", async () => {
+    process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+    const rawBody = JSON.stringify({ id: "evt_1", type: "payment_intent.succeeded" });
+    const t = Math.floor(Date.now() / 1000) - 10 * 60;
+    const v1 = crypto.createHmac("sha256", "whsec_test").update(`${t}.${rawBody}`).digest("hex");
+
+    const out = await ingestPaymentWebhook({
+      gateway: "stripe",
+      req: { headers: { "stripe-signature": `t=${t},v1=${v1}` }, body: JSON.parse(rawBody), rawBody },
+    });
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+
+    assert.equal(out.status, 401);
+    assert.match(out.body.message, /tolerance/);
+  });
+
+  it("acknowledges a replayed event without applying it again", async () => {
+    mock.method(PaymentWebhookEvent, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+    const reclaim = stubModel(PaymentWebhookEvent, "findOneAndUpdate", null);
+    const bump = stubModel(PaymentWebhookEvent, "updateOne", { modifiedCount: 1 });
+    const lookup = stubModel(Payment, "findOne", pendingPayment());
+
+    const out = await ingestPaymentWebhook({ gateway: "PAYSTACK", req: paystackReq(chargeSuccess()) });
+
+    assert.deepEqual(out.body, { received: true, duplicate: true });
+    assert.equal(reclaim.mock.calls[0].arguments[0].$or[0].status, WEBHOOK_EVENT_STATUSES.FAILED);
+    assert.deepEqual(bump.mock.calls[0].arguments[1].$inc, { receivedCount: 1 });
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+
+  it("refuses to mark paid without an amount or for less than was charged", async () => {
+    const event = (amount) => ({ kind: PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED, reference: "TM-REF-1", amount });
+
+    stubModel(Payment, "findOne", pendingPayment({ provider: "STRIPE" }));
+    assert.equal((await reconcilePaymentEvent({ gateway: "STRIPE", event: event(undefined) })).outcome, "MISSING_AMOUNT");
+    assert.equal((await reconcilePaymentEvent({ gateway: "STRIPE", event: event(1.5) })).outcome, "AMOUNT_MISMATCH");
+  });
+
+  it("never moves a refunded payment back to PAID", async () => {
+    const payment = pendingPayment({ status: PAYMENT_STATUSES.REFUNDED });
+    stubModel(Payment, "findOne", payment);
+
+    const out = await reconcilePaymentEvent({
+      gateway: "PAYSTACK",
+      event: { kind: PAYMENT_EVENT_KINDS.PAYMENT_SUCCEEDED, reference: "TM-REF-1", amount: 150 },
+    });
+
+    assert.equal(out.outcome, "IGNORED_REFUNDED");
+    assert.equal(payment.status, PAYMENT_STATUSES.REFUNDED);
+  });
+});
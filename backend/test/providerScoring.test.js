@@ -0,0 +1,90 @@
+// backend/test/providerScoring.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import CountryServiceConfig from "../src/models/CountryServiceConfig.js";
+import { RANKING_STRATEGIES, getRankingConfig, rankProviders, scoreProvider } from "../src/utils/providerScoring.js";
+
+const PICKUP = { lat: -26.2041, lng: 28.0473 };
+
+// ~1 km per 0.009 degrees of latitude
+function provider({ kmNorth, avg = 0, count = 0, offered = 0, accepted = 0, cancelled = 0, lastJobAt = null }) {
+  return {
+    _id: oid(),
+    $locals: {},
+    ratingStats: { asProvider: { avg, count } },
+    providerProfile: {
+      location: { type: "Point", coordinates: [PICKUP.lng, PICKUP.lat + kmNorth * 0.009] },
+      dispatchStats: { offered, accepted, cancelled, lastJobAt },
+    },
+  };
+}
+
+const WEIGHTED = {
+  strategy: RANKING_STRATEGIES.WEIGHTED,
+  weights: { distance: 0.5, rating: 0.2, acceptance: 0.1, reliability: 0.1, idle: 0.1 },
+  minRatingsForScore: 3,
+  idleCapMinutes: 240,
+};
+
+describe("provider scoring", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("ranks a well rated, reliable provider above a slightly nearer unreliable one", () => {
+    const near = provider({ kmNorth: 1, avg: 2, count: 20, offered: 20, accepted: 4, cancelled: 3 });
+    const good = provider({ kmNorth: 2, avg: 4.9, count: 40, offered: 20, accepted: 19, cancelled: 0 });
+
+    const ranked = rankProviders({
+      providers: [near, good],
+      pickupLat: PICKUP.lat,
+      pickupLng: PICKUP.lng,
+      maxDistanceMeters: 20000,
+      config: WEIGHTED,
+    });
+
+    assert.equal(ranked[0], good);
+    assert.equal(good.$locals.ranking.rank, 1);
+    assert.equal(near.$locals.ranking.rank, 2);
+    assert.ok(good.$locals.ranking.factors.rating.score > near.$locals.ranking.factors.rating.score);
+  });
+
+  it("keeps nearest-first order under the DISTANCE strategy", () => {
+    const near = provider({ kmNorth: 1, avg: 1, count: 50 });
+    const far = provider({ kmNorth: 8, avg: 5, count: 50 });
+
+    const ranked = rankProviders({
+      providers: [far, near],
+      pickupLat: PICKUP.lat,
+      pickupLng: PICKUP.lng,
+      maxDistanceMeters: 20000,
+      config: { ...WEIGHTED, strategy: RANKING_STRATEGIES.DISTANCE },
+    });
+
+    assert.equal(ranked[0], near);
+    assert.equal(near.$locals.ranking.factors.rating.weight, 0);
+  });
+
+  it("gives providers with too few ratings a neutral rating and no distance score without a location", () => {
+    const p = provider({ kmNorth: 0, avg: 5, count: 1 });
+    p.providerProfile.location = null;
+
+    const out = scoreProvider({ provider: p, pickupLat: PICKUP.lat, pickupLng: PICKUP.lng, maxDistanceKm: 20, config: WEIGHTED });
+
+    assert.equal(out.factors.rating.score, 0.5);
+    assert.equal(out.factors.distance.score, 0);
+    assert.equal(out.distanceKm, null);
+  });
+
+  it("rejects negative weights and unknown strategies from the country config", async () => {
+    stubModel(CountryServiceConfig, "findOne", {
+      ranking: { strategy: "RANDOM", weights: { distance: -1, rating: 0.7 } },
+    });
+
+    const cfg = await getRankingConfig("za");
+
+    assert.equal(cfg.strategy, RANKING_STRATEGIES.WEIGHTED);
+    assert.equal(cfg.weights.distance, 0.5);
+    assert.equal(cfg.weights.rating, 0.7);
+  });
+});
@@ -0,0 +1,131 @@
+// backend/test/refundQueue.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel, stubSave } from "./helpers.js";
+import Payment, { PAYMENT_STATUSES } from "../src/models/Payment.js";
+import PaymentRefund, { REFUND_STATUSES, REFUND_SOURCES } from "../src/models/PaymentRefund.js";
+import Job, { BOOKING_FEE_STATUSES } from "../src/models/Job.js";
+import FinancialLog from "../src/models/FinancialLog.js";
+import {
+  getRefundableAmount,
+  processRefund,
+  queueRefund,
+  retryFailedRefund,
+} from "../src/services/payments/refundQueue.js";
+
+const paidPayment = (fields = {}) =>
+  new Payment({
+    _id: oid(),
+    job: oid(),
+    amount: 100,
+    currency: "ZAR",
+    countryCode: "ZA",
+    provider: "PAYSTACK",
+    status: PAYMENT_STATUSES.PAID,
+    ...fields,
+  });
+
+describe("refund queue", () => {
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+    stubModel(FinancialLog, "create", {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("leaves what is paid minus refunded minus reserved refundable", async () => {
+    assert.equal(await getRefundableAmount({ amount: 100, refundedAmount: 30, refundReservedAmount: 25.5 }), 44.5);
+    assert.equal(await getRefundableAmount({ amount: 100, refundedAmount: 60, refundReservedAmount: 60 }), 0);
+  });
+
+  it("reserves the amount with a conditional $inc and refuses when another refund got there first", async () => {
+    const payment = paidPayment();
+
+    const over = await queueRefund({ payment, amount: 120, source: REFUND_SOURCES.ADMIN });
+    assert.equal(over.code, "REFUND_EXCEEDS_BALANCE");
+    assert.equal(over.status, 400);
+
+    const reserve = stubModel(Payment, "findOneAndUpdate", null);
+    const create = stubModel(PaymentRefund, "create", {});
+
+    const raced = await queueRefund({ payment, amount: 40, source: REFUND_SOURCES.ADMIN });
+
+    assert.equal(raced.status, 409);
+    assert.equal(raced.code, "REFUND_EXCEEDS_BALANCE");
+    const [filter, update] = reserve.mock.calls[0].arguments;
+    assert.equal(filter.status, PAYMENT_STATUSES.PAID);
+    assert.ok(filter.$expr.$lte[0].$add.includes(40));
+    assert.deepEqual(update, { $inc: { refundReservedAmount: 40 } });
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("fails a full refund the gateway cannot take and releases its reservation", async () => {
+    stubSave(PaymentRefund);
+    const payment = paidPayment({ status: PAYMENT_STATUSES.REFUND_REQUESTED, refundReservedAmount: 100 });
+    stubModel(Payment, "findById", payment);
+    const paymentUpdates = stubModel(Payment, "updateOne", { modifiedCount: 1 });
+    const jobUpdates = stubModel(Job, "updateOne", { modifiedCount: 1 });
+
+    const refund = new PaymentRefund({
+      payment: payment._id,
+      job: payment.job,
+      countryCode: "ZA",
+      gateway: "NOT_A_GATEWAY",
+      amount: 100,
+      currency: "ZAR",
+      isFull: true,
+      source: REFUND_SOURCES.ADMIN,
+      status: REFUND_STATUSES.PROCESSING,
+    });
+
+    const out = await processRefund(refund);
+
+    assert.equal(out.status, REFUND_STATUSES.FAILED);
+    assert.equal(out.attempts, 1);
+    assert.deepEqual(paymentUpdates.mock.calls[0].arguments[1], { $inc: { refundReservedAmount: -100 } });
+    assert.deepEqual(paymentUpdates.mock.calls[1].arguments[1], {
+      $set: { status: PAYMENT_STATUSES.REFUND_FAILED },
+    });
+    assert.equal(
+      jobUpdates.mock.calls[0].arguments[1].$set["pricing.bookingFeeStatus"],
+      BOOKING_FEE_STATUSES.REFUND_FAILED
+    );
+  });
+
+  it("retries only FAILED refunds in the admin's country", async () => {
+    stubModel(PaymentRefund, "findOneAndUpdate", null);
+    stubModel(PaymentRefund, "findOne", null);
+    const missing = await retryFailedRefund({ refundId: oid(), countryCode: "ZA" });
+    assert.equal(missing.status, 404);
+
+    mock.restoreAll();
+    stubModel(PaymentRefund, "findOneAndUpdate", null);
+    stubModel(PaymentRefund, "findOne", { status: REFUND_STATUSES.PROCESSING });
+    const busy = await retryFailedRefund({ refundId: oid(), countryCode: "ZA" });
+    assert.equal(busy.code, "REFUND_NOT_FAILED");
+  });
+
+  it("puts a claimed retry back to FAILED when the balance no longer covers it", async () => {
+    const claimed = new PaymentRefund({
+      payment: oid(),
+      countryCode: "ZA",
+      gateway: "PAYSTACK",
+      amount: 50,
+      currency: "ZAR",
+      isFull: false,
+      source: REFUND_SOURCES.ADMIN,
+      status: REFUND_STATUSES.PROCESSING,
+    });
+    const claim = stubModel(PaymentRefund, "findOneAndUpdate", claimed);
+    stubModel(Payment, "findOneAndUpdate", null);
+    const rollback = stubModel(PaymentRefund, "updateOne", { modifiedCount: 1 });
+
+    const out = await retryFailedRefund({ refundId: claimed._id, countryCode: "ZA" });
+
+    assert.equal(out.code, "REFUND_EXCEEDS_BALANCE");
+    assert.equal(claim.mock.calls[0].arguments[0].status, REFUND_STATUSES.FAILED);
+    assert.equal(rollback.mock.calls[0].arguments[0].status, REFUND_STATUSES.PROCESSING);
+    assert.equal(rollback.mock.calls[0].arguments[1].$set.status, REFUND_STATUSES.FAILED);
+  });
+});
@@ -0,0 +1,76 @@
+// backend/test/roadsideServices.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { stubModel } from "./helpers.js";
+import PricingConfig from "../src/models/PricingConfig.js";
+import Country from "../src/models/Country.js";
+import { JOB_SERVICE_TYPES } from "../src/models/Job.js";
+import { USER_ROLES } from "../src/models/User.js";
+import { normalizeServiceDetails, resolveJobService } from "../src/utils/roadsideServices.js";
+import { calculateJobPricing } from "../src/utils/calculateJobPricing.js";
+
+const pricing = () => new PricingConfig({ countryCode: "ZA", surgePricing: { enabled: false } });
+
+describe("roadside services", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("maps legacy roleNeeded and roadside service types to a provider role", () => {
+    assert.deepEqual(resolveJobService({ roleNeeded: USER_ROLES.TOW_TRUCK }), {
+      ok: true,
+      serviceType: JOB_SERVICE_TYPES.TOWING,
+      roleNeeded: USER_ROLES.TOW_TRUCK,
+    });
+
+    assert.deepEqual(resolveJobService({ serviceType: "jump_start" }), {
+      ok: true,
+      serviceType: JOB_SERVICE_TYPES.JUMP_START,
+      roleNeeded: USER_ROLES.MECHANIC,
+    });
+  });
+
+  it("rejects unknown services and a role that does not serve the service", () => {
+    assert.equal(resolveJobService({ serviceType: "CAR_WASH" }).code, "INVALID_SERVICE_TYPE");
+    assert.equal(
+      resolveJobService({ serviceType: "LOCKOUT", roleNeeded: USER_ROLES.TOW_TRUCK }).code,
+      "SERVICE_ROLE_MISMATCH"
+    );
+  });
+
+  it("validates fuel type and litres against the country maximum", () => {
+    const cfg = pricing();
+    const fuel = (details) =>
+      normalizeServiceDetails({ serviceType: JOB_SERVICE_TYPES.FUEL_DELIVERY, serviceDetails: details, pricingConfig: cfg });
+
+    assert.deepEqual(fuel({ fuelType: "diesel", fuelLitres: 12.34 }), {
+      ok: true,
+      details: { fuelType: "DIESEL", fuelLitres: 12.3 },
+    });
+    assert.equal(fuel({ fuelType: "DIESEL", fuelLitres: 25 }).code, "INVALID_SERVICE_DETAILS");
+    assert.equal(fuel({ fuelType: "LPG", fuelLitres: 5 }).code, "INVALID_SERVICE_DETAILS");
+  });
+
+  it("prices a fuel delivery as call-out fee plus litres, without distance", async () => {
+    stubModel(Country, "findOne", { timezone: "Africa/Johannesburg" });
+    stubModel(PricingConfig, "findOne", pricing());
+
+    const out = await calculateJobPricing({
+      roleNeeded: USER_ROLES.MECHANIC,
+      pickupLat: -26.2,
+      pickupLng: 28.04,
+      countryCode: "ZA",
+      serviceAt: "2026-03-04T10:00:00Z",
+      zone: null,
+      serviceType: JOB_SERVICE_TYPES.FUEL_DELIVERY,
+      serviceDetails: { fuelType: "PETROL", fuelLitres: 10 },
+    });
+
+    // 300 call-out + 10 L × 25
+    assert.equal(out.estimatedTotal, 550);
+    assert.equal(out.extrasAmount, 250);
+    assert.equal(out.estimatedDistanceKm, 0);
+    // default 15% booking fee / commission
+    assert.equal(out.bookingFee, 83);
+    assert.equal(out.providerAmountDue, 550 - out.commissionAmount);
+  });
+});
@@ -0,0 +1,96 @@
+// backend/test/routing.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import axios from "axios";
+
+import "./helpers.js";
+import { ROUTING_PROVIDERS, estimateRoute, estimateRoutesToPoint } from "../src/services/routing/index.js";
+
+const config = (fields = {}) => ({
+  provider: ROUTING_PROVIDERS.HAVERSINE,
+  baseUrl: "",
+  profile: "",
+  timeoutMs: 2500,
+  detourFactor: 1.3,
+  avgSpeedKmh: 40,
+  ...fields,
+});
+
+// every test uses its own points: results are cached per provider + leg
+const leg = (n) => ({
+  from: { lat: -26.2 + n * 0.01, lng: 28.04 },
+  to: { lat: -26.1 + n * 0.01, lng: 28.04 },
+});
+
+describe("routing", () => {
+  beforeEach(() => {
+    delete process.env.OSRM_BASE_URL;
+    mock.method(console, "warn", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("estimates drive distance offline with the detour factor", async () => {
+    const out = await estimateRoute({ ...leg(1), config: config() });
+
+    // 0.1 degrees of latitude ≈ 11.12 km straight line
+    assert.equal(out.source, ROUTING_PROVIDERS.HAVERSINE);
+    assert.equal(out.fallback, false);
+    assert.ok(Math.abs(out.distanceKm - 11.12 * 1.3) < 0.05);
+    assert.ok(Math.abs(out.durationMinutes - (out.distanceKm / 40) * 60) < 0.1);
+  });
+
+  it("uses OSRM distance and duration when a base URL is configured", async () => {
+    const get = mock.method(axios, "get", async () => ({
+      data: { code: "Ok", routes: [{ distance: 15400, duration: 1260 }] },
+    }));
+
+    const out = await estimateRoute({ ...leg(2), config: config({ provider: ROUTING_PROVIDERS.OSRM, baseUrl: "http://osrm.local/" }) });
+
+    assert.deepEqual(out, { distanceKm: 15.4, durationMinutes: 21, source: ROUTING_PROVIDERS.OSRM, fallback: false });
+    // trailing slash trimmed, OSRM wants lng,lat
+    assert.ok(get.mock.calls[0].arguments[0].startsWith("http://osrm.local/route/v1/driving/28.04,-26.18;28.04,-26.08"));
+  });
+
+  it("falls back to haversine without calling OSRM when no base URL is set", async () => {
+    const get = mock.method(axios, "get", async () => {
+      throw new Error("must not be called");
+    });
+
+    const out = await estimateRoute({ ...leg(3), config: config({ provider: ROUTING_PROVIDERS.OSRM }) });
+
+    assert.equal(get.mock.callCount(), 0);
+    assert.equal(out.source, ROUTING_PROVIDERS.HAVERSINE);
+    assert.equal(out.fallback, true);
+  });
+
+  it("falls back to haversine when the routing server errors", async () => {
+    mock.method(axios, "get", async () => {
+      throw new Error("timeout of 2500ms exceeded");
+    });
+
+    const out = await estimateRoute({ ...leg(4), config: config({ provider: ROUTING_PROVIDERS.OSRM, baseUrl: "http://osrm.local" }) });
+
+    assert.equal(out.source, ROUTING_PROVIDERS.HAVERSINE);
+    assert.equal(out.fallback, true);
+  });
+
+  it("fills origins the OSRM table could not route with haversine estimates", async () => {
+    mock.method(axios, "get", async () => ({
+      data: { code: "Ok", distances: [[5000], [null]], durations: [[600], [null]] },
+    }));
+
+    const out = await estimateRoutesToPoint({
+      origins: [
+        { id: "a", lat: -26.21, lng: 28.05 },
+        { id: "b", lat: -26.25, lng: 28.1 },
+      ],
+      destination: { lat: -26.2, lng: 28.04 },
+      config: config({ provider: ROUTING_PROVIDERS.OSRM, baseUrl: "http://osrm.local" }),
+    });
+
+    assert.deepEqual(out.get("a"), { distanceKm: 5, durationMinutes: 10, source: ROUTING_PROVIDERS.OSRM, fallback: false });
+    assert.equal(out.get("b").source, ROUTING_PROVIDERS.HAVERSINE);
+    assert.equal(out.get("b").fallback, true);
+  });
+});
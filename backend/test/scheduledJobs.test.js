@@ -0,0 +1,60 @@
+// backend/test/scheduledJobs.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { stubModel } from "./helpers.js";
+import CountryServiceConfig from "../src/models/CountryServiceConfig.js";
+import { buildJobSchedule, getSchedulingConfig } from "../src/utils/scheduledJobs.js";
+
+const inMinutes = (m) => new Date(Date.now() + m * 60 * 1000);
+
+describe("scheduled bookings", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("builds a schedule with release time and skips reminders already inside the window", async () => {
+    stubModel(CountryServiceConfig, "findOne", {
+      scheduling: { leadTimeMinutes: 30, minAdvanceMinutes: 60, maxAdvanceDays: 14, reminderMinutesBefore: [60, 1440] },
+    });
+
+    const slot = inMinutes(90);
+    const out = await buildJobSchedule({ scheduledFor: slot.toISOString(), countryCode: "za" });
+
+    assert.equal(out.ok, true);
+    assert.equal(out.schedule.isScheduled, true);
+    assert.equal(out.schedule.scheduledFor.getTime(), slot.getTime());
+    assert.equal(out.schedule.releaseAt.getTime(), slot.getTime() - 30 * 60 * 1000);
+    // 24h reminder can never fire for a booking 90 minutes ahead
+    assert.deepEqual(out.schedule.remindersSent, [1440]);
+  });
+
+  it("rejects a slot inside the minimum advance window", async () => {
+    stubModel(CountryServiceConfig, "findOne", null);
+
+    const out = await buildJobSchedule({ scheduledFor: inMinutes(10).toISOString(), countryCode: "ZA" });
+
+    assert.equal(out.ok, false);
+    assert.equal(out.status, 400);
+    assert.equal(out.code, "SCHEDULED_FOR_TOO_SOON");
+  });
+
+  it("rejects invalid dates and countries with scheduling disabled", async () => {
+    stubModel(CountryServiceConfig, "findOne", { scheduling: { enabled: false } });
+
+    const invalid = await buildJobSchedule({ scheduledFor: "not-a-date", countryCode: "ZA" });
+    assert.equal(invalid.code, "SCHEDULED_FOR_INVALID");
+
+    const disabled = await buildJobSchedule({ scheduledFor: inMinutes(120).toISOString(), countryCode: "ZA" });
+    assert.equal(disabled.status, 403);
+    assert.equal(disabled.code, "SCHEDULING_DISABLED");
+  });
+
+  it("falls back to defaults and sorts reminder thresholds", async () => {
+    stubModel(CountryServiceConfig, "findOne", { scheduling: { reminderMinutesBefore: [60, "bad", 1440, 60] } });
+
+    const cfg = await getSchedulingConfig("ke");
+
+    assert.equal(cfg.enabled, true);
+    assert.equal(cfg.leadTimeMinutes, 30);
+    assert.deepEqual(cfg.reminderMinutesBefore, [1440, 60]);
+  });
+});
@@ -0,0 +1,91 @@
+// backend/test/serviceZones.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Zone from "../src/models/Zone.js";
+import PricingConfig from "../src/models/PricingConfig.js";
+import { USER_ROLES } from "../src/models/User.js";
+import {
+  applyZonePricingOverrides,
+  checkServiceArea,
+  filterTowTruckTypesForZone,
+  validateZoneGeometry,
+} from "../src/utils/serviceZones.js";
+
+const SQUARE = {
+  type: "Polygon",
+  coordinates: [
+    [
+      [28.0, -26.3],
+      [28.1, -26.3],
+      [28.1, -26.2],
+      [28.0, -26.2],
+      [28.0, -26.3],
+    ],
+  ],
+};
+
+const zone = (fields = {}) => ({ _id: oid(), name: "Sandton", isActive: true, geometry: SQUARE, ...fields });
+
+const check = (fields = {}) =>
+  checkServiceArea({ countryCode: "ZA", lat: -26.25, lng: 28.05, roleNeeded: USER_ROLES.TOW_TRUCK, ...fields });
+
+describe("service zones", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("accepts closed polygons and rejects open rings", () => {
+    assert.equal(validateZoneGeometry(SQUARE), null);
+
+    const open = { type: "Polygon", coordinates: [SQUARE.coordinates[0].slice(0, 4)] };
+    assert.match(validateZoneGeometry(open), /closed/);
+    assert.match(validateZoneGeometry({ type: "Point", coordinates: [28, -26] }), /Polygon or MultiPolygon/);
+  });
+
+  it("services everywhere while a country has no zones", async () => {
+    stubModel(Zone, "findOne", null);
+    stubModel(Zone, "exists", null);
+
+    assert.deepEqual(await check(), { ok: true, zone: null });
+  });
+
+  it("rejects pickups outside every zone once the country is zoned", async () => {
+    stubModel(Zone, "findOne", null);
+    stubModel(Zone, "exists", { _id: oid() });
+
+    const out = await check();
+
+    assert.equal(out.ok, false);
+    assert.equal(out.code, "OUT_OF_SERVICE_AREA");
+  });
+
+  it("applies the zone's service and tow type rules", async () => {
+    stubModel(Zone, "findOne", zone({ isServiced: false, notServicedReason: "Flooding" }));
+    const closed = await check();
+    assert.equal(closed.code, "ZONE_NOT_SERVICED");
+    assert.equal(closed.message, "Flooding");
+
+    mock.restoreAll();
+    const z = zone({ towTruckTypesDisabled: ["Rollback"] });
+    stubModel(Zone, "findOne", z);
+    const rollback = await check({ towTruckTypeNeeded: "rollback" });
+    assert.equal(rollback.code, "TOW_TRUCK_TYPE_UNAVAILABLE_IN_ZONE");
+
+    assert.deepEqual(filterTowTruckTypesForZone(["Flatbed", "Rollback"], z), ["Flatbed"]);
+    assert.equal((await check({ towTruckTypeNeeded: "Flatbed" })).ok, true);
+  });
+
+  it("overrides only whitelisted pricing keys, merged into the country config", () => {
+    const base = new PricingConfig({ countryCode: "ZA", baseFee: 100, perKmFee: 10, currency: "ZAR" });
+
+    const out = applyZonePricingOverrides(base, {
+      pricingOverrides: { perKmFee: 14, currency: "USD", surgePricing: { towTruckMultiplier: 1.4 } },
+    });
+
+    assert.equal(out.baseFee, 100);
+    assert.equal(out.perKmFee, 14);
+    assert.equal(out.currency, "ZAR");
+    assert.equal(out.surgePricing.towTruckMultiplier, 1.4);
+    assert.equal(out.surgePricing.enabled, base.surgePricing.enabled);
+  });
+});
@@ -0,0 +1,111 @@
+// backend/test/settlementReconciliation.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Payment, { PAYMENT_STATUSES } from "../src/models/Payment.js";
+import PaymentReconciliation, { RECONCILIATION_ISSUES } from "../src/models/PaymentReconciliation.js";
+import FinancialLog from "../src/models/FinancialLog.js";
+import {
+  fetchGatewayTransactions,
+  parseSettlementCsv,
+  reconcileGatewayTransactions,
+} from "../src/services/payments/settlementReconciliation.js";
+
+const payment = (providerReference, amount, status, fields = {}) => ({
+  _id: oid(),
+  providerReference,
+  amount,
+  status,
+  currency: "ZAR",
+  countryCode: "ZA",
+  provider: "PAYFAST",
+  createdAt: new Date("2026-03-03T08:00:00Z"),
+  ...fields,
+});
+
+const tx = (reference, amount, status = "SUCCESS") => ({ gatewayId: `pf-${reference}`, reference, amount, status });
+
+describe("settlement reconciliation", () => {
+  beforeEach(() => {
+    stubModel(FinancialLog, "create", {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("parses a gateway CSV export by header aliases", () => {
+    const csv =
+      "\uFEFFm_payment_id,pf_payment_id,Amount Gross,Payment Status\r\n" +
+      'TM-1,101,"1,234.50",COMPLETE\r\n' +
+      "TM-2,102,80,CANCELLED\r\n" +
+      "TM-3,103,45,\r\n";
+
+    assert.deepEqual(
+      parseSettlementCsv(csv).map((r) => [r.reference, r.gatewayId, r.amount, r.status]),
+      [
+        ["TM-1", "101", 1234.5, "SUCCESS"],
+        ["TM-2", "102", 80, "FAILED"],
+        ["TM-3", "103", 45, "SUCCESS"],
+      ]
+    );
+  });
+
+  it("rejects a CSV without reference or amount columns", () => {
+    assert.throws(() => parseSettlementCsv("id,status\n1,paid\n"), (err) => err.code === "CSV_COLUMNS_MISSING");
+    assert.throws(() => parseSettlementCsv("reference,amount\n"), (err) => err.code === "CSV_EMPTY");
+  });
+
+  it("refuses an API pull for a gateway without a list API", async () => {
+    await assert.rejects(
+      fetchGatewayTransactions({ countryCode: "ZA", gateway: "payfast", from: new Date(), to: new Date() }),
+      (err) => err.code === "GATEWAY_LIST_UNSUPPORTED"
+    );
+  });
+
+  it("reports each kind of mismatch and counts the rest as matched", async () => {
+    const payments = [
+      payment("TM-OK", 150, PAYMENT_STATUSES.PAID),
+      payment("TM-SHORT", 150, PAYMENT_STATUSES.PAID),
+      payment("TM-PENDING", 90, PAYMENT_STATUSES.PENDING),
+      payment("TM-STUCK", 60, PAYMENT_STATUSES.PENDING),
+      payment("TM-UNREPORTED", 75, PAYMENT_STATUSES.PAID),
+      payment("TM-KE", 150, PAYMENT_STATUSES.PAID, { countryCode: "KE" }),
+    ];
+
+    const find = stubModel(Payment, "find", (filter) =>
+      filter.providerReference
+        ? payments.filter((p) => filter.providerReference.$in.includes(p.providerReference))
+        : payments.filter((p) => p.countryCode === filter.countryCode)
+    );
+    stubModel(PaymentReconciliation, "create", (doc) => doc);
+
+    const run = await reconcileGatewayTransactions({
+      countryCode: "za",
+      gateway: "PAYFAST",
+      from: "2026-03-03T00:00:00Z",
+      to: "2026-03-03T23:59:59Z",
+      transactions: [
+        tx("TM-OK", 150),
+        tx("TM-SHORT", 140),
+        tx("TM-PENDING", 90),
+        tx("TM-GHOST", 200),
+        tx("TM-KE", 10),
+        tx("TM-LATER", 20, "PENDING"),
+      ],
+    });
+
+    assert.deepEqual(
+      run.items.map((i) => [i.issue, i.reference]),
+      [
+        [RECONCILIATION_ISSUES.AMOUNT_MISMATCH, "TM-SHORT"],
+        [RECONCILIATION_ISSUES.UNCONFIRMED_PAYMENT, "TM-PENDING"],
+        [RECONCILIATION_ISSUES.MISSING_PAYMENT, "TM-GHOST"],
+        [RECONCILIATION_ISSUES.STUCK_PENDING, "TM-STUCK"],
+        [RECONCILIATION_ISSUES.NOT_IN_GATEWAY_REPORT, "TM-UNREPORTED"],
+      ]
+    );
+    assert.equal(run.totals.matched, 1);
+    assert.equal(run.countryCode, "ZA");
+    assert.equal(find.mock.calls[1].arguments[0].provider, "PAYFAST");
+  });
+});
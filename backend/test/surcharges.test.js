@@ -0,0 +1,79 @@
+// backend/test/surcharges.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { stubModel } from "./helpers.js";
+import PricingConfig from "../src/models/PricingConfig.js";
+import Country from "../src/models/Country.js";
+import { USER_ROLES } from "../src/models/User.js";
+import { calculateJobPricing } from "../src/utils/calculateJobPricing.js";
+
+function usePricing({ timezone = "Africa/Johannesburg", holidays = [] } = {}) {
+  stubModel(Country, "findOne", { timezone });
+  stubModel(
+    PricingConfig,
+    "findOne",
+    new PricingConfig({
+      countryCode: "ZA",
+      providerBasePricing: { mechanic: { baseFee: 300, nightFee: 50, weekendFee: 30, holidayFee: 80 } },
+      surgePricing: { enabled: false },
+      holidayCalendar: { enabled: true, holidays },
+    })
+  );
+}
+
+// mechanic booking fee = base + surcharges, no distance / routing involved
+const mechanicQuote = (serviceAt) =>
+  calculateJobPricing({ roleNeeded: USER_ROLES.MECHANIC, pickupLat: -26.2, pickupLng: 28.04, countryCode: "ZA", serviceAt, zone: null });
+
+describe("night, weekend and holiday surcharges", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("uses the country's local time, not the server clock", async () => {
+    // Wednesday 17:30 UTC = 19:30 in Johannesburg, 20:30 in Nairobi
+    const at = "2026-03-04T17:30:00Z";
+
+    usePricing({ timezone: "Africa/Johannesburg" });
+    const za = await mechanicQuote(at);
+    assert.equal(za.nightFeeApplied, 0);
+    assert.equal(za.bookingFee, 300);
+    assert.equal(za.surchargeTimezone, "Africa/Johannesburg");
+
+    mock.restoreAll();
+    usePricing({ timezone: "Africa/Nairobi" });
+    const ke = await mechanicQuote(at);
+    assert.equal(ke.nightFeeApplied, 50);
+    assert.equal(ke.bookingFee, 350);
+  });
+
+  it("charges the holiday fee instead of the weekend fee", async () => {
+    // Saturday 26 Dec 2026, 10:00 local
+    usePricing({ holidays: [{ date: "2025-12-26", name: "Day of Goodwill", recurring: true }] });
+
+    const out = await mechanicQuote("2026-12-26T08:00:00Z");
+
+    assert.deepEqual(out.holiday, { date: "2025-12-26", name: "Day of Goodwill" });
+    assert.equal(out.holidayFeeApplied, 80);
+    assert.equal(out.weekendFeeApplied, 0);
+    assert.equal(out.bookingFee, 380);
+  });
+
+  it("does not match a one-off holiday in another year", async () => {
+    usePricing({ holidays: [{ date: "2025-12-26", name: "Day of Goodwill", recurring: false }] });
+
+    const out = await mechanicQuote("2026-12-26T08:00:00Z");
+
+    assert.equal(out.holiday, null);
+    assert.equal(out.weekendFeeApplied, 30);
+    assert.equal(out.bookingFee, 330);
+  });
+
+  it("falls back to the default timezone for an unknown zone name", async () => {
+    usePricing({ timezone: "Mars/Olympus_Mons" });
+
+    const out = await mechanicQuote("2026-03-04T19:30:00Z");
+
+    assert.equal(out.surchargeTimezone, "Africa/Johannesburg");
+    assert.equal(out.nightFeeApplied, 50);
+  });
+});
@@ -0,0 +1,115 @@
+// backend/test/surgePricing.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Job from "../src/models/Job.js";
+import User, { USER_ROLES } from "../src/models/User.js";
+import PricingConfig from "../src/models/PricingConfig.js";
+import Country from "../src/models/Country.js";
+import SurgeSnapshot from "../src/models/SurgeSnapshot.js";
+import { computeRawSurgeMultiplier, getDynamicSurge, getDynamicSurgeConfig } from "../src/utils/surgePricing.js";
+import { calculateJobPricing } from "../src/utils/calculateJobPricing.js";
+
+const surgeConfig = (dynamic = {}, extra = {}) =>
+  new PricingConfig({
+    countryCode: "ZA",
+    surgePricing: {
+      enabled: true,
+      maxSurgeMultiplier: 2.5,
+      dynamic: { enabled: true, ratioThreshold: 1, sensitivity: 0.5, smoothingFactor: 0.5, recomputeSeconds: 60, ...dynamic },
+      ...extra,
+    },
+  });
+
+const PICKUP = { lat: -26.2041, lng: 28.0473 };
+
+describe("dynamic surge", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("raises the multiplier once demand outruns supply and caps it", () => {
+    const config = getDynamicSurgeConfig(surgeConfig());
+
+    assert.deepEqual(computeRawSurgeMultiplier({ demand: 2, supply: 4, config }), { ratio: 0.5, rawMultiplier: 1 });
+    assert.deepEqual(computeRawSurgeMultiplier({ demand: 6, supply: 2, config }), { ratio: 3, rawMultiplier: 2 });
+    assert.equal(computeRawSurgeMultiplier({ demand: 40, supply: 0, config }).rawMultiplier, 2.5);
+  });
+
+  it("is off unless both surge and dynamic surge are enabled", async () => {
+    const out = await getDynamicSurge({
+      countryCode: "ZA",
+      roleNeeded: USER_ROLES.TOW_TRUCK,
+      ...PICKUP,
+      pricingConfig: surgeConfig({ enabled: false }),
+    });
+
+    assert.equal(out, null);
+  });
+
+  it("counts open jobs and online providers in the area and stores a snapshot", async () => {
+    stubModel(SurgeSnapshot, "findOne", null);
+    stubModel(Job, "countDocuments", 6);
+    stubModel(User, "countDocuments", 2);
+    const create = mock.method(SurgeSnapshot, "create", async (doc) => ({ _id: oid(), ...doc }));
+
+    const out = await getDynamicSurge({
+      countryCode: "za",
+      roleNeeded: USER_ROLES.TOW_TRUCK,
+      ...PICKUP,
+      pricingConfig: surgeConfig(),
+    });
+
+    assert.equal(out.multiplier, 2);
+    assert.equal(out.demand, 6);
+    assert.equal(out.supply, 2);
+    assert.match(out.areaKey, /^cell:5:/);
+    assert.equal(create.mock.calls[0].arguments[0].countryCode, "ZA");
+  });
+
+  it("smooths towards the new value from a recent snapshot", async () => {
+    stubModel(SurgeSnapshot, "findOne", { multiplier: 1, computedAt: new Date(Date.now() - 5 * 60 * 1000) });
+    stubModel(Job, "countDocuments", 6);
+    stubModel(User, "countDocuments", 2);
+    mock.method(SurgeSnapshot, "create", async (doc) => ({ _id: oid(), ...doc }));
+
+    const out = await getDynamicSurge({
+      countryCode: "ZA",
+      roleNeeded: USER_ROLES.TOW_TRUCK,
+      ...PICKUP,
+      pricingConfig: surgeConfig(),
+    });
+
+    // 1 + 0.5 × (2 − 1)
+    assert.equal(out.multiplier, 1.5);
+  });
+
+  it("caps the mechanic booking fee multiplier like the tow surge", async () => {
+    stubModel(Country, "findOne", { timezone: "Africa/Johannesburg" });
+    const pricing = surgeConfig({}, { mechanicBookingFeeMultiplier: 2 });
+    pricing.providerBasePricing.mechanic.baseFee = 200;
+    stubModel(PricingConfig, "findOne", pricing);
+    // fresh snapshot → reused as is
+    stubModel(SurgeSnapshot, "findOne", {
+      _id: oid(),
+      multiplier: 2,
+      areaType: "CELL",
+      areaKey: "cell:5:0:0",
+      demand: 10,
+      supply: 2,
+      computedAt: new Date(),
+    });
+
+    const out = await calculateJobPricing({
+      roleNeeded: USER_ROLES.MECHANIC,
+      pickupLat: PICKUP.lat,
+      pickupLng: PICKUP.lng,
+      countryCode: "ZA",
+      serviceAt: "2026-03-04T10:00:00Z",
+      zone: null,
+    });
+
+    assert.equal(out.surge.dynamicMultiplier, 2);
+    // 200 base × min(2 × 2, max(2, 2.5))
+    assert.equal(out.bookingFee, 500);
+  });
+});
@@ -0,0 +1,92 @@
+// backend/test/taxEngine.test.js
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Job from "../src/models/Job.js";
+import User from "../src/models/User.js";
+import PricingConfig from "../src/models/PricingConfig.js";
+import WeeklyPayout from "../src/models/WeeklyPayout.js";
+import { syncProviderWeeklyPayout } from "../src/services/payout.service.js";
+import {
+  applyTax,
+  bookingFeeChargeAmount,
+  buildPricingTax,
+  getTaxRules,
+  jobTaxRules,
+} from "../src/utils/taxEngine.js";
+
+const rules = (taxRules = {}) => getTaxRules({ taxRules: { enabled: true, ratePercent: 15, ...taxRules } });
+
+describe("tax engine", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rounds inclusive and exclusive VAT to cents so net + tax = gross", () => {
+    // 99.99 incl. 15% → 13.04 VAT
+    assert.deepEqual(applyTax(99.99, rules()), { net: 86.95, tax: 13.04, gross: 99.99 });
+    // 0.07 excl. 15% → 0.0105 rounds to 0.01
+    assert.deepEqual(applyTax(0.07, rules({ pricesIncludeTax: false })), { net: 0.07, tax: 0.01, gross: 0.08 });
+
+    for (const amount of [1, 33.33, 149.95, 1234.56]) {
+      const out = applyTax(amount, rules({ ratePercent: 16 }));
+      assert.equal(Number((out.net + out.tax).toFixed(2)), out.gross);
+    }
+  });
+
+  it("charges no VAT when disabled, on a zero rate, or where the country exempts the line", () => {
+    assert.equal(getTaxRules({ taxRules: { enabled: true, ratePercent: 0 } }).enabled, false);
+    assert.deepEqual(applyTax(100, rules({ enabled: false })), { net: 100, tax: 0, gross: 100 });
+    assert.equal(applyTax(100, rules(), false).tax, 0);
+    // rates are capped at 100%
+    assert.equal(rules({ ratePercent: 250 }).ratePercent, 100);
+  });
+
+  it("builds the job snapshot with booking fee VAT, commission VAT and withholding", () => {
+    const tax = buildPricingTax(
+      { bookingFee: 200, commissionAmount: 150, providerAmountDue: 850 },
+      rules({ pricesIncludeTax: false, vatOnCommission: false, withholdingPercent: 5 })
+    );
+
+    assert.deepEqual(tax.bookingFee, { net: 200, tax: 30, gross: 230 });
+    assert.deepEqual(tax.commission, { net: 150, tax: 0, gross: 150 });
+    assert.deepEqual(tax.providerWithholding, { gross: 850, withheld: 42.5, net: 807.5 });
+
+    // exclusive VAT is added on top of the booking fee the customer pays
+    assert.equal(bookingFeeChargeAmount({ bookingFee: 200, tax }), 230);
+    // a stale breakdown for a changed fee is ignored
+    assert.equal(bookingFeeChargeAmount({ bookingFee: 180, tax }), 180);
+  });
+
+  it("keeps using a job's own rates after the country changes them", () => {
+    const snapshot = buildPricingTax({ bookingFee: 100, commissionAmount: 0, providerAmountDue: 0 }, rules());
+    const job = { pricing: { tax: snapshot } };
+
+    assert.equal(jobTaxRules(job, rules({ ratePercent: 16 })).ratePercent, 15);
+    assert.equal(jobTaxRules({ pricing: {} }, rules({ ratePercent: 16 })).ratePercent, 16);
+  });
+
+  it("withholds tax on insurance payouts per job", async () => {
+    const providerId = oid();
+    const job = (amount, insured) => ({
+      _id: oid(),
+      updatedAt: new Date("2026-03-03T10:00:00Z"),
+      insurance: { enabled: insured },
+      pricing: { currency: "ZAR", providerAmountDue: amount },
+      invoiceItems: [],
+    });
+
+    stubModel(Job, "find", [job(1000, true), job(333.33, true), job(500, false)]);
+    stubModel(User, "findById", { _id: providerId, countryCode: "ZA" });
+    stubModel(PricingConfig, "findOne", { taxRules: { withholdingPercent: 3 } });
+    const upsert = stubModel(WeeklyPayout, "findOneAndUpdate", (filter, update) => update);
+
+    const payout = await syncProviderWeeklyPayout(providerId, new Date("2026-03-04T10:00:00Z"));
+
+    assert.equal(payout.totalAmount, 1333.33);
+    // 30 + 10.00 (333.33 × 3% = 9.9999)
+    assert.equal(payout.withheldAmount, 40);
+    assert.equal(payout.netAmount, 1293.33);
+    assert.equal(payout.jobs[2].withheldAmount, 15);
+    assert.equal(upsert.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,104 @@
+// backend/test/tripMonitor.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Job, { JOB_STATUSES } from "../src/models/Job.js";
+import PanicAlert, { PANIC_SOURCES, TRIP_ANOMALY_TYPES } from "../src/models/PanicAlert.js";
+import CountryServiceConfig from "../src/models/CountryServiceConfig.js";
+import User from "../src/models/User.js";
+import { monitorTripProgress } from "../src/services/safety/tripMonitor.js";
+
+// pickup → dropoff is ~22 km due north; default thresholds: 10 min stop, 5 km off route, 3 km away
+const towing = (tripMonitor = null) => ({
+  _id: oid(),
+  customer: oid(),
+  countryCode: "ZA",
+  status: JOB_STATUSES.IN_PROGRESS,
+  pickupLocation: { type: "Point", coordinates: [28.04, -26.2] },
+  dropoffLocation: { type: "Point", coordinates: [28.04, -26.0] },
+  legs: [],
+  tripMonitor,
+});
+
+const minutesAgo = (m) => new Date(Date.now() - m * 60 * 1000);
+
+describe("trip anomaly monitor", () => {
+  let jobUpdates;
+  let incidents;
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    stubModel(CountryServiceConfig, "findOne", null);
+    stubModel(User, "findById", null);
+    stubModel(User, "find", []);
+    stubModel(PanicAlert, "exists", null);
+    stubModel(PanicAlert, "updateOne", { modifiedCount: 1 });
+    jobUpdates = stubModel(Job, "updateOne", { modifiedCount: 1 });
+    incidents = stubModel(PanicAlert, "create", (doc) => ({ _id: oid(), ...doc }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("opens a route deviation incident when the truck leaves the corridor", async () => {
+    const job = towing();
+
+    const opened = await monitorTripProgress(job, { lat: -26.1, lng: 28.15 });
+
+    assert.deepEqual(opened, [TRIP_ANOMALY_TYPES.ROUTE_DEVIATION]);
+    const incident = incidents.mock.calls[0].arguments[0];
+    assert.equal(incident.source, PANIC_SOURCES.TRIP_MONITOR);
+    assert.equal(incident.triggeredBy, job.customer);
+    assert.ok(incident.anomaly.details.offRouteKm > 5);
+  });
+
+  it("flags a long stop mid-route once per stop", async () => {
+    const stoppedSince = minutesAgo(15);
+    const state = { target: "DROPOFF", lastLat: -26.1, lastLng: 28.04, lastMovedAt: stoppedSince, closestDistanceKm: 11 };
+
+    const opened = await monitorTripProgress(towing(state), { lat: -26.1, lng: 28.04 });
+
+    assert.deepEqual(opened, [TRIP_ANOMALY_TYPES.LONG_STOP]);
+    assert.deepEqual(jobUpdates.mock.calls.at(-1).arguments[1], {
+      $set: { "tripMonitor.alertedStopAt": stoppedSince },
+    });
+
+    const again = await monitorTripProgress(towing({ ...state, alertedStopAt: stoppedSince }), {
+      lat: -26.1,
+      lng: 28.04,
+    });
+    assert.deepEqual(again, []);
+  });
+
+  it("needs several samples drifting away from the drop-off before alerting", async () => {
+    const state = { target: "DROPOFF", lastLat: -26.14, lastLng: 28.04, closestDistanceKm: 5, awaySamples: 1 };
+
+    const first = await monitorTripProgress(towing(state), { lat: -26.15, lng: 28.04 });
+    assert.deepEqual(first, []);
+    assert.equal(jobUpdates.mock.calls[0].arguments[1].$set.tripMonitor.awaySamples, 2);
+
+    const third = await monitorTripProgress(towing({ ...state, awaySamples: 2 }), { lat: -26.15, lng: 28.04 });
+    assert.deepEqual(third, [TRIP_ANOMALY_TYPES.HEADING_AWAY]);
+  });
+
+  it("keeps one open incident per job and anomaly type", async () => {
+    mock.restoreAll();
+    stubModel(CountryServiceConfig, "findOne", null);
+    stubModel(Job, "updateOne", { modifiedCount: 1 });
+    stubModel(PanicAlert, "exists", { _id: oid() });
+    const create = stubModel(PanicAlert, "create", {});
+
+    const opened = await monitorTripProgress(towing(), { lat: -26.1, lng: 28.15 });
+
+    assert.deepEqual(opened, []);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("ignores jobs that are not being towed", async () => {
+    const opened = await monitorTripProgress({ ...towing(), status: JOB_STATUSES.ASSIGNED }, { lat: -26.1, lng: 28.15 });
+
+    assert.deepEqual(opened, []);
+    assert.equal(jobUpdates.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,126 @@
+// backend/test/tripShare.test.js
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Job, { JOB_STATUSES } from "../src/models/Job.js";
+import TripShare, { TRIP_SHARE_REVOKE_REASONS } from "../src/models/TripShare.js";
+import { USER_ROLES } from "../src/models/User.js";
+import { createTripShare, getSharedTrip } from "../src/services/safety/tripShare.js";
+
+const contactId = oid();
+const customer = {
+  _id: oid(),
+  firstName: "Thandi",
+  trustedContacts: [{ _id: contactId, name: "Sipho", phone: "+27820000000" }],
+};
+
+const activeJob = (fields = {}) => ({
+  _id: oid(),
+  customer: customer._id,
+  assignedTo: oid(),
+  countryCode: "ZA",
+  status: JOB_STATUSES.ASSIGNED,
+  ...fields,
+});
+
+const share = (fields = {}) => ({
+  _id: oid(),
+  job: oid(),
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields,
+});
+
+describe("trip share links", () => {
+  beforeEach(() => {
+    delete process.env.TWILIO_ACCOUNT_SID;
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("stores only the token hash, caps the lifetime and sends the link to chosen contacts", async () => {
+    const create = stubModel(TripShare, "create", (doc) => ({ _id: oid(), ...doc }));
+
+    const out = await createTripShare({
+      job: activeJob(),
+      user: customer,
+      ttlMinutes: 24 * 60,
+      contactIds: [String(contactId)],
+    });
+
+    assert.equal(out.ok, true);
+    const stored = create.mock.calls[0].arguments[0];
+    assert.equal(stored.tokenHash, crypto.createHash("sha256").update(out.token).digest("hex"));
+    assert.ok(!JSON.stringify(stored).includes(out.token));
+    assert.ok(stored.expiresAt - Date.now() <= 12 * 60 * 60 * 1000);
+    assert.ok(out.url.endsWith(`/trip/${out.token}`));
+    assert.deepEqual(out.delivery.map((d) => [d.to, d.channel]), [["+27820000000", "SMS"]]);
+  });
+
+  it("lets only the customer share, and only once a provider is assigned", async () => {
+    const create = stubModel(TripShare, "create", {});
+
+    const stranger = await createTripShare({ job: activeJob(), user: { _id: oid() } });
+    assert.equal(stranger.code, "NOT_JOB_CUSTOMER");
+
+    const searching = await createTripShare({
+      job: activeJob({ status: JOB_STATUSES.BROADCASTED, assignedTo: null }),
+      user: customer,
+    });
+    assert.equal(searching.code, "JOB_NOT_SHAREABLE");
+
+    const unknown = await createTripShare({ job: activeJob(), user: customer, contactIds: [String(oid())] });
+    assert.equal(unknown.code, "TRUSTED_CONTACT_NOT_FOUND");
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("refuses expired and revoked links", async () => {
+    stubModel(TripShare, "findOne", share({ expiresAt: new Date(Date.now() - 1000) }));
+    assert.equal((await getSharedTrip("abc")).code, "TRIP_SHARE_EXPIRED");
+
+    mock.restoreAll();
+    stubModel(TripShare, "findOne", share({ revokedAt: new Date() }));
+    assert.equal((await getSharedTrip("abc")).status, 410);
+  });
+
+  it("revokes every link of a job that has already completed", async () => {
+    const s = share();
+    stubModel(TripShare, "findOne", s);
+    stubModel(Job, "findById", { _id: s.job, status: JOB_STATUSES.COMPLETED });
+    const revoke = stubModel(TripShare, "updateMany", { modifiedCount: 2 });
+
+    const out = await getSharedTrip("abc");
+
+    assert.equal(out.code, "TRIP_SHARE_REVOKED");
+    assert.deepEqual(revoke.mock.calls[0].arguments[0], { job: s.job, revokedAt: null });
+    assert.equal(revoke.mock.calls[0].arguments[1].$set.revokeReason, TRIP_SHARE_REVOKE_REASONS.JOB_COMPLETED);
+  });
+
+  it("shows the provider's first name, vehicle and live location without contact details", async () => {
+    stubModel(TripShare, "findOne", share());
+    stubModel(TripShare, "updateOne", { modifiedCount: 1 });
+    stubModel(Job, "findById", {
+      status: JOB_STATUSES.IN_PROGRESS,
+      assignedTo: {
+        firstName: "Bongani",
+        lastName: "Dlamini",
+        phone: "+27830000000",
+        role: USER_ROLES.TOW_TRUCK,
+        providerProfile: {
+          vehicle: { make: "Isuzu", model: "NPR", plateNumber: "CA 123-456" },
+          location: { coordinates: [18.42, -33.92] },
+        },
+      },
+    });
+
+    const { trip } = await getSharedTrip("abc");
+
+    assert.equal(trip.provider.name, "Bongani D.");
+    assert.equal(trip.provider.plateNumber, "CA 123-456");
+    assert.deepEqual({ lat: trip.location.lat, lng: trip.location.lng }, { lat: -33.92, lng: 18.42 });
+    assert.ok(!JSON.stringify(trip).includes("+27830000000"));
+  });
+});
@@ -0,0 +1,119 @@
+// backend/test/walletLedger.test.js
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { oid, stubModel } from "./helpers.js";
+import Wallet from "../src/models/Wallet.js";
+import WalletTransaction, { LEDGER_SIDES, WALLET_SYSTEM_ACCOUNTS } from "../src/models/WalletTransaction.js";
+import PromoCode from "../src/models/PromoCode.js";
+import FinancialLog from "../src/models/FinancialLog.js";
+import { WALLET_TX_KINDS, creditWallet, customerAccount, debitWallet } from "../src/services/wallet/walletLedger.js";
+import { redeemPromoCode } from "../src/services/wallet/promoCodes.js";
+
+const userId = oid();
+
+// create() that runs the schema's balance check, like the real insert would
+const createValidated = () =>
+  mock.method(WalletTransaction, "create", async (doc) => {
+    const tx = new WalletTransaction(doc);
+    await tx.validate();
+    return tx;
+  });
+
+describe("wallet ledger", () => {
+  beforeEach(() => {
+    stubModel(FinancialLog, "create", {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("refuses to store a journal whose debits and credits differ", async () => {
+    const tx = new WalletTransaction({
+      kind: WALLET_TX_KINDS.GOODWILL_CREDIT,
+      user: userId,
+      currency: "ZAR",
+      amount: 10,
+      lines: [
+        { account: WALLET_SYSTEM_ACCOUNTS.GOODWILL, side: LEDGER_SIDES.DEBIT, amount: 10 },
+        { account: customerAccount(userId), side: LEDGER_SIDES.CREDIT, amount: 10.01 },
+      ],
+    });
+
+    await assert.rejects(tx.validate(), /not balanced/);
+  });
+
+  it("posts a credit as a balanced journal against the kind's system account", async () => {
+    const create = createValidated();
+    const bump = stubModel(Wallet, "findOneAndUpdate", { balance: 75.5 });
+
+    const out = await creditWallet({
+      userId,
+      amount: 25.499,
+      currency: "zar",
+      kind: WALLET_TX_KINDS.REFUND_CREDIT,
+    });
+
+    assert.equal(out.ok, true);
+    assert.equal(out.balance, 75.5);
+    assert.deepEqual(
+      create.mock.calls[0].arguments[0].lines.map((l) => [l.account, l.side, l.amount]),
+      [
+        [WALLET_SYSTEM_ACCOUNTS.REFUNDS, LEDGER_SIDES.DEBIT, 25.5],
+        [customerAccount(userId), LEDGER_SIDES.CREDIT, 25.5],
+      ]
+    );
+    assert.deepEqual(bump.mock.calls[0].arguments[1].$inc, { balance: 25.5 });
+  });
+
+  it("never overdraws: the debit is reserved against the balance first", async () => {
+    const reserve = stubModel(Wallet, "findOneAndUpdate", null);
+    stubModel(WalletTransaction, "findOne", null);
+    const create = createValidated();
+
+    const out = await debitWallet({ userId, amount: 40, currency: "ZAR", idempotencyKey: "booking-fee:1" });
+
+    assert.equal(out.code, "INSUFFICIENT_WALLET_BALANCE");
+    assert.deepEqual(reserve.mock.calls[0].arguments[0].balance, { $gte: 40 });
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("gives the reservation back when the journal cannot be written", async () => {
+    const walletId = oid();
+    stubModel(WalletTransaction, "findOne", null);
+    stubModel(Wallet, "findOneAndUpdate", { _id: walletId, balance: 60 });
+    mock.method(WalletTransaction, "create", async () => {
+      throw new Error("write conflict");
+    });
+    const release = stubModel(Wallet, "updateOne", { modifiedCount: 1 });
+
+    await assert.rejects(debitWallet({ userId, amount: 40, currency: "ZAR" }), /write conflict/);
+    assert.deepEqual(release.mock.calls[0].arguments, [{ _id: walletId }, { $inc: { balance: 40 } }]);
+  });
+
+  it("credits a promo code once per customer and frees the slot on a repeat", async () => {
+    const promo = { _id: oid(), code: "WELCOME50", active: true, amount: 50, currency: "ZAR", maxRedemptions: 100 };
+    stubModel(PromoCode, "findOne", promo);
+    const claim = stubModel(PromoCode, "findOneAndUpdate", { ...promo, redemptionCount: 8 });
+    const release = stubModel(PromoCode, "updateOne", { modifiedCount: 1 });
+    mock.method(WalletTransaction, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+    stubModel(WalletTransaction, "findOne", { _id: oid() });
+    stubModel(Wallet, "findOne", { balance: 50 });
+
+    const out = await redeemPromoCode({ userId, code: " welcome50 ", countryCode: "ZA" });
+
+    assert.equal(out.code, "PROMO_CODE_ALREADY_REDEEMED");
+    assert.deepEqual(claim.mock.calls[0].arguments[0].redemptionCount, { $lt: 100 });
+    assert.deepEqual(release.mock.calls[0].arguments[1], { $inc: { redemptionCount: -1 } });
+  });
+
+  it("rejects an expired promo code", async () => {
+    stubModel(PromoCode, "findOne", { _id: oid(), active: true, expiresAt: new Date(Date.now() - 1000) });
+
+    const out = await redeemPromoCode({ userId, code: "OLD", countryCode: "ZA" });
+
+    assert.equal(out.status, 410);
+    assert.equal(out.code, "PROMO_CODE_EXPIRED");
+  });
+});